@@ -66,6 +66,10 @@ class ScreenCaptureManager @Inject constructor(
     private val _frameChannel = Channel<ByteArray>(Channel.CONFLATED)
     val frameFlow: Flow<ByteArray> = _frameChannel.receiveAsFlow()
     
+    // The newest frame, kept for screenshots
+    @Volatile
+    private var lastFrame: ByteArray? = null
+    
     // Store display metrics for coordinate translation
     private var displayWidth: Int = 0
     private var displayHeight: Int = 0
@@ -179,6 +183,7 @@ class ScreenCaptureManager @Inject constructor(
             try {
                 val frameData = imageToByteArray(image, quality)
                 if (frameData != null) {
+                    lastFrame = frameData
                     scope.launch {
                         _frameChannel.send(frameData)
                     }
@@ -198,6 +203,7 @@ class ScreenCaptureManager @Inject constructor(
      */
     fun stopCapture() {
         _isCapturing.value = false
+        lastFrame = null
         
         virtualDisplay?.release()
         virtualDisplay = null
@@ -211,6 +217,13 @@ class ScreenCaptureManager @Inject constructor(
         Log.i(TAG, "Screen capture stopped")
     }
     
+    /**
+     * The screen as last captured, as JPEG.
+     * 
+     * @return null if nothing has been captured yet
+     */
+    fun latestFrame(): ByteArray? = lastFrame
+    
     /**
      * Converts an Image to a JPEG byte array.
      */
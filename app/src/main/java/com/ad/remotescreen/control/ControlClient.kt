@@ -1,8 +1,12 @@
 package com.ad.remotescreen.control
 
 import android.util.Log
+import com.ad.remotescreen.data.model.Annotation
 import com.ad.remotescreen.data.model.GestureCommand
+import com.ad.remotescreen.data.model.GesturePoint
+import com.ad.remotescreen.data.model.GestureStroke
 import com.google.gson.Gson
+import com.google.gson.JsonArray
 import com.google.gson.JsonObject
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
@@ -34,7 +38,7 @@ class ControlClient @Inject constructor(
         
         // Cloud server URL - Deployed on Render.com
         // Works globally across any network/country
-        private const val DEFAULT_SERVER_URL = "wss://remotescreen-backend.onrender.com/ws?type=control"
+        private const val DEFAULT_SERVER_URL = "wss://remotescreen-backend.onrender.com/ws"
     }
     
     private val scope = CoroutineScope(Dispatchers.IO + SupervisorJob())
@@ -43,12 +47,18 @@ class ControlClient @Inject constructor(
     private var webSocket: WebSocket? = null
     private var pairingCode: String = ""
     
+    // Controller: sends on the signaling socket that holds the control grant
+    private var controllerSender: ((String) -> Boolean)? = null
+    
     private val _connectionState = MutableStateFlow(ConnectionState.DISCONNECTED)
     val connectionState: StateFlow<ConnectionState> = _connectionState.asStateFlow()
     
     private val _commandChannel = Channel<GestureCommand>(Channel.UNLIMITED)
     val commandFlow: Flow<GestureCommand> = _commandChannel.receiveAsFlow()
     
+    private val _annotationChannel = Channel<Annotation>(Channel.UNLIMITED)
+    val annotationFlow: Flow<Annotation> = _annotationChannel.receiveAsFlow()
+    
     enum class ConnectionState {
         DISCONNECTED, CONNECTING, CONNECTED, ERROR
     }
@@ -64,7 +74,7 @@ class ControlClient @Inject constructor(
         _connectionState.value = ConnectionState.CONNECTING
         
         val request = Request.Builder()
-            .url("$serverUrl?code=$pairingCode")
+            .url("$serverUrl?type=control&code=$pairingCode")
             .build()
         
         webSocket = okHttpClient.newWebSocket(request, object : WebSocketListener() {
@@ -96,6 +106,20 @@ class ControlClient @Inject constructor(
         })
     }
     
+    /**
+     * Sends gestures over the controller's signaling socket instead of a
+     * control socket of its own (controller only). The server grants
+     * control to the socket that asked for it, so gestures must leave on
+     * that one.
+     * 
+     * @param pairingCode The session pairing code
+     * @param send Sends a message on the signaling socket, e.g. SignalingClient.sendRaw
+     */
+    fun useControllerSocket(pairingCode: String, send: (String) -> Boolean) {
+        this.pairingCode = pairingCode
+        controllerSender = send
+    }
+    
     /**
      * Starts sending periodic heartbeats to keep the connection alive.
      */
@@ -123,6 +147,12 @@ class ControlClient @Inject constructor(
                         scope.launch { _commandChannel.send(it) }
                     }
                 }
+                "annotation" -> {
+                    val annotation = parseAnnotation(jsonObject)
+                    annotation?.let {
+                        scope.launch { _annotationChannel.send(it) }
+                    }
+                }
                 "heartbeat-ack" -> {
                     Log.d(TAG, "Heartbeat acknowledged")
                 }
@@ -169,9 +199,36 @@ class ControlClient @Inject constructor(
                 deltaY = json.get("deltaY")?.asFloat ?: 0f,
                 duration = json.get("duration")?.asLong ?: 500
             )
+            "drag" -> {
+                val duration = json.get("duration")?.asLong ?: 300
+                GestureCommand.MultiStroke(
+                    strokes = listOf(GestureStroke(
+                        startTime = 0,
+                        duration = duration,
+                        points = parsePoints(json.getAsJsonArray("points")) ?: return null
+                    )),
+                    duration = duration,
+                    kind = "drag"
+                )
+            }
+            "multitouch" -> GestureCommand.MultiStroke(
+                strokes = json.getAsJsonArray("strokes")?.map { element ->
+                    val stroke = element.asJsonObject
+                    GestureStroke(
+                        startTime = stroke.get("startTime")?.asLong ?: 0,
+                        duration = stroke.get("duration")?.asLong ?: 300,
+                        points = parsePoints(stroke.getAsJsonArray("points")) ?: return null
+                    )
+                } ?: return null,
+                duration = json.get("duration")?.asLong ?: 300,
+                kind = json.get("kind")?.asString
+            )
             "text" -> GestureCommand.TextInput(
                 text = json.get("text")?.asString ?: ""
             )
+            "key" -> GestureCommand.Key(
+                key = json.get("key")?.asString ?: return null
+            )
             "back" -> GestureCommand.Back()
             "home" -> GestureCommand.Home()
             "recents" -> GestureCommand.Recents()
@@ -180,7 +237,58 @@ class ControlClient @Inject constructor(
     }
     
     /**
-     * Sends a gesture command to the target device.
+     * Parses an annotation (a mark drawn over the screen) from JSON.
+     */
+    private fun parseAnnotation(json: JsonObject): Annotation? {
+        val action = json.get("action")?.asString ?: return null
+        
+        return when (action) {
+            "stroke" -> Annotation.Stroke(
+                id = json.get("id")?.asString ?: return null,
+                color = json.get("color")?.asString ?: return null,
+                fadeMs = json.get("fadeMs")?.asLong ?: 5000,
+                points = json.getAsJsonArray("points")?.map { element ->
+                    val point = element.asJsonObject
+                    Pair(point.get("x")?.asFloat ?: 0f, point.get("y")?.asFloat ?: 0f)
+                } ?: return null
+            )
+            "arrow" -> Annotation.Arrow(
+                id = json.get("id")?.asString ?: return null,
+                color = json.get("color")?.asString ?: return null,
+                fadeMs = json.get("fadeMs")?.asLong ?: 5000,
+                startX = json.get("startX")?.asFloat ?: 0f,
+                startY = json.get("startY")?.asFloat ?: 0f,
+                endX = json.get("endX")?.asFloat ?: 0f,
+                endY = json.get("endY")?.asFloat ?: 0f
+            )
+            "laser" -> Annotation.Laser(
+                x = json.get("x")?.asFloat ?: 0f,
+                y = json.get("y")?.asFloat ?: 0f
+            )
+            "laser-end" -> Annotation.LaserEnd
+            "clear" -> Annotation.Clear
+            else -> null
+        }
+    }
+    
+    /**
+     * Parses the `[{ x, y, t }]` path of a drag or multitouch stroke.
+     */
+    private fun parsePoints(points: JsonArray?): List<GesturePoint>? {
+        if (points == null || points.size() == 0) return null
+        return points.map { element ->
+            val point = element.asJsonObject
+            GesturePoint(
+                x = point.get("x")?.asFloat ?: 0f,
+                y = point.get("y")?.asFloat ?: 0f,
+                t = point.get("t")?.asLong ?: 0
+            )
+        }
+    }
+    
+    /**
+     * Sends a gesture command to the target device. Coordinates must
+     * already be fractions of the target's screen.
      */
     suspend fun sendCommand(command: GestureCommand) {
         val message = buildString {
@@ -199,7 +307,17 @@ class ControlClient @Inject constructor(
                     append(""""action":"scroll","startX":${command.startX},"startY":${command.startY},"deltaX":${command.deltaX},"deltaY":${command.deltaY},"duration":${command.duration}""")
                 }
                 is GestureCommand.TextInput -> {
-                    append(""""action":"text","text":"${command.text.replace("\"", "\\\"")}"""")
+                    append(""""action":"text","text":${gson.toJson(command.text)}""")
+                }
+                is GestureCommand.Key -> {
+                    append(""""action":"key","key":${gson.toJson(command.key)}""")
+                }
+                is GestureCommand.MultiStroke -> {
+                    if (command.strokes.size == 1) {
+                        append(""""action":"drag","points":${gson.toJson(command.strokes[0].points)},"duration":${command.duration}""")
+                    } else {
+                        append(""""action":"multitouch","strokes":${gson.toJson(command.strokes)},"duration":${command.duration}""")
+                    }
                 }
                 is GestureCommand.Back -> {
                     append(""""action":"back"""")
@@ -221,7 +339,10 @@ class ControlClient @Inject constructor(
      * Sends a raw JSON message.
      */
     private fun sendRawMessage(message: String) {
-        webSocket?.send(message)
+        val sent = controllerSender?.invoke(message) ?: webSocket?.send(message) ?: false
+        if (!sent) {
+            Log.w(TAG, "Not connected; message dropped")
+        }
     }
     
     /**
@@ -230,6 +351,7 @@ class ControlClient @Inject constructor(
     fun disconnect() {
         webSocket?.close(1000, "Session ended")
         webSocket = null
+        controllerSender = null
         _connectionState.value = ConnectionState.DISCONNECTED
     }
 }
@@ -1,32 +1,14 @@
 package com.ad.remotescreen.data
 
-import java.security.SecureRandom
-
 /**
- * Generates secure one-time pairing codes for device pairing.
- * Uses SecureRandom for cryptographically secure random number generation.
+ * Format of the one-time pairing codes issued by the server
+ * (`POST /pairing-codes`). Codes are never generated on the device.
  */
 object PairingCodeGenerator {
     
     private const val CODE_LENGTH = 6
     private const val CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789" // No O, 0, 1, I for clarity
     
-    private val secureRandom = SecureRandom()
-    
-    /**
-     * Generates a new secure pairing code.
-     * The code is 6 characters long and uses only unambiguous characters.
-     * 
-     * @return A new pairing code (e.g., "A7K3M9")
-     */
-    fun generate(): String {
-        return buildString {
-            repeat(CODE_LENGTH) {
-                append(CODE_CHARS[secureRandom.nextInt(CODE_CHARS.length)])
-            }
-        }
-    }
-    
     /**
      * Validates the format of a pairing code.
      * 
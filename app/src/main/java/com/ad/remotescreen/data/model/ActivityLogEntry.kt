@@ -24,5 +24,8 @@ enum class ActivityType {
     GESTURE_RECEIVED,
     CONNECTION_ESTABLISHED,
     CONNECTION_LOST,
+    CONTROL_GRANTED,
+    CONTROL_DENIED,
+    FILE_TRANSFER,
     EMERGENCY_STOP
 }
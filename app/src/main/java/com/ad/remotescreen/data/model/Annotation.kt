@@ -0,0 +1,49 @@
+package com.ad.remotescreen.data.model
+
+/**
+ * Marks an operator draws over the target's screen to point rather than
+ * tap. Coordinates are fractions of the screen.
+ */
+sealed class Annotation {
+    
+    /**
+     * Adds points to stroke [id]; the first message for an id starts it.
+     */
+    data class Stroke(
+        val id: String,
+        val color: String,
+        val fadeMs: Long,
+        val points: List<Pair<Float, Float>>
+    ) : Annotation()
+    
+    /**
+     * Draws arrow [id], replacing it as its end moves.
+     */
+    data class Arrow(
+        val id: String,
+        val color: String,
+        val fadeMs: Long,
+        val startX: Float,
+        val startY: Float,
+        val endX: Float,
+        val endY: Float
+    ) : Annotation()
+    
+    /**
+     * Shows or moves the laser pointer.
+     */
+    data class Laser(
+        val x: Float,
+        val y: Float
+    ) : Annotation()
+    
+    /**
+     * Hides the laser pointer.
+     */
+    object LaserEnd : Annotation()
+    
+    /**
+     * Removes every mark.
+     */
+    object Clear : Annotation()
+}
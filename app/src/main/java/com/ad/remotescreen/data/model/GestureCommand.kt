@@ -4,14 +4,15 @@ import com.google.gson.annotations.SerializedName
 
 /**
  * Sealed class hierarchy for gesture commands sent from Controller to Target.
- * Uses JSON serialization for WebSocket transmission.
+ * Uses JSON serialization for WebSocket transmission. Coordinates are
+ * fractions (0-1) of the target's screen; the target scales them to pixels.
  */
 sealed class GestureCommand {
     abstract val type: String
     abstract val timestamp: Long
     
     /**
-     * Tap gesture at specified coordinates.
+     * Tap gesture at the given screen fractions.
      */
     data class Tap(
         @SerializedName("x") val x: Float,
@@ -23,7 +24,7 @@ sealed class GestureCommand {
     }
     
     /**
-     * Swipe gesture from start to end coordinates.
+     * Swipe gesture from start to end, as screen fractions.
      */
     data class Swipe(
         @SerializedName("startX") val startX: Float,
@@ -38,7 +39,7 @@ sealed class GestureCommand {
     }
     
     /**
-     * Long press gesture at specified coordinates.
+     * Long press gesture at the given screen fractions.
      */
     data class LongPress(
         @SerializedName("x") val x: Float,
@@ -51,7 +52,8 @@ sealed class GestureCommand {
     }
     
     /**
-     * Scroll gesture (multiple points for smooth scrolling).
+     * Scroll gesture (multiple points for smooth scrolling). The deltas
+     * are the finger's travel, as fractions of the screen.
      */
     data class Scroll(
         @SerializedName("startX") val startX: Float,
@@ -76,6 +78,33 @@ sealed class GestureCommand {
         override val type: String = "text"
     }
     
+    /**
+     * Editing or navigation key pressed in the focused text field: one of
+     * `Enter`, `Backspace`, `Delete`, `Tab` and the four `Arrow` keys.
+     */
+    data class Key(
+        @SerializedName("key") val key: String,
+        @SerializedName("timestamp") override val timestamp: Long = System.currentTimeMillis()
+    ) : GestureCommand() {
+        @SerializedName("type")
+        override val type: String = "key"
+    }
+    
+    /**
+     * Timed finger paths replayed together: a pinch, rotate or two-finger
+     * swipe, or a single-stroke drag. Coordinates are fractions of the
+     * screen; times are milliseconds on one timeline for all strokes.
+     */
+    data class MultiStroke(
+        @SerializedName("strokes") val strokes: List<GestureStroke>,
+        @SerializedName("duration") val duration: Long,
+        @SerializedName("kind") val kind: String? = null,
+        @SerializedName("timestamp") override val timestamp: Long = System.currentTimeMillis()
+    ) : GestureCommand() {
+        @SerializedName("type")
+        override val type: String = "multitouch"
+    }
+    
     /**
      * Back button press.
      */
@@ -107,6 +136,28 @@ sealed class GestureCommand {
     }
 }
 
+/**
+ * One finger's path in a MultiStroke gesture.
+ * 
+ * @property startTime When the finger touches down (ms)
+ * @property duration How long the finger stays down (ms)
+ * @property points The path; each point's `t` is on the gesture's timeline
+ */
+data class GestureStroke(
+    @SerializedName("startTime") val startTime: Long,
+    @SerializedName("duration") val duration: Long,
+    @SerializedName("points") val points: List<GesturePoint>
+)
+
+/**
+ * A point of a stroke, as fractions of the screen at time `t` (ms).
+ */
+data class GesturePoint(
+    @SerializedName("x") val x: Float,
+    @SerializedName("y") val y: Float,
+    @SerializedName("t") val t: Long
+)
+
 /**
  * Wrapper for command protocol messages.
  */
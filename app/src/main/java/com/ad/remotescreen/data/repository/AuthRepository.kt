@@ -0,0 +1,100 @@
+package com.ad.remotescreen.data.repository
+
+import com.google.gson.Gson
+import com.google.gson.JsonObject
+import com.google.gson.annotations.SerializedName
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.withContext
+import okhttp3.MediaType.Companion.toMediaType
+import okhttp3.OkHttpClient
+import okhttp3.Request
+import okhttp3.RequestBody.Companion.toRequestBody
+import java.io.IOException
+import javax.inject.Inject
+import javax.inject.Singleton
+
+/**
+ * Signs operators in for the controller role.
+ * 
+ * The server only lets signed-in operators join a session as controller;
+ * the token from `POST /login` goes on the controller's WebSocket URL.
+ */
+@Singleton
+class AuthRepository @Inject constructor(
+    private val okHttpClient: OkHttpClient
+) {
+    companion object {
+        // Cloud server URL - Deployed on Render.com
+        private const val DEFAULT_API_URL = "https://remotescreen-backend.onrender.com"
+    }
+    
+    private val gson = Gson()
+    
+    // Without the app's body logger: sign-in requests carry the password
+    private val client = okHttpClient.newBuilder()
+        .apply { interceptors().clear() }
+        .build()
+    
+    private val _operator = MutableStateFlow<Operator?>(null)
+    val operator: StateFlow<Operator?> = _operator.asStateFlow()
+    
+    /**
+     * A signed-in operator.
+     */
+    data class Operator(
+        @SerializedName("token") val token: String,
+        @SerializedName("username") val username: String,
+        @SerializedName("role") val role: String
+    )
+    
+    /**
+     * Thrown when the server refuses the username and password.
+     */
+    class InvalidCredentialsException : IOException("Wrong username or password")
+    
+    /**
+     * Signs in with an operator account.
+     * 
+     * @param username The operator's username
+     * @param password The operator's password
+     * @param apiUrl Optional custom server URL
+     * @return The signed-in operator, with its token
+     * @throws InvalidCredentialsException if the credentials are wrong
+     * @throws IOException if the server could not be reached
+     */
+    suspend fun signIn(
+        username: String,
+        password: String,
+        apiUrl: String = DEFAULT_API_URL
+    ): Operator = withContext(Dispatchers.IO) {
+        val body = JsonObject().apply {
+            addProperty("username", username)
+            addProperty("password", password)
+        }
+        val request = Request.Builder()
+            .url("$apiUrl/login")
+            .post(gson.toJson(body).toRequestBody("application/json".toMediaType()))
+            .build()
+        
+        client.newCall(request).execute().use { response ->
+            if (response.code == 401) throw InvalidCredentialsException()
+            if (!response.isSuccessful) {
+                throw IOException("Sign-in failed: HTTP ${response.code}")
+            }
+            val operator = gson.fromJson(response.body?.string(), Operator::class.java)
+                ?: throw IOException("Sign-in response was empty")
+            _operator.value = operator
+            operator
+        }
+    }
+    
+    /**
+     * Forgets the signed-in operator.
+     */
+    fun signOut() {
+        _operator.value = null
+    }
+}
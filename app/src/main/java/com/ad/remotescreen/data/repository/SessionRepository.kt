@@ -28,14 +28,14 @@ class SessionRepository @Inject constructor() {
     
     /**
      * Creates a new session as a target device (being controlled).
-     * Generates a pairing code for the controller to use.
      * 
+     * @param pairingCode The code the server issued for the controller to use
      * @return The created session with pairing code
      */
-    fun createTargetSession(): Session {
+    fun createTargetSession(pairingCode: String): Session {
         val session = Session(
             id = UUID.randomUUID().toString(),
-            pairingCode = PairingCodeGenerator.generate(),
+            pairingCode = pairingCode,
             status = SessionStatus.WAITING_FOR_CONNECTION,
             role = DeviceRole.TARGET
         )
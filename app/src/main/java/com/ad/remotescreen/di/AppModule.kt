@@ -1,6 +1,7 @@
 package com.ad.remotescreen.di
 
 import android.content.Context
+import com.ad.remotescreen.data.repository.AuthRepository
 import com.ad.remotescreen.data.repository.SessionRepository
 import dagger.Module
 import dagger.Provides
@@ -40,4 +41,10 @@ object AppModule {
     fun provideSessionRepository(): SessionRepository {
         return SessionRepository()
     }
+    
+    @Provides
+    @Singleton
+    fun provideAuthRepository(okHttpClient: OkHttpClient): AuthRepository {
+        return AuthRepository(okHttpClient)
+    }
 }
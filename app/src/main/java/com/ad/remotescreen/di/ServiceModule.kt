@@ -49,9 +49,10 @@ object ServiceModule {
     @Singleton
     fun provideWebRTCClient(
         @ApplicationContext context: Context,
-        signalingClient: SignalingClient
+        signalingClient: SignalingClient,
+        screenCaptureManager: ScreenCaptureManager
     ): WebRTCClient {
-        return WebRTCClient(context, signalingClient)
+        return WebRTCClient(context, signalingClient, screenCaptureManager)
     }
     
     @Provides
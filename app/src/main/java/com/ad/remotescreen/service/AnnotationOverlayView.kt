@@ -0,0 +1,167 @@
+package com.ad.remotescreen.service
+
+import android.content.Context
+import android.graphics.Canvas
+import android.graphics.Color
+import android.graphics.Paint
+import android.graphics.Path
+import android.os.SystemClock
+import android.view.View
+import com.ad.remotescreen.data.model.Annotation
+import kotlin.math.atan2
+import kotlin.math.cos
+import kotlin.math.min
+import kotlin.math.sin
+
+/**
+ * Full-screen, touch-through view that draws the operator's annotations
+ * over whatever is on screen.
+ * 
+ * Strokes and arrows disappear `fadeMs` after their last update, fading
+ * out over the final second. The controller resends a laser pointer held
+ * still, so one not heard from for 1.5 s is hidden.
+ */
+class AnnotationOverlayView(context: Context) : View(context) {
+    
+    companion object {
+        private const val FADE_OUT_MS = 1000L
+        private const val LASER_TIMEOUT_MS = 1500L
+        private const val LASER_COLOR = "#ef4444"
+    }
+    
+    /**
+     * A stroke, or an arrow from its first point to its second.
+     */
+    private class Mark(
+        val isArrow: Boolean,
+        var color: Int,
+        var fadeMs: Long,
+        var updatedAt: Long,
+        val points: MutableList<Pair<Float, Float>>
+    )
+    
+    private val marks = LinkedHashMap<String, Mark>()
+    private var laser: Pair<Float, Float>? = null
+    private var laserUpdatedAt = 0L
+    
+    private val density = resources.displayMetrics.density
+    
+    private val markPaint = Paint(Paint.ANTI_ALIAS_FLAG).apply {
+        style = Paint.Style.STROKE
+        strokeWidth = 4 * density
+        strokeCap = Paint.Cap.ROUND
+        strokeJoin = Paint.Join.ROUND
+    }
+    
+    private val laserPaint = Paint(Paint.ANTI_ALIAS_FLAG).apply {
+        color = Color.parseColor(LASER_COLOR)
+    }
+    
+    private val laserGlowPaint = Paint(Paint.ANTI_ALIAS_FLAG).apply {
+        color = Color.parseColor(LASER_COLOR)
+        alpha = 80
+    }
+    
+    /**
+     * Applies one annotation message and redraws.
+     */
+    fun apply(annotation: Annotation) {
+        val now = SystemClock.uptimeMillis()
+        
+        when (annotation) {
+            is Annotation.Stroke -> {
+                // Each message adds the points drawn since the previous one
+                val mark = marks.getOrPut(annotation.id) {
+                    Mark(false, 0, 0, now, mutableListOf())
+                }
+                mark.points.addAll(annotation.points)
+                mark.color = Color.parseColor(annotation.color)
+                mark.fadeMs = annotation.fadeMs
+                mark.updatedAt = now
+            }
+            is Annotation.Arrow -> {
+                marks[annotation.id] = Mark(
+                    isArrow = true,
+                    color = Color.parseColor(annotation.color),
+                    fadeMs = annotation.fadeMs,
+                    updatedAt = now,
+                    points = mutableListOf(
+                        Pair(annotation.startX, annotation.startY),
+                        Pair(annotation.endX, annotation.endY)
+                    )
+                )
+            }
+            is Annotation.Laser -> {
+                laser = Pair(annotation.x, annotation.y)
+                laserUpdatedAt = now
+            }
+            Annotation.LaserEnd -> laser = null
+            Annotation.Clear -> {
+                marks.clear()
+                laser = null
+            }
+        }
+        
+        postInvalidateOnAnimation()
+    }
+    
+    override fun onDraw(canvas: Canvas) {
+        super.onDraw(canvas)
+        val now = SystemClock.uptimeMillis()
+        
+        val iterator = marks.values.iterator()
+        while (iterator.hasNext()) {
+            val mark = iterator.next()
+            val remaining = mark.fadeMs - (now - mark.updatedAt)
+            if (remaining <= 0) {
+                iterator.remove()
+                continue
+            }
+            markPaint.color = mark.color
+            markPaint.alpha = (255 * min(1f, remaining.toFloat() / FADE_OUT_MS)).toInt()
+            canvas.drawPath(if (mark.isArrow) arrowPath(mark) else strokePath(mark), markPaint)
+        }
+        
+        // A pointer that stopped reporting (lost `laser-end`) goes out too
+        if (laser != null && now - laserUpdatedAt > LASER_TIMEOUT_MS) {
+            laser = null
+        }
+        laser?.let { (x, y) ->
+            canvas.drawCircle(x * width, y * height, 16 * density, laserGlowPaint)
+            canvas.drawCircle(x * width, y * height, 8 * density, laserPaint)
+        }
+        
+        // Keep redrawing while anything is left to fade or time out
+        if (marks.isNotEmpty() || laser != null) {
+            postInvalidateOnAnimation()
+        }
+    }
+    
+    private fun strokePath(mark: Mark): Path {
+        val path = Path()
+        mark.points.forEachIndexed { index, (x, y) ->
+            if (index == 0) path.moveTo(x * width, y * height)
+            path.lineTo(x * width, y * height)
+        }
+        return path
+    }
+    
+    private fun arrowPath(mark: Mark): Path {
+        val (startX, startY) = mark.points[0]
+        val (endX, endY) = mark.points[1]
+        val x1 = startX * width
+        val y1 = startY * height
+        val x2 = endX * width
+        val y2 = endY * height
+        val angle = atan2(y2 - y1, x2 - x1)
+        val head = 16 * density
+        
+        return Path().apply {
+            moveTo(x1, y1)
+            lineTo(x2, y2)
+            lineTo(x2 - head * cos(angle - Math.PI.toFloat() / 6), y2 - head * sin(angle - Math.PI.toFloat() / 6))
+            moveTo(x2, y2)
+            lineTo(x2 - head * cos(angle + Math.PI.toFloat() / 6), y2 - head * sin(angle + Math.PI.toFloat() / 6))
+        }
+    }
+}
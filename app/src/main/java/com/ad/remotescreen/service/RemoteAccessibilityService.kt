@@ -4,11 +4,16 @@ import android.accessibilityservice.AccessibilityService
 import android.accessibilityservice.GestureDescription
 import android.content.Intent
 import android.graphics.Path
+import android.graphics.PixelFormat
 import android.os.Build
 import android.os.Bundle
+import android.util.DisplayMetrics
 import android.util.Log
+import android.view.View
+import android.view.WindowManager
 import android.view.accessibility.AccessibilityEvent
 import android.view.accessibility.AccessibilityNodeInfo
+import com.ad.remotescreen.data.model.Annotation
 import com.ad.remotescreen.data.model.GestureCommand
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
@@ -60,6 +65,7 @@ class RemoteAccessibilityService : AccessibilityService() {
          */
         fun disableSession() {
             _isSessionActive.value = false
+            instance?.removeAnnotationOverlay()
             Log.i(TAG, "Session disabled - gesture execution blocked")
         }
         
@@ -81,6 +87,21 @@ class RemoteAccessibilityService : AccessibilityService() {
             }
         }
         
+        /**
+         * Draws an operator's annotation over the screen if session is active.
+         * Annotations only point, so they need no control grant.
+         * 
+         * @param annotation The mark to draw, move or clear
+         */
+        fun showAnnotation(annotation: Annotation) {
+            if (!_isSessionActive.value) {
+                Log.w(TAG, "Annotation ignored - no active session")
+                return
+            }
+            
+            instance?.drawAnnotation(annotation) ?: Log.e(TAG, "Cannot draw annotation - service not running")
+        }
+        
         /**
          * Performs a global action (back, home, recents).
          * 
@@ -102,6 +123,9 @@ class RemoteAccessibilityService : AccessibilityService() {
     
     private val serviceScope = CoroutineScope(Dispatchers.Main + SupervisorJob())
     
+    // Created on the first annotation of a session, removed when it ends
+    private var annotationOverlay: AnnotationOverlayView? = null
+    
     override fun onCreate() {
         super.onCreate()
         instance = this
@@ -111,6 +135,7 @@ class RemoteAccessibilityService : AccessibilityService() {
     
     override fun onDestroy() {
         super.onDestroy()
+        removeAnnotationOverlay()
         instance = null
         _isServiceEnabled.value = false
         _isSessionActive.value = false
@@ -133,29 +158,75 @@ class RemoteAccessibilityService : AccessibilityService() {
     }
     
     /**
-     * Dispatches a gesture command based on its type.
+     * Dispatches a gesture command based on its type. Coordinates arrive
+     * as fractions of the screen, as the message schema requires, and are
+     * scaled to pixels here.
      */
     private fun dispatchGestureCommand(command: GestureCommand): Boolean {
+        val (width, height) = getScreenSize()
+        
         return when (command) {
-            is GestureCommand.Tap -> performTap(command.x, command.y)
+            is GestureCommand.Tap -> performTap(command.x * width, command.y * height)
             is GestureCommand.Swipe -> performSwipe(
-                command.startX, command.startY,
-                command.endX, command.endY,
+                command.startX * width, command.startY * height,
+                command.endX * width, command.endY * height,
                 command.duration
             )
-            is GestureCommand.LongPress -> performLongPress(command.x, command.y, command.duration)
+            is GestureCommand.LongPress -> performLongPress(command.x * width, command.y * height, command.duration)
             is GestureCommand.Scroll -> performScroll(
-                command.startX, command.startY,
-                command.deltaX, command.deltaY,
+                command.startX * width, command.startY * height,
+                command.deltaX * width, command.deltaY * height,
                 command.duration
             )
+            is GestureCommand.MultiStroke -> performMultiStroke(command, width, height)
             is GestureCommand.TextInput -> performTextInput(command.text)
+            is GestureCommand.Key -> performKey(command.key)
             is GestureCommand.Back -> performGlobalAction(GLOBAL_ACTION_BACK)
             is GestureCommand.Home -> performGlobalAction(GLOBAL_ACTION_HOME)
             is GestureCommand.Recents -> performGlobalAction(GLOBAL_ACTION_RECENTS)
         }
     }
     
+    /**
+     * Draws an annotation on the overlay, adding the overlay window first
+     * if needed. Accessibility overlays need no extra permission and let
+     * touches through to the app underneath.
+     */
+    private fun drawAnnotation(annotation: Annotation) {
+        val overlay = annotationOverlay ?: AnnotationOverlayView(this).also { view ->
+            val params = WindowManager.LayoutParams(
+                WindowManager.LayoutParams.MATCH_PARENT,
+                WindowManager.LayoutParams.MATCH_PARENT,
+                WindowManager.LayoutParams.TYPE_ACCESSIBILITY_OVERLAY,
+                WindowManager.LayoutParams.FLAG_NOT_FOCUSABLE or
+                    WindowManager.LayoutParams.FLAG_NOT_TOUCHABLE or
+                    WindowManager.LayoutParams.FLAG_LAYOUT_IN_SCREEN or
+                    WindowManager.LayoutParams.FLAG_LAYOUT_NO_LIMITS,
+                PixelFormat.TRANSLUCENT
+            )
+            (getSystemService(WINDOW_SERVICE) as WindowManager).addView(view, params)
+            annotationOverlay = view
+        }
+        overlay.apply(annotation)
+    }
+    
+    private fun removeAnnotationOverlay() {
+        annotationOverlay?.let { view ->
+            (getSystemService(WINDOW_SERVICE) as WindowManager).removeView(view)
+        }
+        annotationOverlay = null
+    }
+    
+    /**
+     * Returns the full display size in pixels (width, height).
+     */
+    private fun getScreenSize(): Pair<Float, Float> {
+        val metrics = DisplayMetrics()
+        @Suppress("DEPRECATION")
+        (getSystemService(WINDOW_SERVICE) as WindowManager).defaultDisplay.getRealMetrics(metrics)
+        return Pair(metrics.widthPixels.toFloat(), metrics.heightPixels.toFloat())
+    }
+    
     /**
      * Performs a tap gesture at the specified coordinates.
      */
@@ -267,11 +338,168 @@ class RemoteAccessibilityService : AccessibilityService() {
     }
     
     /**
-     * Performs text input by finding the focused text field and inserting text.
+     * Replays a multi-stroke gesture (pinch, rotate, two-finger swipe or a
+     * drag) with one stroke per finger on a shared timeline. Each stroke
+     * follows its path at an even pace over its duration.
+     */
+    private fun performMultiStroke(
+        command: GestureCommand.MultiStroke,
+        width: Float, height: Float
+    ): Boolean {
+        Log.d(TAG, "Performing ${command.kind ?: "multitouch"} gesture with ${command.strokes.size} strokes")
+        
+        val maxDuration = GestureDescription.getMaxGestureDuration()
+        val builder = GestureDescription.Builder()
+        command.strokes.take(GestureDescription.getMaxStrokeCount()).forEach { stroke ->
+            val path = Path()
+            stroke.points.forEachIndexed { index, point ->
+                if (index == 0) {
+                    path.moveTo(point.x * width, point.y * height)
+                } else {
+                    path.lineTo(point.x * width, point.y * height)
+                }
+            }
+            
+            val startTime = stroke.startTime.coerceIn(0, maxDuration - 1)
+            val duration = stroke.duration.coerceIn(1, maxDuration - startTime)
+            builder.addStroke(GestureDescription.StrokeDescription(path, startTime, duration))
+        }
+        
+        return dispatchGesture(builder.build(), object : GestureResultCallback() {
+            override fun onCompleted(gestureDescription: GestureDescription?) {
+                Log.d(TAG, "Multi-stroke gesture completed")
+            }
+            
+            override fun onCancelled(gestureDescription: GestureDescription?) {
+                Log.w(TAG, "Multi-stroke gesture cancelled")
+            }
+        }, null)
+    }
+    
+    /**
+     * Types text into the focused text field at the cursor, replacing the
+     * selection if there is one.
      */
     private fun performTextInput(text: String): Boolean {
         Log.d(TAG, "Performing text input: $text")
         
+        return withFocusedEditText { node ->
+            editText(node) { current, start, end ->
+                Pair(current.replaceRange(start, end, text), start + text.length)
+            }
+        }
+    }
+    
+    /**
+     * Carries out a key pressed on the controller's keyboard in the focused
+     * text field: Enter as the field's IME action, Backspace and Delete as
+     * deletions, the arrows as cursor moves and Tab as a focus move.
+     */
+    private fun performKey(key: String): Boolean {
+        Log.d(TAG, "Performing key: $key")
+        
+        return when (key) {
+            "Enter" -> withFocusedEditText { node -> performEnter(node) }
+            "Backspace" -> withFocusedEditText { node ->
+                editText(node) { current, start, end ->
+                    when {
+                        start != end -> Pair(current.removeRange(start, end), start)
+                        start > 0 -> Pair(current.removeRange(start - 1, start), start - 1)
+                        else -> null
+                    }
+                }
+            }
+            "Delete" -> withFocusedEditText { node ->
+                editText(node) { current, start, end ->
+                    when {
+                        start != end -> Pair(current.removeRange(start, end), start)
+                        start < current.length -> Pair(current.removeRange(start, start + 1), start)
+                        else -> null
+                    }
+                }
+            }
+            "ArrowLeft" -> moveCursor(
+                AccessibilityNodeInfo.ACTION_PREVIOUS_AT_MOVEMENT_GRANULARITY,
+                AccessibilityNodeInfo.MOVEMENT_GRANULARITY_CHARACTER
+            )
+            "ArrowRight" -> moveCursor(
+                AccessibilityNodeInfo.ACTION_NEXT_AT_MOVEMENT_GRANULARITY,
+                AccessibilityNodeInfo.MOVEMENT_GRANULARITY_CHARACTER
+            )
+            "ArrowUp" -> moveCursor(
+                AccessibilityNodeInfo.ACTION_PREVIOUS_AT_MOVEMENT_GRANULARITY,
+                AccessibilityNodeInfo.MOVEMENT_GRANULARITY_LINE
+            )
+            "ArrowDown" -> moveCursor(
+                AccessibilityNodeInfo.ACTION_NEXT_AT_MOVEMENT_GRANULARITY,
+                AccessibilityNodeInfo.MOVEMENT_GRANULARITY_LINE
+            )
+            "Tab" -> moveFocusForward()
+            else -> {
+                Log.w(TAG, "Unknown key: $key")
+                false
+            }
+        }
+    }
+    
+    /**
+     * Enter submits the field (search, send, next...) through its IME
+     * action, which needs Android 11. Before that, multi-line fields get a
+     * new line and single-line fields cannot be submitted.
+     */
+    private fun performEnter(node: AccessibilityNodeInfo): Boolean {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.R) {
+            return node.performAction(AccessibilityNodeInfo.AccessibilityAction.ACTION_IME_ENTER.id)
+        }
+        if (!node.isMultiLine) {
+            Log.w(TAG, "Enter needs Android 11 in single-line fields")
+            return false
+        }
+        return editText(node) { current, start, end ->
+            Pair(current.replaceRange(start, end, "\n"), start + 1)
+        }
+    }
+    
+    /**
+     * Moves the cursor of the focused text field by one character or line.
+     */
+    private fun moveCursor(action: Int, granularity: Int): Boolean {
+        return withFocusedEditText { node ->
+            val arguments = Bundle().apply {
+                putInt(AccessibilityNodeInfo.ACTION_ARGUMENT_MOVEMENT_GRANULARITY_INT, granularity)
+                putBoolean(AccessibilityNodeInfo.ACTION_ARGUMENT_EXTEND_SELECTION_BOOLEAN, false)
+            }
+            node.performAction(action, arguments)
+        }
+    }
+    
+    /**
+     * Moves input focus to the next focusable view, like Tab on a keyboard.
+     */
+    private fun moveFocusForward(): Boolean {
+        val rootNode = rootInActiveWindow ?: run {
+            Log.e(TAG, "Cannot get root node for focus move")
+            return false
+        }
+        
+        val focusedNode = rootNode.findFocus(AccessibilityNodeInfo.FOCUS_INPUT)
+        val nextNode = focusedNode?.focusSearch(View.FOCUS_FORWARD)
+        val result = nextNode?.performAction(AccessibilityNodeInfo.ACTION_FOCUS) ?: false
+        
+        nextNode?.recycle()
+        focusedNode?.recycle()
+        rootNode.recycle()
+        
+        Log.d(TAG, "Focus move result: $result")
+        return result
+    }
+    
+    /**
+     * Runs an action on the focused editable text field.
+     * 
+     * @return The action's result, or false if no text field has focus
+     */
+    private fun withFocusedEditText(action: (AccessibilityNodeInfo) -> Boolean): Boolean {
         val rootNode = rootInActiveWindow ?: run {
             Log.e(TAG, "Cannot get root node for text input")
             return false
@@ -285,19 +513,52 @@ class RemoteAccessibilityService : AccessibilityService() {
             return false
         }
         
-        // Set the text
-        val arguments = Bundle().apply {
-            putCharSequence(AccessibilityNodeInfo.ACTION_ARGUMENT_SET_TEXT_CHARSEQUENCE, text)
-        }
-        val result = focusedNode.performAction(AccessibilityNodeInfo.ACTION_SET_TEXT, arguments)
+        val result = action(focusedNode)
         
         focusedNode.recycle()
         rootNode.recycle()
         
-        Log.d(TAG, "Text input result: $result")
+        Log.d(TAG, "Text field action result: $result")
         return result
     }
     
+    /**
+     * Rewrites a text field's text around its selection and puts the cursor
+     * where the edit says. Fields that report no selection are edited at
+     * the end of their text.
+     * 
+     * @param edit Takes the text and selection (start, end) and returns the
+     *   new text and cursor position, or null to leave the field unchanged
+     */
+    private fun editText(
+        node: AccessibilityNodeInfo,
+        edit: (text: String, start: Int, end: Int) -> Pair<String, Int>?
+    ): Boolean {
+        // A field showing its hint reports the hint as its text
+        val showingHint = Build.VERSION.SDK_INT >= Build.VERSION_CODES.O && node.isShowingHintText
+        val current = if (showingHint) "" else node.text?.toString() ?: ""
+        
+        val selectionStart = node.textSelectionStart
+        val selectionEnd = node.textSelectionEnd
+        val hasSelection = selectionStart >= 0 && selectionEnd >= 0
+        val start = if (hasSelection) minOf(selectionStart, selectionEnd).coerceAtMost(current.length) else current.length
+        val end = if (hasSelection) maxOf(selectionStart, selectionEnd).coerceAtMost(current.length) else current.length
+        
+        val (text, cursor) = edit(current, start, end) ?: return true
+        
+        val textArguments = Bundle().apply {
+            putCharSequence(AccessibilityNodeInfo.ACTION_ARGUMENT_SET_TEXT_CHARSEQUENCE, text)
+        }
+        if (!node.performAction(AccessibilityNodeInfo.ACTION_SET_TEXT, textArguments)) return false
+        
+        val selectionArguments = Bundle().apply {
+            putInt(AccessibilityNodeInfo.ACTION_ARGUMENT_SELECTION_START_INT, cursor)
+            putInt(AccessibilityNodeInfo.ACTION_ARGUMENT_SELECTION_END_INT, cursor)
+        }
+        node.performAction(AccessibilityNodeInfo.ACTION_SET_SELECTION, selectionArguments)
+        return true
+    }
+    
     /**
      * Recursively finds the focused editable text field.
      */
@@ -103,7 +103,10 @@ class RemoteAssistanceService : Service() {
         Log.i(TAG, "Service started with action: ${intent?.action}")
         
         when (intent?.action) {
-            ACTION_START_TARGET -> startAsTarget()
+            ACTION_START_TARGET -> {
+                val pairingCode = intent.getStringExtra(EXTRA_PAIRING_CODE) ?: ""
+                startAsTarget(pairingCode)
+            }
             ACTION_START_CONTROLLER -> {
                 val pairingCode = intent.getStringExtra(EXTRA_PAIRING_CODE) ?: ""
                 val serverUrl = intent.getStringExtra(EXTRA_SERVER_URL) ?: ""
@@ -128,15 +131,17 @@ class RemoteAssistanceService : Service() {
     
     /**
      * Starts the service as a target device (being controlled).
+     * 
+     * @param pairingCode The code the server issued for this session
      */
-    private fun startAsTarget() {
+    private fun startAsTarget(pairingCode: String) {
         if (isRunning) return
         
         currentRole = DeviceRole.TARGET
         isRunning = true
         
         // Create session
-        val session = sessionRepository.createTargetSession()
+        val session = sessionRepository.createTargetSession(pairingCode)
         
         // Start as foreground service
         val notification = notificationHelper.createWaitingNotification(session.pairingCode)
@@ -202,6 +207,15 @@ class RemoteAssistanceService : Service() {
             // Connect control channel
             controlClient.connect(pairingCode)
             
+            // If target, draw the operator's annotations over the screen
+            if (currentRole == DeviceRole.TARGET) {
+                serviceScope.launch {
+                    controlClient.annotationFlow.collect { annotation ->
+                        RemoteAccessibilityService.showAnnotation(annotation)
+                    }
+                }
+            }
+            
             // If target, start handling incoming control commands
             if (currentRole == DeviceRole.TARGET) {
                 controlClient.commandFlow.collect { command ->
@@ -14,14 +14,18 @@ import androidx.compose.runtime.*
 import androidx.compose.ui.Alignment
 import androidx.compose.ui.Modifier
 import androidx.compose.ui.draw.clip
+import androidx.compose.ui.geometry.Offset
 import androidx.compose.ui.graphics.Color
 import androidx.compose.ui.input.pointer.pointerInput
+import androidx.compose.ui.layout.onSizeChanged
 import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.unit.IntSize
 import androidx.compose.ui.unit.dp
 import androidx.hilt.navigation.compose.hiltViewModel
 import com.ad.remotescreen.data.model.GestureCommand
 import com.ad.remotescreen.ui.theme.SessionActiveGreen
 import com.ad.remotescreen.ui.viewmodel.ControllerViewModel
+import com.ad.remotescreen.webrtc.SignalingClient
 
 /**
  * Controller screen displaying the remote device's screen stream
@@ -37,6 +41,13 @@ fun ControllerScreen(
     val uiState by viewModel.uiState.collectAsState()
     var showDisconnectDialog by remember { mutableStateOf(false) }
     
+    // Gestures carry fractions of the screen, so positions are divided by the viewer's size
+    var viewerSize by remember { mutableStateOf(IntSize.Zero) }
+    fun fraction(position: Offset) = Offset(
+        x = (position.x / viewerSize.width.coerceAtLeast(1)).coerceIn(0f, 1f),
+        y = (position.y / viewerSize.height.coerceAtLeast(1)).coerceIn(0f, 1f)
+    )
+    
     Scaffold(
         topBar = {
             TopAppBar(
@@ -77,6 +88,14 @@ fun ControllerScreen(
                 .fillMaxSize()
                 .padding(padding)
         ) {
+            // View-only until the target allows control
+            if (uiState.isConnected && uiState.controlState != SignalingClient.ControlState.GRANTED) {
+                ControlStatusBanner(
+                    controlState = uiState.controlState,
+                    onRequestAgain = { viewModel.requestControl() }
+                )
+            }
+            
             // Screen viewer area
             Box(
                 modifier = Modifier
@@ -85,55 +104,62 @@ fun ControllerScreen(
                     .padding(8.dp)
                     .clip(RoundedCornerShape(16.dp))
                     .background(Color.Black)
+                    .onSizeChanged { viewerSize = it }
                     .pointerInput(Unit) {
                         detectTapGestures(
                             onTap = { offset ->
+                                val position = fraction(offset)
                                 viewModel.sendGesture(
                                     GestureCommand.Tap(
-                                        x = offset.x,
-                                        y = offset.y
+                                        x = position.x,
+                                        y = position.y
                                     )
                                 )
                             },
                             onLongPress = { offset ->
+                                val position = fraction(offset)
                                 viewModel.sendGesture(
                                     GestureCommand.LongPress(
-                                        x = offset.x,
-                                        y = offset.y
+                                        x = position.x,
+                                        y = position.y
                                     )
                                 )
                             }
                         )
                     }
                     .pointerInput(Unit) {
-                        var startX = 0f
-                        var startY = 0f
+                        var start = Offset.Zero
                         
                         detectDragGestures(
                             onDragStart = { offset ->
-                                startX = offset.x
-                                startY = offset.y
+                                start = fraction(offset)
                             },
                             onDragEnd = { },
                             onDrag = { change, dragAmount ->
+                                val end = fraction(change.position)
                                 viewModel.sendGesture(
                                     GestureCommand.Swipe(
-                                        startX = startX,
-                                        startY = startY,
-                                        endX = change.position.x,
-                                        endY = change.position.y,
+                                        startX = start.x,
+                                        startY = start.y,
+                                        endX = end.x,
+                                        endY = end.y,
                                         duration = 200
                                     )
                                 )
-                                startX = change.position.x
-                                startY = change.position.y
+                                start = end
                             }
                         )
                     },
                 contentAlignment = Alignment.Center
             ) {
                 // Placeholder for video stream
-                if (!uiState.isConnected) {
+                if (!uiState.isConnected && uiState.error != null) {
+                    Text(
+                        text = uiState.error ?: "",
+                        color = Color.White,
+                        modifier = Modifier.padding(32.dp)
+                    )
+                } else if (!uiState.isConnected) {
                     Column(
                         horizontalAlignment = Alignment.CenterHorizontally
                     ) {
@@ -278,6 +304,51 @@ fun ControllerScreen(
     }
 }
 
+@Composable
+private fun ControlStatusBanner(
+    controlState: SignalingClient.ControlState,
+    onRequestAgain: () -> Unit
+) {
+    Card(
+        modifier = Modifier
+            .fillMaxWidth()
+            .padding(horizontal = 8.dp, vertical = 4.dp),
+        shape = RoundedCornerShape(16.dp),
+        colors = CardDefaults.cardColors(
+            containerColor = MaterialTheme.colorScheme.secondaryContainer
+        )
+    ) {
+        Row(
+            modifier = Modifier
+                .fillMaxWidth()
+                .padding(horizontal = 16.dp, vertical = 8.dp),
+            verticalAlignment = Alignment.CenterVertically
+        ) {
+            Icon(
+                imageVector = Icons.Outlined.Visibility,
+                contentDescription = null,
+                modifier = Modifier.size(20.dp)
+            )
+            Spacer(modifier = Modifier.width(8.dp))
+            Text(
+                text = when (controlState) {
+                    SignalingClient.ControlState.DENIED -> "View only: the device owner declined control"
+                    SignalingClient.ControlState.REVOKED -> "View only: the device owner took back control"
+                    else -> "View only: waiting for the device owner to allow control"
+                },
+                style = MaterialTheme.typography.bodySmall,
+                modifier = Modifier.weight(1f)
+            )
+            if (controlState == SignalingClient.ControlState.DENIED ||
+                controlState == SignalingClient.ControlState.REVOKED) {
+                TextButton(onClick = onRequestAgain) {
+                    Text("Ask Again")
+                }
+            }
+        }
+    }
+}
+
 private fun formatDuration(seconds: Long): String {
     val minutes = seconds / 60
     val secs = seconds % 60
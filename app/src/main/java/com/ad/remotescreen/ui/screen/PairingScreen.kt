@@ -23,6 +23,8 @@ import androidx.compose.ui.text.font.FontFamily
 import androidx.compose.ui.text.font.FontWeight
 import androidx.compose.ui.text.input.ImeAction
 import androidx.compose.ui.text.input.KeyboardCapitalization
+import androidx.compose.ui.text.input.KeyboardType
+import androidx.compose.ui.text.input.PasswordVisualTransformation
 import androidx.compose.ui.text.style.TextAlign
 import androidx.compose.ui.unit.dp
 import androidx.compose.ui.unit.sp
@@ -78,6 +80,10 @@ fun PairingScreen(
                 ControllerPairingContent(
                     pairingCode = uiState.enteredCode,
                     onCodeChange = { viewModel.updateEnteredCode(it) },
+                    username = uiState.username,
+                    onUsernameChange = { viewModel.updateUsername(it) },
+                    password = uiState.password,
+                    onPasswordChange = { viewModel.updatePassword(it) },
                     onConnect = { viewModel.connectAsController() },
                     isConnecting = uiState.isConnecting,
                     error = uiState.error
@@ -86,6 +92,7 @@ fun PairingScreen(
                 TargetPairingContent(
                     pairingCode = uiState.pairingCode,
                     isWaiting = uiState.isWaiting,
+                    error = uiState.error,
                     onGenerateNew = { viewModel.generateNewCode() }
                 )
             }
@@ -104,6 +111,10 @@ fun PairingScreen(
 private fun ControllerPairingContent(
     pairingCode: String,
     onCodeChange: (String) -> Unit,
+    username: String,
+    onUsernameChange: (String) -> Unit,
+    password: String,
+    onPasswordChange: (String) -> Unit,
     onConnect: () -> Unit,
     isConnecting: Boolean,
     error: String?
@@ -165,14 +176,43 @@ private fun ControllerPairingContent(
         },
         keyboardOptions = KeyboardOptions(
             capitalization = KeyboardCapitalization.Characters,
+            imeAction = ImeAction.Next
+        ),
+        singleLine = true,
+        shape = RoundedCornerShape(16.dp),
+        isError = error != null
+    )
+    
+    Spacer(modifier = Modifier.height(16.dp))
+    
+    // Operator sign-in; only signed-in operators may control a device
+    OutlinedTextField(
+        value = username,
+        onValueChange = onUsernameChange,
+        modifier = Modifier.fillMaxWidth(),
+        label = { Text("Operator username") },
+        keyboardOptions = KeyboardOptions(imeAction = ImeAction.Next),
+        singleLine = true,
+        shape = RoundedCornerShape(16.dp)
+    )
+    
+    Spacer(modifier = Modifier.height(8.dp))
+    
+    OutlinedTextField(
+        value = password,
+        onValueChange = onPasswordChange,
+        modifier = Modifier.fillMaxWidth(),
+        label = { Text("Password") },
+        visualTransformation = PasswordVisualTransformation(),
+        keyboardOptions = KeyboardOptions(
+            keyboardType = KeyboardType.Password,
             imeAction = ImeAction.Done
         ),
         keyboardActions = KeyboardActions(
-            onDone = { if (pairingCode.length == 6) onConnect() }
+            onDone = { if (pairingCode.length == 6 && username.isNotBlank() && password.isNotEmpty()) onConnect() }
         ),
         singleLine = true,
-        shape = RoundedCornerShape(16.dp),
-        isError = error != null
+        shape = RoundedCornerShape(16.dp)
     )
     
     // Error message
@@ -193,7 +233,7 @@ private fun ControllerPairingContent(
         modifier = Modifier
             .fillMaxWidth()
             .height(56.dp),
-        enabled = pairingCode.length == 6 && !isConnecting,
+        enabled = pairingCode.length == 6 && username.isNotBlank() && password.isNotEmpty() && !isConnecting,
         shape = RoundedCornerShape(16.dp)
     ) {
         if (isConnecting) {
@@ -215,6 +255,7 @@ private fun ControllerPairingContent(
 private fun ColumnScope.TargetPairingContent(
     pairingCode: String,
     isWaiting: Boolean,
+    error: String?,
     onGenerateNew: () -> Unit
 ) {
     Spacer(modifier = Modifier.height(16.dp))
@@ -291,6 +332,17 @@ private fun ColumnScope.TargetPairingContent(
     
     Spacer(modifier = Modifier.height(24.dp))
     
+    // Error message (e.g. the code expired before anyone joined)
+    error?.let {
+        Text(
+            text = it,
+            color = MaterialTheme.colorScheme.error,
+            style = MaterialTheme.typography.bodyMedium,
+            textAlign = TextAlign.Center
+        )
+        Spacer(modifier = Modifier.height(16.dp))
+    }
+    
     // Waiting indicator
     if (isWaiting) {
         val rotation by rememberInfiniteTransition(label = "rotation").animateFloat(
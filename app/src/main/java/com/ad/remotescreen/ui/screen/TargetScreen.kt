@@ -27,6 +27,8 @@ import com.ad.remotescreen.ui.theme.EmergencyStopRed
 import com.ad.remotescreen.ui.theme.SessionActiveGreen
 import com.ad.remotescreen.ui.theme.SessionPausedOrange
 import com.ad.remotescreen.ui.viewmodel.TargetViewModel
+import com.ad.remotescreen.webrtc.FileTransfer
+import com.ad.remotescreen.webrtc.SignalingClient
 import java.text.SimpleDateFormat
 import java.util.Date
 import java.util.Locale
@@ -43,6 +45,16 @@ fun TargetScreen(
 ) {
     val uiState by viewModel.uiState.collectAsState()
     var showStopConfirmation by remember { mutableStateOf(false) }
+    var showChat by remember { mutableStateOf(false) }
+    
+    // Messages from the operator that arrived while the chat was closed
+    var seenChatCount by remember { mutableIntStateOf(0) }
+    val incomingCount = uiState.chatMessages.count { !it.own }
+    LaunchedEffect(showChat, incomingCount) {
+        if (showChat) {
+            seenChatCount = incomingCount
+        }
+    }
     
     LaunchedEffect(uiState.sessionEnded) {
         if (uiState.sessionEnded) {
@@ -54,6 +66,19 @@ fun TargetScreen(
         topBar = {
             TopAppBar(
                 title = { Text("Remote Session Active") },
+                actions = {
+                    IconButton(onClick = { showChat = true }) {
+                        BadgedBox(
+                            badge = {
+                                if (incomingCount > seenChatCount) {
+                                    Badge { Text("${incomingCount - seenChatCount}") }
+                                }
+                            }
+                        ) {
+                            Icon(Icons.Outlined.Chat, contentDescription = "Chat")
+                        }
+                    }
+                },
                 colors = TopAppBarDefaults.topAppBarColors(
                     containerColor = if (uiState.isConnected) 
                         SessionActiveGreen.copy(alpha = 0.2f) 
@@ -112,6 +137,15 @@ fun TargetScreen(
                 }
             }
             
+            // Files moving to or from the operator
+            uiState.activeTransfers.forEach { transfer ->
+                Spacer(modifier = Modifier.height(12.dp))
+                TransferRow(
+                    transfer = transfer,
+                    onCancel = { viewModel.cancelTransfer(transfer.id) }
+                )
+            }
+            
             Spacer(modifier = Modifier.height(24.dp))
             
             // Activity log
@@ -159,6 +193,43 @@ fun TargetScreen(
         }
     }
     
+    // Consent dialog: a controller may only send gestures once the user allows it
+    uiState.controlRequest?.let { request ->
+        AlertDialog(
+            onDismissRequest = { },
+            icon = {
+                Icon(
+                    imageVector = Icons.Outlined.TouchApp,
+                    contentDescription = null
+                )
+            },
+            title = { Text("Allow Remote Control?") },
+            text = { 
+                Text("${request.name} wants to control this device. Allowing lets them tap and type on your behalf. You can pause or stop control at any time.")
+            },
+            confirmButton = {
+                Button(onClick = { viewModel.grantControl() }) {
+                    Text("Allow")
+                }
+            },
+            dismissButton = {
+                TextButton(onClick = { viewModel.denyControl() }) {
+                    Text("Deny")
+                }
+            }
+        )
+    }
+    
+    // Chat with the operator
+    if (showChat) {
+        ModalBottomSheet(onDismissRequest = { showChat = false }) {
+            ChatPanel(
+                messages = uiState.chatMessages,
+                onSend = { viewModel.sendChat(it) }
+            )
+        }
+    }
+    
     // Stop confirmation dialog
     if (showStopConfirmation) {
         AlertDialog(
@@ -290,6 +361,105 @@ private fun StatusCard(
     }
 }
 
+@Composable
+private fun ChatPanel(
+    messages: List<SignalingClient.ChatMessage>,
+    onSend: (String) -> Unit
+) {
+    var draft by remember { mutableStateOf("") }
+    
+    Column(
+        modifier = Modifier
+            .fillMaxWidth()
+            .padding(horizontal = 16.dp)
+            .padding(bottom = 16.dp)
+    ) {
+        Text(
+            text = "Chat",
+            style = MaterialTheme.typography.titleMedium,
+            fontWeight = FontWeight.Bold
+        )
+        
+        Spacer(modifier = Modifier.height(8.dp))
+        
+        if (messages.isEmpty()) {
+            Text(
+                text = "No messages yet",
+                color = MaterialTheme.colorScheme.onSurfaceVariant,
+                modifier = Modifier.padding(vertical = 24.dp)
+            )
+        } else {
+            LazyColumn(
+                modifier = Modifier
+                    .fillMaxWidth()
+                    .heightIn(max = 320.dp),
+                verticalArrangement = Arrangement.spacedBy(8.dp),
+                reverseLayout = true
+            ) {
+                items(messages.reversed(), key = { "${it.own}:${it.id}" }) { message ->
+                    ChatBubble(message)
+                }
+            }
+        }
+        
+        Spacer(modifier = Modifier.height(8.dp))
+        
+        Row(verticalAlignment = Alignment.CenterVertically) {
+            OutlinedTextField(
+                value = draft,
+                onValueChange = { draft = it.take(2000) },
+                placeholder = { Text("Message") },
+                modifier = Modifier.weight(1f),
+                maxLines = 4
+            )
+            IconButton(
+                onClick = {
+                    onSend(draft)
+                    draft = ""
+                },
+                enabled = draft.isNotBlank()
+            ) {
+                Icon(Icons.Default.Send, contentDescription = "Send")
+            }
+        }
+    }
+}
+
+@Composable
+private fun ChatBubble(message: SignalingClient.ChatMessage) {
+    val timeFormat = SimpleDateFormat("HH:mm", Locale.getDefault())
+    
+    Column(
+        modifier = Modifier.fillMaxWidth(),
+        horizontalAlignment = if (message.own) Alignment.End else Alignment.Start
+    ) {
+        Card(
+            shape = RoundedCornerShape(12.dp),
+            colors = CardDefaults.cardColors(
+                containerColor = if (message.own)
+                    MaterialTheme.colorScheme.primaryContainer
+                else
+                    MaterialTheme.colorScheme.surfaceVariant
+            )
+        ) {
+            Text(
+                text = message.text,
+                modifier = Modifier.padding(horizontal = 12.dp, vertical = 8.dp)
+            )
+        }
+        Text(
+            text = when {
+                !message.own -> listOfNotNull(message.name ?: "Operator", message.sentAt?.let { timeFormat.format(Date(it)) }).joinToString(" · ")
+                message.sentAt == null -> "Sending..."
+                message.delivered -> "Delivered · ${timeFormat.format(Date(message.sentAt))}"
+                else -> "Sent · ${timeFormat.format(Date(message.sentAt))}"
+            },
+            style = MaterialTheme.typography.labelSmall,
+            color = MaterialTheme.colorScheme.onSurfaceVariant
+        )
+    }
+}
+
 @Composable
 private fun EmergencyStopButton(
     onClick: () -> Unit,
@@ -333,6 +503,49 @@ private fun EmergencyStopButton(
     }
 }
 
+@Composable
+private fun TransferRow(
+    transfer: FileTransfer,
+    onCancel: () -> Unit
+) {
+    Card(
+        modifier = Modifier.fillMaxWidth(),
+        shape = RoundedCornerShape(12.dp)
+    ) {
+        Row(
+            modifier = Modifier
+                .fillMaxWidth()
+                .padding(horizontal = 16.dp, vertical = 8.dp),
+            verticalAlignment = Alignment.CenterVertically
+        ) {
+            Icon(
+                imageVector = if (transfer.incoming) Icons.Outlined.Download else Icons.Outlined.Upload,
+                contentDescription = null,
+                modifier = Modifier.size(20.dp)
+            )
+            
+            Spacer(modifier = Modifier.width(12.dp))
+            
+            Column(modifier = Modifier.weight(1f)) {
+                Text(
+                    text = if (transfer.incoming) "Receiving ${transfer.name}" else "Sending ${transfer.name}",
+                    style = MaterialTheme.typography.bodyMedium,
+                    maxLines = 1
+                )
+                Spacer(modifier = Modifier.height(4.dp))
+                LinearProgressIndicator(
+                    progress = { if (transfer.size > 0) transfer.bytes.toFloat() / transfer.size else 1f },
+                    modifier = Modifier.fillMaxWidth()
+                )
+            }
+            
+            TextButton(onClick = onCancel) {
+                Text("Cancel")
+            }
+        }
+    }
+}
+
 @Composable
 private fun ActivityLogItem(
     type: ActivityType,
@@ -352,6 +565,7 @@ private fun ActivityLogItem(
                 ActivityType.SESSION_ENDED -> Icons.Outlined.StopCircle
                 ActivityType.SESSION_PAUSED -> Icons.Default.Pause
                 ActivityType.SESSION_RESUMED -> Icons.Default.PlayArrow
+                ActivityType.FILE_TRANSFER -> Icons.Outlined.AttachFile
                 ActivityType.EMERGENCY_STOP -> Icons.Default.Warning
                 else -> Icons.Outlined.Info
             },
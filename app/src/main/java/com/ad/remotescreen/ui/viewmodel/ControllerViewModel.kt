@@ -1,15 +1,19 @@
 package com.ad.remotescreen.ui.viewmodel
 
+import android.util.Log
 import androidx.lifecycle.ViewModel
 import androidx.lifecycle.viewModelScope
+import com.ad.remotescreen.control.ControlClient
 import com.ad.remotescreen.data.model.GestureCommand
-import com.ad.remotescreen.data.model.SessionStatus
+import com.ad.remotescreen.data.repository.AuthRepository
 import com.ad.remotescreen.data.repository.SessionRepository
+import com.ad.remotescreen.webrtc.SignalingClient
 import dagger.hilt.android.lifecycle.HiltViewModel
 import kotlinx.coroutines.delay
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.collectLatest
 import kotlinx.coroutines.flow.update
 import kotlinx.coroutines.launch
 import javax.inject.Inject
@@ -20,34 +24,78 @@ data class ControllerUiState(
     val connectionQuality: Float = 1f,
     val sessionDurationSeconds: Long = 0,
     val showTextInput: Boolean = false,
+    val controlState: SignalingClient.ControlState = SignalingClient.ControlState.NONE,
     val error: String? = null
 )
 
 @HiltViewModel
 class ControllerViewModel @Inject constructor(
-    private val sessionRepository: SessionRepository
+    private val sessionRepository: SessionRepository,
+    private val authRepository: AuthRepository,
+    private val signalingClient: SignalingClient,
+    private val controlClient: ControlClient
 ) : ViewModel() {
     
+    companion object {
+        private const val TAG = "ControllerViewModel"
+    }
+    
     private val _uiState = MutableStateFlow(ControllerUiState())
     val uiState: StateFlow<ControllerUiState> = _uiState.asStateFlow()
     
     private var isTimerRunning = false
+    private var isConnecting = false
+    
+    init {
+        // Observe the target's answer to our control request
+        viewModelScope.launch {
+            signalingClient.controlState.collectLatest { state ->
+                _uiState.update { it.copy(controlState = state) }
+            }
+        }
+    }
     
     /**
-     * Connects to the target device.
+     * Joins the session as the signed-in operator and asks for control once
+     * the server has let us in. The view stays read-only until the person
+     * holding the device allows it.
      */
     fun connect(pairingCode: String) {
+        if (isConnecting) return
+        val operator = authRepository.operator.value
+        if (operator == null) {
+            _uiState.update { it.copy(error = "Sign in to control a device") }
+            return
+        }
+        isConnecting = true
+        
+        // The pairing screen has usually joined already
+        if (!signalingClient.joined.value) {
+            signalingClient.connect(pairingCode, operatorToken = operator.token)
+        }
+        controlClient.useControllerSocket(pairingCode, signalingClient::sendRaw)
+        
         viewModelScope.launch {
-            // Simulate connection
-            delay(1500)
-            _uiState.update { 
-                it.copy(
-                    isConnected = true,
-                    isStreaming = true
-                )
+            signalingClient.joined.collectLatest { joined ->
+                _uiState.update { 
+                    it.copy(
+                        isConnected = joined,
+                        isStreaming = joined
+                    )
+                }
+                if (joined) {
+                    requestControl()
+                    startSessionTimer()
+                }
+            }
+        }
+        
+        viewModelScope.launch {
+            signalingClient.joinError.collectLatest { error ->
+                if (error != null) {
+                    _uiState.update { it.copy(error = error.message) }
+                }
             }
-            sessionRepository.onConnected("partner-device-id")
-            startSessionTimer()
         }
     }
     
@@ -68,12 +116,24 @@ class ControllerViewModel @Inject constructor(
         }
     }
     
+    /**
+     * Asks the target for control, e.g. again after it was denied or revoked.
+     */
+    fun requestControl() {
+        signalingClient.requestControl(authRepository.operator.value?.username ?: "Operator")
+    }
+    
     /**
      * Sends a gesture command to the target device.
      */
     fun sendGesture(command: GestureCommand) {
+        if (_uiState.value.controlState != SignalingClient.ControlState.GRANTED) {
+            Log.d(TAG, "Dropped ${command.type} gesture: control not granted")
+            return
+        }
+        
         viewModelScope.launch {
-            // In real implementation, send via ControlClient
+            controlClient.sendCommand(command)
             sessionRepository.logGestureReceived(command.type)
         }
     }
@@ -97,6 +157,9 @@ class ControllerViewModel @Inject constructor(
      */
     fun disconnect() {
         isTimerRunning = false
+        isConnecting = false
+        controlClient.disconnect()
+        signalingClient.disconnect()
         _uiState.update { 
             it.copy(
                 isConnected = false,
@@ -4,6 +4,7 @@ import android.util.Log
 import androidx.lifecycle.ViewModel
 import androidx.lifecycle.viewModelScope
 import com.ad.remotescreen.data.PairingCodeGenerator
+import com.ad.remotescreen.data.repository.AuthRepository
 import com.ad.remotescreen.data.repository.SessionRepository
 import com.ad.remotescreen.data.model.SessionStatus
 import com.ad.remotescreen.webrtc.SignalingClient
@@ -19,6 +20,8 @@ import javax.inject.Inject
 data class PairingUiState(
     val pairingCode: String = "",
     val enteredCode: String = "",
+    val username: String = "",
+    val password: String = "",
     val isWaiting: Boolean = false,
     val isConnecting: Boolean = false,
     val isConnected: Boolean = false,
@@ -29,6 +32,7 @@ data class PairingUiState(
 @HiltViewModel
 class PairingViewModel @Inject constructor(
     private val sessionRepository: SessionRepository,
+    private val authRepository: AuthRepository,
     private val signalingClient: SignalingClient
 ) : ViewModel() {
     
@@ -61,7 +65,7 @@ class PairingViewModel @Inject constructor(
                     SignalingClient.ConnectionState.ERROR -> {
                         _uiState.update { 
                             it.copy(
-                                error = "Failed to connect to server. Check network connection.",
+                                error = it.error ?: "Failed to connect to server. Check network connection.",
                                 isConnecting = false,
                                 isWaiting = false
                             )
@@ -74,6 +78,22 @@ class PairingViewModel @Inject constructor(
             }
         }
         
+        // Observe join errors; an expired and an unknown code need different fixes
+        viewModelScope.launch {
+            signalingClient.joinError.collectLatest { joinError ->
+                if (joinError != null) {
+                    Log.d(TAG, "Join refused: ${joinError.code}")
+                    _uiState.update { 
+                        it.copy(
+                            error = describeJoinError(joinError),
+                            isConnecting = false,
+                            isWaiting = false
+                        )
+                    }
+                }
+            }
+        }
+        
         // Observe peer joined - this triggers navigation to Target/Controller screen
         viewModelScope.launch {
             signalingClient.peerJoined.collectLatest { joined ->
@@ -121,23 +141,45 @@ class PairingViewModel @Inject constructor(
     }
     
     /**
-     * Initializes the screen for target device (generates pairing code).
+     * Initializes the screen for target device (requests a pairing code
+     * from the server, then joins with it).
      */
     fun initializeAsTarget() {
-        val session = sessionRepository.createTargetSession()
-        val code = session.pairingCode
-        
         _uiState.update { 
             it.copy(
-                pairingCode = code,
+                pairingCode = "",
                 isWaiting = true,
-                connectionStatus = "Connecting to server..."
+                error = null,
+                connectionStatus = "Requesting pairing code..."
             )
         }
         
-        // Connect to signaling server with the pairing code
-        Log.d(TAG, "Target connecting with code: $code")
-        signalingClient.connect(code)
+        viewModelScope.launch {
+            val code = try {
+                signalingClient.requestPairingCode()
+            } catch (e: Exception) {
+                Log.e(TAG, "Failed to get a pairing code", e)
+                _uiState.update { 
+                    it.copy(
+                        error = "Could not get a pairing code. Check network connection.",
+                        isWaiting = false
+                    )
+                }
+                return@launch
+            }
+            
+            val session = sessionRepository.createTargetSession(code)
+            _uiState.update { 
+                it.copy(
+                    pairingCode = session.pairingCode,
+                    connectionStatus = "Connecting to server..."
+                )
+            }
+            
+            // Connect to signaling server with the pairing code
+            Log.d(TAG, "Target connecting with code: $code")
+            signalingClient.connect(code)
+        }
         
         // Listen for peer joined
         viewModelScope.launch {
@@ -173,36 +215,74 @@ class PairingViewModel @Inject constructor(
     }
     
     /**
-     * Attempts to connect as controller.
+     * Updates the operator username (controller only).
+     */
+    fun updateUsername(username: String) {
+        _uiState.update { it.copy(username = username, error = null) }
+    }
+    
+    /**
+     * Updates the operator password (controller only).
+     */
+    fun updatePassword(password: String) {
+        _uiState.update { it.copy(password = password, error = null) }
+    }
+    
+    /**
+     * Attempts to connect as controller. Controllers must sign in with an
+     * operator account; the server refuses them otherwise.
      */
     fun connectAsController() {
         val code = _uiState.value.enteredCode
+        val username = _uiState.value.username.trim()
+        val password = _uiState.value.password
         
         if (!PairingCodeGenerator.isValidFormat(code)) {
             _uiState.update { it.copy(error = "Invalid code format") }
             return
         }
+        if (username.isEmpty() || password.isEmpty()) {
+            _uiState.update { it.copy(error = "Enter your operator username and password") }
+            return
+        }
         
         _uiState.update { 
             it.copy(
                 isConnecting = true, 
                 error = null,
-                connectionStatus = "Connecting to server..."
+                connectionStatus = "Signing in..."
             )
         }
         
-        // Create session and connect to signaling server
-        sessionRepository.createControllerSession(code)
-        Log.d(TAG, "Controller connecting with code: $code")
-        signalingClient.connect(code)
+        viewModelScope.launch {
+            val operator = try {
+                authRepository.signIn(username, password)
+            } catch (e: AuthRepository.InvalidCredentialsException) {
+                _uiState.update { it.copy(error = e.message, isConnecting = false) }
+                return@launch
+            } catch (e: Exception) {
+                Log.e(TAG, "Sign-in failed", e)
+                _uiState.update { 
+                    it.copy(
+                        error = "Could not sign in. Check network connection.",
+                        isConnecting = false
+                    )
+                }
+                return@launch
+            }
+            
+            _uiState.update { it.copy(password = "", connectionStatus = "Connecting to server...") }
+            
+            // Create session and connect to signaling server
+            sessionRepository.createControllerSession(code)
+            Log.d(TAG, "Controller ${operator.username} connecting with code: $code")
+            signalingClient.connect(code, operatorToken = operator.token)
+        }
         
-        // Wait for connection and then mark as connected for navigation
+        // Wait for the server to accept the join and then mark as connected for navigation
         viewModelScope.launch {
-            signalingClient.connectionState.collectLatest { state ->
-                if (state == SignalingClient.ConnectionState.CONNECTED) {
-                    // Give a brief moment for server to register
-                    kotlinx.coroutines.delay(500)
-                    
+            signalingClient.joined.collectLatest { joined ->
+                if (joined) {
                     // Mark as connected for navigation
                     sessionRepository.onConnected("controller-connected")
                     _uiState.update { 
@@ -217,6 +297,17 @@ class PairingViewModel @Inject constructor(
         }
     }
     
+    /**
+     * Turns a refused join into a message for the user.
+     */
+    private fun describeJoinError(error: SignalingClient.JoinError): String {
+        return when (error.code) {
+            "code-expired" -> "This pairing code has expired. Get a new code and try again."
+            "unknown-code" -> "This pairing code does not exist. Check the code and try again."
+            else -> error.message
+        }
+    }
+    
     override fun onCleared() {
         super.onCleared()
         // Don't disconnect here - let the service maintain the connection
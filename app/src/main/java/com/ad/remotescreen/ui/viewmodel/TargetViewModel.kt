@@ -8,6 +8,8 @@ import com.ad.remotescreen.data.model.ActivityLogEntry
 import com.ad.remotescreen.data.model.ActivityType
 import com.ad.remotescreen.data.model.SessionStatus
 import com.ad.remotescreen.data.repository.SessionRepository
+import com.ad.remotescreen.webrtc.FileTransfer
+import com.ad.remotescreen.webrtc.SignalingClient
 import com.ad.remotescreen.webrtc.WebRTCClient
 import dagger.hilt.android.lifecycle.HiltViewModel
 import kotlinx.coroutines.delay
@@ -27,13 +29,17 @@ data class TargetUiState(
     val sessionDurationSeconds: Long = 0,
     val activityLog: List<ActivityLogEntry> = emptyList(),
     val isStreamingStarted: Boolean = false,
-    val webRtcState: String = ""
+    val webRtcState: String = "",
+    val controlRequest: SignalingClient.ControlRequest? = null,
+    val chatMessages: List<SignalingClient.ChatMessage> = emptyList(),
+    val activeTransfers: List<FileTransfer> = emptyList()
 )
 
 @HiltViewModel
 class TargetViewModel @Inject constructor(
     private val sessionRepository: SessionRepository,
     private val webRTCClient: WebRTCClient,
+    private val signalingClient: SignalingClient,
     private val screenCaptureManager: ScreenCaptureManager
 ) : ViewModel() {
     
@@ -47,6 +53,12 @@ class TargetViewModel @Inject constructor(
     private var isTimerRunning = false
     private var isWebRtcInitialized = false
     
+    // The controller that was granted control, so resuming can give it back
+    private var grantedControllerId: String? = null
+    
+    // Finished transfers already in the activity log
+    private val loggedTransferIds = mutableSetOf<String>()
+    
     init {
         // Observe session state
         viewModelScope.launch {
@@ -71,6 +83,20 @@ class TargetViewModel @Inject constructor(
             }
         }
         
+        // Observe control requests; nothing is controlled until the user agrees
+        viewModelScope.launch {
+            signalingClient.controlRequest.collectLatest { request ->
+                _uiState.update { it.copy(controlRequest = request) }
+            }
+        }
+        
+        // Observe the chat with the operator
+        viewModelScope.launch {
+            signalingClient.chatMessages.collectLatest { messages ->
+                _uiState.update { it.copy(chatMessages = messages) }
+            }
+        }
+        
         // Observe activity log
         viewModelScope.launch {
             sessionRepository.activityLog.collectLatest { log ->
@@ -94,6 +120,16 @@ class TargetViewModel @Inject constructor(
             }
         }
         
+        // Observe files moving to and from the operator
+        viewModelScope.launch {
+            webRTCClient.fileTransfers.collectLatest { transfers ->
+                _uiState.update { state -> state.copy(activeTransfers = transfers.filter { it.status.isActive }) }
+                transfers
+                    .filter { !it.status.isActive && loggedTransferIds.add(it.id) }
+                    .forEach { logTransfer(it) }
+            }
+        }
+        
         // Forward screen capture frames to WebRTC
         viewModelScope.launch {
             screenCaptureManager.frameFlow.collectLatest { frameData ->
@@ -131,6 +167,27 @@ class TargetViewModel @Inject constructor(
         _uiState.update { it.copy(isStreamingStarted = true) }
     }
     
+    /**
+     * Records how a file transfer ended in the activity log.
+     */
+    private fun logTransfer(transfer: FileTransfer) {
+        val description = when (transfer.status) {
+            FileTransfer.Status.DONE ->
+                if (transfer.incoming) "Received ${transfer.name} (saved to Downloads)" else "Sent ${transfer.name}"
+            FileTransfer.Status.REJECTED -> "${transfer.name} was declined"
+            FileTransfer.Status.CANCELLED -> "Transfer of ${transfer.name} cancelled"
+            else -> "Transfer of ${transfer.name} failed: ${transfer.error}"
+        }
+        sessionRepository.addActivityLog(ActivityType.FILE_TRANSFER, description)
+    }
+    
+    /**
+     * Stops a file transfer in either direction.
+     */
+    fun cancelTransfer(id: String) {
+        webRTCClient.cancelFileTransfer(id)
+    }
+    
     /**
      * Called when screen capture permission is granted.
      */
@@ -157,9 +214,41 @@ class TargetViewModel @Inject constructor(
     }
     
     /**
-     * Pauses the remote control session.
+     * Lets the requesting controller send gestures.
+     */
+    fun grantControl() {
+        val request = _uiState.value.controlRequest ?: return
+        signalingClient.grantControl(request.controllerId)
+        grantedControllerId = request.controllerId
+        webRTCClient.fileTransfersAllowed = true
+        _uiState.update { it.copy(partnerName = request.name) }
+        sessionRepository.addActivityLog(ActivityType.CONTROL_GRANTED, "Control granted to ${request.name}")
+    }
+    
+    /**
+     * Turns down the requesting controller; it can still view the screen.
+     */
+    fun denyControl() {
+        val request = _uiState.value.controlRequest ?: return
+        signalingClient.denyControl(request.controllerId)
+        sessionRepository.addActivityLog(ActivityType.CONTROL_DENIED, "Control denied to ${request.name}")
+    }
+    
+    /**
+     * Sends a chat message to the operator.
+     */
+    fun sendChat(text: String) {
+        if (text.isBlank()) return
+        signalingClient.sendChat(text.trim())
+    }
+    
+    /**
+     * Pauses the remote control session. Control is revoked on the server,
+     * so no gestures (and no files) reach the device until it is resumed.
      */
     fun pauseSession() {
+        signalingClient.revokeControl()
+        webRTCClient.fileTransfersAllowed = false
         sessionRepository.pauseSession()
         sessionRepository.addActivityLog(ActivityType.SESSION_PAUSED, "Session paused by user")
     }
@@ -168,6 +257,10 @@ class TargetViewModel @Inject constructor(
      * Resumes the remote control session.
      */
     fun resumeSession() {
+        grantedControllerId?.let {
+            signalingClient.grantControl(it)
+            webRTCClient.fileTransfersAllowed = true
+        }
         sessionRepository.resumeSession()
         sessionRepository.addActivityLog(ActivityType.SESSION_RESUMED, "Session resumed")
     }
@@ -182,6 +275,9 @@ class TargetViewModel @Inject constructor(
         sessionRepository.addActivityLog(ActivityType.EMERGENCY_STOP, "Emergency stop activated")
         sessionRepository.emergencyStop()
         
+        signalingClient.revokeControl()
+        grantedControllerId = null
+        
         webRTCClient.disconnect()
         screenCaptureManager.stopCapture()
     }
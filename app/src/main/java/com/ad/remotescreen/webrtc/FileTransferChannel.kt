@@ -0,0 +1,519 @@
+package com.ad.remotescreen.webrtc
+
+import android.content.ContentValues
+import android.content.Context
+import android.os.Build
+import android.os.Environment
+import android.provider.MediaStore
+import android.util.Log
+import com.google.gson.Gson
+import com.google.gson.annotations.SerializedName
+import kotlinx.coroutines.CoroutineScope
+import kotlinx.coroutines.channels.Channel
+import kotlinx.coroutines.launch
+import org.webrtc.DataChannel
+import java.io.File
+import java.io.FileOutputStream
+import java.io.IOException
+import java.nio.ByteBuffer
+import java.security.MessageDigest
+import java.text.SimpleDateFormat
+import java.util.Date
+import java.util.Locale
+import java.util.UUID
+
+/**
+ * The target's end of the `files` data channel (see "File Transfer" in the
+ * backend README). Receives files from the controller into Downloads and
+ * sends screenshots back, one file at a time in each direction.
+ * 
+ * Control messages are JSON text frames; file data goes in binary frames of
+ * `[uint32 chunk index][SHA-256 of the data][data]`.
+ * 
+ * @param isAllowed Whether the controller currently holds control; files and
+ *   screenshot requests are turned down otherwise
+ * @param takeScreenshot The latest screen frame as JPEG, or null if none
+ * @param onUpdate Called with every change to a transfer
+ */
+class FileTransferChannel(
+    private val context: Context,
+    private val channel: DataChannel,
+    private val scope: CoroutineScope,
+    private val isAllowed: () -> Boolean,
+    private val takeScreenshot: () -> ByteArray?,
+    private val onUpdate: (FileTransfer) -> Unit
+) {
+    companion object {
+        private const val TAG = "FileTransfer"
+        
+        const val LABEL = "files"
+        
+        private const val CHUNK_SIZE = 16 * 1024
+        private const val HEADER_BYTES = 4 + 32           // Chunk index and SHA-256 of the chunk
+        private const val BUFFER_HIGH = 1024L * 1024      // Pause sending above this much queued...
+        private const val BUFFER_LOW = 256L * 1024        // ...until it drains below this
+        private const val MAX_FILE_BYTES = 512L * 1024 * 1024
+        
+        private const val SAVE_FOLDER = "RemoteScreen"
+    }
+    
+    /**
+     * A file coming in: written to a temporary file until every hash
+     * checks out, then moved to Downloads.
+     */
+    private class Incoming(
+        var transfer: FileTransfer,
+        val mimeType: String,
+        val file: File,
+        val output: FileOutputStream
+    ) {
+        var chunks = 0
+        val hashOfHashes: MessageDigest = MessageDigest.getInstance("SHA-256")
+    }
+    
+    private class Outgoing(
+        var transfer: FileTransfer,
+        val mimeType: String,
+        val data: ByteArray
+    )
+    
+    private val gson = Gson()
+    private val lock = Any()
+    
+    private var receiving: Incoming? = null
+    private var sending: Outgoing? = null
+    
+    // Signalled whenever the channel's send buffer drains below BUFFER_LOW
+    private val drained = Channel<Unit>(Channel.CONFLATED)
+    
+    init {
+        channel.registerObserver(object : DataChannel.Observer {
+            override fun onBufferedAmountChange(previousAmount: Long) {
+                if (channel.bufferedAmount() <= BUFFER_LOW) {
+                    drained.trySend(Unit)
+                }
+            }
+            
+            override fun onStateChange() {
+                Log.d(TAG, "File channel ${channel.state()}")
+                if (channel.state() == DataChannel.State.CLOSED) {
+                    failAll("Connection lost")
+                }
+            }
+            
+            override fun onMessage(buffer: DataChannel.Buffer) {
+                if (buffer.binary) {
+                    receiveChunk(buffer.data)
+                } else {
+                    val bytes = ByteArray(buffer.data.remaining())
+                    buffer.data.get(bytes)
+                    handleMessage(String(bytes, Charsets.UTF_8))
+                }
+            }
+        })
+    }
+    
+    /**
+     * Offers a file to the controller.
+     * 
+     * @return false if another file is still being sent
+     */
+    fun sendFile(name: String, mimeType: String, data: ByteArray): Boolean {
+        val outgoing = synchronized(lock) {
+            if (sending != null) return false
+            Outgoing(
+                FileTransfer(
+                    id = UUID.randomUUID().toString(),
+                    name = name,
+                    size = data.size.toLong(),
+                    incoming = false,
+                    status = FileTransfer.Status.WAITING
+                ),
+                mimeType,
+                data
+            ).also { sending = it }
+        }
+        
+        sendControl(FileMessage(
+            type = "file-offer",
+            id = outgoing.transfer.id,
+            name = name,
+            size = data.size.toLong(),
+            mimeType = mimeType
+        ))
+        onUpdate(outgoing.transfer)
+        return true
+    }
+    
+    /**
+     * Cancels the running transfer with this id, in either direction.
+     */
+    fun cancel(id: String) {
+        sendControl(FileMessage(type = "file-cancel", id = id))
+        synchronized(lock) {
+            receiving?.takeIf { it.transfer.id == id }?.let { finishIncoming(it, FileTransfer.Status.CANCELLED) }
+            sending?.takeIf { it.transfer.id == id }?.let { finishOutgoing(it, FileTransfer.Status.CANCELLED) }
+        }
+    }
+    
+    /**
+     * Ends both transfers and closes the channel (the session is over).
+     */
+    fun close() {
+        failAll("Session ended", FileTransfer.Status.CANCELLED)
+        channel.unregisterObserver()
+        channel.close()
+    }
+    
+    private fun failAll(reason: String, status: FileTransfer.Status = FileTransfer.Status.FAILED) {
+        synchronized(lock) {
+            receiving?.let { finishIncoming(it, status, reason) }
+            sending?.let { finishOutgoing(it, status, reason) }
+        }
+    }
+    
+    private fun sendControl(message: FileMessage) {
+        if (channel.state() != DataChannel.State.OPEN) return
+        val json = gson.toJson(message).toByteArray(Charsets.UTF_8)
+        channel.send(DataChannel.Buffer(ByteBuffer.wrap(json), false))
+    }
+    
+    private fun handleMessage(text: String) {
+        val message = try {
+            gson.fromJson(text, FileMessage::class.java)
+        } catch (e: Exception) {
+            Log.e(TAG, "Invalid file channel message", e)
+            null
+        } ?: return
+        
+        when (message.type) {
+            "file-offer" -> receiveOffer(message)
+            "file-end" -> receiveEnd(message)
+            "file-accept" -> synchronized(lock) {
+                val outgoing = sending?.takeIf { it.transfer.id == message.id } ?: return
+                if (outgoing.transfer.status != FileTransfer.Status.WAITING) return
+                update(outgoing, outgoing.transfer.copy(status = FileTransfer.Status.SENDING))
+                scope.launch { streamFile(outgoing) }
+            }
+            "file-reject" -> synchronized(lock) {
+                sending?.takeIf { it.transfer.id == message.id }?.let {
+                    finishOutgoing(it, FileTransfer.Status.REJECTED, message.reason)
+                }
+            }
+            "file-complete" -> synchronized(lock) {
+                sending?.takeIf { it.transfer.id == message.id }?.let {
+                    finishOutgoing(it, FileTransfer.Status.DONE)
+                }
+            }
+            "file-error" -> synchronized(lock) {
+                sending?.takeIf { it.transfer.id == message.id }?.let {
+                    finishOutgoing(it, FileTransfer.Status.FAILED, message.reason ?: "The controller could not save the file")
+                }
+            }
+            "file-cancel" -> synchronized(lock) {
+                receiving?.takeIf { it.transfer.id == message.id }?.let { finishIncoming(it, FileTransfer.Status.CANCELLED) }
+                sending?.takeIf { it.transfer.id == message.id }?.let { finishOutgoing(it, FileTransfer.Status.CANCELLED) }
+            }
+            "screenshot-request" -> sendScreenshot()
+        }
+    }
+    
+    /**
+     * Accepts a file the controller offers while it holds control, unless
+     * one is already coming in or it is too large.
+     */
+    private fun receiveOffer(offer: FileMessage) {
+        val id = offer.id
+        val size = offer.size
+        if (id == null || offer.name == null || size == null || size < 0) {
+            sendControl(FileMessage(type = "file-reject", id = id, reason = "invalid-offer"))
+            return
+        }
+        val reason = when {
+            !isAllowed() -> "not-allowed"
+            size > MAX_FILE_BYTES || size > context.cacheDir.usableSpace -> "too-large"
+            else -> null
+        }
+        
+        val incoming = synchronized(lock) {
+            if (reason == null && receiving == null) {
+                // Never let a path sneak into the saved name
+                val name = offer.name.split('/', '\\').last().take(255).ifEmpty { "file" }
+                val file = File(File(context.cacheDir, "incoming").apply { mkdirs() }, UUID.randomUUID().toString())
+                Incoming(
+                    FileTransfer(id = id, name = name, size = size, incoming = true, status = FileTransfer.Status.RECEIVING),
+                    offer.mimeType ?: "application/octet-stream",
+                    file,
+                    FileOutputStream(file)
+                ).also { receiving = it }
+            } else {
+                null
+            }
+        }
+        if (incoming == null) {
+            sendControl(FileMessage(type = "file-reject", id = id, reason = reason ?: "busy"))
+            return
+        }
+        
+        Log.i(TAG, "Receiving ${incoming.transfer.name} (${size} bytes)")
+        sendControl(FileMessage(type = "file-accept", id = id))
+        onUpdate(incoming.transfer)
+    }
+    
+    private fun receiveChunk(buffer: ByteBuffer) {
+        synchronized(lock) {
+            // Chunks still in flight from a cancelled transfer are dropped
+            val incoming = receiving ?: return
+            if (incoming.transfer.status != FileTransfer.Status.RECEIVING || buffer.remaining() < HEADER_BYTES) return
+            
+            val index = buffer.int.toLong() and 0xffffffffL
+            val hash = ByteArray(32).also { buffer.get(it) }
+            val data = ByteArray(buffer.remaining()).also { buffer.get(it) }
+            if (index != incoming.chunks.toLong() || incoming.transfer.bytes + data.size > incoming.transfer.size) {
+                failIncoming(incoming, "Unexpected chunk")
+                return
+            }
+            if (!MessageDigest.isEqual(MessageDigest.getInstance("SHA-256").digest(data), hash)) {
+                failIncoming(incoming, "Chunk $index is corrupt")
+                return
+            }
+            
+            try {
+                incoming.output.write(data)
+            } catch (e: IOException) {
+                Log.e(TAG, "Could not write ${incoming.transfer.name}", e)
+                failIncoming(incoming, "The phone could not save the file")
+                return
+            }
+            incoming.chunks++
+            incoming.hashOfHashes.update(hash)
+            update(incoming, incoming.transfer.copy(bytes = incoming.transfer.bytes + data.size))
+        }
+    }
+    
+    private fun receiveEnd(end: FileMessage) {
+        val incoming = synchronized(lock) {
+            val incoming = receiving?.takeIf { it.transfer.id == end.id } ?: return
+            if (incoming.transfer.status != FileTransfer.Status.RECEIVING) return
+            
+            val checksum = incoming.hashOfHashes.digest().joinToString("") { "%02x".format(it) }
+            when {
+                incoming.transfer.bytes != incoming.transfer.size -> {
+                    failIncoming(incoming, "File is incomplete")
+                    return
+                }
+                !checksum.equals(end.sha256, ignoreCase = true) -> {
+                    failIncoming(incoming, "Checksum mismatch")
+                    return
+                }
+            }
+            update(incoming, incoming.transfer.copy(status = FileTransfer.Status.VERIFYING))
+            incoming
+        }
+        
+        // Copying a large file out of the cache takes a while
+        scope.launch {
+            try {
+                incoming.output.close()
+                val savedTo = saveToDownloads(incoming)
+                synchronized(lock) {
+                    if (receiving !== incoming) return@launch
+                    sendControl(FileMessage(type = "file-complete", id = incoming.transfer.id))
+                    Log.i(TAG, "Saved ${incoming.transfer.name} to $savedTo")
+                    finishIncoming(incoming, FileTransfer.Status.DONE)
+                }
+            } catch (e: IOException) {
+                Log.e(TAG, "Could not save ${incoming.transfer.name}", e)
+                synchronized(lock) {
+                    if (receiving === incoming) failIncoming(incoming, "The phone could not save the file")
+                }
+            }
+        }
+    }
+    
+    /**
+     * Moves a verified file to Downloads/RemoteScreen (the app's own
+     * Downloads folder before Android 10, which needs no permission).
+     * 
+     * @return Where the file was saved
+     */
+    private fun saveToDownloads(incoming: Incoming): String {
+        val name = incoming.transfer.name
+        try {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
+                val resolver = context.contentResolver
+                val values = ContentValues().apply {
+                    put(MediaStore.Downloads.DISPLAY_NAME, name)
+                    put(MediaStore.Downloads.MIME_TYPE, incoming.mimeType)
+                    put(MediaStore.Downloads.RELATIVE_PATH, "${Environment.DIRECTORY_DOWNLOADS}/$SAVE_FOLDER")
+                }
+                val uri = resolver.insert(MediaStore.Downloads.EXTERNAL_CONTENT_URI, values)
+                    ?: throw IOException("Could not create $name in Downloads")
+                try {
+                    val output = resolver.openOutputStream(uri) ?: throw IOException("Could not open $uri")
+                    output.use { out -> incoming.file.inputStream().use { it.copyTo(out) } }
+                } catch (e: IOException) {
+                    resolver.delete(uri, null, null)
+                    throw e
+                }
+                return "${Environment.DIRECTORY_DOWNLOADS}/$SAVE_FOLDER/$name"
+            }
+            
+            val downloads = context.getExternalFilesDir(Environment.DIRECTORY_DOWNLOADS) ?: context.filesDir
+            val dir = File(downloads, SAVE_FOLDER).apply { mkdirs() }
+            val target = uniqueFile(dir, name)
+            incoming.file.copyTo(target)
+            return target.path
+        } finally {
+            incoming.file.delete()
+        }
+    }
+    
+    private fun uniqueFile(dir: File, name: String): File {
+        var file = File(dir, name)
+        var copy = 1
+        while (file.exists()) {
+            file = File(dir, "${name.substringBeforeLast('.')} ($copy)" +
+                if (name.contains('.')) ".${name.substringAfterLast('.')}" else "")
+            copy++
+        }
+        return file
+    }
+    
+    private fun failIncoming(incoming: Incoming, reason: String) {
+        Log.e(TAG, "File receive failed: $reason")
+        sendControl(FileMessage(type = "file-error", id = incoming.transfer.id, reason = reason))
+        finishIncoming(incoming, FileTransfer.Status.FAILED, reason)
+    }
+    
+    private fun finishIncoming(incoming: Incoming, status: FileTransfer.Status, error: String? = null) {
+        if (receiving === incoming) receiving = null
+        if (status != FileTransfer.Status.DONE) {
+            try {
+                incoming.output.close()
+            } catch (e: IOException) {
+                Log.w(TAG, "Could not close ${incoming.file}", e)
+            }
+            incoming.file.delete()
+        }
+        update(incoming, incoming.transfer.copy(status = status, error = error))
+    }
+    
+    /**
+     * Sends the current screen as a JPEG, if the controller holds control
+     * and nothing else is being sent.
+     */
+    private fun sendScreenshot() {
+        val screenshot = if (isAllowed()) takeScreenshot() else null
+        val reason = when {
+            !isAllowed() -> "not-allowed"
+            screenshot == null -> "no-screen"
+            else -> null
+        }
+        
+        val time = SimpleDateFormat("yyyyMMdd-HHmmss", Locale.US).format(Date())
+        if (reason == null && sendFile("screenshot-$time.jpg", "image/jpeg", screenshot!!)) {
+            Log.i(TAG, "Sending screenshot")
+            return
+        }
+        sendControl(FileMessage(type = "screenshot-error", reason = reason ?: "busy"))
+    }
+    
+    /**
+     * Streams an accepted file. Pauses whenever the channel has more than
+     * BUFFER_HIGH queued, so the transfer never floods the connection.
+     */
+    private suspend fun streamFile(outgoing: Outgoing) {
+        val isSending = { sending === outgoing && outgoing.transfer.status == FileTransfer.Status.SENDING }
+        val hashOfHashes = MessageDigest.getInstance("SHA-256")
+        var offset = 0
+        var index = 0
+        
+        while (offset < outgoing.data.size) {
+            if (channel.bufferedAmount() > BUFFER_HIGH) {
+                while (channel.bufferedAmount() > BUFFER_LOW && channel.state() == DataChannel.State.OPEN && isSending()) {
+                    drained.receive()
+                }
+            }
+            // Cancelled, rejected or disconnected meanwhile
+            if (!isSending() || channel.state() != DataChannel.State.OPEN) return
+            
+            val length = minOf(CHUNK_SIZE, outgoing.data.size - offset)
+            val hash = MessageDigest.getInstance("SHA-256").apply { update(outgoing.data, offset, length) }.digest()
+            val frame = ByteBuffer.allocate(HEADER_BYTES + length)
+                .putInt(index)
+                .put(hash)
+                .put(outgoing.data, offset, length)
+            frame.flip()
+            channel.send(DataChannel.Buffer(frame, true))
+            
+            hashOfHashes.update(hash)
+            offset += length
+            index++
+            synchronized(lock) {
+                if (isSending()) update(outgoing, outgoing.transfer.copy(bytes = offset.toLong()))
+            }
+        }
+        
+        // The controller confirms with file-complete once the hashes check out
+        synchronized(lock) {
+            if (!isSending()) return
+            update(outgoing, outgoing.transfer.copy(status = FileTransfer.Status.VERIFYING))
+        }
+        sendControl(FileMessage(
+            type = "file-end",
+            id = outgoing.transfer.id,
+            sha256 = hashOfHashes.digest().joinToString("") { "%02x".format(it) }
+        ))
+    }
+    
+    private fun finishOutgoing(outgoing: Outgoing, status: FileTransfer.Status, error: String? = null) {
+        if (sending === outgoing) sending = null
+        update(outgoing, outgoing.transfer.copy(status = status, error = error))
+        // Wake a send waiting for the buffer to drain
+        drained.trySend(Unit)
+    }
+    
+    private fun update(incoming: Incoming, transfer: FileTransfer) {
+        incoming.transfer = transfer
+        onUpdate(transfer)
+    }
+    
+    private fun update(outgoing: Outgoing, transfer: FileTransfer) {
+        outgoing.transfer = transfer
+        onUpdate(transfer)
+    }
+}
+
+/**
+ * A file moving over the file channel, as shown to the user.
+ */
+data class FileTransfer(
+    val id: String,
+    val name: String,
+    val size: Long,
+    val incoming: Boolean,
+    val bytes: Long = 0,
+    val status: Status,
+    val error: String? = null
+) {
+    enum class Status {
+        WAITING, SENDING, RECEIVING, VERIFYING, DONE, FAILED, CANCELLED, REJECTED;
+        
+        val isActive: Boolean
+            get() = this == WAITING || this == SENDING || this == RECEIVING || this == VERIFYING
+    }
+}
+
+/**
+ * A control message on the file channel.
+ */
+data class FileMessage(
+    @SerializedName("type") val type: String,
+    @SerializedName("id") val id: String? = null,
+    @SerializedName("name") val name: String? = null,
+    @SerializedName("size") val size: Long? = null,
+    @SerializedName("mimeType") val mimeType: String? = null,
+    @SerializedName("sha256") val sha256: String? = null,
+    @SerializedName("reason") val reason: String? = null
+)
@@ -13,9 +13,13 @@ import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
 import kotlinx.coroutines.flow.receiveAsFlow
 import kotlinx.coroutines.launch
+import kotlinx.coroutines.withContext
 import okhttp3.*
+import okhttp3.RequestBody.Companion.toRequestBody
 import org.webrtc.IceCandidate
 import org.webrtc.SessionDescription
+import java.io.IOException
+import java.util.UUID
 import java.util.concurrent.TimeUnit
 import javax.inject.Inject
 import javax.inject.Singleton
@@ -27,6 +31,8 @@ import javax.inject.Singleton
  * - SDP offer/answer exchange
  * - ICE candidate exchange
  * - Session management messages
+ * - Consent: controllers ask for control, the target grants, denies or revokes it
+ * - Chat between the operator and the device's user
  */
 @Singleton
 class SignalingClient @Inject constructor(
@@ -38,6 +44,15 @@ class SignalingClient @Inject constructor(
         // Cloud server URL - Deployed on Render.com
         // Works globally across any network/country
         private const val DEFAULT_SERVER_URL = "wss://remotescreen-backend.onrender.com/ws"
+        
+        // Same server over HTTPS, for issuing pairing codes
+        private const val DEFAULT_API_URL = "https://remotescreen-backend.onrender.com"
+        
+        // Signaling protocol version this client speaks
+        private const val PROTOCOL_VERSION = 1
+        
+        // Longest chat message the server accepts
+        private const val MAX_CHAT_LENGTH = 2000
     }
     
     private val scope = CoroutineScope(Dispatchers.IO + SupervisorJob())
@@ -58,28 +73,132 @@ class SignalingClient @Inject constructor(
     private val _iceCandidateChannel = Channel<IceCandidate>(Channel.UNLIMITED)
     val iceCandidateFlow: Flow<IceCandidate> = _iceCandidateChannel.receiveAsFlow()
     
+    // Only the latest quality hint matters
+    private val _qualityHintChannel = Channel<QualityHint>(Channel.CONFLATED)
+    val qualityHintFlow: Flow<QualityHint> = _qualityHintChannel.receiveAsFlow()
+    
     private val _peerJoined = MutableStateFlow(false)
     val peerJoined: StateFlow<Boolean> = _peerJoined.asStateFlow()
     
     private val _peerLeft = MutableStateFlow(false)
     val peerLeft: StateFlow<Boolean> = _peerLeft.asStateFlow()
     
+    private val _joined = MutableStateFlow(false)
+    val joined: StateFlow<Boolean> = _joined.asStateFlow()
+    
+    private val _joinError = MutableStateFlow<JoinError?>(null)
+    val joinError: StateFlow<JoinError?> = _joinError.asStateFlow()
+    
+    // Target: the controller request waiting for an answer
+    private val _controlRequest = MutableStateFlow<ControlRequest?>(null)
+    val controlRequest: StateFlow<ControlRequest?> = _controlRequest.asStateFlow()
+    
+    // Controller: whether the target lets us send gestures
+    private val _controlState = MutableStateFlow(ControlState.NONE)
+    val controlState: StateFlow<ControlState> = _controlState.asStateFlow()
+    
+    // The session's conversation, oldest first
+    private val _chatMessages = MutableStateFlow<List<ChatMessage>>(emptyList())
+    val chatMessages: StateFlow<List<ChatMessage>> = _chatMessages.asStateFlow()
+    
     enum class ConnectionState {
         DISCONNECTED, CONNECTING, CONNECTED, ERROR
     }
     
+    /**
+     * Why the server refused to join us to a session, e.g.
+     * `unknown-code` or `code-expired`.
+     */
+    data class JoinError(val code: String, val message: String)
+    
+    /**
+     * A controller asking the target for control of the device.
+     */
+    data class ControlRequest(val controllerId: String, val name: String, val operator: String?)
+    
+    /**
+     * A controller asking the target to lower (or restore) its video
+     * quality. The values map onto RtpParameters.Encoding; null means
+     * no limit. Level 0 is full quality.
+     */
+    data class QualityHint(
+        val level: Int,
+        val reason: String,
+        val scaleResolutionDownBy: Double?,
+        val maxFramerate: Int?
+    )
+    
+    /**
+     * A chat message. [sentAt] (server time, ms) is null until the server
+     * acknowledges one of our own; [delivered] is set once the other side
+     * has received it.
+     */
+    data class ChatMessage(
+        val id: String,
+        val text: String,
+        val own: Boolean,
+        val name: String?,
+        val sentAt: Long?,
+        val delivered: Boolean = false
+    )
+    
+    /**
+     * Where a controller stands with the target. Controllers are view-only
+     * until the target grants control.
+     */
+    enum class ControlState {
+        NONE, PENDING, GRANTED, DENIED, REVOKED
+    }
+    
+    /**
+     * Asks the server for a new pairing code. Codes are issued by the
+     * server and expire unless a target joins with them in time.
+     * 
+     * @param apiUrl Optional custom server URL
+     * @return The issued pairing code
+     * @throws IOException if the server could not issue a code
+     */
+    suspend fun requestPairingCode(apiUrl: String = DEFAULT_API_URL): String = withContext(Dispatchers.IO) {
+        val request = Request.Builder()
+            .url("$apiUrl/pairing-codes")
+            .post(ByteArray(0).toRequestBody())
+            .build()
+        
+        okHttpClient.newCall(request).execute().use { response ->
+            if (!response.isSuccessful) {
+                throw IOException("Pairing code request failed: HTTP ${response.code}")
+            }
+            gson.fromJson(response.body?.string(), PairingCodeResponse::class.java)?.code
+                ?: throw IOException("Pairing code missing from response")
+        }
+    }
+    
     /**
      * Connects to the signaling server.
      * 
+     * Without a token we join as the target device. A controller must
+     * sign in first (see AuthRepository) and pass its operator token.
+     * 
      * @param pairingCode The session pairing code
+     * @param operatorToken Token of the signed-in operator, for the controller role
      * @param serverUrl Optional custom server URL
      */
-    fun connect(pairingCode: String, serverUrl: String = DEFAULT_SERVER_URL) {
+    fun connect(pairingCode: String, operatorToken: String? = null, serverUrl: String = DEFAULT_SERVER_URL) {
         this.pairingCode = pairingCode
         _connectionState.value = ConnectionState.CONNECTING
+        _joined.value = false
+        _joinError.value = null
+        _controlRequest.value = null
+        _controlState.value = ControlState.NONE
+        _chatMessages.value = emptyList()
         
+        val url = if (operatorToken != null) {
+            "$serverUrl?type=controller&token=$operatorToken"
+        } else {
+            serverUrl
+        }
         val request = Request.Builder()
-            .url("$serverUrl?code=$pairingCode")
+            .url(url)
             .build()
         
         webSocket = okHttpClient.newWebSocket(request, object : WebSocketListener() {
@@ -87,10 +206,12 @@ class SignalingClient @Inject constructor(
                 Log.i(TAG, "Connected to signaling server")
                 _connectionState.value = ConnectionState.CONNECTED
                 
-                // Send join message
+                // Send join message; the server answers joined or join-error
                 sendMessage(SignalingMessage(
                     type = "join",
-                    sessionId = pairingCode
+                    sessionId = pairingCode,
+                    version = PROTOCOL_VERSION,
+                    role = if (operatorToken != null) "controller" else "target"
                 ))
             }
             
@@ -109,6 +230,10 @@ class SignalingClient @Inject constructor(
             
             override fun onFailure(webSocket: WebSocket, t: Throwable, response: Response?) {
                 Log.e(TAG, "Connection failed", t)
+                if (response?.code == 401) {
+                    // The operator token expired or was never valid
+                    _joinError.value = JoinError("unauthorized", "Sign in again to connect")
+                }
                 _connectionState.value = ConnectionState.ERROR
             }
         })
@@ -122,6 +247,20 @@ class SignalingClient @Inject constructor(
             val message = gson.fromJson(text, SignalingMessage::class.java)
             
             when (message.type) {
+                "joined" -> {
+                    Log.i(TAG, "Joined session as ${message.role}")
+                    _joined.value = true
+                }
+                "join-error" -> {
+                    Log.w(TAG, "Join refused: ${message.code}")
+                    _joinError.value = JoinError(
+                        code = message.code ?: "unknown",
+                        message = message.message ?: "Could not join the session"
+                    )
+                }
+                "error" -> {
+                    Log.w(TAG, "Server error: ${message.code} ${message.message}")
+                }
                 "offer" -> {
                     message.sdp?.let { sdpString ->
                         val sdp = SessionDescription(SessionDescription.Type.OFFER, sdpString)
@@ -144,6 +283,16 @@ class SignalingClient @Inject constructor(
                         scope.launch { _iceCandidateChannel.send(candidate) }
                     }
                 }
+                "quality-hint" -> {
+                    Log.i(TAG, "Quality hint: level ${message.level} (${message.reason})")
+                    val hint = QualityHint(
+                        level = message.level ?: 0,
+                        reason = message.reason ?: "packet-loss",
+                        scaleResolutionDownBy = message.scaleResolutionDownBy,
+                        maxFramerate = message.maxFramerate
+                    )
+                    scope.launch { _qualityHintChannel.send(hint) }
+                }
                 "peer-joined" -> {
                     Log.i(TAG, "Peer joined the session!")
                     _peerJoined.value = true
@@ -152,6 +301,67 @@ class SignalingClient @Inject constructor(
                     Log.i(TAG, "Peer left the session")
                     _peerLeft.value = true
                     _peerJoined.value = false
+                    if (message.role == "controller") {
+                        _controlRequest.value = null
+                    }
+                }
+                "control-request" -> {
+                    message.controllerId?.let { controllerId ->
+                        Log.i(TAG, "Control requested by ${message.name}")
+                        _controlRequest.value = ControlRequest(
+                            controllerId = controllerId,
+                            name = message.name ?: "Operator",
+                            operator = message.operator
+                        )
+                    }
+                }
+                "control-grant" -> {
+                    Log.i(TAG, "Control granted")
+                    _controlState.value = ControlState.GRANTED
+                }
+                "control-deny" -> {
+                    Log.i(TAG, "Control denied")
+                    _controlState.value = ControlState.DENIED
+                }
+                "control-revoke" -> {
+                    Log.i(TAG, "Control revoked")
+                    _controlState.value = ControlState.REVOKED
+                }
+                "chat" -> {
+                    if (message.id != null && message.text != null && message.senderId != null) {
+                        _chatMessages.value = _chatMessages.value + ChatMessage(
+                            id = message.id,
+                            text = message.text,
+                            own = false,
+                            name = message.name,
+                            sentAt = message.sentAt
+                        )
+                        // Lets the sender know the message arrived
+                        sendMessage(SignalingMessage(
+                            type = "chat-delivered",
+                            sessionId = pairingCode,
+                            id = message.id,
+                            senderId = message.senderId
+                        ))
+                    }
+                }
+                "chat-ack" -> {
+                    updateOwnChat(message.id) { it.copy(sentAt = message.sentAt) }
+                }
+                "chat-delivered" -> {
+                    updateOwnChat(message.id) { it.copy(delivered = true) }
+                }
+                "chat-history" -> {
+                    _chatMessages.value = message.messages.orEmpty().map { entry ->
+                        ChatMessage(
+                            id = entry.id,
+                            text = entry.text,
+                            own = entry.own,
+                            name = entry.name,
+                            sentAt = entry.sentAt,
+                            delivered = entry.own
+                        )
+                    }
                 }
                 else -> {
                     Log.w(TAG, "Unknown message type: ${message.type}")
@@ -199,9 +409,96 @@ class SignalingClient @Inject constructor(
         ))
     }
     
+    /**
+     * Asks the target for control (controller only). Gestures are held
+     * back by the server until the target grants it.
+     * 
+     * @param name The name shown to the person holding the target device
+     */
+    fun requestControl(name: String) {
+        _controlState.value = ControlState.PENDING
+        sendMessage(SignalingMessage(
+            type = "control-request",
+            sessionId = pairingCode,
+            name = name
+        ))
+    }
+    
+    /**
+     * Lets a controller send gestures (target only).
+     */
+    fun grantControl(controllerId: String) {
+        sendControlAnswer("control-grant", controllerId)
+    }
+    
+    /**
+     * Turns down a controller's request (target only).
+     */
+    fun denyControl(controllerId: String) {
+        sendControlAnswer("control-deny", controllerId)
+    }
+    
+    /**
+     * Takes control back mid-session while the view stays open (target
+     * only). Without a controllerId it applies to every controller.
+     */
+    fun revokeControl(controllerId: String? = null) {
+        sendControlAnswer("control-revoke", controllerId)
+    }
+    
+    private fun sendControlAnswer(type: String, controllerId: String?) {
+        if (controllerId == null || _controlRequest.value?.controllerId == controllerId) {
+            _controlRequest.value = null
+        }
+        sendMessage(SignalingMessage(
+            type = type,
+            sessionId = pairingCode,
+            controllerId = controllerId
+        ))
+    }
+    
+    /**
+     * Sends a chat message to the other side. It shows at once and is
+     * marked sent when the server acknowledges it.
+     * 
+     * @param text The message, up to 2000 characters
+     */
+    fun sendChat(text: String) {
+        val message = ChatMessage(
+            id = UUID.randomUUID().toString(),
+            text = text.take(MAX_CHAT_LENGTH),
+            own = true,
+            name = null,
+            sentAt = null
+        )
+        _chatMessages.value = _chatMessages.value + message
+        sendMessage(SignalingMessage(
+            type = "chat",
+            sessionId = pairingCode,
+            id = message.id,
+            text = message.text
+        ))
+    }
+    
+    private fun updateOwnChat(id: String?, update: (ChatMessage) -> ChatMessage) {
+        _chatMessages.value = _chatMessages.value.map { message ->
+            if (message.own && message.id == id) update(message) else message
+        }
+    }
+    
     /**
      * Sends a message to the signaling server.
      */
+    /**
+     * Sends an already encoded message on this socket. The controller's
+     * gestures go out this way: the server grants control per socket.
+     * 
+     * @return false if the socket is not open
+     */
+    fun sendRaw(json: String): Boolean {
+        return webSocket?.send(json) ?: false
+    }
+    
     private fun sendMessage(message: SignalingMessage) {
         val json = gson.toJson(message)
         webSocket?.send(json)
@@ -215,6 +512,7 @@ class SignalingClient @Inject constructor(
         webSocket?.close(1000, "Session ended")
         webSocket = null
         _connectionState.value = ConnectionState.DISCONNECTED
+        _joined.value = false
     }
 }
 
@@ -224,8 +522,24 @@ class SignalingClient @Inject constructor(
 data class SignalingMessage(
     @SerializedName("type") val type: String,
     @SerializedName("sessionId") val sessionId: String,
+    @SerializedName("version") val version: Int? = null,
     @SerializedName("sdp") val sdp: String? = null,
-    @SerializedName("candidate") val candidate: CandidateData? = null
+    @SerializedName("candidate") val candidate: CandidateData? = null,
+    @SerializedName("role") val role: String? = null,
+    @SerializedName("code") val code: String? = null,
+    @SerializedName("message") val message: String? = null,
+    @SerializedName("controllerId") val controllerId: String? = null,
+    @SerializedName("name") val name: String? = null,
+    @SerializedName("operator") val operator: String? = null,
+    @SerializedName("level") val level: Int? = null,
+    @SerializedName("reason") val reason: String? = null,
+    @SerializedName("scaleResolutionDownBy") val scaleResolutionDownBy: Double? = null,
+    @SerializedName("maxFramerate") val maxFramerate: Int? = null,
+    @SerializedName("id") val id: String? = null,
+    @SerializedName("text") val text: String? = null,
+    @SerializedName("senderId") val senderId: String? = null,
+    @SerializedName("sentAt") val sentAt: Long? = null,
+    @SerializedName("messages") val messages: List<ChatHistoryEntry>? = null
 )
 
 /**
@@ -236,3 +550,24 @@ data class CandidateData(
     @SerializedName("sdpMid") val sdpMid: String,
     @SerializedName("sdpMLineIndex") val sdpMLineIndex: Int
 )
+
+/**
+ * A message in `chat-history`; [own] is true for messages we sent.
+ */
+data class ChatHistoryEntry(
+    @SerializedName("id") val id: String,
+    @SerializedName("text") val text: String,
+    @SerializedName("senderRole") val senderRole: String,
+    @SerializedName("name") val name: String?,
+    @SerializedName("sentAt") val sentAt: Long,
+    @SerializedName("own") val own: Boolean
+)
+
+/**
+ * Response of `POST /pairing-codes`.
+ */
+data class PairingCodeResponse(
+    @SerializedName("code") val code: String,
+    @SerializedName("expiresAt") val expiresAt: String,
+    @SerializedName("ttl") val ttl: Int
+)
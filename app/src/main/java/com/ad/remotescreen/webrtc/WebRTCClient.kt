@@ -2,6 +2,7 @@ package com.ad.remotescreen.webrtc
 
 import android.content.Context
 import android.util.Log
+import com.ad.remotescreen.capture.ScreenCaptureManager
 import com.ad.remotescreen.data.model.DeviceRole
 import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
@@ -10,6 +11,7 @@ import kotlinx.coroutines.cancel
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.update
 import kotlinx.coroutines.launch
 import org.webrtc.*
 import javax.inject.Inject
@@ -24,7 +26,8 @@ import javax.inject.Singleton
 @Singleton
 class WebRTCClient @Inject constructor(
     private val context: Context,
-    private val signalingClient: SignalingClient
+    private val signalingClient: SignalingClient,
+    private val screenCaptureManager: ScreenCaptureManager
 ) {
     companion object {
         private const val TAG = "WebRTCClient"
@@ -42,6 +45,7 @@ class WebRTCClient @Inject constructor(
     private var peerConnectionFactory: PeerConnectionFactory? = null
     private var peerConnection: PeerConnection? = null
     private var localVideoTrack: VideoTrack? = null
+    private var videoSender: RtpSender? = null
     private var videoSource: VideoSource? = null
     
     private var deviceRole: DeviceRole = DeviceRole.CONTROLLER
@@ -56,6 +60,19 @@ class WebRTCClient @Inject constructor(
     // Custom video capturer for screen frames
     private var screenCapturer: ScreenCapturer? = null
     
+    // Files to and from the controller (Target device only)
+    private var fileChannel: FileTransferChannel? = null
+    
+    private val _fileTransfers = MutableStateFlow<List<FileTransfer>>(emptyList())
+    val fileTransfers: StateFlow<List<FileTransfer>> = _fileTransfers.asStateFlow()
+    
+    /**
+     * Whether the controller may send files and take screenshots; only
+     * while it holds control.
+     */
+    @Volatile
+    var fileTransfersAllowed = false
+    
     enum class PeerConnectionState {
         NEW, CONNECTING, CONNECTED, DISCONNECTED, FAILED, CLOSED
     }
@@ -199,6 +216,9 @@ class WebRTCClient @Inject constructor(
                 
                 override fun onDataChannel(channel: DataChannel?) {
                     Log.d(TAG, "Data channel: ${channel?.label()}")
+                    if (channel != null && channel.label() == FileTransferChannel.LABEL && deviceRole == DeviceRole.TARGET) {
+                        openFileChannel(channel)
+                    }
                 }
                 
                 override fun onRenegotiationNeeded() {
@@ -230,7 +250,7 @@ class WebRTCClient @Inject constructor(
         screenCapturer = ScreenCapturer(videoSource!!)
         
         // Add track to peer connection
-        peerConnection?.addTrack(localVideoTrack, listOf("screen-stream"))
+        videoSender = peerConnection?.addTrack(localVideoTrack, listOf("screen-stream"))
         
         Log.i(TAG, "Video track created")
     }
@@ -259,6 +279,29 @@ class WebRTCClient @Inject constructor(
                 handleRemoteIceCandidate(candidate)
             }
         }
+        
+        scope.launch {
+            signalingClient.qualityHintFlow.collect { hint ->
+                Log.i(TAG, "Received quality hint via signaling")
+                applyQualityHint(hint)
+            }
+        }
+    }
+    
+    /**
+     * Lowers or restores the video encoding as the controller asked
+     * (Target device only).
+     */
+    private fun applyQualityHint(hint: SignalingClient.QualityHint) {
+        val sender = videoSender ?: return
+        val parameters = sender.parameters
+        parameters.encodings.forEach { encoding ->
+            encoding.scaleResolutionDownBy = hint.scaleResolutionDownBy ?: 1.0
+            encoding.maxFramerate = hint.maxFramerate
+        }
+        if (!sender.setParameters(parameters)) {
+            Log.w(TAG, "Could not apply quality level ${hint.level}")
+        }
     }
     
     /**
@@ -385,6 +428,38 @@ class WebRTCClient @Inject constructor(
         peerConnection?.addIceCandidate(candidate)
     }
     
+    /**
+     * Takes over the file channel the controller opened (Target device only).
+     * A renegotiated channel replaces the previous one.
+     */
+    private fun openFileChannel(channel: DataChannel) {
+        fileChannel?.close()
+        fileChannel = FileTransferChannel(
+            context,
+            channel,
+            scope,
+            isAllowed = { fileTransfersAllowed },
+            takeScreenshot = { screenCaptureManager.latestFrame() },
+            onUpdate = { transfer ->
+                _fileTransfers.update { transfers ->
+                    if (transfers.any { it.id == transfer.id }) {
+                        transfers.map { if (it.id == transfer.id) transfer else it }
+                    } else {
+                        transfers + transfer
+                    }
+                }
+            }
+        )
+        Log.i(TAG, "File channel opened")
+    }
+    
+    /**
+     * Cancels a file transfer in either direction (Target device only).
+     */
+    fun cancelFileTransfer(id: String) {
+        fileChannel?.cancel(id)
+    }
+    
     /**
      * Sends a frame to the video track (Target device only).
      */
@@ -398,9 +473,15 @@ class WebRTCClient @Inject constructor(
     fun disconnect() {
         isInitialized = false
         
+        fileTransfersAllowed = false
+        fileChannel?.close()
+        fileChannel = null
+        _fileTransfers.value = emptyList()
+        
         screenCapturer?.dispose()
         screenCapturer = null
         
+        videoSender = null
         localVideoTrack?.dispose()
         localVideoTrack = null
         
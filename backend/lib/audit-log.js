@@ -0,0 +1,192 @@
+/**
+ * Append-only session audit log, stored as JSON Lines.
+ *
+ * Every line is one event: `{ "ts": "<ISO time>", "event": "<name>", ... }`.
+ * Events of one session share its `sessionId`:
+ *
+ *   session-start   room was created
+ *   join            a client joined (role, clientType, ip, operator, resumed)
+ *   join-rejected   a join was refused (role, ip, code)
+ *   disconnect      a client dropped and may still resume
+ *   leave           a client left for good (reason)
+ *   control         a controller's control state changed (state)
+ *   spectate        a controller let a spectator in or turned it away (state, by)
+ *   admin-action    an admin terminated the room or kicked a participant
+ *   recording       an operator uploaded a recording (recordingId, operator)
+ *   session-end     room was deleted (durationMs, reason, gestureCounts)
+ *
+ * Sessions are rebuilt from the events when queried.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, '..', 'data', 'audit.jsonl');
+
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.stream = null;
+    }
+
+    /**
+     * Appends an event. Writes are buffered by the stream and never block
+     * the caller.
+     */
+    record(event, fields = {}) {
+        if (!this.stream) {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.stream = fs.createWriteStream(this.filePath, { flags: 'a', mode: 0o600 });
+            this.stream.on('error', error => console.error('Audit log write failed:', error.message));
+        }
+        this.stream.write(JSON.stringify({ ts: new Date().toISOString(), event, ...fields }) + '\n');
+    }
+
+    /**
+     * Flushes pending writes and closes the file.
+     */
+    close() {
+        return new Promise(resolve => {
+            if (!this.stream) return resolve();
+            this.stream.end(resolve);
+            this.stream = null;
+        });
+    }
+
+    /**
+     * Reads every event in the log, in order.
+     */
+    async *events() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filePath),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                // A torn final line after a crash; skip it
+            }
+        }
+    }
+
+    /**
+     * Lists sessions, newest first.
+     *
+     * @param {object} filter
+     * @param {Date} [filter.from] Sessions that started at or after this time
+     * @param {Date} [filter.to] Sessions that started before this time
+     * @param {string} [filter.code] Pairing code of the session
+     * @param {string} [filter.sessionId] Only this session
+     * @param {number} [filter.limit] Maximum number of sessions returned
+     */
+    async querySessions({ from, to, code, sessionId, limit = 100 } = {}) {
+        const sessions = new Map();
+
+        for await (const entry of this.events()) {
+            if (!entry.sessionId || (sessionId && entry.sessionId !== sessionId)) continue;
+
+            let session = sessions.get(entry.sessionId);
+            if (!session) {
+                session = {
+                    sessionId: entry.sessionId,
+                    code: entry.room,
+                    startedAt: entry.ts,
+                    endedAt: null,
+                    durationMs: null,
+                    endReason: null,
+                    participants: [],
+                    rejectedJoins: 0,
+                    controlChanges: [],
+                    spectatorAnswers: [],
+                    adminActions: [],
+                    recordings: [],
+                    gestureCounts: {}
+                };
+                sessions.set(entry.sessionId, session);
+            }
+            applyEvent(session, entry);
+        }
+
+        const fromTime = from ? from.getTime() : -Infinity;
+        const toTime = to ? to.getTime() : Infinity;
+
+        return [...sessions.values()]
+            .filter(session => {
+                const started = Date.parse(session.startedAt);
+                return started >= fromTime && started < toTime && (!code || session.code === code);
+            })
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+            .slice(0, limit);
+    }
+}
+
+function applyEvent(session, entry) {
+    switch (entry.event) {
+        case 'session-start':
+            session.startedAt = entry.ts;
+            break;
+
+        case 'join': {
+            const existing = session.participants.find(p => p.clientId === entry.clientId);
+            if (existing) {
+                existing.reconnects++;
+                break;
+            }
+            session.participants.push({
+                clientId: entry.clientId,
+                role: entry.role,
+                clientType: entry.clientType,
+                ip: entry.ip,
+                operator: entry.operator || null,
+                joinedAt: entry.ts,
+                leftAt: null,
+                leaveReason: null,
+                reconnects: 0
+            });
+            break;
+        }
+
+        case 'join-rejected':
+            session.rejectedJoins++;
+            break;
+
+        case 'leave': {
+            const participant = session.participants.find(p => p.clientId === entry.clientId);
+            if (participant) {
+                participant.leftAt = entry.ts;
+                participant.leaveReason = entry.reason;
+            }
+            break;
+        }
+
+        case 'control':
+            session.controlChanges.push({ ts: entry.ts, clientId: entry.clientId, state: entry.state });
+            break;
+
+        case 'spectate':
+            session.spectatorAnswers.push({ ts: entry.ts, clientId: entry.clientId, state: entry.state, by: entry.by });
+            break;
+
+        case 'admin-action':
+            session.adminActions.push({ ts: entry.ts, admin: entry.admin, action: entry.action, clientId: entry.clientId });
+            break;
+
+        case 'recording':
+            session.recordings.push({ ts: entry.ts, recordingId: entry.recordingId, operator: entry.operator });
+            break;
+
+        case 'session-end':
+            session.endedAt = entry.ts;
+            session.durationMs = entry.durationMs;
+            session.endReason = entry.reason;
+            session.gestureCounts = entry.gestureCounts || {};
+            break;
+    }
+}
+
+module.exports = { AuditLog, DEFAULT_AUDIT_LOG_FILE };
@@ -0,0 +1,93 @@
+/**
+ * Password hashing and signed session tokens for operator accounts.
+ *
+ * Passwords are hashed with scrypt and a per-user salt. Tokens are compact
+ * JWTs (HS256) carrying the operator's username and role.
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+/**
+ * Hashes a password for storage.
+ *
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p }, (err, hash) => {
+            if (err) return reject(err);
+            resolve(['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$'));
+        });
+    });
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ *
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+
+    const expected = Buffer.from(hash, 'base64');
+    const options = { N: Number(N), r: Number(r), p: Number(p) };
+
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, options, (err, actual) => {
+            if (err) return reject(err);
+            resolve(crypto.timingSafeEqual(actual, expected));
+        });
+    });
+}
+
+/**
+ * Signs a token that expires after `ttlSeconds`.
+ */
+function signToken(claims, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ *
+ * @returns {object | null} The token's claims, or null if it is not valid
+ */
+function verifyToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (alg !== 'HS256' || typeof claims.exp !== 'number') return null;
+        if (claims.exp <= Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken };
@@ -0,0 +1,72 @@
+/**
+ * ICE server configuration for WebRTC clients.
+ *
+ * STUN and TURN servers come from the environment. TURN credentials are
+ * either static (TURN_USERNAME / TURN_PASSWORD) or time-limited, derived
+ * from a secret shared with the TURN server using the TURN REST API scheme
+ * that coturn implements with `use-auth-secret`:
+ *
+ *   username   = "<unix expiry>:<user id>"
+ *   credential = base64(HMAC-SHA1(secret, username))
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302',
+    'stun:stun2.l.google.com:19302'
+];
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Derives a TURN REST API username/credential pair.
+ *
+ * @param {string} secret Shared secret (coturn `static-auth-secret`)
+ * @param {string} userId Label for the user; shows up in TURN server logs
+ * @param {number} ttlSeconds How long the credential stays valid
+ */
+function createTurnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+    const expiry = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential };
+}
+
+/**
+ * Builds the RTCConfiguration handed to clients by `/ice-config`.
+ *
+ * @param {object} env Usually `process.env`
+ * @param {string} userId Label for time-limited TURN credentials
+ */
+function buildIceConfig(env, userId = 'remote-assist') {
+    const ttl = parseInt(env.TURN_CREDENTIAL_TTL_SECONDS, 10) || 3600;
+    const stunUrls = env.ICE_STUN_URLS !== undefined ? parseList(env.ICE_STUN_URLS) : DEFAULT_STUN_URLS;
+    const turnUrls = parseList(env.TURN_URLS);
+
+    const iceServers = [];
+    if (stunUrls.length > 0) {
+        iceServers.push({ urls: stunUrls });
+    }
+
+    if (turnUrls.length > 0) {
+        if (env.TURN_SECRET) {
+            iceServers.push({ urls: turnUrls, ...createTurnCredentials(env.TURN_SECRET, userId, ttl) });
+        } else if (env.TURN_USERNAME) {
+            iceServers.push({ urls: turnUrls, username: env.TURN_USERNAME, credential: env.TURN_PASSWORD || '' });
+        } else {
+            console.warn('⚠️ TURN_URLS is set without TURN_SECRET or TURN_USERNAME; ignoring TURN servers');
+        }
+    }
+
+    const config = { iceServers, ttl };
+    if (env.ICE_TRANSPORT_POLICY === 'relay') {
+        config.iceTransportPolicy = 'relay';
+    }
+    return config;
+}
+
+module.exports = { buildIceConfig, createTurnCredentials };
@@ -0,0 +1,283 @@
+/**
+ * Schema of the messages clients send over /ws, by protocol version.
+ *
+ * `parseMessage()` turns a raw frame into a clean message: the JSON must
+ * parse, `type` must be known, every field must have the right type and
+ * range, and fields the schema does not know are dropped so they are never
+ * relayed. Problems are thrown as errors carrying a `code` for the client's
+ * `error` frame (and the offending `field`, if any):
+ *
+ *   invalid-json      the frame is not valid JSON
+ *   unknown-type      `type` is not a message of this protocol version
+ *   invalid-message   a field is missing, has the wrong type or is out of range
+ *
+ * Clients send `version` in their `join` message; clients that don't are
+ * treated as version 1.
+ */
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Coordinates are fractions of the target screen; times are milliseconds
+const MAX_GESTURE_DURATION_MS = 60 * 1000;
+const MAX_PATH_POINTS = 64;
+const MAX_STROKES = 10;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_SDP_LENGTH = 32 * 1024;
+const MAX_CANDIDATE_LENGTH = 2048;
+const MAX_ANNOTATION_POINTS = 256;
+const MAX_ANNOTATION_FADE_MS = 60 * 1000;
+const MAX_CHAT_LENGTH = 2000;
+
+const KEYS = ['Enter', 'Backspace', 'Delete', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const MULTITOUCH_KINDS = ['pinch-in', 'pinch-out', 'rotate', 'swipe', 'multi'];
+const ANNOTATION_COLORS = ['#ef4444', '#facc15', '#22c55e', '#3b82f6'];
+
+function invalid(code, message, field) {
+    return Object.assign(new Error(message), { code, field });
+}
+
+// Field checks: each returns the clean value or throws invalid-message
+
+function string({ min = 0, max }) {
+    return (value, field) => {
+        if (typeof value !== 'string') throw invalid('invalid-message', `${field} must be a string`, field);
+        if (value.length < min || value.length > max) {
+            throw invalid('invalid-message', `${field} must be ${min}-${max} characters`, field);
+        }
+        return value;
+    };
+}
+
+function number({ min, max, integer = false }) {
+    return (value, field) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+            throw invalid('invalid-message', `${field} must be ${integer ? 'an integer' : 'a number'}`, field);
+        }
+        if (value < min || value > max) {
+            throw invalid('invalid-message', `${field} must be between ${min} and ${max}`, field);
+        }
+        return value;
+    };
+}
+
+function oneOf(values) {
+    return (value, field) => {
+        if (!values.includes(value)) {
+            throw invalid('invalid-message', `${field} must be one of: ${values.join(', ')}`, field);
+        }
+        return value;
+    };
+}
+
+function arrayOf(item, { min, max }) {
+    return (value, field) => {
+        if (!Array.isArray(value)) throw invalid('invalid-message', `${field} must be an array`, field);
+        if (value.length < min || value.length > max) {
+            throw invalid('invalid-message', `${field} must have ${min}-${max} items`, field);
+        }
+        return value.map((element, i) => item(element, `${field}[${i}]`));
+    };
+}
+
+function object(fields) {
+    return (value, field) => {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            throw invalid('invalid-message', `${field} must be an object`, field);
+        }
+        return pick(value, fields, `${field}.`);
+    };
+}
+
+/**
+ * Looks up a client-chosen name (a type or action) in a table of schemas,
+ * never in what the table inherits (`constructor`, `toString`...).
+ */
+function lookup(table, name) {
+    return Object.hasOwn(table, name) ? table[name] : undefined;
+}
+
+function optional(check) {
+    check.optional = true;
+    return check;
+}
+
+function nullable(check) {
+    return (value, field) => (value === null ? null : check(value, field));
+}
+
+/**
+ * Copies the known fields of `value`, checked; unknown fields are dropped.
+ */
+function pick(value, fields, prefix = '') {
+    const clean = {};
+    Object.entries(fields).forEach(([name, check]) => {
+        if (value[name] === undefined) {
+            if (!check.optional) throw invalid('invalid-message', `${prefix}${name} is required`, `${prefix}${name}`);
+            return;
+        }
+        clean[name] = check(value[name], `${prefix}${name}`);
+    });
+    return clean;
+}
+
+const coordinate = number({ min: 0, max: 1 });
+const delta = number({ min: -1, max: 1 });
+const duration = number({ min: 1, max: MAX_GESTURE_DURATION_MS });
+const offset = number({ min: 0, max: MAX_GESTURE_DURATION_MS });
+const point = object({ x: coordinate, y: coordinate, t: offset });
+
+const sdpMid = optional(nullable(string({ max: 64 })));
+const sdpMLineIndex = optional(nullable(number({ min: 0, max: 1023, integer: true })));
+const candidateObject = object({ candidate: string({ max: MAX_CANDIDATE_LENGTH }), sdpMid, sdpMLineIndex });
+
+/**
+ * The web controller sends the candidate line with `sdpMid` and
+ * `sdpMLineIndex` beside it; the Android app nests all three in `candidate`.
+ */
+function iceCandidate(value, field) {
+    return typeof value === 'string'
+        ? string({ max: MAX_CANDIDATE_LENGTH })(value, field)
+        : candidateObject(value, field);
+}
+
+// Parameters of each gesture action (see "Gesture Actions" in the README)
+const GESTURE_PARAMS = {
+    tap: { x: coordinate, y: coordinate },
+    longpress: { x: coordinate, y: coordinate, duration },
+    swipe: { startX: coordinate, startY: coordinate, endX: coordinate, endY: coordinate, duration },
+    scroll: { startX: coordinate, startY: coordinate, deltaX: delta, deltaY: delta, duration },
+    drag: { points: arrayOf(point, { min: 2, max: MAX_PATH_POINTS }), duration },
+    multitouch: {
+        strokes: arrayOf(object({
+            startTime: offset,
+            duration,
+            points: arrayOf(point, { min: 1, max: MAX_PATH_POINTS })
+        }), { min: 2, max: MAX_STROKES }),
+        duration,
+        kind: optional(oneOf(MULTITOUCH_KINDS))
+    },
+    text: { text: string({ min: 1, max: MAX_TEXT_LENGTH }) },
+    key: { key: oneOf(KEYS) },
+    back: {},
+    home: {},
+    recents: {}
+};
+const gestureAction = oneOf(Object.keys(GESTURE_PARAMS));
+
+// Parameters of each annotation action (see "Annotations" in the README)
+const annotationMark = {
+    id: string({ min: 1, max: 64 }),
+    color: oneOf(ANNOTATION_COLORS),
+    fadeMs: number({ min: 500, max: MAX_ANNOTATION_FADE_MS, integer: true })
+};
+const ANNOTATION_PARAMS = {
+    stroke: { ...annotationMark, points: arrayOf(object({ x: coordinate, y: coordinate }), { min: 1, max: MAX_ANNOTATION_POINTS }) },
+    arrow: { ...annotationMark, startX: coordinate, startY: coordinate, endX: coordinate, endY: coordinate },
+    laser: { x: coordinate, y: coordinate },
+    'laser-end': {},
+    clear: {}
+};
+const annotationAction = oneOf(Object.keys(ANNOTATION_PARAMS));
+
+// Room fields any message may carry (the Android app sends `sessionId`)
+const ROOM_FIELDS = {
+    room: optional(string({ min: 1, max: 32 })),
+    sessionId: optional(string({ min: 1, max: 32 }))
+};
+
+const CONTROL_ANSWER = { controllerId: optional(string({ min: 1, max: 64 })) };
+
+// Video encoding a controller asks the target for (RTCRtpEncodingParameters)
+const QUALITY_HINT = {
+    reason: oneOf(['packet-loss', 'recovered']),
+    level: number({ min: 0, max: 10, integer: true }),
+    packetLoss: optional(number({ min: 0, max: 1 })),
+    scaleResolutionDownBy: optional(number({ min: 1, max: 16 })),
+    maxFramerate: optional(number({ min: 1, max: 60 }))
+};
+
+const SPECTATOR_ID = string({ min: 1, max: 64 });
+
+// Chat messages are named by the sender's own `id`, unique per sender
+const CHAT_ID = string({ min: 1, max: 64 });
+
+// Message fields by protocol version and type
+const SCHEMAS = {
+    1: {
+        'join': {
+            version: optional(number({ min: 1, max: 1000, integer: true })),
+            role: optional(oneOf(['target', 'controller', 'spectator'])),
+            resumeToken: optional(string({ min: 1, max: 128 }))
+        },
+        'offer': { sdp: string({ min: 1, max: MAX_SDP_LENGTH }) },
+        'answer': { sdp: string({ min: 1, max: MAX_SDP_LENGTH }) },
+        'ice-candidate': { candidate: iceCandidate, sdpMid, sdpMLineIndex },
+        'gesture': { action: gestureAction },
+        'annotation': { action: annotationAction },
+        'heartbeat': {},
+        'control-request': { name: optional(string({ max: 200 })) },
+        'control-grant': CONTROL_ANSWER,
+        'control-deny': CONTROL_ANSWER,
+        'control-revoke': CONTROL_ANSWER,
+        'quality-hint': QUALITY_HINT,
+        'chat': { id: CHAT_ID, text: string({ min: 1, max: MAX_CHAT_LENGTH }) },
+        'chat-delivered': { id: CHAT_ID, senderId: string({ min: 1, max: 64 }) },
+        'spectate-grant': { spectatorId: SPECTATOR_ID },
+        'spectate-deny': { spectatorId: SPECTATOR_ID },
+        // Spectators leave out `spectatorId`; the server fills in their own
+        'spectate-offer': { spectatorId: SPECTATOR_ID, sdp: string({ min: 1, max: MAX_SDP_LENGTH }) },
+        'spectate-answer': { sdp: string({ min: 1, max: MAX_SDP_LENGTH }) },
+        'spectate-candidate': { spectatorId: optional(SPECTATOR_ID), candidate: iceCandidate, sdpMid, sdpMLineIndex }
+    }
+};
+
+/**
+ * Parses and validates one frame.
+ *
+ * @param {Buffer | string} data The raw frame
+ * @param {number} [version] Protocol version the socket joined with
+ * @returns {object} The message, with only the fields its schema knows
+ */
+function parseMessage(data, version = PROTOCOL_VERSION) {
+    let raw;
+    try {
+        raw = JSON.parse(data.toString());
+    } catch (error) {
+        throw invalid('invalid-json', 'Message is not valid JSON');
+    }
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        throw invalid('invalid-message', 'Message must be a JSON object');
+    }
+    if (typeof raw.type !== 'string') {
+        throw invalid('invalid-message', 'type is required', 'type');
+    }
+
+    const schema = lookup(SCHEMAS[version], raw.type);
+    if (!schema) {
+        throw invalid('unknown-type', `Unknown message type: ${raw.type.slice(0, 64)}`, 'type');
+    }
+
+    const message = { type: raw.type, ...pick(raw, ROOM_FIELDS), ...pick(raw, schema) };
+    if (raw.type === 'gesture') {
+        Object.assign(message, pick(raw, lookup(GESTURE_PARAMS, message.action)));
+    } else if (raw.type === 'annotation') {
+        Object.assign(message, pick(raw, lookup(ANNOTATION_PARAMS, message.action)));
+    }
+    return message;
+}
+
+/**
+ * Validates a gesture's action and parameters outside of a message (e.g.
+ * the gesture log of a recording).
+ *
+ * @param {object} value `{ action, ...params }`
+ * @param {string} [field] Name of the value in error messages
+ * @returns {object} The gesture, with only the fields its action knows
+ */
+function parseGesture(value, field = 'gesture') {
+    const gesture = object({ action: gestureAction })(value, field);
+    return { ...gesture, ...pick(value, lookup(GESTURE_PARAMS, gesture.action), `${field}.`) };
+}
+
+module.exports = { PROTOCOL_VERSION, SUPPORTED_VERSIONS, MAX_TEXT_LENGTH, parseMessage, parseGesture };
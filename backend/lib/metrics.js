@@ -0,0 +1,158 @@
+/**
+ * Minimal Prometheus metrics registry, rendered in the text exposition
+ * format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ *
+ * Counters and histograms are updated as things happen. Gauges are read
+ * when the registry is rendered, from a `collect` callback that returns
+ * `[{ labels, value }]`.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * One time series per distinct label set.
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Map<labelKey, { labels: object, ... }>
+        this.series = new Map();
+    }
+
+    getSeries(labels, create) {
+        const key = this.labelNames.map(label => String(labels[label] ?? '')).join('\u0000');
+        let series = this.series.get(key);
+        if (!series) {
+            series = create(labels);
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+        // An unlabelled counter reports 0 before its first increment
+        if (this.labelNames.length === 0) this.inc({}, 0);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ labels, value: 0 })).value += amount;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+        });
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {() => Array<{ labels?: object, value: number }>} collect Read on every render
+     */
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = this.header();
+        this.collect().forEach(({ labels = {}, value }) => {
+            lines.push(`${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+        });
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        if (this.labelNames.length === 0) this.getSeries({}, labels => this.emptySeries(labels));
+    }
+
+    emptySeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => this.emptySeries(labels));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, { le: String(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, { le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * @returns {string} Every metric in the text exposition format
+     */
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+function formatLabels(labelNames, labels, extra = {}) {
+    const pairs = labelNames
+        .map(label => [label, labels[label] ?? ''])
+        .concat(Object.entries(extra))
+        .map(([label, value]) => `${label}="${escapeLabelValue(String(value))}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+    return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+module.exports = { MetricsRegistry };
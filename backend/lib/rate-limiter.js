@@ -0,0 +1,62 @@
+/**
+ * Fixed-window rate limiter keyed by an arbitrary string (IP, socket id...).
+ *
+ * Each key may be hit `limit` times per `windowMs`. Expired windows are
+ * dropped by `prune()`, which the owner is expected to call periodically.
+ */
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        // Map<key, { count: number, resetAt: number }>
+        this.windows = new Map();
+    }
+
+    /**
+     * Records a hit for the key.
+     *
+     * @returns {boolean} true if the hit is within the limit
+     */
+    hit(key) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        return window.count <= this.limit;
+    }
+
+    /**
+     * Seconds until the key's current window resets (0 if it has none).
+     */
+    retryAfter(key) {
+        const window = this.windows.get(key);
+        if (!window) return 0;
+        return Math.max(0, Math.ceil((window.resetAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Forgets the key's current window.
+     */
+    reset(key) {
+        this.windows.delete(key);
+    }
+
+    /**
+     * Drops windows that have already reset.
+     */
+    prune() {
+        const now = Date.now();
+        this.windows.forEach((window, key) => {
+            if (now >= window.resetAt) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = { RateLimiter };
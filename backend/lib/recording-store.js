@@ -0,0 +1,177 @@
+/**
+ * Session recordings uploaded by the web controller, stored per session:
+ *
+ *   <dir>/<sessionId>/<id>.json            metadata (operator, times, video info)
+ *   <dir>/<sessionId>/<id>.gestures.json   timestamped gestures sent while recording
+ *   <dir>/<sessionId>/<id>.webm|.mp4       the screen video
+ *
+ * A recording is created with its metadata and gestures first; the video is
+ * uploaded to it afterwards, once.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'data', 'recordings');
+
+class RecordingStore {
+    constructor(dir) {
+        this.dir = dir;
+        // Ids of recordings whose video is being written by this process
+        this.uploading = new Set();
+    }
+
+    filePath(sessionId, id, suffix) {
+        return path.join(this.dir, sessionId, `${id}${suffix}`);
+    }
+
+    /**
+     * Stores a new recording's metadata and gestures.
+     *
+     * @param {object} meta `{ id, sessionId, room, operator, startedAt, durationMs, mimeType }`
+     * @param {object[]} gestures `[{ t, action, ...params }]`, `t` in ms from the video start
+     */
+    async create(meta, gestures) {
+        const recording = {
+            ...meta,
+            gestureCount: gestures.length,
+            videoFile: null,
+            videoBytes: null,
+            createdAt: new Date().toISOString()
+        };
+        await fs.promises.mkdir(path.join(this.dir, meta.sessionId), { recursive: true });
+        await writeJson(this.filePath(meta.sessionId, meta.id, '.gestures.json'), gestures);
+        await writeJson(this.filePath(meta.sessionId, meta.id, '.json'), recording);
+        return recording;
+    }
+
+    /**
+     * @returns {Promise<object | null>} The recording's metadata, or null if unknown
+     */
+    async get(sessionId, id) {
+        return readJson(this.filePath(sessionId, id, '.json'));
+    }
+
+    async getGestures(sessionId, id) {
+        return (await readJson(this.filePath(sessionId, id, '.gestures.json'))) || [];
+    }
+
+    /**
+     * @returns {boolean} true while this process is writing the recording's video
+     */
+    isUploading(recording) {
+        return this.uploading.has(recording.id);
+    }
+
+    /**
+     * Writes the recording's video from a stream (an upload request). Each
+     * upload writes a temporary file of its own, so concurrent uploads never
+     * interleave.
+     *
+     * @returns {Promise<object>} The updated metadata
+     * @throws An error with `status` 413 if the video exceeds `maxBytes`
+     */
+    async saveVideo(recording, input, maxBytes) {
+        this.uploading.add(recording.id);
+        try {
+            return await this.writeVideo(recording, input, maxBytes);
+        } finally {
+            this.uploading.delete(recording.id);
+        }
+    }
+
+    async writeVideo(recording, input, maxBytes) {
+        const extension = recording.mimeType.startsWith('video/mp4') ? '.mp4' : '.webm';
+        const videoPath = this.filePath(recording.sessionId, recording.id, extension);
+        const tmpPath = `${videoPath}.${crypto.randomUUID()}.tmp`;
+
+        let bytes = 0;
+        const limit = new Transform({
+            transform(chunk, encoding, callback) {
+                bytes += chunk.length;
+                if (bytes > maxBytes) {
+                    callback(Object.assign(new Error('Recording too large'), { status: 413 }));
+                    return;
+                }
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(input, limit, fs.createWriteStream(tmpPath, { mode: 0o600 }));
+        } catch (error) {
+            await fs.promises.rm(tmpPath, { force: true });
+            throw error;
+        }
+        await fs.promises.rename(tmpPath, videoPath);
+
+        const updated = { ...recording, videoFile: path.basename(videoPath), videoBytes: bytes };
+        await writeJson(this.filePath(recording.sessionId, recording.id, '.json'), updated);
+        return updated;
+    }
+
+    videoPath(recording) {
+        return path.join(this.dir, recording.sessionId, recording.videoFile);
+    }
+
+    /**
+     * Lists recordings, newest first.
+     *
+     * @param {object} filter
+     * @param {string} [filter.sessionId] Only this session's recordings
+     * @param {number} [filter.limit] Maximum number of recordings returned
+     */
+    async list({ sessionId, limit = 100 } = {}) {
+        let sessionIds;
+        try {
+            sessionIds = sessionId ? [sessionId] : await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const recordings = [];
+        for (const session of sessionIds) {
+            // Never look outside the recordings directory
+            const sessionDir = path.resolve(this.dir, session);
+            if (path.dirname(sessionDir) !== path.resolve(this.dir)) continue;
+            let files;
+            try {
+                files = await fs.promises.readdir(sessionDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            for (const file of files) {
+                if (!file.endsWith('.json') || file.endsWith('.gestures.json')) continue;
+                const recording = await readJson(path.join(sessionDir, file));
+                if (recording) recordings.push(recording);
+            }
+        }
+
+        return recordings
+            .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+            .slice(0, limit);
+    }
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Write then rename so a crash never leaves a half-written file
+async function writeJson(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(value), { mode: 0o600 });
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+module.exports = { RecordingStore, DEFAULT_RECORDINGS_DIR };
@@ -0,0 +1,246 @@
+/**
+ * Room bus backed by Redis, for running several server instances.
+ *
+ * Keys (all under `keyPrefix`, default `remote-assist:`):
+ *
+ *   code:<code>             pairing code entry (JSON, with its TTL)
+ *   rooms                   set of live room ids
+ *   room:<id>               room metadata (JSON)
+ *   room:<id>:members       hash of member id -> member (JSON)
+ *   room:<id>:removed       set of operators barred from the room
+ *   room:<id>:gestures      hash of gesture action -> count
+ *   room:<id>:chat          list of chat messages (JSON), oldest first
+ *   lock:<name>             token of the lock's holder (with a TTL)
+ *
+ * Room messages are published on the channel `room:<id>`. Room keys expire
+ * after `ROOM_KEY_TTL_SECONDS` without writes, so rooms of a crashed
+ * instance do not linger forever.
+ *
+ * See ./room-bus for the interface.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('redis');
+
+const ROOM_KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// How often a waiting withLock() retries, and when it gives up
+const LOCK_RETRY_MS = 20;
+const LOCK_WAIT_MS = 10 * 1000;
+
+// Frees a lock only if it still holds our token, not a later holder's
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+class RedisRoomBus {
+    constructor(url, { keyPrefix = 'remote-assist:' } = {}) {
+        this.prefix = keyPrefix;
+        this.client = createClient({ url });
+        // Subscribed connections cannot run other commands
+        this.subscriber = this.client.duplicate();
+        // Room ids this instance is subscribed to
+        this.subscribed = new Set();
+
+        this.client.on('error', error => console.error('Redis error:', error.message));
+        this.subscriber.on('error', error => console.error('Redis subscriber error:', error.message));
+    }
+
+    async connect() {
+        await Promise.all([this.client.connect(), this.subscriber.connect()]);
+    }
+
+    // false while either connection is down and reconnecting
+    isReady() {
+        return this.client.isReady && this.subscriber.isReady;
+    }
+
+    async close() {
+        await Promise.all([this.client.close(), this.subscriber.close()]);
+    }
+
+    key(...parts) {
+        return this.prefix + parts.join(':');
+    }
+
+    roomKeys(roomId) {
+        return [
+            this.key('room', roomId),
+            this.key('room', roomId, 'members'),
+            this.key('room', roomId, 'removed'),
+            this.key('room', roomId, 'gestures'),
+            this.key('room', roomId, 'chat')
+        ];
+    }
+
+    // Pairing codes
+
+    async createPairingCode(entry, ttlMs) {
+        const reply = await this.client.set(this.key('code', entry.code), JSON.stringify(entry), {
+            condition: 'NX',
+            ...(ttlMs === null ? {} : { expiration: { type: 'PX', value: Math.max(1, Math.ceil(ttlMs)) } })
+        });
+        return reply === 'OK';
+    }
+
+    async setPairingCode(entry, ttlMs) {
+        await this.client.set(this.key('code', entry.code), JSON.stringify(entry),
+            ttlMs === null ? {} : { expiration: { type: 'PX', value: Math.max(1, Math.ceil(ttlMs)) } });
+    }
+
+    async getPairingCode(code) {
+        const value = await this.client.get(this.key('code', code));
+        return value ? JSON.parse(value) : null;
+    }
+
+    // Rooms
+
+    async createRoom(roomId, meta) {
+        const reply = await this.client.set(this.key('room', roomId), JSON.stringify(meta), {
+            condition: 'NX',
+            expiration: { type: 'EX', value: ROOM_KEY_TTL_SECONDS }
+        });
+        if (reply !== 'OK') return false;
+        await this.client.sAdd(this.key('rooms'), roomId);
+        return true;
+    }
+
+    async getRoom(roomId) {
+        const [metaKey, membersKey, removedKey, gesturesKey, chatKey] = this.roomKeys(roomId);
+        const [meta, members, removedOperators, gestureCounts, chat] = await this.client.multi()
+            .get(metaKey)
+            .hGetAll(membersKey)
+            .sMembers(removedKey)
+            .hGetAll(gesturesKey)
+            .lRange(chatKey, 0, -1)
+            .exec();
+
+        if (!meta) return null;
+        return {
+            id: roomId,
+            ...JSON.parse(meta),
+            members: Object.values(members).map(member => JSON.parse(member)),
+            removedOperators,
+            gestureCounts: Object.fromEntries(
+                Object.entries(gestureCounts).map(([action, count]) => [action, Number(count)])
+            ),
+            chat: chat.map(message => JSON.parse(message))
+        };
+    }
+
+    async listRooms() {
+        const roomIds = await this.client.sMembers(this.key('rooms'));
+        // Drop ids whose room keys have expired
+        const alive = await Promise.all(roomIds.map(roomId => this.client.exists(this.key('room', roomId))));
+        const stale = roomIds.filter((roomId, i) => !alive[i]);
+        if (stale.length > 0) {
+            await this.client.sRem(this.key('rooms'), stale);
+        }
+        return roomIds.filter((roomId, i) => alive[i]);
+    }
+
+    async deleteRoom(roomId) {
+        const [deleted] = await this.client.multi()
+            .del(this.key('room', roomId))
+            .del(this.roomKeys(roomId).slice(1))
+            .sRem(this.key('rooms'), roomId)
+            .exec();
+        return deleted > 0;
+    }
+
+    async setMember(roomId, member) {
+        const multi = this.client.multi()
+            .hSet(this.key('room', roomId, 'members'), member.id, JSON.stringify(member));
+        this.roomKeys(roomId).forEach(key => multi.expire(key, ROOM_KEY_TTL_SECONDS));
+        await multi.exec();
+    }
+
+    async removeMember(roomId, memberId) {
+        const membersKey = this.key('room', roomId, 'members');
+        const [, remaining] = await this.client.multi()
+            .hDel(membersKey, memberId)
+            .hLen(membersKey)
+            .exec();
+        return remaining;
+    }
+
+    async addRemovedOperator(roomId, operator) {
+        const removedKey = this.key('room', roomId, 'removed');
+        await this.client.multi()
+            .sAdd(removedKey, operator)
+            .expire(removedKey, ROOM_KEY_TTL_SECONDS)
+            .exec();
+    }
+
+    async countGesture(roomId, action) {
+        const gesturesKey = this.key('room', roomId, 'gestures');
+        await this.client.multi()
+            .hIncrBy(gesturesKey, action, 1)
+            .expire(gesturesKey, ROOM_KEY_TTL_SECONDS)
+            .exec();
+    }
+
+    async addChatMessage(roomId, message, limit) {
+        const chatKey = this.key('room', roomId, 'chat');
+        await this.client.multi()
+            .rPush(chatKey, JSON.stringify(message))
+            .lTrim(chatKey, -limit, -1)
+            .expire(chatKey, ROOM_KEY_TTL_SECONDS)
+            .exec();
+    }
+
+    // Locks
+
+    async withLock(name, ttlMs, task) {
+        const lockKey = this.key('lock', name);
+        const token = crypto.randomUUID();
+        const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+        for (;;) {
+            const reply = await this.client.set(lockKey, token, {
+                condition: 'NX',
+                expiration: { type: 'PX', value: ttlMs }
+            });
+            if (reply === 'OK') break;
+            if (Date.now() >= giveUpAt) {
+                throw new Error(`Timed out waiting for lock ${name}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+
+        try {
+            return await task();
+        } finally {
+            // Left to expire if this fails
+            await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] })
+                .catch(error => console.error('Redis lock release failed:', error.message));
+        }
+    }
+
+    // Room messages
+
+    async subscribe(roomId, handler) {
+        if (this.subscribed.has(roomId)) return;
+        this.subscribed.add(roomId);
+        await this.subscriber.subscribe(this.key('room', roomId), (message) => {
+            try {
+                handler(JSON.parse(message));
+            } catch (error) {
+                console.error('Room bus handler failed:', error.message);
+            }
+        });
+    }
+
+    async unsubscribe(roomId) {
+        if (!this.subscribed.delete(roomId)) return;
+        await this.subscriber.unsubscribe(this.key('room', roomId));
+    }
+
+    async publish(roomId, envelope) {
+        await this.client.publish(this.key('room', roomId), JSON.stringify(envelope));
+    }
+}
+
+module.exports = { RedisRoomBus };
@@ -0,0 +1,282 @@
+/**
+ * Room bus: the room state and messages that server instances share.
+ *
+ * server.js only keeps its own sockets in memory. Everything a target and a
+ * controller on different instances must agree on goes through the bus:
+ *
+ *   pairing codes   issued on one instance, joined on another
+ *   rooms           metadata, members, removed operators, gesture counts,
+ *                   chat history
+ *   room messages   published to every instance subscribed to the room
+ *   locks           held by one instance at a time
+ *
+ * Members are plain JSON records ({ id, role, type, operator, name,
+ * control, resumeToken, status, instance, ... }); every read returns a
+ * copy. All methods except isReady() are async.
+ *
+ * MemoryRoomBus serves a single instance. Several MemoryRoomBus objects
+ * sharing one MemoryHub behave like instances sharing one Redis, which is
+ * the in-process fake for exercising multi-instance behaviour.
+ * RedisRoomBus (./redis-room-bus) is the implementation for real clusters.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * State shared by the MemoryRoomBus instances attached to it.
+ */
+class MemoryHub {
+    constructor() {
+        // Map<code, { entry: object, expiresAt: number | null }>
+        this.codes = new Map();
+        // Map<roomId, { meta: object, members: Map<id, member>, removedOperators: Set<string>, gestureCounts: object, chat: object[] }>
+        this.rooms = new Map();
+        // Tail of each lock's queue of tasks: Map<name, Promise>
+        this.locks = new Map();
+        this.channels = new EventEmitter();
+        this.channels.setMaxListeners(0);
+
+        this.pruneTimer = setInterval(() => this.pruneCodes(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    pruneCodes() {
+        const now = Date.now();
+        this.codes.forEach((stored, code) => {
+            if (stored.expiresAt !== null && now >= stored.expiresAt) {
+                this.codes.delete(code);
+            }
+        });
+    }
+}
+
+class MemoryRoomBus {
+    /**
+     * @param {MemoryHub} [hub] Share a hub to simulate several instances
+     */
+    constructor(hub = new MemoryHub()) {
+        this.hub = hub;
+        // Map<roomId, listener>
+        this.subscriptions = new Map();
+    }
+
+    async connect() {}
+
+    /**
+     * @returns {boolean} true while the bus can serve requests
+     */
+    isReady() {
+        return true;
+    }
+
+    async close() {
+        this.subscriptions.forEach((listener, roomId) => {
+            this.hub.channels.off(roomId, listener);
+        });
+        this.subscriptions.clear();
+    }
+
+    // Pairing codes
+
+    /**
+     * Stores a new pairing code.
+     *
+     * @param {object} entry `{ code, state, expiresAt, ... }`
+     * @param {number | null} ttlMs Drop the code after this long (null keeps it)
+     * @returns {Promise<boolean>} false if the code already exists
+     */
+    async createPairingCode(entry, ttlMs) {
+        if (await this.getPairingCode(entry.code)) return false;
+        await this.setPairingCode(entry, ttlMs);
+        return true;
+    }
+
+    /**
+     * Creates or replaces a pairing code.
+     */
+    async setPairingCode(entry, ttlMs) {
+        this.hub.codes.set(entry.code, {
+            entry: structuredClone(entry),
+            expiresAt: ttlMs === null ? null : Date.now() + ttlMs
+        });
+    }
+
+    /**
+     * @returns {Promise<object | null>} The code's entry, or null if unknown
+     */
+    async getPairingCode(code) {
+        const stored = this.hub.codes.get(code);
+        if (!stored) return null;
+        if (stored.expiresAt !== null && Date.now() >= stored.expiresAt) {
+            this.hub.codes.delete(code);
+            return null;
+        }
+        return structuredClone(stored.entry);
+    }
+
+    // Rooms
+
+    /**
+     * Creates a room.
+     *
+     * @param {string} roomId
+     * @param {object} meta `{ sessionId, createdAt }`
+     * @returns {Promise<boolean>} false if the room already exists
+     */
+    async createRoom(roomId, meta) {
+        if (this.hub.rooms.has(roomId)) return false;
+        this.hub.rooms.set(roomId, {
+            meta: structuredClone(meta),
+            members: new Map(),
+            removedOperators: new Set(),
+            gestureCounts: {},
+            chat: []
+        });
+        return true;
+    }
+
+    /**
+     * @returns {Promise<{ id, sessionId, createdAt, members: object[], removedOperators: string[], gestureCounts: object, chat: object[] } | null>}
+     */
+    async getRoom(roomId) {
+        const room = this.hub.rooms.get(roomId);
+        if (!room) return null;
+        return structuredClone({
+            id: roomId,
+            ...room.meta,
+            members: [...room.members.values()],
+            removedOperators: [...room.removedOperators],
+            gestureCounts: room.gestureCounts,
+            chat: room.chat
+        });
+    }
+
+    /**
+     * @returns {Promise<string[]>} Ids of every live room
+     */
+    async listRooms() {
+        return [...this.hub.rooms.keys()];
+    }
+
+    /**
+     * Deletes a room and everything stored with it.
+     *
+     * @returns {Promise<boolean>} false if the room was already gone
+     */
+    async deleteRoom(roomId) {
+        return this.hub.rooms.delete(roomId);
+    }
+
+    /**
+     * Adds a member to a room or replaces it (matched by `member.id`).
+     */
+    async setMember(roomId, member) {
+        this.hub.rooms.get(roomId)?.members.set(member.id, structuredClone(member));
+    }
+
+    /**
+     * Removes a member from a room.
+     *
+     * @returns {Promise<number>} How many members are left
+     */
+    async removeMember(roomId, memberId) {
+        const room = this.hub.rooms.get(roomId);
+        if (!room) return 0;
+        room.members.delete(memberId);
+        return room.members.size;
+    }
+
+    /**
+     * Bars an operator from rejoining a room.
+     */
+    async addRemovedOperator(roomId, operator) {
+        this.hub.rooms.get(roomId)?.removedOperators.add(operator);
+    }
+
+    /**
+     * Tallies a relayed gesture by action.
+     */
+    async countGesture(roomId, action) {
+        const room = this.hub.rooms.get(roomId);
+        if (!room) return;
+        room.gestureCounts[action] = (room.gestureCounts[action] || 0) + 1;
+    }
+
+    /**
+     * Appends a chat message to the room's history, keeping the latest `limit`.
+     */
+    async addChatMessage(roomId, message, limit) {
+        const room = this.hub.rooms.get(roomId);
+        if (!room) return;
+        room.chat.push(structuredClone(message));
+        room.chat.splice(0, room.chat.length - limit);
+    }
+
+    // Locks
+
+    /**
+     * Runs `task` while holding the lock `name`. Tasks on every bus sharing
+     * the hub (or the Redis server) wait their turn.
+     *
+     * @param {string} name
+     * @param {number} ttlMs Frees the lock of a holder that died; unused here,
+     *   since a holder cannot die without its hub
+     * @param {Function} task
+     * @returns {Promise<*>} What `task` returns
+     */
+    async withLock(name, ttlMs, task) {
+        const previous = this.hub.locks.get(name) || Promise.resolve();
+        const result = previous.then(task);
+        const tail = result.catch(() => {});
+        this.hub.locks.set(name, tail);
+        tail.then(() => {
+            if (this.hub.locks.get(name) === tail) this.hub.locks.delete(name);
+        });
+        return result;
+    }
+
+    // Room messages
+
+    /**
+     * Calls `handler(envelope)` for every envelope published to the room,
+     * including this instance's own. One handler per room and bus.
+     */
+    async subscribe(roomId, handler) {
+        if (this.subscriptions.has(roomId)) return;
+        // Delivered asynchronously, in publish order, like Redis pub/sub
+        const listener = (envelope) => queueMicrotask(() => {
+            try {
+                handler(structuredClone(envelope));
+            } catch (error) {
+                console.error('Room bus handler failed:', error.message);
+            }
+        });
+        this.subscriptions.set(roomId, listener);
+        this.hub.channels.on(roomId, listener);
+    }
+
+    async unsubscribe(roomId) {
+        const listener = this.subscriptions.get(roomId);
+        if (!listener) return;
+        this.subscriptions.delete(roomId);
+        this.hub.channels.off(roomId, listener);
+    }
+
+    async publish(roomId, envelope) {
+        this.hub.channels.emit(roomId, envelope);
+    }
+}
+
+/**
+ * Picks the bus from the environment: Redis when `REDIS_URL` is set,
+ * otherwise in-memory (single instance).
+ */
+function createRoomBus(env) {
+    if (env.REDIS_URL) {
+        const { RedisRoomBus } = require('./redis-room-bus');
+        return new RedisRoomBus(env.REDIS_URL, { keyPrefix: env.REDIS_KEY_PREFIX });
+    }
+    return new MemoryRoomBus();
+}
+
+module.exports = { MemoryHub, MemoryRoomBus, createRoomBus };
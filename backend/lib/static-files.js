@@ -0,0 +1,202 @@
+/**
+ * Static file serving for the web pages in public/.
+ *
+ * - Paths are decoded and normalized, and must stay inside the root;
+ *   dotfiles are never served
+ * - Extensionless routes fall back to index.html (client-side routing);
+ *   missing files with an extension are a plain 404
+ * - ETag and Last-Modified, answered with 304 when the client is current
+ * - Brotli or gzip for text types, compressed once per file version and
+ *   kept in memory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+// Smaller files are not worth compressing
+const COMPRESS_MIN_BYTES = 1024;
+
+// Supported encodings in order of preference
+const ENCODINGS = {
+    br: util.promisify(zlib.brotliCompress),
+    gzip: util.promisify(zlib.gzip)
+};
+
+class StaticFiles {
+    /**
+     * @param {string} root Directory to serve
+     * @param {object} [options]
+     * @param {number} [options.maxAgeSeconds] `max-age` for everything but HTML,
+     *   which is always revalidated
+     */
+    constructor(root, { maxAgeSeconds = 0 } = {}) {
+        this.root = path.resolve(root);
+        this.maxAgeSeconds = maxAgeSeconds;
+        // Compressed bodies: Map<`${file}:${encoding}`, { etag, body }>
+        this.compressed = new Map();
+    }
+
+    /**
+     * Answers a GET or HEAD request for `pathname` (already stripped of its
+     * query string).
+     */
+    async serve(req, res, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Allow': 'GET, HEAD' });
+            res.end('Method Not Allowed');
+            return;
+        }
+
+        const filePath = this.resolve(pathname);
+        if (filePath === null) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Bad Request');
+            return;
+        }
+
+        let file = filePath && await this.find(filePath);
+        if (!file && filePath && path.extname(pathname) === '') {
+            file = await this.find(path.join(this.root, 'index.html'));
+        }
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not Found');
+            return;
+        }
+
+        await this.send(req, res, file);
+    }
+
+    /**
+     * Maps a URL path to a file under the root.
+     *
+     * @returns {string | false | null} The file path, false if the path may
+     *   not be served (outside the root, dotfile), or null if it is malformed
+     */
+    resolve(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            return null;
+        }
+        if (decoded.includes('\0')) return null;
+
+        const relative = path.normalize(decoded === '/' ? '/index.html' : decoded);
+        if (relative.split(/[\\/]/).some(segment => segment.startsWith('.'))) return false;
+
+        const filePath = path.join(this.root, relative);
+        if (!filePath.startsWith(this.root + path.sep)) return false;
+        return filePath;
+    }
+
+    /**
+     * @returns {Promise<{ path: string, stats: fs.Stats } | null>} The file
+     *   (or a directory's index.html), or null if there is none
+     */
+    async find(filePath) {
+        try {
+            let stats = await fs.promises.stat(filePath);
+            if (stats.isDirectory()) {
+                filePath = path.join(filePath, 'index.html');
+                stats = await fs.promises.stat(filePath);
+            }
+            return stats.isFile() ? { path: filePath, stats } : null;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+            throw error;
+        }
+    }
+
+    async send(req, res, { path: filePath, stats }) {
+        const contentType = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const lastModified = stats.mtime.toUTCString();
+        const compressible = isCompressible(contentType) && stats.size >= COMPRESS_MIN_BYTES;
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('ETag', etag);
+        res.setHeader('Last-Modified', lastModified);
+        res.setHeader('Cache-Control', contentType.startsWith('text/html') || !this.maxAgeSeconds
+            ? 'no-cache'
+            : `public, max-age=${this.maxAgeSeconds}`);
+        if (compressible) {
+            res.setHeader('Vary', [res.getHeader('Vary'), 'Accept-Encoding'].filter(Boolean).join(', '));
+        }
+
+        if (isNotModified(req, etag, stats.mtime)) {
+            res.writeHead(304);
+            res.end();
+            return;
+        }
+
+        const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+        const body = encoding
+            ? await this.compress(filePath, etag, encoding)
+            : await fs.promises.readFile(filePath);
+
+        if (encoding) res.setHeader('Content-Encoding', encoding);
+        res.setHeader('Content-Length', body.length);
+        res.writeHead(200);
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    async compress(filePath, etag, encoding) {
+        const key = `${filePath}:${encoding}`;
+        const cached = this.compressed.get(key);
+        if (cached && cached.etag === etag) return cached.body;
+
+        const body = await ENCODINGS[encoding](await fs.promises.readFile(filePath));
+        this.compressed.set(key, { etag, body });
+        return body;
+    }
+}
+
+function isCompressible(contentType) {
+    return /^(text\/|application\/(javascript|json)|image\/svg\+xml)/.test(contentType);
+}
+
+/**
+ * If-None-Match wins over If-Modified-Since, as in RFC 9110.
+ */
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === '*'
+            || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag.replace(/^W\//, ''));
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    // HTTP dates have whole seconds
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Picks the preferred encoding the client accepts (q > 0), or null.
+ */
+function negotiateEncoding(acceptEncoding = '') {
+    const accepted = new Map(acceptEncoding.split(',').map(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return [name, q ? parseFloat(q.slice(2)) : 1];
+    }));
+    return Object.keys(ENCODINGS).find(encoding => accepted.get(encoding) > 0) || null;
+}
+
+module.exports = { StaticFiles };
@@ -0,0 +1,101 @@
+/**
+ * Operator accounts kept in a JSON file.
+ *
+ * File format:
+ *   { "users": [{ "username": "alex", "passwordHash": "scrypt$...", "role": "operator", "createdAt": "..." }] }
+ *
+ * The file is re-read when it changes on disk, so accounts added with
+ * `npm run add-user` take effect without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashPassword, verifyPassword } = require('./auth');
+
+const ROLES = ['operator', 'admin'];
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'data', 'users.json');
+
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+        this.loadedMtime = 0;
+    }
+
+    /**
+     * Reads the file if it changed since the last load.
+     */
+    load() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.users = [];
+                return;
+            }
+            throw error;
+        }
+
+        if (stat.mtimeMs === this.loadedMtime) return;
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.users = Array.isArray(data.users) ? data.users : [];
+        this.loadedMtime = stat.mtimeMs;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write then rename so a crash never leaves a half-written file
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    find(username) {
+        this.load();
+        const wanted = String(username).toLowerCase();
+        return this.users.find(user => user.username.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Creates or replaces an account.
+     */
+    async add(username, password, role = 'operator') {
+        if (!/^[A-Za-z0-9._-]{2,64}$/.test(username)) {
+            throw new Error('Username must be 2-64 letters, digits, dots, dashes or underscores');
+        }
+        if (!password || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        this.load();
+        const user = {
+            username,
+            passwordHash: await hashPassword(password),
+            role,
+            createdAt: new Date().toISOString()
+        };
+        this.users = this.users.filter(existing => existing.username.toLowerCase() !== username.toLowerCase());
+        this.users.push(user);
+        this.save();
+        return user;
+    }
+
+    /**
+     * Checks a username and password.
+     *
+     * @returns {Promise<object | null>} The user, or null if the credentials are wrong
+     */
+    async authenticate(username, password) {
+        const user = this.find(username);
+        if (!user || typeof password !== 'string') return null;
+        return (await verifyPassword(password, user.passwordHash)) ? user : null;
+    }
+}
+
+module.exports = { UserStore, ROLES, DEFAULT_USERS_FILE };
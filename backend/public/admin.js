@@ -0,0 +1,318 @@
+/**
+ * Remote Screen Admin Dashboard
+ *
+ * Lists the live rooms on the signaling server and lets an admin end a
+ * session or remove a participant. Shares the operator sign-in with the
+ * web controller (sessionStorage 'operatorAuth').
+ */
+
+// How often the room list is refreshed
+const REFRESH_INTERVAL_MS = 3000;
+
+class AdminDashboard {
+    constructor() {
+        this.refreshTimer = null;
+
+        // DOM Elements
+        this.loginCard = document.getElementById('login-card');
+        this.loginForm = document.getElementById('login-form');
+        this.loginStatusDiv = document.getElementById('login-status');
+        this.dashboard = document.getElementById('dashboard');
+        this.signedInUserSpan = document.getElementById('signed-in-user');
+        this.roomSummarySpan = document.getElementById('room-summary');
+        this.statusDiv = document.getElementById('dashboard-status');
+        this.roomList = document.getElementById('room-list');
+        this.recordingTable = document.getElementById('recording-table');
+
+        this.auth = JSON.parse(sessionStorage.getItem('operatorAuth') || 'null');
+
+        this.initEventListeners();
+        this.showAuthState();
+    }
+
+    initEventListeners() {
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
+        document.getElementById('refresh-recordings-btn').addEventListener('click', () => this.loadRecordings());
+    }
+
+    isSignedIn() {
+        return Boolean(this.auth)
+            && this.auth.role === 'admin'
+            && Date.parse(this.auth.expiresAt) > Date.now();
+    }
+
+    /**
+     * Shows the sign-in form or the dashboard, and starts or stops refreshing.
+     */
+    showAuthState() {
+        const signedIn = this.isSignedIn();
+        this.loginCard.classList.toggle('hidden', signedIn);
+        this.dashboard.classList.toggle('hidden', !signedIn);
+        this.signedInUserSpan.textContent = signedIn ? this.auth.username : '';
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        if (signedIn) {
+            this.refresh();
+            this.loadRecordings();
+            this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+        }
+    }
+
+    async login() {
+        const username = document.getElementById('login-username').value.trim();
+        const passwordInput = document.getElementById('login-password');
+        const loginBtn = document.getElementById('login-btn');
+
+        loginBtn.disabled = true;
+        try {
+            const response = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password: passwordInput.value })
+            });
+            const body = await response.json();
+
+            if (!response.ok) {
+                this.showLoginError(body.message || 'Sign in failed');
+                return;
+            }
+            if (body.role !== 'admin') {
+                this.showLoginError('This account is not an admin.');
+                return;
+            }
+
+            this.auth = body;
+            sessionStorage.setItem('operatorAuth', JSON.stringify(body));
+            passwordInput.value = '';
+            this.loginStatusDiv.className = 'status';
+            this.showAuthState();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showLoginError('Could not reach the server. Please try again.');
+        } finally {
+            loginBtn.disabled = false;
+        }
+    }
+
+    logout() {
+        this.auth = null;
+        sessionStorage.removeItem('operatorAuth');
+        this.showAuthState();
+    }
+
+    showLoginError(message) {
+        this.loginStatusDiv.textContent = message;
+        this.loginStatusDiv.className = 'status error';
+    }
+
+    showStatus(message, type) {
+        this.statusDiv.textContent = message;
+        this.statusDiv.className = `status ${type}`;
+    }
+
+    /**
+     * Calls an admin route with our token. Returns the parsed body, or null
+     * if the request failed (the failure is shown on the page).
+     */
+    async request(method, path) {
+        if (!this.isSignedIn()) {
+            this.logout();
+            this.showLoginError('Your session has expired. Please sign in again.');
+            return null;
+        }
+
+        try {
+            const response = await fetch(path, {
+                method,
+                headers: { 'Authorization': `Bearer ${this.auth.token}` }
+            });
+            const body = await response.json();
+
+            if (response.status === 401 || response.status === 403) {
+                this.logout();
+                this.showLoginError(body.message || 'Please sign in again.');
+                return null;
+            }
+            if (!response.ok) {
+                this.showStatus(body.message || `Request failed (${response.status})`, 'error');
+                return null;
+            }
+            return body;
+        } catch (error) {
+            console.error('Admin request failed:', error);
+            this.showStatus('Could not reach the server.', 'error');
+            return null;
+        }
+    }
+
+    async refresh() {
+        const body = await this.request('GET', '/admin/rooms');
+        if (!body) return;
+
+        if (this.statusDiv.classList.contains('error')) {
+            this.statusDiv.className = 'status';
+        }
+        this.renderRooms(body.rooms);
+    }
+
+    /**
+     * Lists recent session recordings. Not auto-refreshed: listing reads
+     * every recording's metadata from disk.
+     */
+    async loadRecordings() {
+        const body = await this.request('GET', '/recordings?limit=50');
+        if (body) this.renderRecordings(body.recordings);
+    }
+
+    async terminateRoom(code) {
+        if (!confirm(`End session ${code} for everyone in it?`)) return;
+
+        const body = await this.request('POST', `/admin/rooms/${encodeURIComponent(code)}/terminate`);
+        if (body) {
+            this.showStatus(`Session ${code} terminated`, 'success');
+            this.refresh();
+        }
+    }
+
+    async kickParticipant(code, participant) {
+        const who = participant.name || participant.operator || participant.role;
+        if (!confirm(`Remove ${who} from session ${code}?`)) return;
+
+        const path = `/admin/rooms/${encodeURIComponent(code)}/participants/${encodeURIComponent(participant.id)}/kick`;
+        const body = await this.request('POST', path);
+        if (body) {
+            this.showStatus(`Removed ${who} from session ${code}`, 'success');
+            this.refresh();
+        }
+    }
+
+    renderRooms(rooms) {
+        this.roomSummarySpan.textContent = rooms.length === 0
+            ? 'No live rooms'
+            : `${rooms.length} live room${rooms.length === 1 ? '' : 's'}`;
+
+        this.roomList.replaceChildren(...rooms.map(room => this.renderRoom(room)));
+    }
+
+    renderRoom(room) {
+        const card = createElement('div', 'room-card');
+
+        const header = createElement('div', 'room-header');
+        header.append(
+            createElement('span', 'room-code', room.code),
+            createElement('span', 'room-meta',
+                `Started ${formatTime(room.createdAt)} · ${room.relayCount} relayed · ${formatGestureCounts(room.gestureCounts)}`)
+        );
+        const terminateBtn = createElement('button', 'danger-btn', 'Terminate');
+        terminateBtn.addEventListener('click', () => this.terminateRoom(room.code));
+        header.append(terminateBtn);
+        card.append(header);
+
+        const table = createElement('table', 'participant-table');
+        const headRow = table.createTHead().insertRow();
+        ['Role', 'Who', 'Status', 'Connected', 'Last message', 'Messages', 'Relayed', ''].forEach(label => {
+            headRow.append(createElement('th', null, label));
+        });
+
+        const tbody = table.createTBody();
+        room.participants.forEach(participant => {
+            const row = tbody.insertRow();
+            const role = participant.role === 'controller'
+                ? `controller (${participant.control})`
+                : `${participant.role} (${participant.clientType})`;
+            const who = [participant.name, participant.operator && `@${participant.operator}`, participant.ip]
+                .filter(Boolean).join(' · ');
+
+            [
+                role,
+                who,
+                participant.status,
+                formatTime(participant.connectedAt),
+                participant.lastMessageAt ? formatTime(participant.lastMessageAt) : '—',
+                // Stats are null for sockets held by another server instance
+                participant.messageCount ?? '—',
+                participant.relayCount ?? '—'
+            ].forEach(value => row.insertCell().textContent = value);
+
+            const kickBtn = createElement('button', 'link-btn', 'Kick');
+            kickBtn.addEventListener('click', () => this.kickParticipant(room.code, participant));
+            row.insertCell().append(kickBtn);
+        });
+
+        card.append(table);
+        return card;
+    }
+
+    renderRecordings(recordings) {
+        this.recordingTable.replaceChildren();
+        const headRow = this.recordingTable.createTHead().insertRow();
+        ['Started', 'Session', 'Operator', 'Length', 'Gestures', 'Size', ''].forEach(label => {
+            headRow.append(createElement('th', null, label));
+        });
+
+        const tbody = this.recordingTable.createTBody();
+        if (recordings.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 7;
+            cell.textContent = 'No recordings yet';
+            return;
+        }
+
+        recordings.forEach(recording => {
+            const row = tbody.insertRow();
+            [
+                formatTime(recording.startedAt),
+                recording.room,
+                recording.operator,
+                recording.durationMs === null ? '—' : formatDuration(recording.durationMs),
+                recording.gestureCount,
+                recording.videoBytes === null ? 'no video' : `${(recording.videoBytes / 1024 / 1024).toFixed(1)} MB`
+            ].forEach(value => row.insertCell().textContent = value);
+
+            const play = createElement('a', null, 'Play');
+            play.href = `playback.html?session=${encodeURIComponent(recording.sessionId)}&id=${encodeURIComponent(recording.id)}`;
+            play.target = '_blank';
+            row.insertCell().append(recording.videoFile ? play : '');
+        });
+    }
+}
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Formats a timestamp as its local time plus how long ago it was.
+ */
+function formatTime(iso) {
+    const date = new Date(iso);
+    const seconds = Math.max(0, Math.round((Date.now() - date.getTime()) / 1000));
+    const ago = seconds < 60 ? `${seconds}s`
+        : seconds < 3600 ? `${Math.floor(seconds / 60)}m`
+        : `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+    return `${date.toLocaleTimeString()} (${ago} ago)`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatGestureCounts(counts) {
+    const entries = Object.entries(counts);
+    if (entries.length === 0) return 'no gestures';
+    return entries.map(([action, count]) => `${action} ×${count}`).join(', ');
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.admin = new AdminDashboard();
+});
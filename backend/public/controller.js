@@ -12,21 +12,1012 @@
  * 5. Video stream starts flowing
  */
 
+// Keys sent to the target as `key` gestures while keyboard capture is on
+const KEY_ACTIONS = new Set([
+    'Enter', 'Backspace', 'Delete', 'Tab',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'
+]);
+
+// Printable keys are batched until typing pauses or the batch gets long
+const TEXT_BATCH_DELAY_MS = 150;
+const TEXT_BATCH_MAX_LENGTH = 200;
+// Longest text gesture the server accepts (longer pastes are cut)
+const MAX_TEXT_LENGTH = 10000;
+
+// Signaling protocol version sent on join
+const PROTOCOL_VERSION = 1;
+
+// Gesture recognition thresholds
+const TAP_SLOP = 0.02;              // Max travel (fraction of screen) for a tap
+const LONG_PRESS_MS = 500;          // Press longer than this is a long press
+const DRAG_HOLD_MS = 400;           // Hold this long before moving to start a drag
+const PATH_MIN_STEP = 0.005;        // Min travel between recorded path points
+const MAX_PATH_POINTS = 64;         // Paths are downsampled to this many points
+const MAX_STROKES = 10;             // Fingers tracked in one multi-touch gesture
+const MAX_MULTITOUCH_DURATION_MS = 60000;
+const PINCH_MIN_SPREAD = 0.05;      // Finger spread change that counts as a pinch
+const ROTATE_MIN_RADIANS = 0.3;     // Angle change that counts as a rotation
+
+// Mouse wheel
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_COALESCE_MS = 100;
+const WHEEL_SCROLL_DURATION_MS = 300;
+
+// Reconnection
+const MAX_RECONNECT_ATTEMPTS = 8;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const RECONNECT_JITTER_MS = 500;
+const MAX_ICE_RESTARTS = 3;
+const ICE_DISCONNECTED_TIMEOUT_MS = 5000;
+
+// Session recording: first container the browser's MediaRecorder supports
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const RECORDING_TIMESLICE_MS = 1000;
+
+// Connection quality: getStats() is sampled while the video is connected.
+// Sustained loss asks the target for the next lower step (`quality-hint`),
+// a long clean stretch for the previous one back.
+const STATS_INTERVAL_MS = 1000;
+const QUALITY_LOSS_THRESHOLD = 0.05;    // Packets lost in a sample that count as lossy
+const QUALITY_CLEAN_THRESHOLD = 0.01;   // ...and that count as clean
+const QUALITY_LOSS_SAMPLES = 5;         // Lossy samples in a row before stepping down
+const QUALITY_RECOVERY_SAMPLES = 30;    // Clean samples in a row before stepping up
+const QUALITY_STEPS = [
+    { scaleResolutionDownBy: 1, maxFramerate: 30 },
+    { scaleResolutionDownBy: 1, maxFramerate: 15 },
+    { scaleResolutionDownBy: 2, maxFramerate: 15 },
+    { scaleResolutionDownBy: 2, maxFramerate: 8 },
+    { scaleResolutionDownBy: 4, maxFramerate: 8 }
+];
+
+// File transfer on the `files` data channel
+const FILE_CHANNEL_LABEL = 'files';
+const FILE_CHUNK_SIZE = 16 * 1024;          // Largest message every browser handles
+const FILE_HEADER_BYTES = 4 + 32;           // Chunk index and SHA-256 of the chunk
+const FILE_BUFFER_HIGH = 1024 * 1024;       // Pause sending above this much queued...
+const FILE_BUFFER_LOW = 256 * 1024;         // ...until it drains below this
+const MAX_FILE_BYTES = 512 * 1024 * 1024;
+const ACTIVE_TRANSFER_STATES = new Set(['queued', 'waiting', 'sending', 'receiving', 'verifying']);
+const SCREENSHOT_ERRORS = {
+    'not-allowed': 'The phone owner has not granted control',
+    'no-screen': 'The phone is not capturing its screen',
+    'busy': 'The phone is already sending a file'
+};
+
+// Gesture macros: recorded sendGesture() calls, replayed with their timing
+const MACRO_STORAGE_KEY = 'gestureMacros';
+const MACRO_EXPORT_VERSION = 1;
+const MACRO_MAX_DELAY_MS = 10000;       // Longer pauses are shortened to this
+const MAX_MACRO_STEPS = 500;
+const MAX_MACRO_NAME_LENGTH = 64;
+
+// Annotations: marks mirrored to the target that fade on their own
+const ANNOTATION_COLORS = ['#ef4444', '#facc15', '#22c55e', '#3b82f6'];
+const ANNOTATION_FADE_MS = 5000;            // A mark disappears this long after it was last drawn on...
+const ANNOTATION_FADE_OUT_MS = 1000;        // ...fading out over the end of that time
+const ANNOTATION_SEND_INTERVAL_MS = 50;     // Updates of a mark being drawn are batched this long
+const MAX_ANNOTATION_POINTS = 256;          // Stroke points per message
+const LASER_REPEAT_MS = 500;                // A laser pointer held still is sent again this often...
+const LASER_TIMEOUT_MS = 1500;              // ...and goes out when not heard from for this long
+
+// Chat with the phone's user (and other operators), kept by the server for
+// the life of the room
+const MAX_CHAT_LENGTH = 2000;
+
+// Input feedback ripple
+const RIPPLE_DURATION_MS = 400;
+const RIPPLE_MAX_RADIUS = 24;
+
+/**
+ * Turns pointer input (mouse, pen or touch) on an element into gestures.
+ * 
+ * - Press and release in place: `tap`, or `longpress` when held
+ * - Press and move: `swipe` from start to end
+ * - Press, hold, then move: `drag` with the intermediate path points
+ * - Two or more touches (pinch, rotate, two-finger swipe): `multitouch`
+ *   with one timed stroke per finger
+ */
+class GestureRecognizer {
+    constructor(element, getCoords, onGesture) {
+        this.element = element;
+        this.getCoords = getCoords;
+        this.onGesture = onGesture;
+        
+        // Active gesture: every pointer that has touched down since the first
+        // one, keyed by pointerId; ended strokes stay until the gesture ends
+        this.strokes = new Map();
+        this.startTime = 0;
+        // Off while the pointer is used for something else (annotations)
+        this.enabled = true;
+        
+        element.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        element.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        element.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        element.addEventListener('pointercancel', () => this.cancel());
+    }
+    
+    /**
+     * Abandons the gesture in progress without sending anything.
+     */
+    cancel() {
+        this.strokes.clear();
+    }
+    
+    onPointerDown(e) {
+        // Secondary buttons are handled elsewhere (right-click is Back)
+        if (!this.enabled || e.button !== 0 || this.strokes.size >= MAX_STROKES) return;
+        e.preventDefault();
+        
+        // Presses on the letterbox bars are not on the phone's screen
+        const start = this.getCoords(e);
+        if (start.inside === false) return;
+        
+        this.element.setPointerCapture(e.pointerId);
+        if (this.strokes.size === 0) {
+            this.startTime = Date.now();
+        }
+        
+        this.strokes.set(e.pointerId, {
+            points: [{ x: start.x, y: start.y, t: Date.now() - this.startTime }],
+            moved: false,
+            isDrag: false,
+            ended: false
+        });
+    }
+    
+    onPointerMove(e) {
+        const stroke = this.strokes.get(e.pointerId);
+        if (!stroke || stroke.ended) return;
+        
+        const coords = this.getCoords(e);
+        const t = Date.now() - this.startTime;
+        const first = stroke.points[0];
+        
+        if (!stroke.moved && distance(coords, first) >= TAP_SLOP) {
+            stroke.moved = true;
+            stroke.isDrag = t - first.t >= DRAG_HOLD_MS;
+            // Mark where the hold ended so the target replays it
+            if (stroke.isDrag) {
+                stroke.points.push({ ...first, t });
+            }
+        }
+        
+        const last = stroke.points[stroke.points.length - 1];
+        if (stroke.moved && distance(coords, last) >= PATH_MIN_STEP) {
+            stroke.points.push({ x: coords.x, y: coords.y, t });
+        }
+    }
+    
+    onPointerUp(e) {
+        const stroke = this.strokes.get(e.pointerId);
+        if (!stroke || stroke.ended) return;
+        
+        const end = this.getCoords(e);
+        stroke.ended = true;
+        stroke.end = end;
+        stroke.points.push({ x: end.x, y: end.y, t: Date.now() - this.startTime });
+        
+        // Wait for every finger to lift before deciding what this was
+        for (const other of this.strokes.values()) {
+            if (!other.ended) return;
+        }
+        
+        const strokes = [...this.strokes.values()];
+        this.strokes.clear();
+        
+        if (strokes.length > 1) {
+            this.emitMultiTouch(strokes);
+        } else {
+            this.emitSingle(strokes[0]);
+        }
+    }
+    
+    emitSingle(stroke) {
+        const start = stroke.points[0];
+        const end = stroke.end;
+        const duration = stroke.points[stroke.points.length - 1].t;
+        
+        if (!stroke.moved && distance(end, start) < TAP_SLOP) {
+            if (duration > LONG_PRESS_MS) {
+                this.onGesture('longpress', { x: start.x, y: start.y, duration });
+            } else {
+                this.onGesture('tap', { x: start.x, y: start.y });
+            }
+        } else if (stroke.isDrag) {
+            this.onGesture('drag', {
+                points: downsample(stroke.points, MAX_PATH_POINTS),
+                duration
+            });
+        } else {
+            this.onGesture('swipe', {
+                startX: start.x,
+                startY: start.y,
+                endX: end.x,
+                endY: end.y,
+                duration: Math.max(100, duration)
+            });
+        }
+    }
+    
+    emitMultiTouch(strokes) {
+        const paths = strokes.map(stroke => {
+            const points = downsample(stroke.points, MAX_PATH_POINTS);
+            const startTime = points[0].t;
+            return {
+                startTime,
+                duration: Math.max(1, points[points.length - 1].t - startTime),
+                points
+            };
+        });
+        const duration = Math.max(...paths.map(path => path.startTime + path.duration));
+        
+        this.onGesture('multitouch', {
+            kind: classifyMultiTouch(paths),
+            strokes: paths,
+            duration: Math.min(duration, MAX_MULTITOUCH_DURATION_MS)
+        });
+    }
+}
+
+/**
+ * Best-effort label for a two-finger gesture, for logs and the target's UI.
+ * The strokes themselves are what the target replays.
+ */
+function classifyMultiTouch(paths) {
+    if (paths.length !== 2) return 'multi';
+    
+    const [a, b] = paths.map(path => path.points);
+    const startA = a[0], endA = a[a.length - 1];
+    const startB = b[0], endB = b[b.length - 1];
+    
+    const spreadChange = distance(endA, endB) - distance(startA, startB);
+    const angleChange = Math.abs(normalizeAngle(
+        Math.atan2(endB.y - endA.y, endB.x - endA.x) - Math.atan2(startB.y - startA.y, startB.x - startA.x)
+    ));
+    
+    if (Math.abs(spreadChange) >= PINCH_MIN_SPREAD) {
+        return spreadChange > 0 ? 'pinch-out' : 'pinch-in';
+    }
+    if (angleChange >= ROTATE_MIN_RADIANS) return 'rotate';
+    return 'swipe';
+}
+
+function normalizeAngle(radians) {
+    return Math.atan2(Math.sin(radians), Math.cos(radians));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Keeps the first and last points and an even spread in between.
+ */
+function downsample(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    
+    const step = (points.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Chunked file transfer with the target over an RTCDataChannel, in both
+ * directions, one file at a time each way (see "File Transfer" in the
+ * README). Control messages are JSON text frames; file data goes in binary
+ * frames of `[uint32 chunk index][SHA-256 of the data][data]`.
+ * 
+ * Every change to a transfer is reported to `onUpdate(transfer)`; a
+ * screenshot the target could not send, to `onScreenshotError(reason)`.
+ */
+class FileTransferChannel {
+    constructor(onUpdate, onScreenshotError) {
+        this.onUpdate = onUpdate;
+        this.onScreenshotError = onScreenshotError;
+        this.channel = null;
+        
+        // Transfers by id; outgoing ones wait in `queue` for their turn
+        this.transfers = new Map();
+        this.queue = [];
+        this.sending = null;
+        this.receiving = null;
+    }
+    
+    attach(channel) {
+        this.channel = channel;
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW;
+        channel.onopen = () => {
+            console.log('📁 File channel open');
+            this.sendNext();
+        };
+        channel.onmessage = (event) => this.handleMessage(event.data);
+        channel.onclose = () => {
+            console.log('📁 File channel closed');
+            if (this.channel === channel) this.channel = null;
+            [this.sending, this.receiving].forEach(transfer => {
+                if (transfer) this.finish(transfer, 'failed', 'Connection lost');
+            });
+        };
+    }
+    
+    isOpen() {
+        return this.channel?.readyState === 'open';
+    }
+    
+    /**
+     * Queues a file for the target.
+     */
+    send(file) {
+        const transfer = {
+            id: crypto.randomUUID(),
+            direction: 'out',
+            file,
+            name: file.name,
+            size: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            bytes: 0,
+            status: 'queued'
+        };
+        this.transfers.set(transfer.id, transfer);
+        
+        if (file.size > MAX_FILE_BYTES) {
+            this.finish(transfer, 'failed', 'File is too large');
+            return;
+        }
+        this.queue.push(transfer);
+        this.onUpdate(transfer);
+        this.sendNext();
+    }
+    
+    sendNext() {
+        if (this.sending || !this.isOpen()) return;
+        const transfer = this.queue.shift();
+        if (!transfer) return;
+        
+        this.sending = transfer;
+        transfer.status = 'waiting';
+        this.sendControl({
+            type: 'file-offer',
+            id: transfer.id,
+            name: transfer.name,
+            size: transfer.size,
+            mimeType: transfer.mimeType
+        });
+        this.onUpdate(transfer);
+    }
+    
+    /**
+     * Streams an accepted file. Pauses whenever the channel has more than
+     * FILE_BUFFER_HIGH queued, so the transfer never floods the connection.
+     */
+    async streamFile(transfer) {
+        const channel = this.channel;
+        const chunkHashes = [];
+        transfer.status = 'sending';
+        this.onUpdate(transfer);
+        
+        try {
+            for (let offset = 0, index = 0; offset < transfer.size; offset += FILE_CHUNK_SIZE, index++) {
+                if (channel.bufferedAmount > FILE_BUFFER_HIGH) {
+                    await waitForDrain(channel);
+                }
+                const data = await transfer.file.slice(offset, offset + FILE_CHUNK_SIZE).arrayBuffer();
+                const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+                // Cancelled, rejected or disconnected meanwhile
+                if (transfer.status !== 'sending' || channel.readyState !== 'open') return;
+                
+                const frame = new Uint8Array(FILE_HEADER_BYTES + data.byteLength);
+                new DataView(frame.buffer).setUint32(0, index);
+                frame.set(hash, 4);
+                frame.set(new Uint8Array(data), FILE_HEADER_BYTES);
+                channel.send(frame.buffer);
+                
+                chunkHashes.push(hash);
+                transfer.bytes = offset + data.byteLength;
+                this.onUpdate(transfer);
+            }
+            
+            // The target confirms with file-complete once the hashes check out
+            transfer.status = 'verifying';
+            this.sendControl({ type: 'file-end', id: transfer.id, sha256: await hashOfHashes(chunkHashes) });
+            this.onUpdate(transfer);
+        } catch (error) {
+            console.error('File send failed:', error);
+            if (transfer.status !== 'sending') return;
+            this.sendControl({ type: 'file-cancel', id: transfer.id });
+            this.finish(transfer, 'failed', error.message);
+        }
+    }
+    
+    /**
+     * Asks the target for a screenshot, which it sends as a file.
+     */
+    requestScreenshot() {
+        this.sendControl({ type: 'screenshot-request' });
+    }
+    
+    /**
+     * Cancels a queued or running transfer, in either direction.
+     */
+    cancel(id) {
+        const transfer = this.transfers.get(id);
+        if (!transfer || !ACTIVE_TRANSFER_STATES.has(transfer.status)) return;
+        
+        if (transfer.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== transfer);
+        } else {
+            this.sendControl({ type: 'file-cancel', id });
+        }
+        this.finish(transfer, 'cancelled');
+    }
+    
+    /**
+     * Forgets a finished transfer.
+     */
+    remove(id) {
+        const transfer = this.transfers.get(id);
+        if (!transfer || ACTIVE_TRANSFER_STATES.has(transfer.status)) return;
+        if (transfer.url) URL.revokeObjectURL(transfer.url);
+        this.transfers.delete(id);
+    }
+    
+    /**
+     * Ends every transfer and closes the channel (the session is over).
+     */
+    close() {
+        this.queue = [];
+        this.transfers.forEach(transfer => {
+            if (ACTIVE_TRANSFER_STATES.has(transfer.status)) this.finish(transfer, 'cancelled');
+            if (transfer.url) URL.revokeObjectURL(transfer.url);
+        });
+        this.transfers.clear();
+        
+        if (this.channel) {
+            const channel = this.channel;
+            this.channel = null;
+            channel.onclose = null;
+            channel.close();
+        }
+    }
+    
+    finish(transfer, status, error = null) {
+        transfer.status = status;
+        transfer.error = error;
+        if (transfer.direction === 'in' && status !== 'done') transfer.chunks = null;
+        
+        if (this.receiving === transfer) this.receiving = null;
+        if (this.sending === transfer) {
+            this.sending = null;
+            this.sendNext();
+        }
+        this.onUpdate(transfer);
+    }
+    
+    sendControl(message) {
+        if (this.isOpen()) this.channel.send(JSON.stringify(message));
+    }
+    
+    handleMessage(data) {
+        if (typeof data !== 'string') {
+            this.receiveChunk(data);
+            return;
+        }
+        
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Invalid file channel message:', error);
+            return;
+        }
+        const sending = this.sending?.id === message.id ? this.sending : null;
+        
+        switch (message.type) {
+            case 'file-offer':
+                this.receiveOffer(message);
+                break;
+                
+            case 'file-accept':
+                if (sending?.status === 'waiting') this.streamFile(sending);
+                break;
+                
+            case 'file-reject':
+                if (sending) this.finish(sending, 'rejected', message.reason || null);
+                break;
+                
+            case 'file-complete':
+                if (sending) this.finish(sending, 'done');
+                break;
+                
+            case 'file-error':
+                if (sending) this.finish(sending, 'failed', message.reason || 'The phone could not save the file');
+                break;
+                
+            case 'file-end':
+                if (this.receiving?.id === message.id) this.receiveEnd(this.receiving, message.sha256);
+                break;
+                
+            case 'file-cancel': {
+                const transfer = this.transfers.get(message.id);
+                if (transfer && ACTIVE_TRANSFER_STATES.has(transfer.status)) this.finish(transfer, 'cancelled');
+                break;
+            }
+                
+            case 'screenshot-error':
+                this.onScreenshotError(message.reason || null);
+                break;
+        }
+    }
+    
+    /**
+     * Accepts a file the target offers, unless one is already coming in or it
+     * is too large. Received files wait in memory until the operator saves them.
+     */
+    receiveOffer(offer) {
+        const reject = (reason) => this.sendControl({ type: 'file-reject', id: offer.id, reason });
+        if (typeof offer.id !== 'string' || typeof offer.name !== 'string'
+            || !Number.isSafeInteger(offer.size) || offer.size < 0) {
+            reject('invalid-offer');
+            return;
+        }
+        if (this.receiving || this.transfers.has(offer.id)) {
+            reject('busy');
+            return;
+        }
+        if (offer.size > MAX_FILE_BYTES) {
+            reject('too-large');
+            return;
+        }
+        
+        const transfer = {
+            id: offer.id,
+            direction: 'in',
+            // Never let a path sneak into the download name
+            name: offer.name.split(/[\\/]/).pop().slice(0, 255) || 'file',
+            size: offer.size,
+            mimeType: typeof offer.mimeType === 'string' ? offer.mimeType : 'application/octet-stream',
+            bytes: 0,
+            status: 'receiving',
+            chunks: [],
+            chunkHashes: [],
+            verified: Promise.resolve()
+        };
+        this.transfers.set(transfer.id, transfer);
+        this.receiving = transfer;
+        this.sendControl({ type: 'file-accept', id: transfer.id });
+        this.onUpdate(transfer);
+    }
+    
+    receiveChunk(buffer) {
+        // Chunks still in flight from a cancelled transfer are dropped
+        const transfer = this.receiving;
+        if (!transfer || buffer.byteLength < FILE_HEADER_BYTES) return;
+        
+        const index = new DataView(buffer).getUint32(0);
+        const hash = new Uint8Array(buffer.slice(4, FILE_HEADER_BYTES));
+        const data = buffer.slice(FILE_HEADER_BYTES);
+        if (index !== transfer.chunks.length || transfer.bytes + data.byteLength > transfer.size) {
+            this.failReceive(transfer, 'Unexpected chunk');
+            return;
+        }
+        
+        transfer.chunks.push(data);
+        transfer.chunkHashes.push(hash);
+        transfer.bytes += data.byteLength;
+        transfer.verified = transfer.verified.then(async () => {
+            const actual = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+            if (!actual.every((byte, i) => byte === hash[i])) {
+                throw new Error(`Chunk ${index} is corrupt`);
+            }
+        });
+        transfer.verified.catch(error => this.failReceive(transfer, error.message));
+        this.onUpdate(transfer);
+    }
+    
+    async receiveEnd(transfer, sha256) {
+        transfer.status = 'verifying';
+        this.onUpdate(transfer);
+        
+        try {
+            await transfer.verified;
+            if (transfer.bytes !== transfer.size) throw new Error('File is incomplete');
+            if (await hashOfHashes(transfer.chunkHashes) !== sha256) throw new Error('Checksum mismatch');
+        } catch (error) {
+            this.failReceive(transfer, error.message);
+            return;
+        }
+        if (transfer.status !== 'verifying') return;
+        
+        transfer.url = URL.createObjectURL(new Blob(transfer.chunks, { type: transfer.mimeType }));
+        transfer.chunks = null;
+        this.sendControl({ type: 'file-complete', id: transfer.id });
+        console.log(`📁 Received ${transfer.name} (${transfer.size} bytes)`);
+        this.finish(transfer, 'done');
+    }
+    
+    failReceive(transfer, reason) {
+        if (!ACTIVE_TRANSFER_STATES.has(transfer.status)) return;
+        console.error(`File receive failed: ${reason}`);
+        this.sendControl({ type: 'file-error', id: transfer.id, reason });
+        this.finish(transfer, 'failed', reason);
+    }
+}
+
+/**
+ * The file's checksum: SHA-256 over the concatenated chunk hashes, as hex
+ * (WebCrypto can't hash a file incrementally).
+ */
+async function hashOfHashes(chunkHashes) {
+    const all = new Uint8Array(chunkHashes.length * 32);
+    chunkHashes.forEach((hash, i) => all.set(hash, i * 32));
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', all));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function waitForDrain(channel) {
+    return new Promise(resolve => {
+        const done = () => {
+            channel.removeEventListener('bufferedamountlow', done);
+            channel.removeEventListener('close', done);
+            resolve();
+        };
+        channel.addEventListener('bufferedamountlow', done);
+        channel.addEventListener('close', done);
+    });
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Streams the screen we receive on to the spectators we host (see
+ * README), one send-only peer connection each. We offer; the spectator
+ * answers through the server.
+ * 
+ * `send(message)` sends a signaling message; `getConfig()` returns the
+ * RTCConfiguration for new connections.
+ */
+class SpectatorHost {
+    constructor(send, getConfig) {
+        this.send = send;
+        this.getConfig = getConfig;
+        // The remote video track, forwarded as is
+        this.track = null;
+        // Map<spectatorId, { pc, pendingCandidates }>
+        this.peers = new Map();
+    }
+    
+    /**
+     * Switches every spectator to a new track (after the target renegotiated).
+     */
+    setTrack(track) {
+        this.track = track;
+        this.peers.forEach(({ pc }) => {
+            pc.getSenders()[0]?.replaceTrack(track).catch(error => {
+                console.error('Could not forward the new track:', error);
+            });
+        });
+    }
+    
+    async start(spectatorId) {
+        this.stop(spectatorId);
+        const pc = new RTCPeerConnection(this.getConfig());
+        const peer = { pc, pendingCandidates: [] };
+        this.peers.set(spectatorId, peer);
+        
+        // Without a track yet, the sender starts empty and setTrack fills it
+        pc.addTransceiver(this.track || 'video', { direction: 'sendonly' });
+        pc.onicecandidate = (event) => {
+            if (!event.candidate) return;
+            this.send({
+                type: 'spectate-candidate',
+                spectatorId,
+                candidate: event.candidate.candidate,
+                sdpMid: event.candidate.sdpMid,
+                sdpMLineIndex: event.candidate.sdpMLineIndex
+            });
+        };
+        pc.onconnectionstatechange = () => {
+            console.log(`👁️ Spectator ${spectatorId}: ${pc.connectionState}`);
+        };
+        
+        try {
+            const offer = await pc.createOffer();
+            await pc.setLocalDescription(offer);
+            this.send({ type: 'spectate-offer', spectatorId, sdp: offer.sdp });
+        } catch (error) {
+            console.error('Could not offer the stream to a spectator:', error);
+        }
+    }
+    
+    async handleAnswer(spectatorId, sdp) {
+        const peer = this.peers.get(spectatorId);
+        if (!peer || peer.pc.signalingState !== 'have-local-offer') return;
+        try {
+            await peer.pc.setRemoteDescription({ type: 'answer', sdp });
+            for (const candidate of peer.pendingCandidates.splice(0)) {
+                await peer.pc.addIceCandidate(candidate);
+            }
+        } catch (error) {
+            console.error('Error handling a spectator\'s answer:', error);
+        }
+    }
+    
+    async handleCandidate({ spectatorId, candidate, sdpMid, sdpMLineIndex }) {
+        const peer = this.peers.get(spectatorId);
+        if (!peer) return;
+        const init = { candidate, sdpMid, sdpMLineIndex };
+        // Candidates can overtake the answer
+        if (!peer.pc.remoteDescription) {
+            peer.pendingCandidates.push(init);
+            return;
+        }
+        try {
+            await peer.pc.addIceCandidate(init);
+        } catch (error) {
+            console.error('Error adding a spectator\'s ICE candidate:', error);
+        }
+    }
+    
+    stop(spectatorId) {
+        this.peers.get(spectatorId)?.pc.close();
+        this.peers.delete(spectatorId);
+    }
+    
+    close() {
+        this.peers.forEach(({ pc }) => pc.close());
+        this.peers.clear();
+    }
+}
+
+/**
+ * Marks drawn over the screen to guide the phone's user: freehand strokes,
+ * arrows and a laser pointer, in normalized (0–1) screen coordinates. It is
+ * fed the same `annotation` messages the target gets (see README), so the
+ * controller shows what the target is told to draw.
+ */
+class AnnotationLayer {
+    constructor() {
+        // Strokes and arrows by id: { kind, color, fadeMs, updatedAt, points | start, end }
+        this.marks = new Map();
+        // { x, y, updatedAt } while the laser pointer is on
+        this.laser = null;
+    }
+    
+    apply(annotation, now) {
+        switch (annotation.action) {
+            case 'stroke': {
+                // Each message adds the points drawn since the previous one
+                const mark = this.marks.get(annotation.id) || { kind: 'stroke', points: [] };
+                mark.points.push(...annotation.points);
+                this.marks.set(annotation.id, { ...mark, color: annotation.color, fadeMs: annotation.fadeMs, updatedAt: now });
+                break;
+            }
+            case 'arrow':
+                // ...while an arrow is replaced as its end moves
+                this.marks.set(annotation.id, {
+                    kind: 'arrow',
+                    start: { x: annotation.startX, y: annotation.startY },
+                    end: { x: annotation.endX, y: annotation.endY },
+                    color: annotation.color,
+                    fadeMs: annotation.fadeMs,
+                    updatedAt: now
+                });
+                break;
+            case 'laser':
+                this.laser = { x: annotation.x, y: annotation.y, updatedAt: now };
+                break;
+            case 'laser-end':
+                this.laser = null;
+                break;
+            case 'clear':
+                this.marks.clear();
+                this.laser = null;
+                break;
+        }
+    }
+    
+    /**
+     * Draws the marks that have not faded yet.
+     * 
+     * @param {function(number, number): number[]} toCanvas Maps screen to canvas coordinates
+     * @returns {boolean} Whether anything is left to draw
+     */
+    draw(ctx, toCanvas, now) {
+        ctx.save();
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        this.marks.forEach((mark, id) => {
+            const remaining = mark.fadeMs - (now - mark.updatedAt);
+            if (remaining <= 0) {
+                this.marks.delete(id);
+                return;
+            }
+            ctx.globalAlpha = Math.min(1, remaining / ANNOTATION_FADE_OUT_MS);
+            ctx.strokeStyle = mark.color;
+            ctx.beginPath();
+            if (mark.kind === 'stroke') {
+                mark.points.forEach((point, i) => {
+                    const [x, y] = toCanvas(point.x, point.y);
+                    if (i === 0) ctx.moveTo(x, y);
+                    ctx.lineTo(x, y);
+                });
+            } else {
+                const [x1, y1] = toCanvas(mark.start.x, mark.start.y);
+                const [x2, y2] = toCanvas(mark.end.x, mark.end.y);
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.lineTo(x2 - 16 * Math.cos(angle - Math.PI / 6), y2 - 16 * Math.sin(angle - Math.PI / 6));
+                ctx.moveTo(x2, y2);
+                ctx.lineTo(x2 - 16 * Math.cos(angle + Math.PI / 6), y2 - 16 * Math.sin(angle + Math.PI / 6));
+            }
+            ctx.stroke();
+        });
+        
+        // A pointer that stopped reporting (lost `laser-end`) goes out too
+        if (this.laser && now - this.laser.updatedAt > LASER_TIMEOUT_MS) {
+            this.laser = null;
+        }
+        if (this.laser) {
+            const [x, y] = toCanvas(this.laser.x, this.laser.y);
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = '#ef4444';
+            ctx.shadowColor = '#ef4444';
+            ctx.shadowBlur = 16;
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        ctx.restore();
+        return this.marks.size > 0 || this.laser !== null;
+    }
+    
+    clear() {
+        this.marks.clear();
+        this.laser = null;
+    }
+}
+
+/**
+ * Checks macros read from localStorage or an imported file: either a list
+ * of macros or an export (`{ version, macros }`). Steps keep only their
+ * gesture fields, so a step can never become anything but a `gesture`.
+ * 
+ * @returns {Array<{ name: string, createdAt: string, steps: Array<object> }>}
+ * @throws {Error} If the data is not a list of valid macros
+ */
+function parseMacros(data) {
+    if (data?.version > MACRO_EXPORT_VERSION) {
+        throw new Error('The file was exported by a newer version of this page');
+    }
+    const macros = Array.isArray(data) ? data : data?.macros;
+    if (!Array.isArray(macros)) {
+        throw new Error('Expected a list of macros');
+    }
+    
+    return macros.map((macro, i) => {
+        const name = typeof macro?.name === 'string' ? macro.name.trim().slice(0, MAX_MACRO_NAME_LENGTH) : '';
+        if (!name) {
+            throw new Error(`Macro ${i + 1} has no name`);
+        }
+        if (!Array.isArray(macro.steps) || macro.steps.length === 0 || macro.steps.length > MAX_MACRO_STEPS) {
+            throw new Error(`"${name}" must have 1 to ${MAX_MACRO_STEPS} steps`);
+        }
+        
+        const steps = macro.steps.map((step, j) => {
+            if (!Number.isFinite(step?.delay) || step.delay < 0 || typeof step.action !== 'string') {
+                throw new Error(`Step ${j + 1} of "${name}" is not a gesture`);
+            }
+            const { delay, type, room, sessionId, ...gesture } = step;
+            return { delay: Math.min(Math.round(delay), MACRO_MAX_DELAY_MS), ...gesture };
+        });
+        return { name, createdAt: typeof macro.createdAt === 'string' ? macro.createdAt : new Date().toISOString(), steps };
+    });
+}
+
+function macroDuration(macro) {
+    return macro.steps.reduce((total, step) => total + step.delay, 0);
+}
+
+// Used when /ice-config can't be reached
+const DEFAULT_RTC_CONFIG = {
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun2.l.google.com:19302' }
+    ]
+};
+
 class RemoteController {
     constructor() {
-        // WebRTC configuration with STUN servers
-        this.rtcConfig = {
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' }
-            ]
-        };
+        // WebRTC configuration; replaced by the server's /ice-config (which
+        // may add TURN relays) before each peer connection is created
+        this.rtcConfig = DEFAULT_RTC_CONFIG;
         
         this.ws = null;
         this.pc = null;
         this.pairingCode = '';
         this.isConnected = false;
+        // none | pending | granted | denied | revoked
+        this.controlState = 'none';
+        
+        // Keyboard capture: printable keys are batched into one text gesture
+        this.keyboardMode = false;
+        this.textBuffer = '';
+        this.textFlushTimer = null;
+        
+        // Tap feedback drawn on the gesture canvas
+        this.ripples = [];
+        this.overlayFrame = null;
+        
+        // Annotate mode: the pointer draws marks (mirrored to the target)
+        // instead of making gestures; the mark being drawn is the draft
+        this.annotating = false;
+        this.annotations = new AnnotationLayer();
+        this.annotationTool = 'pen';
+        this.annotationColor = ANNOTATION_COLORS[0];
+        this.annotationDraft = null;
+        this.annotationPrefix = Date.now().toString(36);
+        this.annotationCount = 0;
+        
+        // Reconnection: the server keeps our place for a while after a drop
+        this.joined = false;
+        this.resumeToken = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.iceRestartAttempts = 0;
+        this.iceRestartPending = false;
+        this.iceDisconnectedTimer = null;
+        // Set by `server-restarting`: reconnect when the operator asks, not on our own
+        this.serverRestarting = false;
+        
+        // Session recording: the audited session we are in, and the recording
+        // in progress ({ recorder, chunks, gestures, startTime, ... } or null)
+        this.sessionId = null;
+        this.recording = null;
+        
+        // Connection quality: the last inbound video stats, the quality step
+        // asked of the target (index into QUALITY_STEPS) and the hint that did
+        this.statsTimer = null;
+        this.lastStats = null;
+        this.qualityLevel = 0;
+        this.qualityHint = null;
+        this.lossySamples = 0;
+        this.cleanSamples = 0;
+        
+        // File transfer with the target; one list row per transfer id
+        this.fileTransfer = new FileTransferChannel(
+            (transfer) => this.renderTransfer(transfer),
+            (reason) => this.showStatus(SCREENSHOT_ERRORS[reason] || 'The phone could not take a screenshot', 'error')
+        );
+        this.transferRows = new Map();
+        
+        // Spectators in the session (one panel row each) and the streams we
+        // forward to those we host
+        this.spectatorHost = new SpectatorHost((message) => this.sendMessage(message), () => this.rtcConfig);
+        this.spectatorRows = new Map();
+        
+        // Gesture macros: the saved ones, the one being recorded
+        // ({ steps, lastTime }) and the one being replayed
+        this.macros = this.loadMacros();
+        this.macroRecording = null;
+        this.macroPlayback = null;
+        
+        // Chat messages by id (`senderId:id` for other people's), and how
+        // many arrived while the panel was closed
+        this.chatEntries = new Map();
+        this.chatOpen = false;
+        this.chatUnread = 0;
+        this.chatPrefix = Date.now().toString(36);
+        this.chatCount = 0;
         
         // DOM Elements
         this.connectionScreen = document.getElementById('connection-screen');
@@ -38,11 +1029,70 @@ class RemoteController {
         this.videoOverlay = document.getElementById('video-overlay');
         this.gestureCanvas = document.getElementById('gesture-canvas');
         this.sessionCodeSpan = document.getElementById('session-code');
+        this.connectionBanner = document.getElementById('connection-banner');
+        this.operatorNameInput = document.getElementById('operator-name');
+        this.controlStateSpan = document.getElementById('control-state');
+        this.requestControlBtn = document.getElementById('request-control-btn');
+        this.recordBtn = document.getElementById('record-btn');
+        this.statsBtn = document.getElementById('stats-btn');
+        this.statsPanel = document.getElementById('stats-panel');
+        this.statFields = {
+            bitrate: document.getElementById('stat-bitrate'),
+            fps: document.getElementById('stat-fps'),
+            resolution: document.getElementById('stat-resolution'),
+            rtt: document.getElementById('stat-rtt'),
+            loss: document.getElementById('stat-loss'),
+            route: document.getElementById('stat-route'),
+            quality: document.getElementById('stat-quality')
+        };
+        this.videoContainer = document.querySelector('.video-container');
+        this.fileInput = document.getElementById('file-input');
+        this.transferPanel = document.getElementById('transfer-panel');
+        this.transferList = document.getElementById('transfer-list');
+        this.spectatorPanel = document.getElementById('spectator-panel');
+        this.spectatorList = document.getElementById('spectator-list');
+        this.annotateBtn = document.getElementById('annotate-btn');
+        this.annotationToolbar = document.getElementById('annotation-toolbar');
+        this.macroBtn = document.getElementById('macro-btn');
+        this.macroPanel = document.getElementById('macro-panel');
+        this.macroRecordBtn = document.getElementById('macro-record-btn');
+        this.macroSpeedSelect = document.getElementById('macro-speed');
+        this.macroList = document.getElementById('macro-list');
+        this.macroFileInput = document.getElementById('macro-file-input');
+        this.chatBtn = document.getElementById('chat-btn');
+        this.chatBadge = document.getElementById('chat-badge');
+        this.chatPanel = document.getElementById('chat-panel');
+        this.chatLog = document.getElementById('chat-log');
+        this.chatInput = document.getElementById('chat-input');
+        // Chat does not need control, so it is not one of them
+        this.navButtons = document.querySelectorAll('.controls-bar .control-btn:not(.chat-btn)');
+        
+        this.operatorNameInput.value = localStorage.getItem('operatorName') || '';
+        this.renderMacros();
+        
+        // Operator sign-in; the token authorizes our /ws connection
+        this.loginCard = document.getElementById('login-card');
+        this.connectCard = document.getElementById('connect-card');
+        this.loginForm = document.getElementById('login-form');
+        this.loginStatusDiv = document.getElementById('login-status');
+        this.signedInUserSpan = document.getElementById('signed-in-user');
+        this.auth = JSON.parse(sessionStorage.getItem('operatorAuth') || 'null');
+        this.showAuthState();
         
         this.initEventListeners();
     }
     
     initEventListeners() {
+        // Sign in / out
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
+        
+        // Keep the gesture canvas the size of the video area
+        window.addEventListener('resize', () => this.resizeCanvas());
+        
         // Connect button
         this.connectBtn.addEventListener('click', () => this.connect());
         
@@ -59,6 +1109,72 @@ class RemoteController {
         // Disconnect button
         document.getElementById('disconnect-btn').addEventListener('click', () => this.disconnect());
         
+        // Ask the target for control again after a deny or revoke
+        this.requestControlBtn.addEventListener('click', () => this.requestControl());
+        
+        // Start or stop recording the session for later review
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        
+        // Show or hide the connection quality panel
+        this.statsBtn.addEventListener('click', () => this.statsPanel.classList.toggle('hidden'));
+        
+        // Annotate mode and its tools
+        this.annotateBtn.addEventListener('click', () => this.setAnnotating(!this.annotating));
+        this.annotationToolbar.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.annotationTool = btn.dataset.tool;
+                this.annotationToolbar.querySelectorAll('[data-tool]').forEach(other => other.classList.toggle('active', other === btn));
+            });
+        });
+        this.annotationToolbar.querySelectorAll('[data-color]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.annotationColor = btn.dataset.color;
+                this.annotationToolbar.querySelectorAll('[data-color]').forEach(other => other.classList.toggle('active', other === btn));
+            });
+        });
+        document.getElementById('annotation-clear-btn').addEventListener('click', () => this.clearAnnotations());
+        
+        // Gesture macros: record, replay, export and import
+        this.macroBtn.addEventListener('click', () => this.macroPanel.classList.toggle('hidden'));
+        this.macroRecordBtn.addEventListener('click', () => this.toggleMacroRecording());
+        document.getElementById('macro-export-btn').addEventListener('click', () => this.exportMacros());
+        document.getElementById('macro-import-btn').addEventListener('click', () => this.macroFileInput.click());
+        this.macroFileInput.addEventListener('change', () => {
+            if (this.macroFileInput.files[0]) this.importMacros(this.macroFileInput.files[0]);
+            this.macroFileInput.value = '';
+        });
+        
+        // Chat with the phone's user
+        this.chatBtn.addEventListener('click', () => this.setChatOpen(!this.chatOpen));
+        document.getElementById('chat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendChat(this.chatInput.value);
+            this.chatInput.value = '';
+        });
+        
+        // Send files to the phone: pick them, or drop them on the screen
+        document.getElementById('btn-send-file').addEventListener('click', () => this.fileInput.click());
+        document.getElementById('btn-screenshot').addEventListener('click', () => this.requestScreenshot());
+        this.fileInput.addEventListener('change', () => {
+            this.sendFiles(this.fileInput.files);
+            this.fileInput.value = '';
+        });
+        this.videoContainer.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.videoContainer.classList.add('drop-target');
+        });
+        this.videoContainer.addEventListener('dragleave', (e) => {
+            if (!this.videoContainer.contains(e.relatedTarget)) {
+                this.videoContainer.classList.remove('drop-target');
+            }
+        });
+        this.videoContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.videoContainer.classList.remove('drop-target');
+            this.sendFiles(e.dataTransfer.files);
+        });
+        
         // Fullscreen button
         document.getElementById('fullscreen-btn').addEventListener('click', () => this.toggleFullscreen());
         
@@ -67,100 +1183,151 @@ class RemoteController {
         document.getElementById('btn-home').addEventListener('click', () => this.sendGesture('home'));
         document.getElementById('btn-recents').addEventListener('click', () => this.sendGesture('recents'));
         
+        // Text input
+        this.keyboardBtn = document.getElementById('btn-keyboard');
+        this.keyboardBtn.addEventListener('click', () => this.setKeyboardMode(!this.keyboardMode));
+        document.getElementById('btn-paste').addEventListener('click', () => this.pasteClipboard());
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        
         // Gesture handling on canvas
         this.initGestureHandling();
     }
     
-    initGestureHandling() {
-        const canvas = this.gestureCanvas;
-        let startX, startY, startTime;
-        let isDragging = false;
+    setKeyboardMode(enabled) {
+        if (!enabled) this.flushText();
+        this.keyboardMode = enabled;
+        this.keyboardBtn.classList.toggle('active', enabled);
+        this.keyboardBtn.blur();
+    }
+    
+    handleKeyDown(e) {
+        if (!this.keyboardMode) return;
         
-        const getRelativeCoords = (e) => {
-            const rect = canvas.getBoundingClientRect();
-            const videoRect = this.remoteVideo.getBoundingClientRect();
-            
-            // Get position relative to video
-            const x = (e.clientX - videoRect.left) / videoRect.width;
-            const y = (e.clientY - videoRect.top) / videoRect.height;
-            
-            return { x: Math.max(0, Math.min(1, x)), y: Math.max(0, Math.min(1, y)) };
-        };
+        // Leave other inputs on the page alone
+        const tag = document.activeElement?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA') return;
         
-        canvas.addEventListener('mousedown', (e) => {
-            const coords = getRelativeCoords(e);
-            startX = coords.x;
-            startY = coords.y;
-            startTime = Date.now();
-            isDragging = true;
-        });
+        // Browser shortcuts (copy, reload, tab switching...) stay with the browser
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
         
-        canvas.addEventListener('mouseup', (e) => {
-            if (!isDragging) return;
-            isDragging = false;
-            
-            const coords = getRelativeCoords(e);
-            const duration = Date.now() - startTime;
-            const distance = Math.sqrt(Math.pow(coords.x - startX, 2) + Math.pow(coords.y - startY, 2));
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.setKeyboardMode(false);
+            return;
+        }
+        
+        if (KEY_ACTIONS.has(e.key)) {
+            e.preventDefault();
+            // Keep ordering: pending text goes before the key press
+            this.flushText();
+            this.sendGesture('key', { key: e.key });
+            return;
+        }
+        
+        if (e.key.length === 1) {
+            e.preventDefault();
+            this.textBuffer += e.key;
             
-            if (distance < 0.02) {
-                // Tap or Long Press
-                if (duration > 500) {
-                    this.sendGesture('longpress', { x: startX, y: startY, duration });
-                } else {
-                    this.sendGesture('tap', { x: startX, y: startY });
-                }
+            clearTimeout(this.textFlushTimer);
+            if (this.textBuffer.length >= TEXT_BATCH_MAX_LENGTH) {
+                this.flushText();
             } else {
-                // Swipe
-                this.sendGesture('swipe', {
-                    startX, startY,
-                    endX: coords.x,
-                    endY: coords.y,
-                    duration: Math.max(100, duration)
-                });
+                this.textFlushTimer = setTimeout(() => this.flushText(), TEXT_BATCH_DELAY_MS);
+            }
+        }
+    }
+    
+    flushText() {
+        clearTimeout(this.textFlushTimer);
+        this.textFlushTimer = null;
+        
+        if (!this.textBuffer) return;
+        const text = this.textBuffer;
+        this.textBuffer = '';
+        this.sendGesture('text', { text });
+    }
+    
+    async pasteClipboard() {
+        try {
+            const text = await navigator.clipboard.readText();
+            if (text) {
+                this.flushText();
+                this.sendGesture('text', { text: text.slice(0, MAX_TEXT_LENGTH) });
             }
+        } catch (error) {
+            console.error('Clipboard read failed:', error);
+            alert('Could not read the clipboard. Allow clipboard access for this page and try again.');
+        }
+    }
+    
+    initGestureHandling() {
+        const canvas = this.gestureCanvas;
+        
+        const getRelativeCoords = (e) => this.getVideoCoords(e);
+        
+        // Mouse and touch share one recognizer through Pointer Events
+        this.gestureRecognizer = new GestureRecognizer(canvas, getRelativeCoords, (action, params) => {
+            this.sendGesture(action, params);
         });
         
-        canvas.addEventListener('mouseleave', () => {
-            isDragging = false;
+        // In annotate mode the pointer draws marks instead (the recognizer is off)
+        canvas.addEventListener('pointerdown', (e) => this.onAnnotationPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onAnnotationPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onAnnotationPointerUp(e));
+        canvas.addEventListener('pointercancel', () => this.endAnnotation());
+        
+        // The stream changes size when the phone rotates; a stroke in flight
+        // would mix coordinates from both orientations
+        this.remoteVideo.addEventListener('resize', () => {
+            console.log(`Stream resized to ${this.remoteVideo.videoWidth}x${this.remoteVideo.videoHeight}`);
+            this.gestureRecognizer.cancel();
+            this.resizeCanvas();
         });
         
-        // Touch support
-        canvas.addEventListener('touchstart', (e) => {
+        // Right-click is Back
+        canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            const touch = e.touches[0];
-            const coords = getRelativeCoords(touch);
-            startX = coords.x;
-            startY = coords.y;
-            startTime = Date.now();
-            isDragging = true;
+            if (this.annotating) return;
+            this.sendGesture('back');
         });
         
-        canvas.addEventListener('touchend', (e) => {
+        // Mouse wheel scrolls the target, coalesced into one scroll per burst
+        let wheel = null;
+        canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            if (!isDragging) return;
-            isDragging = false;
+            if (this.annotating) return;
             
-            const touch = e.changedTouches[0];
-            const coords = getRelativeCoords(touch);
-            const duration = Date.now() - startTime;
-            const distance = Math.sqrt(Math.pow(coords.x - startX, 2) + Math.pow(coords.y - startY, 2));
+            const videoRect = this.getVideoContentRect();
+            const unit = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? WHEEL_LINE_HEIGHT
+                : e.deltaMode === WheelEvent.DOM_DELTA_PAGE ? videoRect.height : 1;
             
-            if (distance < 0.02) {
-                if (duration > 500) {
-                    this.sendGesture('longpress', { x: startX, y: startY, duration });
-                } else {
-                    this.sendGesture('tap', { x: startX, y: startY });
-                }
-            } else {
-                this.sendGesture('swipe', {
-                    startX, startY,
-                    endX: coords.x,
-                    endY: coords.y,
-                    duration: Math.max(100, duration)
-                });
+            if (!wheel) {
+                const start = getRelativeCoords(e);
+                if (!start.inside) return;
+                wheel = { start, deltaX: 0, deltaY: 0 };
+                setTimeout(() => {
+                    const { start, deltaX, deltaY } = wheel;
+                    wheel = null;
+                    
+                    // Content follows the wheel, so the finger moves the opposite
+                    // way; keep the whole stroke on screen
+                    const endX = Math.max(0, Math.min(1, start.x - deltaX / videoRect.width));
+                    const endY = Math.max(0, Math.min(1, start.y - deltaY / videoRect.height));
+                    if (endX === start.x && endY === start.y) return;
+                    
+                    this.sendGesture('scroll', {
+                        startX: start.x,
+                        startY: start.y,
+                        deltaX: endX - start.x,
+                        deltaY: endY - start.y,
+                        duration: WHEEL_SCROLL_DURATION_MS
+                    });
+                }, WHEEL_COALESCE_MS);
             }
-        });
+            
+            wheel.deltaX += e.deltaX * unit;
+            wheel.deltaY += e.deltaY * unit;
+        }, { passive: false });
     }
     
     showStatus(message, type = 'info') {
@@ -168,7 +1335,76 @@ class RemoteController {
         this.statusDiv.className = `status ${type}`;
     }
     
-    connect() {
+    isSignedIn() {
+        return Boolean(this.auth) && Date.parse(this.auth.expiresAt) > Date.now();
+    }
+    
+    showAuthState() {
+        const signedIn = this.isSignedIn();
+        this.loginCard.classList.toggle('hidden', signedIn);
+        this.connectCard.classList.toggle('hidden', !signedIn);
+        this.signedInUserSpan.textContent = signedIn ? this.auth.username : '';
+        this.operatorNameInput.placeholder = signedIn
+            ? `Your name (default: ${this.auth.username})`
+            : 'Your name (shown on the phone)';
+    }
+    
+    async login() {
+        const username = document.getElementById('login-username').value.trim();
+        const passwordInput = document.getElementById('login-password');
+        const loginBtn = document.getElementById('login-btn');
+        
+        loginBtn.disabled = true;
+        try {
+            const response = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password: passwordInput.value })
+            });
+            const body = await response.json();
+            
+            if (!response.ok) {
+                this.loginStatusDiv.textContent = body.message || 'Sign in failed';
+                this.loginStatusDiv.className = 'status error';
+                return;
+            }
+            
+            this.auth = body;
+            sessionStorage.setItem('operatorAuth', JSON.stringify(body));
+            passwordInput.value = '';
+            this.loginStatusDiv.className = 'status';
+            this.showAuthState();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.loginStatusDiv.textContent = 'Could not reach the server. Please try again.';
+            this.loginStatusDiv.className = 'status error';
+        } finally {
+            loginBtn.disabled = false;
+        }
+    }
+    
+    logout() {
+        if (this.ws) this.disconnect();
+        this.auth = null;
+        sessionStorage.removeItem('operatorAuth');
+        this.showAuthState();
+    }
+    
+    /**
+     * Sends the operator back to the sign-in form with a message.
+     */
+    requireLogin(message) {
+        this.logout();
+        this.loginStatusDiv.textContent = message;
+        this.loginStatusDiv.className = 'status error';
+    }
+    
+    async connect() {
+        if (!this.isSignedIn()) {
+            this.requireLogin('Your session has expired. Please sign in again.');
+            return;
+        }
+        
         const code = this.pairingCodeInput.value.trim().toUpperCase();
         
         if (code.length !== 6) {
@@ -177,47 +1413,93 @@ class RemoteController {
         }
         
         this.pairingCode = code;
+        this.setControlState('none');
+        localStorage.setItem('operatorName', this.operatorNameInput.value.trim());
         this.showStatus('Connecting to server...', 'info');
         this.connectBtn.disabled = true;
         
-        // Determine WebSocket URL
+        // ICE servers must be known before the peer connection exists
+        await this.loadIceConfig();
+        
+        // A token saved before a page reload lets us take our old place back
+        this.resumeToken = sessionStorage.getItem(`resumeToken:${code}`);
+        this.openSocket();
+    }
+    
+    openSocket() {
+        const code = this.pairingCode;
+        
+        // Determine WebSocket URL. A resuming client joins with its token
+        // only: a URL auto-join would compete for the slot it is reclaiming.
         const isSecure = window.location.protocol === 'https:';
         const wsProtocol = isSecure ? 'wss:' : 'ws:';
-        const wsUrl = `${wsProtocol}//${window.location.host}/ws?code=${code}&type=controller`;
+        const query = this.resumeToken ? 'type=controller' : `code=${code}&type=controller`;
+        const wsUrl = `${wsProtocol}//${window.location.host}/ws?${query}`;
         
         console.log('Connecting to:', wsUrl);
+        const authorizedUrl = `${wsUrl}&token=${encodeURIComponent(this.auth.token)}`;
         
         try {
-            this.ws = new WebSocket(wsUrl);
+            const ws = new WebSocket(authorizedUrl);
+            this.ws = ws;
             
-            this.ws.onopen = () => {
+            ws.onopen = () => {
                 console.log('WebSocket connected');
-                this.showStatus('Connected! Waiting for video offer...', 'success');
+                if (!this.reconnectAttempts) {
+                    this.showStatus('Connected! Waiting for video offer...', 'success');
+                }
                 
                 // Send join message
-                this.ws.send(JSON.stringify({
+                ws.send(JSON.stringify({
                     type: 'join',
+                    version: PROTOCOL_VERSION,
                     room: code,
-                    role: 'controller'
+                    role: 'controller',
+                    resumeToken: this.resumeToken || undefined
                 }));
                 
                 // Initialize peer connection right away so we're ready to receive offers
                 this.createPeerConnection();
             };
             
-            this.ws.onmessage = (event) => {
+            ws.onmessage = (event) => {
+                // Ignore whatever a socket we already let go still delivers
+                if (this.ws !== ws) return;
                 this.handleSignalingMessage(JSON.parse(event.data));
             };
             
-            this.ws.onerror = (error) => {
+            ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
-                this.showStatus('Connection error. Please try again.', 'error');
-                this.connectBtn.disabled = false;
+                if (!this.joined && !this.reconnectAttempts) {
+                    this.showStatus('Connection error. Please try again.', 'error');
+                    this.connectBtn.disabled = false;
+                }
             };
             
-            this.ws.onclose = () => {
+            ws.onclose = () => {
                 console.log('WebSocket closed');
-                if (this.isConnected) {
+                if (this.ws !== ws) {
+                    // Closed on purpose (disconnect or join error)
+                    return;
+                }
+                this.ws = null;
+                
+                // The server told us it is going away: let the operator decide
+                // when to reconnect (the video may well keep playing meanwhile)
+                if (this.serverRestarting) {
+                    this.joined = false;
+                    this.showBanner('The server restarted.', {
+                        label: 'Reconnect',
+                        onClick: () => this.reconnectAfterRestart()
+                    });
+                    return;
+                }
+                
+                // Lost a session we were in: try to get it back
+                if (this.joined || this.reconnectAttempts) {
+                    this.joined = false;
+                    this.scheduleReconnect();
+                } else if (this.isConnected) {
                     this.disconnect();
                 } else {
                     this.showStatus('Connection closed', 'error');
@@ -231,17 +1513,204 @@ class RemoteController {
         }
     }
     
+    async loadIceConfig() {
+        try {
+            const response = await fetch('/ice-config', {
+                cache: 'no-store',
+                headers: { 'Authorization': `Bearer ${this.auth?.token}` }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            const { iceServers, iceTransportPolicy } = await response.json();
+            this.rtcConfig = iceTransportPolicy ? { iceServers, iceTransportPolicy } : { iceServers };
+            console.log('Loaded ICE config:', this.rtcConfig.iceServers.map(server => server.urls));
+        } catch (error) {
+            console.warn('Could not load /ice-config, using default STUN servers:', error);
+            this.rtcConfig = DEFAULT_RTC_CONFIG;
+        }
+    }
+    
+    scheduleReconnect() {
+        // The server refuses controller sockets once the token has expired
+        if (!this.isSignedIn()) {
+            this.disconnect();
+            this.requireLogin('Your session has expired. Please sign in again.');
+            return;
+        }
+        
+        if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            console.error('Giving up reconnecting');
+            this.disconnect();
+            this.showStatus('Lost connection to the server. Enter the code to reconnect.', 'error');
+            return;
+        }
+        
+        // Exponential backoff with jitter so a server restart isn't stampeded
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts)
+            + Math.random() * RECONNECT_JITTER_MS;
+        this.reconnectAttempts++;
+        
+        console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+        this.showBanner(`Connection lost. Reconnecting (attempt ${this.reconnectAttempts} of ${MAX_RECONNECT_ATTEMPTS})…`);
+        this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+    }
+    
+    /**
+     * Shows a notice over the video, optionally with an action button.
+     */
+    showBanner(text, action) {
+        this.connectionBanner.textContent = text;
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'link-btn';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            this.connectionBanner.append(' ', button);
+        }
+        this.connectionBanner.classList.remove('hidden');
+    }
+    
+    /**
+     * Rejoins after a `server-restarting` notice, with the usual backoff in
+     * case the new server is not up yet.
+     */
+    reconnectAfterRestart() {
+        this.serverRestarting = false;
+        this.reconnectAttempts = 0;
+        clearTimeout(this.reconnectTimer);
+        this.scheduleReconnect();
+    }
+    
+    hideBanner() {
+        this.connectionBanner.classList.add('hidden');
+    }
+    
+    /**
+     * Renegotiates the peer connection with fresh ICE candidates, keeping the
+     * session. We become the offerer for this round; the target answers.
+     */
+    async restartIce() {
+        clearTimeout(this.iceDisconnectedTimer);
+        if (!this.pc) return;
+        
+        // Signaling is down: restart once we are back in the room
+        if (!this.joined || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.iceRestartPending = true;
+            return;
+        }
+        this.iceRestartPending = false;
+        
+        if (this.iceRestartAttempts >= MAX_ICE_RESTARTS) {
+            console.error('❌ ICE restart attempts exhausted');
+            this.showBanner('Video connection failed. Disconnect and reconnect to try again.');
+            return;
+        }
+        this.iceRestartAttempts++;
+        
+        try {
+            console.log(`Restarting ICE (attempt ${this.iceRestartAttempts})...`);
+            this.showBanner('Video connection lost. Reconnecting…');
+            
+            // TURN credentials are time-limited; fetch fresh ones for the new candidates
+            await this.loadIceConfig();
+            if (!this.pc) return;
+            this.pc.setConfiguration(this.rtcConfig);
+            
+            const offer = await this.pc.createOffer({ iceRestart: true });
+            await this.pc.setLocalDescription(offer);
+            this.ws.send(JSON.stringify({ type: 'offer', sdp: offer.sdp }));
+        } catch (error) {
+            console.error('ICE restart failed:', error);
+        }
+    }
+    
     async handleSignalingMessage(message) {
         console.log('Received:', message.type, message);
         
         switch (message.type) {
             case 'joined':
-                console.log('Joined room:', message.room);
+                console.log('Joined room:', message.room, 'as', message.role, message.resumed ? '(resumed)' : '');
+                this.joined = true;
+                this.reconnectAttempts = 0;
+                this.sessionId = message.sessionId;
+                this.resumeToken = message.resumeToken;
+                sessionStorage.setItem(`resumeToken:${this.pairingCode}`, message.resumeToken);
+                this.hideBanner();
+                
+                // A fresh membership starts view-only, even after a reconnect,
+                // and hears about the spectators again
+                if (!message.resumed) {
+                    this.setControlState('none');
+                    this.clearSpectators();
+                }
+                if (this.controlState === 'none') {
+                    this.requestControl();
+                }
+                if (this.iceRestartPending) {
+                    this.restartIce();
+                }
+                break;
+                
+            case 'server-restarting':
+                console.log(`Server restarting, closing sockets in ${message.drainSeconds}s`);
+                this.serverRestarting = true;
+                this.showBanner('The server is restarting. You will be asked to reconnect.');
+                break;
+                
+            case 'peer-reconnecting':
+                if (message.role === 'spectator') {
+                    this.spectatorHost.stop(message.spectatorId);
+                    this.renderSpectator(message.spectatorId, { state: 'reconnecting' });
+                } else if (message.role === 'target') {
+                    this.stopMacro();
+                    console.log(`Target dropped, server holds its place for ${message.grace}s`);
+                    this.showBanner('The phone lost its connection. Waiting for it to come back…');
+                }
+                break;
+                
+            case 'control-grant':
+                console.log('Control granted');
+                this.setControlState('granted');
+                break;
+                
+            case 'control-deny':
+                console.log('Control denied');
+                this.setControlState('denied');
+                this.showStatus('The phone owner declined control. You can still watch the screen.', 'error');
+                break;
+                
+            case 'control-revoke':
+                console.log('Control revoked');
+                this.setControlState('revoked');
+                break;
+                
+            case 'join-error':
+                console.error('Join rejected:', message.code, message.message);
+                this.handleJoinError(message);
+                break;
+                
+            case 'error':
+                console.error('Server error:', message.code, message.message);
+                if (message.code === 'rate-limited' && message.scope !== 'message') {
+                    this.handleJoinError(message);
+                } else if (message.code === 'control-not-granted' && this.controlState === 'granted') {
+                    this.setControlState('revoked');
+                }
                 break;
                 
             case 'peer-joined':
-                // Peer (Android Target) joined - it will send us an offer
-                console.log('Peer joined, waiting for offer...');
+                // A spectator back after a drop: stream to it again if we host it
+                if (message.role === 'spectator' && message.resumed) {
+                    const row = this.spectatorRows.get(message.spectatorId);
+                    if (row?.state === 'reconnecting') {
+                        this.renderSpectator(message.spectatorId, { state: 'watching' });
+                        if (row.hosting) this.spectatorHost.start(message.spectatorId);
+                    }
+                }
+                if (message.role !== 'target') break;
+                this.hideBanner();
+                // Android Target is present - it will send us an offer
+                console.log('Target joined, waiting for offer...');
                 this.showStatus('Peer connected! Waiting for video stream...', 'success');
                 break;
                 
@@ -255,6 +1724,10 @@ class RemoteController {
                 }
                 
                 try {
+                    // Both sides offered at once (our ICE restart vs theirs): yield
+                    if (this.pc.signalingState === 'have-local-offer') {
+                        await this.pc.setLocalDescription({ type: 'rollback' });
+                    }
                     await this.pc.setRemoteDescription(new RTCSessionDescription({
                         type: 'offer',
                         sdp: message.sdp
@@ -267,8 +1740,20 @@ class RemoteController {
                 break;
                 
             case 'answer':
-                // This shouldn't happen - we don't send offers
-                console.log('Received unexpected answer');
+                // Only expected in reply to our own offer (ICE restart, file channel)
+                if (!this.pc || this.pc.signalingState !== 'have-local-offer') {
+                    console.log('Received unexpected answer');
+                    break;
+                }
+                try {
+                    await this.pc.setRemoteDescription(new RTCSessionDescription({
+                        type: 'answer',
+                        sdp: message.sdp
+                    }));
+                    console.log('Set remote description (answer)');
+                } catch (error) {
+                    console.error('Error handling answer:', error);
+                }
                 break;
                 
             case 'ice-candidate':
@@ -289,12 +1774,125 @@ class RemoteController {
                 break;
                 
             case 'peer-left':
-                console.log('Peer left');
-                this.showStatus('Target device disconnected', 'error');
+                console.log('Peer left:', message.role);
+                if (message.role === 'spectator') {
+                    this.removeSpectator(message.spectatorId);
+                } else if (message.role === 'target') {
+                    this.stopMacro();
+                    this.showStatus('Target device disconnected', 'error');
+                }
+                break;
+                
+            case 'spectate-request':
+                console.log('Spectator asks to watch:', message.operator);
+                this.renderSpectator(message.spectatorId, { operator: message.operator, state: 'pending' });
+                break;
+                
+            case 'spectate-grant':
+                // Whoever let the spectator in streams to it
+                this.renderSpectator(message.spectatorId, { operator: message.operator, state: 'watching', hosting: message.hosting });
+                if (message.hosting) {
+                    this.spectatorHost.start(message.spectatorId);
+                } else {
+                    this.spectatorHost.stop(message.spectatorId);
+                }
+                break;
+                
+            case 'spectate-answer':
+                this.spectatorHost.handleAnswer(message.spectatorId, message.sdp);
+                break;
+                
+            case 'spectate-candidate':
+                this.spectatorHost.handleCandidate(message);
+                break;
+                
+            case 'chat':
+                this.receiveChat(message);
+                break;
+                
+            case 'chat-history':
+                this.loadChatHistory(message.messages);
+                break;
+                
+            case 'chat-ack':
+                if (this.chatEntries.has(message.id)) {
+                    this.renderChatMessage(message.id, { state: 'sent', sentAt: message.sentAt });
+                }
+                break;
+                
+            case 'chat-delivered':
+                if (this.chatEntries.has(message.id)) {
+                    this.renderChatMessage(message.id, { state: 'delivered' });
+                }
+                break;
+                
+            case 'session-end':
+                console.log('Session ended:', message.reason);
+                this.disconnect();
+                this.showStatus(message.reason === 'kicked-by-admin'
+                    ? 'An administrator removed you from this session.'
+                    : 'This session has ended.', 'error');
                 break;
         }
     }
     
+    requestControl() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        
+        this.setControlState('pending');
+        this.ws.send(JSON.stringify({
+            type: 'control-request',
+            name: this.operatorNameInput.value.trim() || this.auth?.username || 'Operator'
+        }));
+    }
+    
+    setControlState(state) {
+        this.controlState = state;
+        if (state !== 'granted') {
+            this.stopMacro();
+        }
+        
+        const labels = {
+            pending: 'Waiting for approval…',
+            granted: 'In control',
+            denied: 'View only (declined)',
+            revoked: 'View only (revoked)'
+        };
+        const viewOnly = state !== 'granted';
+        
+        this.controlStateSpan.textContent = labels[state] || '';
+        this.controlStateSpan.className = `control-state ${state === 'granted' || state === 'pending' ? state : 'view-only'}`;
+        this.gestureCanvas.classList.toggle('view-only', viewOnly);
+        this.navButtons.forEach(btn => { btn.disabled = viewOnly; });
+        this.annotateBtn.disabled = viewOnly;
+        if (viewOnly && this.annotating) {
+            this.setAnnotating(false);
+        }
+        this.requestControlBtn.classList.toggle('hidden', state !== 'denied' && state !== 'revoked');
+    }
+    
+    handleJoinError(message) {
+        const messages = {
+            'unknown-code': 'That code doesn\'t exist. Check the code shown on the phone.',
+            'code-expired': 'That code has expired. Ask for a new code on the phone.',
+            'no-target': 'No phone is waiting with this code. Check the code and try again.',
+            'room-full': 'Another controller is already connected to this phone.',
+            'target-exists': 'This session already has a target device.',
+            'unauthorized': 'Please sign in with your operator account.',
+            'removed': 'An administrator removed you from this session.',
+            'unsupported-version': 'This page is out of date. Reload it and try again.',
+            'rate-limited': `Too many attempts. Please wait ${message.retryAfter || 60} seconds and try again.`
+        };
+        
+        // Tear the session down (also when a reconnect was refused) and keep
+        // the code in the box so it can be corrected or retried
+        const code = this.pairingCode;
+        this.disconnect();
+        this.pairingCodeInput.value = code;
+        
+        this.showStatus(messages[message.code] || message.message || 'Unable to join session', 'error');
+    }
+    
     createPeerConnection() {
         if (this.pc) {
             console.log('PeerConnection already exists');
@@ -310,11 +1908,20 @@ class RemoteController {
             if (event.track.kind === 'video') {
                 console.log('Setting video stream to video element');
                 this.remoteVideo.srcObject = event.streams[0];
+                this.spectatorHost.setTrack(event.track);
+                this.recordBtn.disabled = false;
                 this.videoOverlay.classList.add('hidden');
                 this.showControllerScreen();
             }
         };
         
+        // A file channel the target opened itself (see openFileChannel)
+        this.pc.ondatachannel = (event) => {
+            if (event.channel.label === FILE_CHANNEL_LABEL) {
+                this.fileTransfer.attach(event.channel);
+            }
+        };
+        
         // Handle ICE candidates
         this.pc.onicecandidate = (event) => {
             if (event.candidate) {
@@ -334,11 +1941,23 @@ class RemoteController {
             if (this.pc.connectionState === 'connected') {
                 console.log('✅ WebRTC Connected!');
                 this.isConnected = true;
+                this.iceRestartAttempts = 0;
+                clearTimeout(this.iceDisconnectedTimer);
+                this.hideBanner();
+                this.startStatsPolling();
+                // A new connection starts at full quality; repeat what we asked for
+                this.sendQualityHint();
+                this.openFileChannel();
             } else if (this.pc.connectionState === 'failed') {
                 console.error('❌ WebRTC Connection failed');
                 this.showStatus('Connection failed', 'error');
+                this.restartIce();
             } else if (this.pc.connectionState === 'disconnected') {
+                // Often recovers on its own; restart ICE if it doesn't
                 this.showStatus('Connection lost', 'error');
+                this.showBanner('Video connection unstable…');
+                clearTimeout(this.iceDisconnectedTimer);
+                this.iceDisconnectedTimer = setTimeout(() => this.restartIce(), ICE_DISCONNECTED_TIMEOUT_MS);
             }
         };
         
@@ -372,6 +1991,323 @@ class RemoteController {
         }
     }
     
+    /**
+     * The target's offer normally carries video only. If it has no data
+     * channel section, we add the file channel and offer it ourselves (the
+     * target answers, as for an ICE restart).
+     */
+    async openFileChannel() {
+        if (!this.pc || this.fileTransfer.channel || this.pc.signalingState !== 'stable') return;
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        if (this.pc.remoteDescription?.sdp.includes('m=application')) return;
+        
+        // Lowest priority: a big file must not starve the video
+        this.fileTransfer.attach(this.pc.createDataChannel(FILE_CHANNEL_LABEL, { ordered: true, priority: 'very-low' }));
+        try {
+            const offer = await this.pc.createOffer();
+            await this.pc.setLocalDescription(offer);
+            this.ws.send(JSON.stringify({ type: 'offer', sdp: offer.sdp }));
+            console.log('📁 Offered the file channel');
+        } catch (error) {
+            console.error('Could not offer the file channel:', error);
+        }
+    }
+    
+    sendFiles(files) {
+        if (!files.length) return;
+        if (this.controlState !== 'granted') {
+            alert('The phone owner has to grant control before you can send files.');
+            return;
+        }
+        Array.from(files).forEach(file => this.fileTransfer.send(file));
+    }
+    
+    requestScreenshot() {
+        if (this.controlState !== 'granted') {
+            alert('The phone owner has to grant control before you can take screenshots.');
+            return;
+        }
+        if (!this.fileTransfer.isOpen()) {
+            this.showStatus('The file channel is not open yet', 'error');
+            return;
+        }
+        this.fileTransfer.requestScreenshot();
+    }
+    
+    /**
+     * Adds or updates a transfer's row in the transfer list.
+     */
+    renderTransfer(transfer) {
+        let row = this.transferRows.get(transfer.id);
+        if (!row) {
+            row = {
+                item: document.createElement('li'),
+                name: document.createElement('span'),
+                progress: document.createElement('progress'),
+                status: document.createElement('span'),
+                button: document.createElement('button')
+            };
+            row.name.className = 'transfer-name';
+            row.name.textContent = `${transfer.direction === 'out' ? '⬆' : '⬇'} ${transfer.name}`;
+            row.name.title = `${transfer.name} (${formatBytes(transfer.size)})`;
+            row.status.className = 'transfer-status';
+            row.button.className = 'link-btn';
+            row.button.addEventListener('click', () => {
+                if (ACTIVE_TRANSFER_STATES.has(transfer.status)) {
+                    this.fileTransfer.cancel(transfer.id);
+                } else {
+                    this.fileTransfer.remove(transfer.id);
+                    row.item.remove();
+                    this.transferRows.delete(transfer.id);
+                    this.transferPanel.classList.toggle('hidden', this.transferRows.size === 0);
+                }
+            });
+            row.item.append(row.name, row.progress, row.status, row.button);
+            this.transferList.append(row.item);
+            this.transferRows.set(transfer.id, row);
+            this.transferPanel.classList.remove('hidden');
+        }
+        
+        const active = ACTIVE_TRANSFER_STATES.has(transfer.status);
+        row.progress.max = transfer.size || 1;
+        row.progress.value = transfer.status === 'done' ? row.progress.max : transfer.bytes;
+        row.item.className = `transfer ${transfer.status}`;
+        row.button.textContent = active ? 'Cancel' : 'Dismiss';
+        
+        const labels = {
+            queued: 'Queued',
+            waiting: 'Waiting for the phone…',
+            sending: `${formatBytes(transfer.bytes)} of ${formatBytes(transfer.size)}`,
+            receiving: `${formatBytes(transfer.bytes)} of ${formatBytes(transfer.size)}`,
+            verifying: 'Verifying…',
+            done: 'Delivered',
+            failed: `Failed: ${transfer.error}`,
+            cancelled: 'Cancelled',
+            rejected: transfer.error ? `Declined (${transfer.error})` : 'Declined'
+        };
+        if (transfer.status === 'done' && transfer.direction === 'in') {
+            const link = document.createElement('a');
+            link.href = transfer.url;
+            link.download = transfer.name;
+            link.textContent = `Save (${formatBytes(transfer.size)})`;
+            row.status.replaceChildren(link);
+        } else {
+            row.status.textContent = labels[transfer.status];
+        }
+    }
+    
+    clearTransfers() {
+        this.fileTransfer.close();
+        this.transferRows.clear();
+        this.transferList.replaceChildren();
+        this.transferPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Adds or updates a spectator's row in the spectator panel. Pending
+     * spectators can be let in or turned away, watching ones removed.
+     */
+    renderSpectator(spectatorId, update) {
+        let row = this.spectatorRows.get(spectatorId);
+        if (!row) {
+            row = {
+                item: document.createElement('li'),
+                name: document.createElement('span'),
+                status: document.createElement('span'),
+                allowBtn: document.createElement('button'),
+                denyBtn: document.createElement('button'),
+                operator: null,
+                state: 'pending',
+                hosting: false
+            };
+            row.item.className = 'spectator';
+            row.name.className = 'spectator-name';
+            row.status.className = 'spectator-status';
+            row.allowBtn.className = 'link-btn';
+            row.allowBtn.textContent = 'Allow';
+            row.allowBtn.addEventListener('click', () => this.sendMessage({ type: 'spectate-grant', spectatorId }));
+            row.denyBtn.className = 'link-btn';
+            row.denyBtn.addEventListener('click', () => this.sendMessage({ type: 'spectate-deny', spectatorId }));
+            row.item.append(row.name, row.status, row.allowBtn, row.denyBtn);
+            this.spectatorList.append(row.item);
+            this.spectatorRows.set(spectatorId, row);
+            this.spectatorPanel.classList.remove('hidden');
+        }
+        
+        Object.entries(update).forEach(([key, value]) => {
+            if (value !== undefined) row[key] = value;
+        });
+        
+        const labels = {
+            pending: 'wants to watch',
+            watching: row.hosting ? 'watching' : 'watching via another operator',
+            reconnecting: 'reconnecting…'
+        };
+        row.name.textContent = `👁 ${row.operator || 'Spectator'}`;
+        row.status.textContent = labels[row.state];
+        row.allowBtn.classList.toggle('hidden', row.state !== 'pending');
+        row.denyBtn.textContent = row.state === 'pending' ? 'Deny' : 'Remove';
+    }
+    
+    removeSpectator(spectatorId) {
+        this.spectatorHost.stop(spectatorId);
+        this.spectatorRows.get(spectatorId)?.item.remove();
+        this.spectatorRows.delete(spectatorId);
+        this.spectatorPanel.classList.toggle('hidden', this.spectatorRows.size === 0);
+    }
+    
+    clearSpectators() {
+        this.spectatorHost.close();
+        this.spectatorRows.clear();
+        this.spectatorList.replaceChildren();
+        this.spectatorPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Opens or closes the chat panel; opening it marks every message read.
+     */
+    setChatOpen(open) {
+        this.chatOpen = open;
+        this.chatPanel.classList.toggle('hidden', !open);
+        this.chatBtn.classList.toggle('active', open);
+        if (open) {
+            this.chatUnread = 0;
+            this.renderChatBadge();
+            this.chatLog.scrollTop = this.chatLog.scrollHeight;
+            this.chatInput.focus();
+        }
+    }
+    
+    renderChatBadge() {
+        this.chatBadge.textContent = this.chatUnread > 99 ? '99+' : String(this.chatUnread);
+        this.chatBadge.classList.toggle('hidden', this.chatUnread === 0);
+    }
+    
+    sendChat(text) {
+        text = text.trim().slice(0, MAX_CHAT_LENGTH);
+        if (!text) return;
+        
+        const id = `${this.chatPrefix}-${++this.chatCount}`;
+        const open = this.ws?.readyState === WebSocket.OPEN;
+        this.sendMessage({ type: 'chat', id, text });
+        this.renderChatMessage(id, { text, own: true, sentAt: Date.now(), state: open ? 'sending' : 'failed' });
+    }
+    
+    /**
+     * Shows a message from someone else and tells its sender it arrived.
+     */
+    receiveChat(message) {
+        const { id, text, senderId, senderRole, name, sentAt } = message;
+        this.renderChatMessage(`${senderId}:${id}`, { text, own: false, senderRole, name, sentAt });
+        this.sendMessage({ type: 'chat-delivered', id, senderId });
+        if (!this.chatOpen) {
+            this.chatUnread++;
+            this.renderChatBadge();
+        }
+    }
+    
+    /**
+     * Replaces the chat log with the room's history, sent when we join or
+     * resume. Messages we had not seen count as unread; ours keep the
+     * delivery state we know, and those the server never got stay listed
+     * as not sent.
+     */
+    loadChatHistory(messages) {
+        const previous = this.chatEntries;
+        this.chatEntries = new Map();
+        this.chatLog.replaceChildren();
+        
+        messages.forEach(({ id, text, senderId, senderRole, name, sentAt, own }) => {
+            // Our message ids are unique to this page, even across memberships
+            const ours = own || previous.get(id)?.own === true;
+            const key = ours ? id : `${senderId}:${id}`;
+            const known = previous.get(key);
+            if (!known && !ours && !this.chatOpen) {
+                this.chatUnread++;
+            }
+            this.renderChatMessage(key, {
+                text,
+                own: ours,
+                senderRole,
+                name,
+                sentAt,
+                state: known?.state === 'delivered' ? 'delivered' : 'sent'
+            });
+        });
+        previous.forEach((entry, key) => {
+            if (entry.own && !this.chatEntries.has(key)) {
+                this.renderChatMessage(key, { text: entry.text, own: true, sentAt: entry.sentAt, state: 'failed' });
+            }
+        });
+        this.renderChatBadge();
+    }
+    
+    /**
+     * Adds or updates a message in the chat log. Our own messages show how
+     * far they got: sending, sent (stored by the server) or delivered.
+     */
+    renderChatMessage(key, update) {
+        let entry = this.chatEntries.get(key);
+        if (!entry) {
+            entry = {
+                item: document.createElement('li'),
+                meta: document.createElement('span'),
+                body: document.createElement('p'),
+                status: document.createElement('span'),
+                text: '',
+                own: false,
+                senderRole: null,
+                name: null,
+                sentAt: null,
+                state: null
+            };
+            entry.item.className = 'chat-message';
+            entry.meta.className = 'chat-meta';
+            entry.body.className = 'chat-text';
+            entry.status.className = 'chat-status';
+            entry.item.append(entry.meta, entry.body, entry.status);
+            
+            // Follow the conversation unless the operator scrolled back
+            const log = this.chatLog;
+            const atBottom = log.scrollHeight - log.scrollTop - log.clientHeight < 16;
+            log.append(entry.item);
+            if (atBottom) log.scrollTop = log.scrollHeight;
+            this.chatEntries.set(key, entry);
+        }
+        
+        Object.entries(update).forEach(([field, value]) => {
+            if (value !== undefined) entry[field] = value;
+        });
+        
+        const labels = {
+            sending: 'Sending…',
+            sent: '✓ Sent',
+            delivered: '✓✓ Delivered',
+            failed: 'Not sent'
+        };
+        const sender = entry.own ? 'You' : entry.senderRole === 'target' ? 'Phone' : entry.name || 'Operator';
+        const time = new Date(entry.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        entry.item.classList.toggle('own', entry.own);
+        entry.meta.textContent = `${sender} · ${time}`;
+        entry.body.textContent = entry.text;
+        entry.status.textContent = entry.own ? labels[entry.state] : '';
+        entry.status.classList.toggle('failed', entry.state === 'failed');
+    }
+    
+    clearChat() {
+        this.chatEntries.clear();
+        this.chatLog.replaceChildren();
+        this.chatUnread = 0;
+        this.renderChatBadge();
+        this.setChatOpen(false);
+    }
+    
+    sendMessage(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+    
     showControllerScreen() {
         this.connectionScreen.classList.remove('active');
         this.controllerScreen.classList.add('active');
@@ -379,7 +2315,6 @@ class RemoteController {
         
         // Resize canvas to match video
         this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
     }
     
     resizeCanvas() {
@@ -388,10 +2323,262 @@ class RemoteController {
         this.gestureCanvas.height = container.clientHeight;
     }
     
+    /**
+     * The on-screen rectangle the video frame actually occupies. With
+     * `object-fit: contain` the frame is letterboxed inside the element, so
+     * the element's own rectangle includes the black bars.
+     */
+    getVideoContentRect() {
+        const rect = this.remoteVideo.getBoundingClientRect();
+        const { videoWidth, videoHeight } = this.remoteVideo;
+        
+        // No frame yet: fall back to the element itself
+        if (!videoWidth || !videoHeight) {
+            return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+        }
+        
+        const scale = Math.min(rect.width / videoWidth, rect.height / videoHeight);
+        const width = videoWidth * scale;
+        const height = videoHeight * scale;
+        return {
+            left: rect.left + (rect.width - width) / 2,
+            top: rect.top + (rect.height - height) / 2,
+            width,
+            height
+        };
+    }
+    
+    /**
+     * Maps a pointer event to normalized (0–1) coordinates on the target
+     * screen. Points on the letterbox bars are clamped to the nearest edge
+     * and flagged with `inside: false`.
+     */
+    getVideoCoords(e) {
+        const content = this.getVideoContentRect();
+        const x = (e.clientX - content.left) / content.width;
+        const y = (e.clientY - content.top) / content.height;
+        
+        return {
+            x: Math.max(0, Math.min(1, x)),
+            y: Math.max(0, Math.min(1, y)),
+            inside: x >= 0 && x <= 1 && y >= 0 && y <= 1
+        };
+    }
+    
+    /**
+     * Draws a fading ripple on the gesture canvas where input landed.
+     */
+    showRipple(x, y) {
+        const canvasRect = this.gestureCanvas.getBoundingClientRect();
+        const content = this.getVideoContentRect();
+        const scaleX = this.gestureCanvas.width / canvasRect.width;
+        const scaleY = this.gestureCanvas.height / canvasRect.height;
+        
+        this.ripples.push({
+            x: (content.left - canvasRect.left + x * content.width) * scaleX,
+            y: (content.top - canvasRect.top + y * content.height) * scaleY,
+            start: performance.now()
+        });
+        
+        this.requestOverlayFrame();
+    }
+    
+    requestOverlayFrame() {
+        if (this.overlayFrame) return;
+        this.overlayFrame = requestAnimationFrame((now) => this.drawOverlay(now));
+    }
+    
+    /**
+     * Draws the annotations and input ripples on the gesture canvas, for as
+     * long as any of them is visible.
+     */
+    drawOverlay(now) {
+        this.overlayFrame = null;
+        const ctx = this.gestureCanvas.getContext('2d');
+        ctx.clearRect(0, 0, this.gestureCanvas.width, this.gestureCanvas.height);
+        
+        const canvasRect = this.gestureCanvas.getBoundingClientRect();
+        const content = this.getVideoContentRect();
+        const scaleX = this.gestureCanvas.width / canvasRect.width;
+        const scaleY = this.gestureCanvas.height / canvasRect.height;
+        const marking = this.annotations.draw(ctx, (x, y) => [
+            (content.left - canvasRect.left + x * content.width) * scaleX,
+            (content.top - canvasRect.top + y * content.height) * scaleY
+        ], now);
+        
+        this.ripples = this.ripples.filter(ripple => now - ripple.start < RIPPLE_DURATION_MS);
+        this.ripples.forEach(ripple => {
+            const progress = (now - ripple.start) / RIPPLE_DURATION_MS;
+            ctx.beginPath();
+            ctx.arc(ripple.x, ripple.y, 6 + progress * RIPPLE_MAX_RADIUS, 0, Math.PI * 2);
+            ctx.strokeStyle = `rgba(99, 102, 241, ${1 - progress})`;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+        });
+        
+        if (marking || this.ripples.length > 0) {
+            this.requestOverlayFrame();
+        }
+    }
+    
+    /**
+     * Shows where a sent gesture touched the screen.
+     */
+    showGestureFeedback(action, params) {
+        switch (action) {
+            case 'tap':
+            case 'longpress':
+                this.showRipple(params.x, params.y);
+                break;
+            case 'swipe':
+                this.showRipple(params.startX, params.startY);
+                this.showRipple(params.endX, params.endY);
+                break;
+            case 'scroll':
+                this.showRipple(params.startX, params.startY);
+                break;
+            case 'drag': {
+                const last = params.points[params.points.length - 1];
+                this.showRipple(params.points[0].x, params.points[0].y);
+                this.showRipple(last.x, last.y);
+                break;
+            }
+            case 'multitouch':
+                params.strokes.forEach(stroke => {
+                    const last = stroke.points[stroke.points.length - 1];
+                    this.showRipple(last.x, last.y);
+                });
+                break;
+        }
+    }
+    
+    setAnnotating(enabled) {
+        this.annotating = enabled;
+        this.endAnnotation();
+        this.gestureRecognizer.cancel();
+        this.gestureRecognizer.enabled = !enabled;
+        this.annotateBtn.classList.toggle('active', enabled);
+        this.annotationToolbar.classList.toggle('hidden', !enabled);
+        this.gestureCanvas.classList.toggle('annotating', enabled);
+    }
+    
+    onAnnotationPointerDown(e) {
+        if (!this.annotating || e.button !== 0 || this.annotationDraft) return;
+        const start = this.getVideoCoords(e);
+        if (!start.inside) return;
+        e.preventDefault();
+        this.gestureCanvas.setPointerCapture(e.pointerId);
+        
+        const point = { x: start.x, y: start.y };
+        this.annotationDraft = {
+            pointerId: e.pointerId,
+            tool: this.annotationTool,
+            id: `${this.annotationPrefix}-${++this.annotationCount}`,
+            color: this.annotationColor,
+            start: point,
+            last: point,
+            // Stroke points not sent yet
+            points: [point],
+            moved: true,
+            sentAt: 0,
+            timer: setInterval(() => this.flushAnnotation(), ANNOTATION_SEND_INTERVAL_MS)
+        };
+        this.flushAnnotation();
+    }
+    
+    onAnnotationPointerMove(e) {
+        const draft = this.annotationDraft;
+        if (!draft || e.pointerId !== draft.pointerId) return;
+        
+        const { x, y } = this.getVideoCoords(e);
+        if (distance(draft.last, { x, y }) < PATH_MIN_STEP) return;
+        draft.last = { x, y };
+        draft.moved = true;
+        if (draft.tool === 'pen') {
+            draft.points.push({ x, y });
+            if (draft.points.length >= MAX_ANNOTATION_POINTS) this.flushAnnotation();
+        }
+    }
+    
+    onAnnotationPointerUp(e) {
+        const draft = this.annotationDraft;
+        if (!draft || e.pointerId !== draft.pointerId) return;
+        this.flushAnnotation();
+        if (draft.tool === 'laser') {
+            this.sendAnnotation({ action: 'laser-end' });
+        }
+        this.endAnnotation();
+    }
+    
+    endAnnotation() {
+        if (!this.annotationDraft) return;
+        clearInterval(this.annotationDraft.timer);
+        this.annotationDraft = null;
+    }
+    
+    /**
+     * Sends what changed in the mark being drawn. A laser pointer held still
+     * is sent again now and then, or the target would put it out.
+     */
+    flushAnnotation() {
+        const draft = this.annotationDraft;
+        if (!draft) return;
+        const mark = { id: draft.id, color: draft.color, fadeMs: ANNOTATION_FADE_MS };
+        
+        switch (draft.tool) {
+            case 'pen':
+                if (draft.points.length > 0) {
+                    this.sendAnnotation({ action: 'stroke', ...mark, points: draft.points.splice(0) });
+                }
+                break;
+            case 'arrow':
+                if (draft.moved && draft.last !== draft.start) {
+                    this.sendAnnotation({
+                        action: 'arrow',
+                        ...mark,
+                        startX: draft.start.x,
+                        startY: draft.start.y,
+                        endX: draft.last.x,
+                        endY: draft.last.y
+                    });
+                }
+                break;
+            case 'laser':
+                if (draft.moved || performance.now() - draft.sentAt >= LASER_REPEAT_MS) {
+                    this.sendAnnotation({ action: 'laser', x: draft.last.x, y: draft.last.y });
+                    draft.sentAt = performance.now();
+                }
+                break;
+        }
+        draft.moved = false;
+    }
+    
+    clearAnnotations() {
+        this.endAnnotation();
+        this.sendAnnotation({ action: 'clear' });
+    }
+    
+    /**
+     * Sends an annotation to the target and draws it here the same way.
+     */
+    sendAnnotation(annotation) {
+        this.annotations.apply(annotation, performance.now());
+        this.requestOverlayFrame();
+        this.sendMessage({ type: 'annotation', ...annotation });
+    }
+    
+    /**
+     * @returns {boolean} Whether the gesture was sent
+     */
     sendGesture(action, params = {}) {
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
             console.error('WebSocket not connected');
-            return;
+            return false;
+        }
+        
+        if (this.controlState !== 'granted') {
+            console.log('View only - gesture not sent:', action);
+            return false;
         }
         
         const message = {
@@ -402,6 +2589,431 @@ class RemoteController {
         
         console.log('Sending gesture:', message);
         this.ws.send(JSON.stringify(message));
+        this.showGestureFeedback(action, params);
+        
+        if (this.recording) {
+            this.recording.gestures.push({ t: Math.round(performance.now() - this.recording.startTime), action, ...params });
+        }
+        if (this.macroRecording) {
+            this.recordMacroStep(action, params);
+        }
+        return true;
+    }
+    
+    loadMacros() {
+        try {
+            return parseMacros(JSON.parse(localStorage.getItem(MACRO_STORAGE_KEY) || '[]'));
+        } catch (error) {
+            console.error('Ignoring unreadable saved macros:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Saves macros, replacing any saved under the same name.
+     */
+    storeMacros(macros) {
+        const names = new Set(macros.map(macro => macro.name));
+        this.macros = [...this.macros.filter(macro => !names.has(macro.name)), ...macros];
+        localStorage.setItem(MACRO_STORAGE_KEY, JSON.stringify(this.macros));
+        this.renderMacros();
+    }
+    
+    deleteMacro(macro) {
+        if (!confirm(`Delete the macro "${macro.name}"?`)) return;
+        this.macros = this.macros.filter(existing => existing !== macro);
+        localStorage.setItem(MACRO_STORAGE_KEY, JSON.stringify(this.macros));
+        this.renderMacros();
+    }
+    
+    /**
+     * Starts capturing sendGesture() calls, or stops and saves them under a
+     * name the operator picks.
+     */
+    toggleMacroRecording() {
+        if (this.macroPlayback) return;
+        if (!this.macroRecording) {
+            this.macroRecording = { steps: [], lastTime: null };
+            this.renderMacros();
+            return;
+        }
+        
+        const { steps } = this.macroRecording;
+        this.macroRecording = null;
+        this.renderMacros();
+        if (steps.length === 0) return;
+        
+        const name = prompt(`Name this macro (${steps.length} gestures):`)?.trim().slice(0, MAX_MACRO_NAME_LENGTH);
+        if (!name) return;
+        if (this.macros.some(macro => macro.name === name) && !confirm(`Replace the macro "${name}"?`)) return;
+        this.storeMacros([{ name, createdAt: new Date().toISOString(), steps }]);
+    }
+    
+    recordMacroStep(action, params) {
+        const now = performance.now();
+        const { steps, lastTime } = this.macroRecording;
+        // The wait before the first gesture is not part of the macro
+        const delay = lastTime === null ? 0 : Math.min(Math.round(now - lastTime), MACRO_MAX_DELAY_MS);
+        steps.push({ delay, action, ...params });
+        this.macroRecording.lastTime = now;
+        
+        if (steps.length >= MAX_MACRO_STEPS) {
+            this.toggleMacroRecording();
+        } else {
+            this.renderMacros();
+        }
+    }
+    
+    /**
+     * Replays a macro through sendGesture(), like gestures made by hand. The
+     * speed is read before every step, so it can be changed mid-run. Stops
+     * when aborted or as soon as a gesture can't be sent.
+     */
+    async playMacro(macro) {
+        if (this.macroPlayback || this.macroRecording) return;
+        if (this.controlState !== 'granted') {
+            alert('The phone owner has to grant control before you can play a macro.');
+            return;
+        }
+        
+        const playback = { macro, step: 0, aborted: false, timer: null, wake: null };
+        this.macroPlayback = playback;
+        this.renderMacros();
+        console.log(`🎬 Playing macro "${macro.name}"`);
+        
+        for (const { delay, action, ...params } of macro.steps) {
+            await new Promise(resolve => {
+                playback.wake = resolve;
+                playback.timer = setTimeout(resolve, delay / parseFloat(this.macroSpeedSelect.value));
+            });
+            if (playback.aborted || !this.sendGesture(action, params)) break;
+            playback.step++;
+            this.renderMacros();
+        }
+        
+        console.log(playback.step === macro.steps.length
+            ? `🎬 Macro "${macro.name}" finished`
+            : `🎬 Macro "${macro.name}" stopped after ${playback.step} of ${macro.steps.length} gestures`);
+        if (this.macroPlayback === playback) {
+            this.macroPlayback = null;
+            this.renderMacros();
+        }
+    }
+    
+    stopMacro() {
+        const playback = this.macroPlayback;
+        if (!playback) return;
+        playback.aborted = true;
+        clearTimeout(playback.timer);
+        playback.wake?.();
+        this.macroPlayback = null;
+        this.renderMacros();
+    }
+    
+    exportMacros() {
+        const body = JSON.stringify({ version: MACRO_EXPORT_VERSION, macros: this.macros }, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([body], { type: 'application/json' }));
+        link.download = 'gesture-macros.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
+    async importMacros(file) {
+        try {
+            const macros = parseMacros(JSON.parse(await file.text()));
+            this.storeMacros(macros);
+            console.log(`🎬 Imported ${macros.length} macro(s) from ${file.name}`);
+        } catch (error) {
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+    
+    renderMacros() {
+        const recording = this.macroRecording;
+        const playing = this.macroPlayback;
+        this.macroRecordBtn.textContent = recording ? `■ Stop recording (${recording.steps.length})` : '⏺ Record';
+        this.macroRecordBtn.classList.toggle('recording', Boolean(recording));
+        this.macroRecordBtn.disabled = Boolean(playing);
+        this.macroBtn.classList.toggle('recording', Boolean(recording));
+        
+        if (this.macros.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'macro-empty';
+            empty.textContent = 'No macros yet. Record one or import a file.';
+            this.macroList.replaceChildren(empty);
+            return;
+        }
+        
+        this.macroList.replaceChildren(...this.macros.map(macro => {
+            const isPlaying = playing?.macro === macro;
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const info = document.createElement('span');
+            const playBtn = document.createElement('button');
+            const deleteBtn = document.createElement('button');
+            
+            item.className = isPlaying ? 'macro playing' : 'macro';
+            name.className = 'macro-name';
+            name.textContent = macro.name;
+            info.className = 'macro-info';
+            info.textContent = isPlaying
+                ? `${playing.step} of ${macro.steps.length}`
+                : `${macro.steps.length} · ${(macroDuration(macro) / 1000).toFixed(1)}s`;
+            playBtn.className = 'link-btn';
+            playBtn.textContent = isPlaying ? 'Stop' : 'Play';
+            playBtn.disabled = Boolean(recording) || Boolean(playing && !isPlaying);
+            playBtn.addEventListener('click', () => (isPlaying ? this.stopMacro() : this.playMacro(macro)));
+            deleteBtn.className = 'link-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.disabled = isPlaying;
+            deleteBtn.addEventListener('click', () => this.deleteMacro(macro));
+            
+            item.append(name, info, playBtn, deleteBtn);
+            return item;
+        }));
+    }
+    
+    toggleRecording() {
+        if (this.recording) {
+            this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+    
+    /**
+     * Records the incoming screen stream, and logs every gesture we send
+     * with its time from the start of the video.
+     */
+    startRecording() {
+        const stream = this.remoteVideo.srcObject;
+        if (!stream || !this.sessionId || this.recording) return;
+        if (typeof MediaRecorder === 'undefined') {
+            alert('This browser cannot record video.');
+            return;
+        }
+        
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        const recording = {
+            recorder,
+            sessionId: this.sessionId,
+            // Uploaded after the recorder stops, which may be after we signed out
+            token: this.auth?.token,
+            mimeType: recorder.mimeType || mimeType || 'video/webm',
+            chunks: [],
+            gestures: [],
+            startedAt: new Date().toISOString(),
+            startTime: performance.now()
+        };
+        
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) recording.chunks.push(event.data);
+        };
+        // Also fires when the stream ends on its own (e.g. the peer connection closed)
+        recorder.onstop = () => {
+            if (this.recording === recording) {
+                this.recording = null;
+                this.updateRecordButton();
+            }
+            this.uploadRecording(recording, performance.now() - recording.startTime);
+        };
+        
+        recorder.start(RECORDING_TIMESLICE_MS);
+        this.recording = recording;
+        this.updateRecordButton();
+        console.log('⏺️ Recording started:', recording.mimeType);
+    }
+    
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return;
+        
+        this.recording = null;
+        this.updateRecordButton();
+        if (recording.recorder.state !== 'inactive') {
+            recording.recorder.stop();
+        }
+    }
+    
+    updateRecordButton() {
+        const recording = Boolean(this.recording);
+        this.recordBtn.classList.toggle('recording', recording);
+        this.recordBtn.textContent = recording ? '⏹' : '⏺';
+        this.recordBtn.title = recording ? 'Stop recording' : 'Record this session';
+    }
+    
+    /**
+     * Uploads a finished recording: its metadata and gesture log first, then
+     * the video.
+     */
+    async uploadRecording(recording, durationMs) {
+        const video = new Blob(recording.chunks, { type: recording.mimeType });
+        const base = `/recordings/${encodeURIComponent(recording.sessionId)}`;
+        const authorization = { 'Authorization': `Bearer ${recording.token}` };
+        
+        try {
+            const response = await fetch(base, {
+                method: 'POST',
+                headers: { ...authorization, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    startedAt: recording.startedAt,
+                    durationMs: Math.round(durationMs),
+                    mimeType: recording.mimeType,
+                    gestures: recording.gestures
+                })
+            });
+            const created = await response.json();
+            if (!response.ok) throw new Error(created.message || `HTTP ${response.status}`);
+            
+            const upload = await fetch(`${base}/${created.id}/video`, {
+                method: 'PUT',
+                headers: { ...authorization, 'Content-Type': video.type.split(';')[0] },
+                body: video
+            });
+            if (!upload.ok) throw new Error((await upload.json()).message || `HTTP ${upload.status}`);
+            
+            console.log(`⏺️ Recording ${created.id} uploaded (${video.size} bytes, ${recording.gestures.length} gestures)`);
+        } catch (error) {
+            console.error('Recording upload failed:', error);
+            alert(`Could not upload the session recording: ${error.message}`);
+        }
+    }
+    
+    startStatsPolling() {
+        if (this.statsTimer) return;
+        this.statsTimer = setInterval(() => this.sampleStats(), STATS_INTERVAL_MS);
+    }
+    
+    stopStatsPolling() {
+        clearInterval(this.statsTimer);
+        this.statsTimer = null;
+        this.lastStats = null;
+        this.lossySamples = 0;
+        this.cleanSamples = 0;
+        this.renderStats({ bitrate: null, fps: null, width: null, rtt: null, loss: null, route: null });
+    }
+    
+    /**
+     * Reads the incoming video's stats, shows them in the stats panel and
+     * adapts the quality asked of the target.
+     */
+    async sampleStats() {
+        if (!this.pc) return;
+        
+        let report;
+        try {
+            report = await this.pc.getStats();
+        } catch (error) {
+            console.error('Could not read connection stats:', error);
+            return;
+        }
+        
+        let inbound = null;
+        let pair = null;
+        report.forEach(stat => {
+            if (stat.type === 'inbound-rtp' && stat.kind === 'video') {
+                inbound = stat;
+            } else if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                pair = report.get(stat.selectedCandidatePairId);
+            } else if (stat.type === 'candidate-pair' && stat.selected && !pair) {
+                // Firefox has no transport stats; it flags the pair instead
+                pair = stat;
+            }
+        });
+        if (!inbound) return;
+        
+        // Rates are measured against the previous sample of the same stream
+        const previous = this.lastStats?.id === inbound.id ? this.lastStats : null;
+        this.lastStats = inbound;
+        const seconds = previous ? (inbound.timestamp - previous.timestamp) / 1000 : 0;
+        const received = previous ? inbound.packetsReceived - previous.packetsReceived : 0;
+        const lost = previous ? Math.max(0, inbound.packetsLost - previous.packetsLost) : 0;
+        const local = pair && report.get(pair.localCandidateId);
+        const remote = pair && report.get(pair.remoteCandidateId);
+        
+        const stats = {
+            bitrate: seconds > 0 ? (inbound.bytesReceived - previous.bytesReceived) * 8 / seconds : null,
+            fps: inbound.framesPerSecond ?? (seconds > 0 ? (inbound.framesDecoded - previous.framesDecoded) / seconds : null),
+            width: inbound.frameWidth,
+            height: inbound.frameHeight,
+            rtt: pair?.currentRoundTripTime ?? null,
+            loss: received + lost > 0 ? lost / (received + lost) : null,
+            route: local && remote ? `${local.candidateType} ↔ ${remote.candidateType}` : null
+        };
+        this.renderStats(stats);
+        // No packets at all (a frozen screen) says nothing about loss
+        if (stats.loss !== null) {
+            this.adaptQuality(stats.loss);
+        }
+    }
+    
+    renderStats(stats) {
+        const fields = this.statFields;
+        if (stats.bitrate === null) {
+            fields.bitrate.textContent = '–';
+        } else {
+            fields.bitrate.textContent = stats.bitrate >= 1e6
+                ? `${(stats.bitrate / 1e6).toFixed(1)} Mbps`
+                : `${Math.round(stats.bitrate / 1000)} kbps`;
+        }
+        fields.fps.textContent = stats.fps === null ? '–' : `${Math.round(stats.fps)} fps`;
+        fields.resolution.textContent = stats.width ? `${stats.width}×${stats.height}` : '–';
+        fields.rtt.textContent = stats.rtt === null ? '–' : `${Math.round(stats.rtt * 1000)} ms`;
+        fields.loss.textContent = stats.loss === null ? '–' : `${(stats.loss * 100).toFixed(1)}%`;
+        fields.loss.classList.toggle('poor', stats.loss >= QUALITY_LOSS_THRESHOLD);
+        // host: direct on the LAN, srflx: direct through NAT, relay: through TURN
+        fields.route.textContent = stats.route || '–';
+    }
+    
+    /**
+     * Steps the quality asked of the target down after sustained packet
+     * loss, and back up after a long clean stretch.
+     */
+    adaptQuality(loss) {
+        if (loss >= QUALITY_LOSS_THRESHOLD) {
+            this.lossySamples++;
+            this.cleanSamples = 0;
+        } else {
+            this.lossySamples = 0;
+            this.cleanSamples = loss < QUALITY_CLEAN_THRESHOLD ? this.cleanSamples + 1 : 0;
+        }
+        
+        if (this.lossySamples >= QUALITY_LOSS_SAMPLES && this.qualityLevel < QUALITY_STEPS.length - 1) {
+            this.lossySamples = 0;
+            this.requestQuality(this.qualityLevel + 1, 'packet-loss', loss);
+        } else if (this.cleanSamples >= QUALITY_RECOVERY_SAMPLES && this.qualityLevel > 0) {
+            this.cleanSamples = 0;
+            this.requestQuality(this.qualityLevel - 1, 'recovered', loss);
+        }
+    }
+    
+    requestQuality(level, reason, loss) {
+        this.qualityLevel = level;
+        this.qualityHint = {
+            type: 'quality-hint',
+            reason,
+            level,
+            packetLoss: Math.round(loss * 1000) / 1000,
+            ...QUALITY_STEPS[level]
+        };
+        console.log(`📶 Asking the target for quality step ${level} (${reason})`);
+        this.sendQualityHint();
+        this.renderQuality();
+    }
+    
+    sendQualityHint() {
+        if (!this.qualityHint || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify(this.qualityHint));
+    }
+    
+    renderQuality() {
+        const step = QUALITY_STEPS[this.qualityLevel];
+        this.statFields.quality.textContent = this.qualityLevel === 0
+            ? 'Full quality'
+            : `${step.scaleResolutionDownBy > 1 ? `1/${step.scaleResolutionDownBy} resolution, ` : ''}${step.maxFramerate} fps`;
+        this.statFields.quality.classList.toggle('poor', this.qualityLevel > 0);
     }
     
     toggleFullscreen() {
@@ -414,6 +3026,34 @@ class RemoteController {
     
     disconnect() {
         this.isConnected = false;
+        this.joined = false;
+        this.reconnectAttempts = 0;
+        this.iceRestartAttempts = 0;
+        this.iceRestartPending = false;
+        this.serverRestarting = false;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.iceDisconnectedTimer);
+        sessionStorage.removeItem(`resumeToken:${this.pairingCode}`);
+        this.resumeToken = null;
+        this.hideBanner();
+        this.setControlState('none');
+        this.textBuffer = '';
+        this.setKeyboardMode(false);
+        // Uploads what was recorded so far
+        this.stopRecording();
+        this.recordBtn.disabled = true;
+        this.sessionId = null;
+        this.stopStatsPolling();
+        this.clearTransfers();
+        this.clearSpectators();
+        this.clearChat();
+        this.macroRecording = null;
+        this.renderMacros();
+        this.setAnnotating(false);
+        this.annotations.clear();
+        this.qualityLevel = 0;
+        this.qualityHint = null;
+        this.renderQuality();
         
         if (this.pc) {
             this.pc.close();
@@ -421,8 +3061,10 @@ class RemoteController {
         }
         
         if (this.ws) {
-            this.ws.close();
+            const ws = this.ws;
             this.ws = null;
+            // 1000 tells the server we left on purpose (no grace period)
+            ws.close(1000, 'Disconnected');
         }
         
         // Reset UI
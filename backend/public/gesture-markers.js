@@ -0,0 +1,174 @@
+/**
+ * Remote Screen Gesture Markers
+ *
+ * Draws an operator's gestures over a video of the phone's screen. Shared
+ * by the session playback page and the live spectator page; gestures carry
+ * `t`, the time (ms, on the page's own clock) they started.
+ */
+
+// How long a gesture stays on screen after it ends
+const MARKER_LINGER_MS = 800;
+// Gestures without a duration (tap, text, key...) are shown this long
+const MARKER_MIN_MS = 300;
+
+// Labels of gestures that have no position on the screen
+const BUTTON_LABELS = {
+    back: '◀ Back',
+    home: '⌂ Home',
+    recents: '☐ Recents'
+};
+
+/**
+ * Draws every gesture in progress (or just finished) at time `now`.
+ *
+ * @param {HTMLCanvasElement} canvas Laid over `video`; resized to fit
+ * @param {Array<object>} gestures Sorted by `t`
+ * @returns {number} Index of the latest gesture that has started, or -1
+ */
+function drawGestureMarkers(canvas, video, gestures, now) {
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const frame = getFrameRect(video);
+    const toCanvas = (x, y) => [frame.left + x * frame.width, frame.top + y * frame.height];
+
+    let latest = -1;
+    const buttonLabels = [];
+    gestures.forEach((gesture, i) => {
+        if (gesture.t > now) return;
+        latest = i;
+
+        const end = gesture.t + Math.max(gesture.duration || 0, MARKER_MIN_MS);
+        if (now > end + MARKER_LINGER_MS) return;
+
+        // Fade out once the gesture is over
+        ctx.globalAlpha = now <= end ? 1 : 1 - (now - end) / MARKER_LINGER_MS;
+        const elapsed = now - gesture.t;
+        if (!drawGesture(ctx, gesture, toCanvas, elapsed)) {
+            buttonLabels.push(describeGesture(gesture));
+        }
+    });
+
+    ctx.globalAlpha = 1;
+    buttonLabels.slice(-3).forEach((label, i) => drawLabel(ctx, label, 16, 16 + i * 36));
+    return latest;
+}
+
+/**
+ * Whether a gesture that started at `t` is still drawn at time `now`.
+ */
+function isMarkerVisible(gesture, now) {
+    return now <= gesture.t + Math.max(gesture.duration || 0, MARKER_MIN_MS) + MARKER_LINGER_MS;
+}
+
+/**
+ * Where the video frame sits on the canvas: with `object-fit: contain`
+ * it is letterboxed inside the element.
+ */
+function getFrameRect(video) {
+    const { clientWidth: width, clientHeight: height, videoWidth, videoHeight } = video;
+    if (!videoWidth || !videoHeight) return { left: 0, top: 0, width, height };
+
+    const scale = Math.min(width / videoWidth, height / videoHeight);
+    return {
+        left: (width - videoWidth * scale) / 2,
+        top: (height - videoHeight * scale) / 2,
+        width: videoWidth * scale,
+        height: videoHeight * scale
+    };
+}
+
+/**
+ * Draws a gesture that has a position on the screen.
+ *
+ * @returns {boolean} false for gestures without one (text, keys, buttons)
+ */
+function drawGesture(ctx, gesture, toCanvas, elapsed) {
+    ctx.strokeStyle = '#6366f1';
+    ctx.fillStyle = 'rgba(99, 102, 241, 0.35)';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (gesture.action) {
+        case 'tap':
+            drawTouch(ctx, ...toCanvas(gesture.x, gesture.y), 18);
+            return true;
+
+        case 'longpress':
+            drawTouch(ctx, ...toCanvas(gesture.x, gesture.y), 18 + 10 * Math.min(1, elapsed / gesture.duration));
+            return true;
+
+        case 'swipe':
+            drawArrow(ctx, toCanvas(gesture.startX, gesture.startY), toCanvas(gesture.endX, gesture.endY));
+            return true;
+
+        case 'scroll':
+            drawArrow(ctx, toCanvas(gesture.startX, gesture.startY),
+                toCanvas(gesture.startX + gesture.deltaX, gesture.startY + gesture.deltaY));
+            return true;
+
+        case 'drag':
+            drawPath(ctx, gesture.points.map(point => toCanvas(point.x, point.y)));
+            return true;
+
+        case 'multitouch':
+            gesture.strokes.forEach(stroke => {
+                drawPath(ctx, stroke.points.map(point => toCanvas(point.x, point.y)));
+            });
+            return true;
+
+        default:
+            return false;
+    }
+}
+
+function drawTouch(ctx, x, y, radius) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+}
+
+function drawPath(ctx, points) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.stroke();
+    drawTouch(ctx, ...points[points.length - 1], 10);
+}
+
+function drawArrow(ctx, [x1, y1], [x2, y2]) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const head = 14;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+    ctx.stroke();
+}
+
+function drawLabel(ctx, text, x, y) {
+    ctx.font = '16px sans-serif';
+    const width = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+    ctx.fillRect(x, y, width + 20, 28);
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillText(text, x + 10, y + 19);
+}
+
+function describeGesture(gesture) {
+    switch (gesture.action) {
+        case 'text':
+            return `⌨ "${gesture.text.length > 40 ? gesture.text.slice(0, 40) + '…' : gesture.text}"`;
+        case 'key':
+            return `⌨ ${gesture.key}`;
+        case 'multitouch':
+            return `multitouch (${gesture.kind || gesture.strokes.length + ' fingers'})`;
+        default:
+            return BUTTON_LABELS[gesture.action] || gesture.action;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Remote Screen Session Playback
+ *
+ * Replays a recorded session (playback.html?session=<sessionId>&id=<id>)
+ * with the operator's gestures drawn over the video at the time they were
+ * sent. Uses the admin sign-in of the dashboard (sessionStorage
+ * 'operatorAuth') and the marker drawing in gesture-markers.js.
+ */
+
+class RecordingPlayer {
+    constructor() {
+        this.gestures = [];
+        this.currentIndex = -1;
+
+        // DOM Elements
+        this.summary = document.getElementById('recording-summary');
+        this.statusDiv = document.getElementById('playback-status');
+        this.playback = document.getElementById('playback');
+        this.video = document.getElementById('playback-video');
+        this.canvas = document.getElementById('marker-canvas');
+        this.gestureList = document.getElementById('gesture-list');
+
+        this.auth = JSON.parse(sessionStorage.getItem('operatorAuth') || 'null');
+
+        this.video.addEventListener('play', () => this.animate());
+        this.video.addEventListener('seeked', () => this.drawMarkers());
+        this.video.addEventListener('loadedmetadata', () => this.fixDuration());
+        window.addEventListener('resize', () => this.drawMarkers());
+
+        this.load();
+    }
+
+    async load() {
+        const params = new URLSearchParams(window.location.search);
+        const sessionId = params.get('session');
+        const id = params.get('id');
+
+        if (!this.auth || this.auth.role !== 'admin' || Date.parse(this.auth.expiresAt) <= Date.now()) {
+            this.showError('Sign in on the admin dashboard first, then open the recording again.');
+            return;
+        }
+        if (!sessionId || !id) {
+            this.showError('No recording selected.');
+            return;
+        }
+
+        const base = `/recordings/${encodeURIComponent(sessionId)}/${encodeURIComponent(id)}`;
+        const headers = { 'Authorization': `Bearer ${this.auth.token}` };
+
+        try {
+            const response = await fetch(base, { headers });
+            const recording = await response.json();
+            if (!response.ok) throw new Error(recording.message || `HTTP ${response.status}`);
+
+            // The video element can't send our token, so fetch the file ourselves
+            const videoResponse = await fetch(`${base}/video`, { headers });
+            if (!videoResponse.ok) throw new Error((await videoResponse.json()).message || `HTTP ${videoResponse.status}`);
+            this.video.src = URL.createObjectURL(await videoResponse.blob());
+
+            this.gestures = recording.gestures;
+            this.summary.textContent = `Session ${recording.room} · ${recording.operator} · ${new Date(recording.startedAt).toLocaleString()}`;
+            this.renderGestureList();
+            this.playback.classList.remove('hidden');
+        } catch (error) {
+            console.error('Could not load recording:', error);
+            this.showError(`Could not load the recording: ${error.message}`);
+        }
+    }
+
+    showError(message) {
+        this.summary.textContent = '';
+        this.statusDiv.textContent = message;
+        this.statusDiv.className = 'status error';
+    }
+
+    /**
+     * MediaRecorder files carry no duration, so the browser reports
+     * Infinity and can't seek. Seeking past the end makes it scan the file
+     * and find the real duration.
+     */
+    fixDuration() {
+        if (this.video.duration !== Infinity) return;
+        this.video.addEventListener('durationchange', () => {
+            this.video.currentTime = 0;
+        }, { once: true });
+        this.video.currentTime = Number.MAX_SAFE_INTEGER;
+    }
+
+    renderGestureList() {
+        this.gestureList.replaceChildren(...this.gestures.map(gesture => {
+            const item = document.createElement('li');
+            const time = document.createElement('span');
+            time.className = 'gesture-time';
+            time.textContent = formatTime(gesture.t);
+            item.append(time, describeGesture(gesture));
+            item.addEventListener('click', () => {
+                this.video.currentTime = gesture.t / 1000;
+            });
+            return item;
+        }));
+    }
+
+    animate() {
+        this.drawMarkers();
+        if (!this.video.paused && !this.video.ended) {
+            requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    /**
+     * Draws the gestures at the video's current time, and highlights the
+     * latest one in the list.
+     */
+    drawMarkers() {
+        const latest = drawGestureMarkers(this.canvas, this.video, this.gestures, this.video.currentTime * 1000);
+
+        if (latest !== this.currentIndex) {
+            this.gestureList.children[this.currentIndex]?.classList.remove('current');
+            this.gestureList.children[latest]?.classList.add('current');
+            this.gestureList.children[latest]?.scrollIntoView({ block: 'nearest' });
+            this.currentIndex = latest;
+        }
+    }
+}
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.${Math.floor(ms % 1000 / 100)}`;
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.player = new RecordingPlayer();
+});
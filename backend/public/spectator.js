@@ -0,0 +1,430 @@
+/**
+ * Remote Screen Spectator
+ *
+ * Watches a live session without controlling it (spectate.html). An
+ * operator in the session has to let the spectator in; that operator's
+ * browser then streams the phone's screen on to this page, and every
+ * gesture the operators send is drawn over it. Shares the operator sign-in
+ * with the web controller (sessionStorage 'operatorAuth').
+ */
+
+const PROTOCOL_VERSION = 1;
+
+// Reconnection after a dropped socket (the server holds our place a while)
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 2000;
+
+// Used when /ice-config can't be reached
+const DEFAULT_RTC_CONFIG = {
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        { urls: 'stun:stun2.l.google.com:19302' }
+    ]
+};
+
+class SpectatorViewer {
+    constructor() {
+        this.rtcConfig = DEFAULT_RTC_CONFIG;
+        this.ws = null;
+        this.pc = null;
+        // Candidates that arrived before the host's offer was applied
+        this.pendingCandidates = [];
+        this.pairingCode = '';
+        this.joined = false;
+        this.resumeToken = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+
+        // Gestures still being drawn, `t` on the performance.now() clock
+        this.gestures = [];
+        this.animating = false;
+
+        // DOM Elements
+        this.loginCard = document.getElementById('login-card');
+        this.loginForm = document.getElementById('login-form');
+        this.loginStatusDiv = document.getElementById('login-status');
+        this.connectCard = document.getElementById('connect-card');
+        this.signedInUserSpan = document.getElementById('signed-in-user');
+        this.pairingCodeInput = document.getElementById('pairing-code');
+        this.connectBtn = document.getElementById('connect-btn');
+        this.statusDiv = document.getElementById('connection-status');
+        this.connectionScreen = document.getElementById('connection-screen');
+        this.viewerScreen = document.getElementById('viewer-screen');
+        this.sessionCodeSpan = document.getElementById('session-code');
+        this.viewerStateSpan = document.getElementById('viewer-state');
+        this.video = document.getElementById('remote-video');
+        this.videoOverlay = document.getElementById('video-overlay');
+        this.overlayText = document.getElementById('overlay-text');
+        this.canvas = document.getElementById('marker-canvas');
+
+        this.auth = JSON.parse(sessionStorage.getItem('operatorAuth') || 'null');
+
+        this.initEventListeners();
+        this.showAuthState();
+    }
+
+    initEventListeners() {
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
+        this.connectBtn.addEventListener('click', () => this.connect());
+        this.pairingCodeInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.connect();
+        });
+        this.pairingCodeInput.addEventListener('input', (e) => {
+            e.target.value = e.target.value.toUpperCase();
+        });
+        document.getElementById('leave-btn').addEventListener('click', () => {
+            this.disconnect();
+            this.showStatus('You left the session.', 'info');
+        });
+        window.addEventListener('resize', () => this.drawMarkers());
+    }
+
+    isSignedIn() {
+        return Boolean(this.auth) && Date.parse(this.auth.expiresAt) > Date.now();
+    }
+
+    showAuthState() {
+        const signedIn = this.isSignedIn();
+        this.loginCard.classList.toggle('hidden', signedIn);
+        this.connectCard.classList.toggle('hidden', !signedIn);
+        this.signedInUserSpan.textContent = signedIn ? this.auth.username : '';
+    }
+
+    async login() {
+        const username = document.getElementById('login-username').value.trim();
+        const passwordInput = document.getElementById('login-password');
+        const loginBtn = document.getElementById('login-btn');
+
+        loginBtn.disabled = true;
+        try {
+            const response = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password: passwordInput.value })
+            });
+            const body = await response.json();
+
+            if (!response.ok) {
+                this.showLoginError(body.message || 'Sign in failed');
+                return;
+            }
+
+            this.auth = body;
+            sessionStorage.setItem('operatorAuth', JSON.stringify(body));
+            passwordInput.value = '';
+            this.loginStatusDiv.className = 'status';
+            this.showAuthState();
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showLoginError('Could not reach the server. Please try again.');
+        } finally {
+            loginBtn.disabled = false;
+        }
+    }
+
+    logout() {
+        if (this.ws) this.disconnect();
+        this.auth = null;
+        sessionStorage.removeItem('operatorAuth');
+        this.showAuthState();
+    }
+
+    showLoginError(message) {
+        this.loginStatusDiv.textContent = message;
+        this.loginStatusDiv.className = 'status error';
+    }
+
+    showStatus(message, type) {
+        this.statusDiv.textContent = message;
+        this.statusDiv.className = `status ${type}`;
+    }
+
+    showViewerState(text) {
+        this.viewerStateSpan.textContent = text;
+        this.overlayText.textContent = text;
+    }
+
+    async connect() {
+        if (!this.isSignedIn()) {
+            this.logout();
+            this.showLoginError('Your session has expired. Please sign in again.');
+            return;
+        }
+
+        const code = this.pairingCodeInput.value.trim().toUpperCase();
+        if (code.length !== 6) {
+            this.showStatus('Please enter a 6-character code', 'error');
+            return;
+        }
+
+        this.pairingCode = code;
+        this.connectBtn.disabled = true;
+        this.showStatus('Connecting to server...', 'info');
+        await this.loadIceConfig();
+        this.openSocket();
+    }
+
+    async loadIceConfig() {
+        try {
+            const response = await fetch('/ice-config', {
+                cache: 'no-store',
+                headers: { 'Authorization': `Bearer ${this.auth?.token}` }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { iceServers, iceTransportPolicy } = await response.json();
+            this.rtcConfig = iceTransportPolicy ? { iceServers, iceTransportPolicy } : { iceServers };
+        } catch (error) {
+            console.warn('Could not load /ice-config, using default STUN servers:', error);
+            this.rtcConfig = DEFAULT_RTC_CONFIG;
+        }
+    }
+
+    openSocket() {
+        const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const ws = new WebSocket(`${wsProtocol}//${window.location.host}/ws?type=spectator&token=${encodeURIComponent(this.auth.token)}`);
+        this.ws = ws;
+
+        ws.onopen = () => {
+            ws.send(JSON.stringify({
+                type: 'join',
+                version: PROTOCOL_VERSION,
+                room: this.pairingCode,
+                role: 'spectator',
+                resumeToken: this.resumeToken || undefined
+            }));
+        };
+
+        ws.onmessage = (event) => {
+            // Ignore whatever a socket we already let go still delivers
+            if (this.ws !== ws) return;
+            this.handleSignalingMessage(JSON.parse(event.data));
+        };
+
+        ws.onclose = () => {
+            if (this.ws !== ws) return;
+            this.ws = null;
+
+            // Lost a session we were in: try to get it back
+            if ((this.joined || this.reconnectAttempts) && this.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+                this.joined = false;
+                this.reconnectAttempts++;
+                this.showViewerState('Connection lost. Reconnecting…');
+                this.reconnectTimer = setTimeout(() => this.openSocket(), RECONNECT_DELAY_MS);
+                return;
+            }
+            this.disconnect();
+            this.showStatus('Connection closed', 'error');
+        };
+    }
+
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    async handleSignalingMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.joined = true;
+                this.reconnectAttempts = 0;
+                this.resumeToken = message.resumeToken;
+                this.showViewerScreen();
+                if (!message.resumed) {
+                    this.showViewerState('Waiting for the operator to let you in…');
+                }
+                break;
+
+            case 'spectate-grant':
+                this.showViewerState('Let in. Waiting for the screen…');
+                break;
+
+            case 'spectate-host-left':
+                this.closePeerConnection();
+                this.videoOverlay.classList.remove('hidden');
+                this.showViewerState('The operator left. Waiting for another operator to let you in…');
+                break;
+
+            case 'spectate-offer':
+                await this.acceptOffer(message.sdp);
+                break;
+
+            case 'spectate-candidate':
+                await this.addCandidate(message);
+                break;
+
+            case 'spectate-gesture':
+                this.showGesture(message);
+                break;
+
+            case 'peer-reconnecting':
+                if (message.role === 'target') {
+                    this.showViewerState('The phone lost its connection…');
+                }
+                break;
+
+            case 'peer-left':
+                if (message.role === 'target') {
+                    this.showViewerState('The phone disconnected.');
+                }
+                break;
+
+            case 'join-error':
+                this.handleJoinError(message);
+                break;
+
+            case 'error':
+                console.error('Server error:', message.code, message.message);
+                break;
+
+            case 'session-end': {
+                const reasons = {
+                    'spectate-denied': 'The operator did not let you watch this session.',
+                    'kicked-by-admin': 'An administrator removed you from this session.'
+                };
+                this.disconnect();
+                this.showStatus(reasons[message.reason] || 'This session has ended.', 'error');
+                break;
+            }
+        }
+    }
+
+    handleJoinError(message) {
+        const messages = {
+            'unknown-code': 'That code doesn\'t exist.',
+            'code-expired': 'That code has expired.',
+            'no-target': 'No phone is connected with this code.',
+            'no-host': 'No operator is in this session yet. Try again once they have joined.',
+            'room-full': 'This session has no room for more spectators.',
+            'unauthorized': 'Please sign in with your operator account.',
+            'removed': 'An administrator removed you from this session.',
+            'unsupported-version': 'This page is out of date. Reload it and try again.',
+            'rate-limited': `Too many attempts. Please wait ${message.retryAfter || 60} seconds and try again.`
+        };
+        this.disconnect();
+        this.showStatus(messages[message.code] || message.message || 'Unable to join session', 'error');
+    }
+
+    /**
+     * Every offer from the host starts a fresh peer connection: it sends a
+     * new one whenever it (or we) reconnected.
+     */
+    async acceptOffer(sdp) {
+        this.closePeerConnection();
+        const pc = new RTCPeerConnection(this.rtcConfig);
+        this.pc = pc;
+
+        pc.ontrack = (event) => {
+            this.video.srcObject = event.streams[0] || new MediaStream([event.track]);
+            this.videoOverlay.classList.add('hidden');
+            this.showViewerState('Watching');
+        };
+        pc.onicecandidate = (event) => {
+            if (!event.candidate) return;
+            this.send({
+                type: 'spectate-candidate',
+                candidate: event.candidate.candidate,
+                sdpMid: event.candidate.sdpMid,
+                sdpMLineIndex: event.candidate.sdpMLineIndex
+            });
+        };
+        pc.onconnectionstatechange = () => {
+            if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
+                this.videoOverlay.classList.remove('hidden');
+                this.showViewerState('The stream stopped. Waiting for the operator…');
+            }
+        };
+
+        try {
+            await pc.setRemoteDescription({ type: 'offer', sdp });
+            for (const candidate of this.pendingCandidates.splice(0)) {
+                await pc.addIceCandidate(candidate);
+            }
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+            this.send({ type: 'spectate-answer', sdp: answer.sdp });
+        } catch (error) {
+            console.error('Could not answer the operator\'s stream:', error);
+        }
+    }
+
+    async addCandidate({ candidate, sdpMid, sdpMLineIndex }) {
+        const init = { candidate, sdpMid, sdpMLineIndex };
+        if (!this.pc || !this.pc.remoteDescription) {
+            this.pendingCandidates.push(init);
+            return;
+        }
+        try {
+            await this.pc.addIceCandidate(init);
+        } catch (error) {
+            console.error('Error adding ICE candidate:', error);
+        }
+    }
+
+    closePeerConnection() {
+        if (this.pc) {
+            this.pc.close();
+            this.pc = null;
+        }
+    }
+
+    showGesture(gesture) {
+        const now = performance.now();
+        this.gestures = this.gestures.filter(shown => isMarkerVisible(shown, now));
+        this.gestures.push({ ...gesture, t: now });
+        if (!this.animating) this.animate();
+    }
+
+    animate() {
+        this.drawMarkers();
+        this.animating = this.gestures.some(gesture => isMarkerVisible(gesture, performance.now()));
+        if (this.animating) {
+            requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    drawMarkers() {
+        drawGestureMarkers(this.canvas, this.video, this.gestures, performance.now());
+    }
+
+    showViewerScreen() {
+        this.connectionScreen.classList.remove('active');
+        this.viewerScreen.classList.add('active');
+        this.sessionCodeSpan.textContent = `Watching: ${this.pairingCode}`;
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.joined = false;
+        this.reconnectAttempts = 0;
+        this.resumeToken = null;
+        this.pendingCandidates = [];
+        this.gestures = [];
+        this.closePeerConnection();
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            // 1000 tells the server we left on purpose (no grace period)
+            ws.close(1000, 'Disconnected');
+        }
+
+        this.viewerScreen.classList.remove('active');
+        this.connectionScreen.classList.add('active');
+        this.videoOverlay.classList.remove('hidden');
+        this.video.srcObject = null;
+        this.connectBtn.disabled = false;
+        this.showViewerState('');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.viewer = new SpectatorViewer();
+});
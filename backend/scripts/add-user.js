@@ -0,0 +1,57 @@
+/**
+ * Creates or updates an operator account.
+ *
+ * Usage: npm run add-user -- <username> [--admin]
+ *
+ * The password is read from the OPERATOR_PASSWORD environment variable, or
+ * prompted for on the terminal without echoing it.
+ */
+
+const readline = require('readline');
+const { Writable } = require('stream');
+const { UserStore, DEFAULT_USERS_FILE } = require('../lib/user-store');
+
+const USERS_FILE = process.env.USERS_FILE || DEFAULT_USERS_FILE;
+
+/**
+ * Asks for a password. Only the question reaches the terminal; what is typed
+ * after it never shows on screen or in the scrollback.
+ */
+function promptPassword(question) {
+    let muted = false;
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!muted) process.stdout.write(chunk, encoding);
+            callback();
+        }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+        muted = true;
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const username = args.find(arg => !arg.startsWith('--'));
+    const role = args.includes('--admin') ? 'admin' : 'operator';
+
+    if (!username) {
+        console.error('Usage: npm run add-user -- <username> [--admin]');
+        process.exit(1);
+    }
+
+    const password = process.env.OPERATOR_PASSWORD || await promptPassword(`Password for ${username}: `);
+    const user = await new UserStore(USERS_FILE).add(username, password, role);
+    console.log(`✅ Saved ${user.role} "${user.username}" to ${USERS_FILE}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -8,176 +8,1781 @@
  */
 
 const WebSocket = require('ws');
+const crypto = require('crypto');
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { buildIceConfig } = require('./lib/ice-config');
+const { signToken, verifyToken } = require('./lib/auth');
+const { UserStore, DEFAULT_USERS_FILE } = require('./lib/user-store');
+const { AuditLog, DEFAULT_AUDIT_LOG_FILE } = require('./lib/audit-log');
+const { createRoomBus } = require('./lib/room-bus');
+const { MetricsRegistry } = require('./lib/metrics');
+const { PROTOCOL_VERSION, SUPPORTED_VERSIONS, parseMessage, parseGesture } = require('./lib/message-schema');
+const { RecordingStore, DEFAULT_RECORDINGS_DIR } = require('./lib/recording-store');
+const { StaticFiles } = require('./lib/static-files');
+
+/**
+ * Reads a whole-number setting for which 0 means "off". Values that are not
+ * a non-negative integer get the default, like the `|| default` settings.
+ */
+function readCountSetting(name, defaultValue) {
+    const value = process.env[name]?.trim();
+    return /^\d+$/.test(value) ? parseInt(value, 10) : defaultValue;
+}
 
 // Single port for cloud deployment
 const PORT = process.env.PORT || 8080;
 
-// MIME types for static files
-const MIME_TYPES = {
-    '.html': 'text/html',
-    '.css': 'text/css',
-    '.js': 'application/javascript',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpeg',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon'
+// How long an issued pairing code stays valid before the target connects
+const PAIRING_CODE_TTL_SECONDS = parseInt(process.env.PAIRING_CODE_TTL_SECONDS, 10) || 300;
+
+// Same alphabet as the app's PairingCodeGenerator (no O, 0, 1, I)
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Abuse protection for /pairing-codes (per client IP): codes issued per
+// minute, and codes issued but not yet claimed by a target at any one time
+const PAIRING_MAX_CODES_PER_MINUTE = parseInt(process.env.PAIRING_MAX_CODES_PER_MINUTE, 10) || 10;
+const PAIRING_MAX_RESERVED_CODES = parseInt(process.env.PAIRING_MAX_RESERVED_CODES, 10) || 3;
+
+// Abuse protection for /ws (all per client IP unless noted)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+const WS_MAX_CONNECTIONS_PER_MINUTE = parseInt(process.env.WS_MAX_CONNECTIONS_PER_MINUTE, 10) || 30;
+const WS_MAX_JOINS_PER_MINUTE = parseInt(process.env.WS_MAX_JOINS_PER_MINUTE, 10) || 10;
+const WS_MAX_FAILED_JOINS = parseInt(process.env.WS_MAX_FAILED_JOINS, 10) || 5;
+const WS_FAILED_JOIN_WINDOW_SECONDS = parseInt(process.env.WS_FAILED_JOIN_WINDOW_SECONDS, 10) || 600;
+const WS_LOCKOUT_SECONDS = parseInt(process.env.WS_LOCKOUT_SECONDS, 10) || 900;
+const WS_MAX_MESSAGES_PER_SECOND = parseInt(process.env.WS_MAX_MESSAGES_PER_SECOND, 10) || 50; // per socket
+const WS_MAX_MESSAGE_BYTES = parseInt(process.env.WS_MAX_MESSAGE_BYTES, 10) || 64 * 1024;
+
+// Liveness: sockets that miss a ping for a whole interval are terminated
+const WS_PING_INTERVAL_SECONDS = parseInt(process.env.WS_PING_INTERVAL_SECONDS, 10) || 30;
+
+// How long shutdown waits for sessions to finish before closing them
+const SHUTDOWN_DRAIN_SECONDS = readCountSetting('SHUTDOWN_DRAIN_SECONDS', 10);
+
+// Join rejections that suggest someone is guessing codes
+const FAILED_JOIN_CODES = new Set(['unknown-code', 'code-expired']);
+
+// Operator accounts and session tokens
+const USERS_FILE = process.env.USERS_FILE || DEFAULT_USERS_FILE;
+const AUTH_TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 8 * 60 * 60;
+const AUTH_MAX_LOGINS_PER_MINUTE = parseInt(process.env.AUTH_MAX_LOGINS_PER_MINUTE, 10) || 10;
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    console.warn('⚠️ AUTH_SECRET is not set; operator tokens will not survive a restart');
+}
+
+// Session audit log (JSON Lines)
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE;
+
+// Session recordings uploaded by the web controller
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+const RECORDING_MAX_BYTES = parseInt(process.env.RECORDING_MAX_MB, 10) * 1024 * 1024 || 500 * 1024 * 1024;
+const RECORDING_MAX_GESTURES = 20000;
+
+// Bearer token required on /metrics (unset leaves it open)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Web origins allowed to call the API from their own pages (comma-separated,
+// `*` for any). Unset: same-origin only; the Android app doesn't need CORS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Browser cache lifetime of static assets other than HTML (0: always revalidate)
+const STATIC_MAX_AGE_SECONDS = parseInt(process.env.STATIC_MAX_AGE_SECONDS, 10) || 0;
+
+// Sent on every response. The pages load nothing from other origins; video
+// and recordings play from blob: URLs
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': [
+        "default-src 'self'",
+        "img-src 'self' data: blob:",
+        "media-src 'self' blob:",
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'"
+    ].join('; '),
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer'
 };
 
 // Create HTTP server
 const server = http.createServer((req, res) => {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    applyCors(req, res);
     
     if (req.method === 'OPTIONS') {
-        res.writeHead(200);
+        res.writeHead(204);
         res.end();
         return;
     }
     
-    // Health check endpoint
-    if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
+    const url = parseRequestUrl(req);
+    if (!url) {
+        sendJson(res, 400, { error: 'bad-request', message: 'Malformed request URL' });
+        return;
+    }
+    const { pathname, searchParams } = url;
+    
+    // Health check endpoint (503 while not ready, e.g. draining for a restart)
+    if (pathname === '/health') {
+        const health = getHealth();
+        sendJson(res, health.ready ? 200 : 503, health);
+        return;
+    }
+    
+    // Prometheus metrics
+    if (pathname === '/metrics') {
+        if (!requireMetricsToken(req, res)) return;
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(metrics.render());
+        return;
+    }
+    
+    // ICE servers for WebRTC clients (fresh TURN credentials on every call).
+    // Operators only: the credentials let anyone relay through our TURN
+    // server. The target gets them with its `joined` instead.
+    if (pathname === '/ice-config') {
+        if (!authenticateRequest(req)) {
+            sendJson(res, 401, { error: 'unauthorized', message: 'Sign in required' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(buildIceConfig(process.env)));
+        return;
+    }
+    
+    // Operator login
+    if (pathname === '/login') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Allow': 'POST' });
+            res.end('Method Not Allowed');
+            return;
+        }
+        handleLogin(req, res);
+        return;
+    }
+    
+    // Past sessions from the audit log (admins only)
+    if (pathname === '/sessions') {
+        if (!requireAdmin(req, res)) return;
+        handleSessionQuery(searchParams, res);
+        return;
+    }
+    
+    // Live rooms and force-terminate/kick actions (admins only)
+    if (pathname.startsWith('/admin/')) {
+        if (!requireAdmin(req, res)) return;
+        handleAdminRequest(req, res, pathname).catch(error => {
+            console.error('Admin request failed:', error.message);
+            sendJson(res, 500, { error: 'server-error', message: error.message });
+        });
+        return;
+    }
+    
+    // Session recordings: controllers upload, admins list and play back
+    if (pathname === '/recordings' || pathname.startsWith('/recordings/')) {
+        handleRecordingRequest(req, res, pathname, searchParams).catch(error => {
+            if (!error.status) console.error('Recording request failed:', error.message);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            sendJson(res, error.status || 500, {
+                error: error.status ? 'bad-request' : 'server-error',
+                message: error.message,
+                ...(error.field ? { field: error.field } : {})
+            });
+        });
+        return;
+    }
+    
+    // Pairing code issuance (called by the target before it connects)
+    if (pathname === '/pairing-codes') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Allow': 'POST' });
+            res.end('Method Not Allowed');
+            return;
+        }
+        handlePairingCodeRequest(req, res).catch(error => {
+            console.error('Pairing code issue failed:', error.message);
+            sendJson(res, 500, { error: 'server-error', message: 'Could not issue a pairing code' });
+        });
+        return;
+    }
+    
+    // Serve static files from public directory
+    staticFiles.serve(req, res, pathname).catch(error => {
+        console.error('Static file request failed:', error.message);
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.writeHead(500);
+        res.end('Server Error');
+    });
+});
+
+
+const userStore = new UserStore(USERS_FILE);
+const auditLog = new AuditLog(AUDIT_LOG_FILE);
+const recordingStore = new RecordingStore(RECORDINGS_DIR);
+const staticFiles = new StaticFiles(path.join(__dirname, 'public'), { maxAgeSeconds: STATIC_MAX_AGE_SECONDS });
+const loginLimiter = new RateLimiter({ limit: AUTH_MAX_LOGINS_PER_MINUTE, windowMs: 60 * 1000 });
+const pairingCodeLimiter = new RateLimiter({ limit: PAIRING_MAX_CODES_PER_MINUTE, windowMs: 60 * 1000 });
+// Codes each IP was issued that may still be unclaimed: Map<ip, Map<code, expiresAt>>
+const reservedCodes = new Map();
+
+/**
+ * Lets pages from the CORS_ORIGINS allowlist call the API. Other origins get
+ * no CORS headers, so browsers keep them out.
+ */
+function applyCors(req, res) {
+    res.setHeader('Vary', 'Origin');
+    const { origin } = req.headers;
+    if (!origin || !(CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) return;
+    
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Max-Age', '600');
+}
+
+/**
+ * Parses a request's target, which comes straight off the wire.
+ * 
+ * @returns {URL | null} null if it is not a valid URL path (e.g. `//[`)
+ */
+function parseRequestUrl(req) {
+    try {
+        return new URL(req.url, `http://localhost:${PORT}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a JSON request body of at most `limit` bytes.
+ */
+function readJsonBody(req, limit = 16 * 1024) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString() || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Exchanges an operator's username and password for a signed token.
+ */
+async function handleLogin(req, res) {
+    const ip = getClientIp(req);
+    if (!loginLimiter.hit(ip)) {
+        res.setHeader('Retry-After', loginLimiter.retryAfter(ip));
+        sendJson(res, 429, { error: 'rate-limited', message: 'Too many login attempts. Try again later.' });
+        return;
+    }
+    
+    try {
+        const body = await readJsonBody(req);
+        if (typeof body !== 'object' || body === null || Array.isArray(body)
+            || typeof body.username !== 'string' || typeof body.password !== 'string') {
+            throw Object.assign(new Error('username and password must be strings'), { status: 400 });
+        }
+        const { username, password } = body;
+        const user = await userStore.authenticate(username, password);
+        
+        if (!user) {
+            console.log(`🔐 Failed login for "${username}" from ${ip}`);
+            sendJson(res, 401, { error: 'invalid-credentials', message: 'Wrong username or password' });
+            return;
+        }
+        
+        const token = signToken({ sub: user.username, role: user.role }, AUTH_SECRET, AUTH_TOKEN_TTL_SECONDS);
+        console.log(`🔐 ${user.username} logged in from ${ip}`);
+        sendJson(res, 200, {
+            token,
+            username: user.username,
+            role: user.role,
+            expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_SECONDS * 1000).toISOString()
+        });
+    } catch (error) {
+        if (!error.status) console.error('Login error:', error.message);
+        sendJson(res, error.status || 500, error.status
+            ? { error: 'bad-request', message: error.message }
+            : { error: 'server-error', message: 'Could not sign in' });
+    }
+}
+
+/**
+ * Issues a pairing code to a target, within the per-IP rate limit and cap
+ * on unclaimed codes.
+ */
+async function handlePairingCodeRequest(req, res) {
+    if (shuttingDown) {
+        sendJson(res, 503, { error: 'server-restarting', message: 'The server is restarting. Try again shortly.' });
+        return;
+    }
+    
+    const ip = getClientIp(req);
+    if (!pairingCodeLimiter.hit(ip)) {
+        res.setHeader('Retry-After', pairingCodeLimiter.retryAfter(ip));
+        sendJson(res, 429, { error: 'rate-limited', message: 'Too many pairing code requests. Try again later.' });
+        return;
+    }
+    if (await countReservedCodes(ip) >= PAIRING_MAX_RESERVED_CODES) {
+        console.log(`⛔ ${ip} holds ${PAIRING_MAX_RESERVED_CODES} unclaimed pairing codes`);
+        sendJson(res, 429, { error: 'too-many-codes', message: 'Too many unused pairing codes. Use one or wait for them to expire.' });
+        return;
+    }
+    
+    const entry = await issuePairingCode();
+    if (!reservedCodes.has(ip)) reservedCodes.set(ip, new Map());
+    reservedCodes.get(ip).set(entry.code, entry.expiresAt);
+    
+    sendJson(res, 201, {
+        code: entry.code,
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        ttl: PAIRING_CODE_TTL_SECONDS
+    });
+}
+
+/**
+ * Counts the codes issued to an IP that have neither expired nor been
+ * claimed by a target (on any instance), forgetting the others.
+ */
+async function countReservedCodes(ip) {
+    const codes = reservedCodes.get(ip);
+    if (!codes) return 0;
+    
+    for (const [code, expiresAt] of codes) {
+        if (Date.now() > expiresAt || (await bus.getPairingCode(code))?.state !== 'reserved') {
+            codes.delete(code);
+        }
+    }
+    if (codes.size === 0) reservedCodes.delete(ip);
+    return codes.size;
+}
+
+/**
+ * Returns the operator claims from an `Authorization: Bearer` header.
+ */
+function authenticateRequest(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? verifyToken(match[1], AUTH_SECRET) : null;
+}
+
+/**
+ * Replies 401/403 unless the request carries an admin token.
+ * 
+ * @returns {boolean} true if the request may proceed
+ */
+function requireAdmin(req, res) {
+    const operator = authenticateRequest(req);
+    if (!operator) {
+        sendJson(res, 401, { error: 'unauthorized', message: 'Sign in required' });
+        return false;
+    }
+    if (operator.role !== 'admin') {
+        sendJson(res, 403, { error: 'forbidden', message: 'Admin role required' });
+        return false;
+    }
+    return true;
+}
+
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const RECORDING_ROUTE = new RegExp(`^/recordings/(${UUID_PATTERN})(?:/(${UUID_PATTERN})(/video)?)?$`);
+const SESSION_ID = new RegExp(`^${UUID_PATTERN}$`);
+
+/**
+ * Recording routes:
+ * 
+ *   GET  /recordings                        list (admin; `sessionId`, `limit`)
+ *   POST /recordings/:sessionId             create with metadata and gestures (controller of the session)
+ *   PUT  /recordings/:sessionId/:id/video   upload the video, once (the operator who created it)
+ *   GET  /recordings/:sessionId/:id         metadata and gestures (admin)
+ *   GET  /recordings/:sessionId/:id/video   the video (admin)
+ */
+async function handleRecordingRequest(req, res, pathname, searchParams) {
+    if (pathname === '/recordings') {
+        if (!allowMethod(req, res, 'GET') || !requireAdmin(req, res)) return;
+        // Session ids name directories of the recording store
+        const sessionId = searchParams.get('sessionId') || undefined;
+        if (sessionId && !SESSION_ID.test(sessionId)) {
+            throw Object.assign(new Error('sessionId must be a session UUID'), { status: 400, field: 'sessionId' });
+        }
+        const recordings = await recordingStore.list({
+            sessionId,
+            limit: Math.min(parseInt(searchParams.get('limit'), 10) || 100, 1000)
+        });
+        sendJson(res, 200, { recordings });
+        return;
+    }
+    
+    const match = RECORDING_ROUTE.exec(pathname);
+    if (!match) {
+        sendJson(res, 404, { error: 'not-found', message: 'Unknown recording route' });
+        return;
+    }
+    const [, sessionId, recordingId, video] = match;
+    
+    if (!recordingId) {
+        if (!allowMethod(req, res, 'POST')) return;
+        await createRecording(req, res, sessionId);
+        return;
+    }
+    
+    const method = video ? ['GET', 'PUT'] : ['GET'];
+    if (!allowMethod(req, res, ...method)) return;
+    if (req.method === 'GET' && !requireAdmin(req, res)) return;
+    
+    const recording = await recordingStore.get(sessionId, recordingId);
+    if (!recording) {
+        sendJson(res, 404, { error: 'unknown-recording', message: 'No recording with this id' });
+        return;
+    }
+    
+    if (req.method === 'PUT') {
+        await uploadRecordingVideo(req, res, recording);
+        return;
+    }
+    if (!video) {
+        sendJson(res, 200, { ...recording, gestures: await recordingStore.getGestures(sessionId, recordingId) });
+        return;
+    }
+    if (!recording.videoFile) {
+        sendJson(res, 404, { error: 'no-video', message: 'The video of this recording was never uploaded' });
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': recording.mimeType.split(';')[0],
+        'Content-Length': recording.videoBytes,
+        'Cache-Control': 'no-store'
+    });
+    fs.createReadStream(recordingStore.videoPath(recording)).pipe(res);
+}
+
+/**
+ * Replies 405 unless the request uses one of the methods.
+ * 
+ * @returns {boolean} true if the request may proceed
+ */
+function allowMethod(req, res, ...methods) {
+    if (methods.includes(req.method)) return true;
+    res.writeHead(405, { 'Allow': methods.join(', ') });
+    res.end('Method Not Allowed');
+    return false;
+}
+
+/**
+ * Stores a recording's metadata and gesture log. Only operators who joined
+ * the session as a controller may record it.
+ */
+async function createRecording(req, res, sessionId) {
+    const operator = authenticateRequest(req);
+    if (!operator) {
+        sendJson(res, 401, { error: 'unauthorized', message: 'Sign in required' });
+        return;
+    }
+    
+    const [session] = await auditLog.querySessions({ sessionId, limit: 1 });
+    if (!session?.participants.some(p => p.role === 'controller' && p.operator === operator.sub)) {
+        sendJson(res, 403, { error: 'forbidden', message: 'Only a controller of this session can upload its recording' });
+        return;
+    }
+    
+    const body = await readJsonBody(req, 5 * 1024 * 1024);
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw Object.assign(new Error('The recording must be a JSON object'), { status: 400 });
+    }
+    const startedAt = new Date(body.startedAt);
+    if (isNaN(startedAt)) throw Object.assign(new Error('startedAt must be a date'), { status: 400, field: 'startedAt' });
+    if (typeof body.mimeType !== 'string' || !/^video\/[\w.+-]+(;.*)?$/.test(body.mimeType)) {
+        throw Object.assign(new Error('mimeType must be a video type'), { status: 400, field: 'mimeType' });
+    }
+    if (!Array.isArray(body.gestures) || body.gestures.length > RECORDING_MAX_GESTURES) {
+        throw Object.assign(new Error(`gestures must be an array of at most ${RECORDING_MAX_GESTURES}`), { status: 400, field: 'gestures' });
+    }
+    
+    let gestures;
+    try {
+        gestures = body.gestures.map((entry, i) => {
+            if (!Number.isFinite(entry?.t) || entry.t < 0) {
+                throw Object.assign(new Error(`gestures[${i}].t must be a time in ms`), { field: `gestures[${i}].t` });
+            }
+            return { t: entry.t, ...parseGesture(entry, `gestures[${i}]`) };
+        });
+    } catch (error) {
+        throw Object.assign(error, { status: 400 });
+    }
+    
+    const recording = await recordingStore.create({
+        id: crypto.randomUUID(),
+        sessionId,
+        room: session.code,
+        operator: operator.sub,
+        startedAt: startedAt.toISOString(),
+        durationMs: Number.isFinite(body.durationMs) ? Math.max(0, Math.round(body.durationMs)) : null,
+        mimeType: body.mimeType
+    }, gestures);
+    
+    auditLog.record('recording', { sessionId, room: session.code, recordingId: recording.id, operator: operator.sub });
+    console.log(`⏺️ ${operator.sub} saved a recording of room ${session.code} (${gestures.length} gestures)`);
+    sendJson(res, 201, recording);
+}
+
+/**
+ * Streams a recording's video to disk, up to `RECORDING_MAX_MB`.
+ */
+async function uploadRecordingVideo(req, res, recording) {
+    const operator = authenticateRequest(req);
+    if (!operator || operator.sub !== recording.operator) {
+        sendJson(res, 403, { error: 'forbidden', message: 'Only the operator who made this recording can upload its video' });
+        return;
+    }
+    if (recording.videoFile) {
+        sendJson(res, 409, { error: 'already-uploaded', message: 'The video of this recording was already uploaded' });
+        return;
+    }
+    if (recordingStore.isUploading(recording)) {
+        sendJson(res, 409, { error: 'upload-in-progress', message: 'The video of this recording is being uploaded' });
+        req.resume();
+        return;
+    }
+    if (!String(req.headers['content-type']).startsWith('video/')) {
+        sendJson(res, 415, { error: 'unsupported-media-type', message: 'Upload the video with a video/* Content-Type' });
+        return;
+    }
+    if (parseInt(req.headers['content-length'], 10) > RECORDING_MAX_BYTES) {
+        sendJson(res, 413, { error: 'too-large', message: 'Recording too large' });
+        req.resume();
+        return;
+    }
+    
+    const updated = await recordingStore.saveVideo(recording, req, RECORDING_MAX_BYTES);
+    console.log(`⏺️ Recording ${recording.id} video saved (${updated.videoBytes} bytes)`);
+    sendJson(res, 200, updated);
+}
+
+/**
+ * Replies 401 unless the request carries `METRICS_TOKEN` (when one is set).
+ * 
+ * @returns {boolean} true if the request may proceed
+ */
+function requireMetricsToken(req, res) {
+    if (!METRICS_TOKEN) return true;
+    
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!match || !crypto.timingSafeEqual(digest(match[1]), digest(METRICS_TOKEN))) {
+        sendJson(res, 401, { error: 'unauthorized', message: 'Metrics token required' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Readiness of this instance: it is ready while it accepts WebSocket
+ * connections and its room bus is connected.
+ */
+function getHealth() {
+    const accepting = server.listening && !shuttingDown;
+    const roomBusReady = bus.isReady();
+    const ready = accepting && roomBusReady;
+    return {
+        status: shuttingDown ? 'draining' : (ready ? 'ok' : 'unavailable'),
+        ready,
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.floor(process.uptime()),
+        checks: {
+            websocket: { accepting },
+            roomBus: { type: process.env.REDIS_URL ? 'redis' : 'memory', ready: roomBusReady }
+        }
+    };
+}
+
+/**
+ * Lists audited sessions. Filters: `from` / `to` (dates, on start time),
+ * `code` and `limit`.
+ */
+async function handleSessionQuery(searchParams, res) {
+    const parseDate = (name) => {
+        const value = searchParams.get(name);
+        if (!value) return undefined;
+        const date = new Date(value);
+        if (isNaN(date)) throw Object.assign(new Error(`Invalid ${name} date`), { status: 400 });
+        return date;
+    };
+    
+    try {
+        const sessions = await auditLog.querySessions({
+            from: parseDate('from'),
+            to: parseDate('to'),
+            code: searchParams.get('code')?.toUpperCase() || undefined,
+            limit: Math.min(parseInt(searchParams.get('limit'), 10) || 100, 1000)
+        });
+        sendJson(res, 200, { sessions });
+    } catch (error) {
+        if (!error.status) console.error('Session query failed:', error.message);
+        sendJson(res, error.status || 500, { error: 'bad-request', message: error.message });
+    }
+}
+
+/**
+ * Routes the admin API:
+ * 
+ *   GET  /admin/rooms                                 live rooms and participants
+ *   POST /admin/rooms/:code/terminate                 end the session for everyone
+ *   POST /admin/rooms/:code/participants/:id/kick     remove one participant
+ */
+async function handleAdminRequest(req, res, pathname) {
+    if (pathname === '/admin/rooms') {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Allow': 'GET' });
+            res.end('Method Not Allowed');
+            return;
+        }
+        sendJson(res, 200, { rooms: await listLiveRooms() });
+        return;
+    }
+    
+    const match = /^\/admin\/rooms\/([^/]+)\/(?:(terminate)|participants\/([^/]+)\/(kick))$/.exec(pathname);
+    if (!match) {
+        sendJson(res, 404, { error: 'not-found', message: 'Unknown admin route' });
+        return;
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Allow': 'POST' });
+        res.end('Method Not Allowed');
+        return;
+    }
+    
+    let code, participantId;
+    try {
+        code = decodeURIComponent(match[1]).toUpperCase();
+        participantId = match[3] && decodeURIComponent(match[3]);
+    } catch (error) {
+        sendJson(res, 400, { error: 'bad-request', message: 'Malformed percent-escape in the URL' });
+        return;
+    }
+    
+    const admin = authenticateRequest(req).sub;
+    const room = await bus.getRoom(code);
+    if (!room) {
+        sendJson(res, 404, { error: 'unknown-room', message: 'No live room with this code' });
+        return;
+    }
+    
+    if (match[2]) {
+        console.log(`🛑 ${admin} terminated room ${room.id}`);
+        auditLog.record('admin-action', { sessionId: room.sessionId, room: room.id, admin, action: 'terminate' });
+        await terminateRoom(room.id, 'terminated-by-admin');
+        sendJson(res, 200, { terminated: room.id });
+        return;
+    }
+    
+    if (!await kickParticipant(room.id, participantId)) {
+        sendJson(res, 404, { error: 'unknown-participant', message: 'No participant with this id in the room' });
+        return;
+    }
+    console.log(`🛑 ${admin} removed ${participantId} from room ${room.id}`);
+    auditLog.record('admin-action', { sessionId: room.sessionId, room: room.id, admin, action: 'kick', clientId: participantId });
+    sendJson(res, 200, { kicked: participantId });
+}
+
+/**
+ * Summarises every live room (on all instances) for the admin dashboard.
+ */
+async function listLiveRooms() {
+    const roomIds = await bus.listRooms();
+    const sharedRooms = await Promise.all(roomIds.map(roomId => bus.getRoom(roomId)));
+    return sharedRooms.filter(Boolean).map(describeRoom);
+}
+
+/**
+ * Summarises a room. Message stats are only known to the instance that
+ * holds the participant's socket; they are null for the others.
+ */
+function describeRoom(shared) {
+    const localInfo = new Map();
+    const room = rooms.get(shared.id);
+    room?.clients.forEach(client => localInfo.set(clients.get(client).id, clients.get(client)));
+    room?.away.forEach(entry => localInfo.set(entry.info.id, entry.info));
+    
+    const participants = shared.members.map(member => {
+        const stats = localInfo.get(member.id);
+        return {
+            id: member.id,
+            role: member.role,
+            clientType: member.type,
+            operator: member.operator,
+            name: member.name,
+            control: member.control,
+            ip: member.ip,
+            instance: member.instance,
+            status: member.status === 'away' ? 'reconnecting' : 'connected',
+            connectedAt: new Date(member.connectedAt).toISOString(),
+            lastMessageAt: stats?.lastMessageAt ? new Date(stats.lastMessageAt).toISOString() : null,
+            messageCount: stats ? stats.messageCount : null,
+            relayCount: stats ? stats.relayCount : null
+        };
+    });
+    
+    return {
+        code: shared.id,
+        sessionId: shared.sessionId,
+        createdAt: new Date(shared.createdAt).toISOString(),
+        relayCount: participants.reduce((total, participant) => total + (participant.relayCount || 0), 0),
+        gestureCounts: shared.gestureCounts,
+        participants
+    };
+}
+
+/**
+ * Checks the operator token on a /ws upgrade. Controllers and spectators
+ * must present a valid `token`; targets connect with a pairing code only.
+ */
+function verifyWsClient(info, callback) {
+    if (shuttingDown) {
+        callback(false, 503, 'Server Restarting');
+        return;
+    }
+    
+    const url = parseRequestUrl(info.req);
+    if (!url) {
+        callback(false, 400, 'Bad Request');
+        return;
+    }
+    const token = url.searchParams.get('token');
+    const operator = token ? verifyToken(token, AUTH_SECRET) : null;
+    
+    const type = url.searchParams.get('type');
+    if ((type === 'controller' || type === 'spectator') && !operator) {
+        console.log(`🔐 Rejected ${type} upgrade from ${getClientIp(info.req)}: missing or invalid token`);
+        callback(false, 401, 'Unauthorized');
+        return;
+    }
+    
+    info.req.operator = operator;
+    info.req.searchParams = url.searchParams;
+    callback(true);
+}
+
+// Create WebSocket server
+const wss = new WebSocket.Server({
+    server,
+    path: '/ws',
+    maxPayload: WS_MAX_MESSAGE_BYTES,
+    verifyClient: verifyWsClient
+});
+
+// Maximum number of controllers allowed in a single room
+const MAX_CONTROLLERS_PER_ROOM = parseInt(process.env.MAX_CONTROLLERS_PER_ROOM, 10) || 1;
+
+// Maximum number of view-only spectators in a single room (0 disables them)
+const MAX_SPECTATORS_PER_ROOM = readCountSetting('MAX_SPECTATORS_PER_ROOM', 5);
+
+// Channels the Android target opens a socket for (`type` of its /ws URL)
+const TARGET_CLIENT_TYPES = new Set(['signaling', 'control']);
+
+// Everything a spectator may send; the rest never leaves the server
+const SPECTATOR_MESSAGE_TYPES = new Set(['join', 'heartbeat', 'spectate-answer', 'spectate-candidate']);
+
+// Chat messages a room keeps for members who join or reconnect later
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 200;
+
+// How long a dropped member keeps its place in the room (0 disables)
+const ROOM_GRACE_SECONDS = readCountSetting('ROOM_GRACE_SECONDS', 30);
+
+// How long a room's lock outlives an instance that died holding it
+const ROOM_LOCK_TTL_MS = 10 * 1000;
+
+// Names this process in the member records it writes to the bus
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// Pairing codes, room membership and room messages shared by all instances
+// (see lib/room-bus.js), set by start(). In-memory unless REDIS_URL is set;
+// tests start several instances on one shared in-memory bus.
+let bus = null;
+
+// This instance's part of each room: Map<roomId, { id, sessionId, createdAt, clients: Set<WebSocket>, away: Map<resumeToken, { info, ip, timer }> }>
+const rooms = new Map();
+// Client info of local sockets: the shared member record ({ id, room, role, type, resumeToken, operator?, control?, name?, access?, host?, status, instance, ip, connectedAt })
+// plus local stats ({ lastMessageAt, messageCount, relayCount }): Map<WebSocket, object>
+const clients = new Map();
+// Tail of each room's queue of membership changes: Map<roomId, Promise>
+const roomLocks = new Map();
+
+const connectionLimiter = new RateLimiter({ limit: WS_MAX_CONNECTIONS_PER_MINUTE, windowMs: 60 * 1000 });
+const joinLimiter = new RateLimiter({ limit: WS_MAX_JOINS_PER_MINUTE, windowMs: 60 * 1000 });
+const failedJoinLimiter = new RateLimiter({ limit: WS_MAX_FAILED_JOINS, windowMs: WS_FAILED_JOIN_WINDOW_SECONDS * 1000 });
+const messageLimiter = new RateLimiter({ limit: WS_MAX_MESSAGES_PER_SECOND, windowMs: 1000 });
+// Locked-out IPs: Map<ip, lockedUntil>
+const lockouts = new Map();
+// Set once SIGTERM/SIGINT arrives; no new sockets, joins or codes after that
+let shuttingDown = false;
+
+// Label values clients choose are folded into 'other' to bound the series
+const CLIENT_TYPES = new Set(['signaling', 'control', 'controller', 'spectator']);
+const GESTURE_ACTIONS = new Set([
+    'tap', 'longpress', 'swipe', 'scroll', 'drag', 'multitouch', 'text', 'key', 'back', 'home', 'recents'
+]);
+
+function knownLabel(value, known) {
+    return known.has(value) ? value : 'other';
+}
+
+// Prometheus metrics of this instance (GET /metrics)
+const metrics = new MetricsRegistry();
+metrics.gauge('remote_assist_rooms_active', 'Rooms with members on this instance', [], () => [
+    { value: rooms.size }
+]);
+metrics.gauge('remote_assist_sockets_connected', 'Open WebSocket connections by client type', ['client_type'], () => {
+    const counts = new Map([...CLIENT_TYPES, 'other'].map(clientType => [clientType, 0]));
+    wss.clients.forEach(ws => {
+        const clientType = knownLabel(ws.clientType, CLIENT_TYPES);
+        counts.set(clientType, counts.get(clientType) + 1);
+    });
+    return [...counts].map(([clientType, value]) => ({ labels: { client_type: clientType }, value }));
+});
+const joinsTotal = metrics.counter('remote_assist_joins_total', 'Successful room joins', ['role', 'resumed']);
+const failedJoinsTotal = metrics.counter('remote_assist_failed_joins_total', 'Refused room joins by error code', ['code']);
+const messagesRelayedTotal = metrics.counter('remote_assist_messages_relayed_total', 'Messages relayed to a room by type', ['type']);
+const gesturesRelayedTotal = metrics.counter('remote_assist_gestures_relayed_total', 'Gestures relayed to a target by action', ['action']);
+const relayFanout = metrics.histogram('remote_assist_relay_fanout',
+    'Sockets on this instance a relayed message was delivered to', [], [0, 1, 2, 3, 5, 10]);
+const sessionDuration = metrics.histogram('remote_assist_session_duration_seconds',
+    'Duration of ended sessions', ['reason'], [30, 60, 300, 600, 1800, 3600, 7200, 14400]);
+const wsErrorsTotal = metrics.counter('remote_assist_websocket_errors_total', 'WebSocket connection errors');
+const invalidMessagesTotal = metrics.counter('remote_assist_invalid_messages_total', 'Messages refused by the schema by error code', ['code']);
+
+console.log(`🚀 Server starting on port ${PORT}`);
+
+wss.on('connection', (ws, req) => {
+    const codeFromUrl = req.searchParams.get('code');
+    const clientType = req.searchParams.get('type') || 'signaling';
+    ws.clientType = clientType;
+    ws.clientIp = getClientIp(req);
+    // Replaced by the version the client sends in its join message
+    ws.protocolVersion = PROTOCOL_VERSION;
+    // Verified operator claims ({ sub, role }), or null for targets
+    ws.operator = req.operator;
+    ws.isAlive = true;
+    // Messages are handled one at a time, in order, even when they wait on the bus
+    ws.queue = Promise.resolve();
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+    
+    const lockedFor = getLockoutSeconds(ws.clientIp);
+    if (lockedFor > 0 || !connectionLimiter.hit(ws.clientIp)) {
+        console.log(`⛔ Connection from ${ws.clientIp} rate limited`);
+        sendRateLimited(ws, 'connection', lockedFor || connectionLimiter.retryAfter(ws.clientIp));
+        ws.close(1008, 'Rate limited');
+        return;
+    }
+    
+    console.log(`📱 New ${clientType} connection${codeFromUrl ? ` with code: ${codeFromUrl}` : ''}`);
+    
+    ws.on('message', (data) => {
+        if (!messageLimiter.hit(ws)) {
+            // Drop the flood, but only tell the client once per window
+            if (!ws.rateLimitNotified) {
+                ws.rateLimitNotified = true;
+                sendRateLimited(ws, 'message', messageLimiter.retryAfter(ws));
+            }
+            return;
+        }
+        ws.rateLimitNotified = false;
+        
+        const clientInfo = clients.get(ws);
+        if (clientInfo) {
+            clientInfo.lastMessageAt = Date.now();
+            clientInfo.messageCount++;
+        }
+        
+        let message;
+        try {
+            message = parseMessage(data, ws.protocolVersion);
+        } catch (error) {
+            console.log(`⚠️ [${clientType}] Invalid message: ${error.message}`);
+            invalidMessagesTotal.inc({ code: error.code });
+            sendError(ws, error.code, error.message, error.field ? { field: error.field } : {});
+            return;
+        }
+        
+        console.log(`📨 [${clientType}] Received: ${message.type}`);
+        enqueue(ws, () => handleMessage(ws, message, codeFromUrl, clientType));
+    });
+    
+    ws.on('close', (code) => {
+        dropClient(ws, code);
+        messageLimiter.reset(ws);
+        console.log(`📱 Connection closed`);
+    });
+    
+    ws.on('error', (error) => {
+        wsErrorsTotal.inc();
+        console.error('WebSocket error:', error.message);
+    });
+    
+    // Auto-join if code provided in URL
+    if (codeFromUrl) {
+        enqueue(ws, () => attemptJoin(ws, codeFromUrl, clientType));
+    }
+});
+
+function enqueue(ws, task) {
+    ws.queue = ws.queue.then(task).catch(error => {
+        console.error('Message handling failed:', error.message);
+    });
+}
+
+/**
+ * Pings every socket; one that has not answered the previous ping is
+ * terminated. It keeps its place in its room for the grace period like any
+ * other dropped connection.
+ */
+const pingInterval = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            console.log(`💀 Terminating unresponsive ${clients.get(ws)?.role || 'client'} socket from ${ws.clientIp}`);
+            ws.terminate();
+            return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, WS_PING_INTERVAL_SECONDS * 1000);
+
+/**
+ * Returns the client IP, honouring X-Forwarded-For behind a trusted proxy.
+ */
+function getClientIp(req) {
+    if (TRUST_PROXY) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+}
+
+/**
+ * Seconds left on an IP's lockout (0 if it is not locked out).
+ */
+function getLockoutSeconds(ip) {
+    const lockedUntil = lockouts.get(ip);
+    if (!lockedUntil) return 0;
+    
+    const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+    if (remaining <= 0) {
+        lockouts.delete(ip);
+        return 0;
+    }
+    return remaining;
+}
+
+/**
+ * Sends a typed `error` frame to a client.
+ */
+function sendError(ws, code, message, details = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'error', code, message, ...details }));
+}
+
+function sendRateLimited(ws, scope, retryAfter) {
+    sendError(ws, 'rate-limited', 'Too many requests. Try again later.', { scope, retryAfter });
+}
+
+/**
+ * Rate-limits a join and locks the IP out after repeated failed joins.
+ */
+async function attemptJoin(ws, roomId, clientType, requestedRole, resumeToken) {
+    const ip = ws.clientIp;
+    if (shuttingDown) {
+        failedJoinsTotal.inc({ code: 'server-restarting' });
+        ws.send(JSON.stringify({ type: 'join-error', room: roomId, code: 'server-restarting', message: 'The server is restarting. Try again shortly.' }));
+        return;
+    }
+    
+    const lockedFor = getLockoutSeconds(ip);
+    
+    if (lockedFor > 0 || !joinLimiter.hit(ip)) {
+        failedJoinsTotal.inc({ code: 'rate-limited' });
+        console.log(`⛔ Join from ${ip} rate limited`);
+        sendRateLimited(ws, 'join', lockedFor || joinLimiter.retryAfter(ip));
+        return;
+    }
+    
+    const rejection = await joinRoom(ws, roomId, clientType, requestedRole, resumeToken);
+    if (rejection) {
+        failedJoinsTotal.inc({ code: rejection.code });
+    }
+    if (rejection && FAILED_JOIN_CODES.has(rejection.code) && !failedJoinLimiter.hit(ip)) {
+        lockouts.set(ip, Date.now() + WS_LOCKOUT_SECONDS * 1000);
+        failedJoinLimiter.reset(ip);
+        console.log(`🔒 ${ip} locked out for ${WS_LOCKOUT_SECONDS}s after repeated failed joins`);
+    }
+}
+
+setInterval(() => {
+    connectionLimiter.prune();
+    joinLimiter.prune();
+    loginLimiter.prune();
+    pairingCodeLimiter.prune();
+    reservedCodes.forEach((codes, ip) => {
+        codes.forEach((expiresAt, code) => {
+            if (Date.now() > expiresAt) codes.delete(code);
+        });
+        if (codes.size === 0) reservedCodes.delete(ip);
+    });
+    failedJoinLimiter.prune();
+    lockouts.forEach((lockedUntil, ip) => {
+        if (Date.now() >= lockedUntil) lockouts.delete(ip);
+    });
+}, 60 * 1000).unref();
+
+/**
+ * Issues a new pairing code, reserved until its target connects.
+ */
+async function issuePairingCode() {
+    for (;;) {
+        let code = '';
+        for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+            code += PAIRING_CODE_CHARS[crypto.randomInt(PAIRING_CODE_CHARS.length)];
+        }
+        
+        const now = Date.now();
+        const entry = { code, issuedAt: now, expiresAt: now + PAIRING_CODE_TTL_SECONDS * 1000, state: 'reserved' };
+        // Kept for a second TTL so a late join hears `code-expired`
+        if (await bus.createPairingCode(entry, 2 * PAIRING_CODE_TTL_SECONDS * 1000)) {
+            console.log(`🔑 Issued pairing code ${code}`);
+            return entry;
+        }
+    }
+}
+
+/**
+ * Checks a pairing code for a join in the given role.
+ * 
+ * A reserved code is claimed by the first target that joins with it and
+ * stays active for the life of its room. Codes can never be reused once
+ * their room has ended.
+ * 
+ * @param {object | null} entry The code as stored on the bus
+ * @returns {{ code: string, message: string } | null} The rejection, or null if allowed
+ */
+function checkPairingCode(entry, role) {
+    if (!entry) {
+        return { code: 'unknown-code', message: 'This pairing code does not exist' };
+    }
+    if (entry.state === 'ended' || (entry.state === 'reserved' && Date.now() > entry.expiresAt)) {
+        return { code: 'code-expired', message: 'This pairing code has expired' };
+    }
+    if (entry.state === 'reserved' && role !== 'target') {
+        return { code: 'no-target', message: 'No target device is waiting with this code' };
+    }
+    return null;
+}
+
+/**
+ * Marks a code as claimed by its room; it lives as long as the room does.
+ */
+async function activatePairingCode(roomId) {
+    const entry = await bus.getPairingCode(roomId);
+    if (!entry) return;
+    entry.state = 'active';
+    await bus.setPairingCode(entry, null);
+}
+
+/**
+ * Retires the code of a deleted room. The entry is kept for one more TTL so
+ * late joins get `code-expired` instead of `unknown-code`.
+ */
+async function endPairingCode(roomId) {
+    const entry = await bus.getPairingCode(roomId);
+    if (!entry) return;
+    entry.state = 'ended';
+    entry.expiresAt = Date.now() + PAIRING_CODE_TTL_SECONDS * 1000;
+    await bus.setPairingCode(entry, PAIRING_CODE_TTL_SECONDS * 1000);
+}
+
+/**
+ * Resolves the room role of a client.
+ * 
+ * The web controller identifies itself with `type=controller` (or
+ * `role: 'controller'` in its join message), the spectator page with
+ * `type=spectator` (or `role: 'spectator'`). A spectator socket stays one
+ * whatever its join message asks for. Everything else is the Android
+ * target, which opens one socket per channel (signaling, control).
+ */
+function resolveRole(clientType, requestedRole) {
+    if (clientType === 'spectator' || requestedRole === 'spectator') {
+        return 'spectator';
+    }
+    if (requestedRole === 'controller' || clientType === 'controller') {
+        return 'controller';
+    }
+    return 'target';
+}
+
+/**
+ * Returns a shared room's members (on any instance) that hold the given role.
+ */
+function getRoleMembers(shared, role) {
+    return shared.members.filter(member => member.role === role);
+}
+
+/**
+ * Checks whether a client may join a room in the given role. Members inside
+ * their grace period still count.
+ * 
+ * @returns {{ code: string, message: string } | null} The rejection, or null if allowed
+ */
+function checkJoin(shared, role, clientType, operator) {
+    if (role === 'target') {
+        // One target device per room; it may hold one socket per channel.
+        // A dropped one keeps its channel until it resumes with its token or
+        // its grace period ends, so nobody else can take the phone's place
+        const duplicate = getRoleMembers(shared, 'target').find(member => member.type === clientType);
+        if (duplicate?.status === 'connected') {
+            return { code: 'target-exists', message: 'A target device is already connected to this session' };
+        }
+        if (duplicate) {
+            return { code: 'target-reconnecting', message: 'The target device of this session is reconnecting' };
+        }
+        return null;
+    }
+    
+    if (operator && shared.removedOperators.includes(operator)) {
+        return { code: 'removed', message: 'An administrator removed you from this session' };
+    }
+    if (getRoleMembers(shared, 'target').length === 0) {
+        return { code: 'no-target', message: 'No target device is waiting with this code' };
+    }
+    if (role === 'spectator') {
+        // Someone has to be there to let the spectator in
+        if (!getRoleMembers(shared, 'controller').some(member => member.status === 'connected')) {
+            return { code: 'no-host', message: 'No operator is hosting this session yet' };
+        }
+        if (getRoleMembers(shared, 'spectator').length >= MAX_SPECTATORS_PER_ROOM) {
+            return { code: 'room-full', message: 'This session has no room for more spectators' };
+        }
+        return null;
+    }
+    if (getRoleMembers(shared, 'controller').length >= MAX_CONTROLLERS_PER_ROOM) {
+        return { code: 'room-full', message: 'This session already has a controller' };
+    }
+    return null;
+}
+
+/**
+ * Runs `task` after every earlier task for the same room, so membership
+ * checks and updates do not interleave. Tasks queue here first, then take
+ * the room's bus lock, which keeps out the other instances.
+ */
+function withRoomLock(roomId, task) {
+    const previous = roomLocks.get(roomId) || Promise.resolve();
+    const result = previous.then(() => bus.withLock(`room:${roomId}`, ROOM_LOCK_TTL_MS, task));
+    const tail = result.catch(() => {});
+    roomLocks.set(roomId, tail);
+    tail.then(() => {
+        if (roomLocks.get(roomId) === tail) roomLocks.delete(roomId);
+    });
+    return result;
+}
+
+function logBusError(error) {
+    console.error('Room bus error:', error.message);
+}
+
+/**
+ * The shared member record for a local client (without local-only stats).
+ */
+function toMember({ lastMessageAt, messageCount, relayCount, ...member }) {
+    return member;
+}
+
+/**
+ * Adds a client to a room, or replies with a `join-error`.
+ * 
+ * A client that presents the `resumeToken` of a member still inside its
+ * grace period takes that member's place (role, id and control state),
+ * whichever instance it dropped from.
+ * 
+ * @returns {Promise<{ code: string, message: string } | null>} The rejection, or null if joined
+ */
+async function joinRoom(ws, roomId, clientType, requestedRole, resumeToken) {
+    const role = resolveRole(clientType, requestedRole);
+    const current = clients.get(ws);
+    
+    if (current) {
+        if (current.room === roomId) {
+            // Already a member (URL auto-join followed by a join message)
+            ws.send(JSON.stringify({
+                type: 'joined',
+                room: roomId,
+                sessionId: rooms.get(roomId)?.sessionId,
+                role: current.role,
+                resumeToken: current.resumeToken,
+                version: ws.protocolVersion
+            }));
+            return null;
+        }
+        await leaveRoom(ws, 'switched-room');
+    }
+    
+    // A target socket must not promote itself to controller or spectator in its join message
+    if (role !== 'target' && !ws.operator) {
+        const rejection = { code: 'unauthorized', message: 'Controllers and spectators must sign in with an operator account' };
+        ws.send(JSON.stringify({ type: 'join-error', room: roomId, ...rejection }));
+        return rejection;
+    }
+    // Each target channel holds one place in the room; unknown ones would take more
+    if (role === 'target' && !TARGET_CLIENT_TYPES.has(clientType)) {
+        const rejection = { code: 'invalid-client-type', message: `Target sockets must be one of: ${[...TARGET_CLIENT_TYPES].join(', ')}` };
+        ws.send(JSON.stringify({ type: 'join-error', room: roomId, ...rejection }));
+        return rejection;
+    }
+    
+    return withRoomLock(roomId, () => admitToRoom(ws, roomId, clientType, role, resumeToken));
+}
+
+async function admitToRoom(ws, roomId, clientType, role, resumeToken) {
+    // The socket may have closed while it waited for the lock
+    if (ws.readyState !== WebSocket.OPEN) return null;
+    
+    let shared = await bus.getRoom(roomId);
+    const away = resumeToken && shared?.members.find(member => member.status === 'away' && member.resumeToken === resumeToken);
+    if (away && away.role === role && away.operator === ws.operator?.sub) {
+        // Stats survive when the member resumes on the instance it dropped from
+        const localEntry = rooms.get(roomId)?.away.get(resumeToken);
+        if (localEntry) {
+            clearTimeout(localEntry.timer);
+            rooms.get(roomId).away.delete(resumeToken);
+        }
+        const info = {
+            ...(localEntry ? localEntry.info : { lastMessageAt: null, messageCount: 0, relayCount: 0 }),
+            ...away,
+            status: 'connected',
+            instance: INSTANCE_ID,
+            ip: ws.clientIp
+        };
+        
+        if (!await attachClient(ws, shared, info)) return null;
+        console.log(`🔄 ${role} resumed in room ${roomId}`);
+        announceJoin(ws, shared, true);
+        return null;
+    }
+    
+    const rejection = checkPairingCode(await bus.getPairingCode(roomId), role)
+        || (shared
+            ? checkJoin(shared, role, clientType, ws.operator?.sub)
+            : (role === 'target' ? null : { code: 'no-target', message: 'No target device is waiting with this code' }));
+    
+    if (rejection) {
+        console.log(`⛔ ${role} rejected from room ${roomId}: ${rejection.code}`);
+        auditLog.record('join-rejected', {
+            sessionId: shared?.sessionId,
+            room: roomId,
+            role,
+            ip: ws.clientIp,
+            operator: ws.operator?.sub,
+            code: rejection.code
+        });
+        ws.send(JSON.stringify({ type: 'join-error', room: roomId, ...rejection }));
+        return rejection;
+    }
+    
+    if (!shared) {
+        const sessionId = crypto.randomUUID();
+        // Another instance may have created it first; then we join theirs
+        if (await bus.createRoom(roomId, { sessionId, createdAt: Date.now() })) {
+            await activatePairingCode(roomId);
+            auditLog.record('session-start', { sessionId, room: roomId });
+        }
+        shared = await bus.getRoom(roomId);
+        if (!shared) return null;
+    }
+    
+    const info = {
+        id: crypto.randomUUID(),
+        room: roomId,
+        role,
+        type: clientType,
+        resumeToken: crypto.randomBytes(24).toString('base64url'),
+        operator: ws.operator?.sub,
+        // Controllers start view-only until the target grants control
+        control: role === 'controller' ? 'none' : undefined,
+        // Spectators wait for a controller to let them in; that controller
+        // then hosts them, streaming the screen on to them
+        access: role === 'spectator' ? 'pending' : undefined,
+        host: role === 'spectator' ? null : undefined,
+        status: 'connected',
+        instance: INSTANCE_ID,
+        ip: ws.clientIp,
+        connectedAt: Date.now(),
+        lastMessageAt: null,
+        messageCount: 0,
+        relayCount: 0
+    };
+    
+    if (!await attachClient(ws, shared, info)) return null;
+    console.log(`📱 ${role} joined room ${roomId}`);
+    announceJoin(ws, shared, false);
+    return null;
+}
+
+/**
+ * Registers a joining socket locally and on the bus, subscribing this
+ * instance to the room if it is its first member here.
+ * 
+ * @returns {Promise<boolean>} false if the socket closed in the meantime
+ */
+async function attachClient(ws, shared, info) {
+    let room = rooms.get(shared.id);
+    if (!room) {
+        room = { id: shared.id, sessionId: shared.sessionId, createdAt: shared.createdAt, clients: new Set(), away: new Map() };
+        rooms.set(room.id, room);
+        await bus.subscribe(room.id, envelope => handleBusEvent(room.id, envelope));
+    }
+    
+    if (ws.readyState !== WebSocket.OPEN) {
+        releaseLocalRoom(room);
+        await deleteRoomIfEmpty(shared.id, 'participants-left');
+        return false;
+    }
+    
+    room.clients.add(ws);
+    clients.set(ws, info);
+    await bus.setMember(room.id, toMember(info));
+    return true;
+}
+
+/**
+ * Acknowledges a join and tells the room about it.
+ * 
+ * @param {object} shared The room as read before this join
+ */
+function announceJoin(ws, shared, resumed) {
+    const { id, room: roomId, role, type: clientType, resumeToken, operator } = clients.get(ws);
+    joinsTotal.inc({ role, resumed: String(resumed) });
+    auditLog.record('join', {
+        sessionId: shared.sessionId,
+        room: roomId,
+        clientId: id,
+        role,
+        clientType,
+        ip: ws.clientIp,
+        operator,
+        resumed
+    });
+    
+    // Send acknowledgment
+    ws.send(JSON.stringify({
+        type: 'joined',
+        room: roomId,
+        sessionId: shared.sessionId,
+        role,
+        resumeToken,
+        resumed,
+        version: ws.protocolVersion,
+        // The phone has no operator token for /ice-config; holding the
+        // pairing code is its credential
+        ...(role === 'target' ? { iceConfig: buildIceConfig(process.env) } : {})
+    }));
+    
+    // Tell members of the other role(s) that this role arrived, and tell the
+    // newcomer which roles are already present
+    notifyOtherRoles(roomId, role, { type: 'peer-joined', role, clientType, resumed }, id);
+    
+    // The conversation so far; a member that resumes gets it again in case
+    // it missed messages while away
+    if (role !== 'spectator' && shared.chat.length > 0) {
+        ws.send(JSON.stringify({
+            type: 'chat-history',
+            messages: shared.chat.map(message => ({ ...message, own: message.senderId === id }))
+        }));
+    }
+    
+    const others = shared.members.filter(member => member.id !== id && member.role !== role && member.role !== 'spectator');
+    new Set(others.filter(member => member.status === 'connected').map(member => member.role)).forEach(peerRole => {
+        ws.send(JSON.stringify({ type: 'peer-joined', role: peerRole }));
+    });
+    
+    // A target socket that joins late still has to answer pending requests
+    if (role === 'target') {
+        others.forEach(member => {
+            if (member.role === 'controller' && member.control === 'pending') {
+                ws.send(JSON.stringify({
+                    type: 'control-request',
+                    controllerId: member.id,
+                    name: member.name,
+                    operator: member.operator
+                }));
+            }
+        });
+    }
+    
+    // Controllers decide who may watch, including one that joins late; a
+    // host that resumes streams to its spectators again
+    if (role === 'controller') {
+        getRoleMembers(shared, 'spectator').forEach(member => {
+            ws.send(JSON.stringify(member.access === 'pending'
+                ? spectateRequest(member)
+                : spectateGrant(member, member.host === id)));
+        });
+    }
+    if (role === 'spectator') {
+        const { access } = clients.get(ws);
+        if (access === 'pending') {
+            publishToRoom(roomId, { to: { role: 'controller' }, message: spectateRequest(clients.get(ws)) });
+        } else {
+            // Resumed after being let in; its host streams to it again
+            ws.send(JSON.stringify({ type: 'spectate-grant' }));
+        }
+    }
+}
+
+function spectateRequest(member) {
+    return { type: 'spectate-request', spectatorId: member.id, operator: member.operator };
+}
+
+/**
+ * Tells a controller that a spectator was let in, and whether it is the
+ * one that streams to it.
+ */
+function spectateGrant(member, hosting) {
+    return { type: 'spectate-grant', spectatorId: member.id, operator: member.operator, hosting };
+}
+
+/**
+ * Handles a socket that went away. Clean closes (code 1000) leave at once;
+ * anything else keeps the member's place for `ROOM_GRACE_SECONDS` so it
+ * can resume with its token.
+ */
+function dropClient(ws, closeCode) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const room = rooms.get(clientInfo.room);
+    if (!room || closeCode === 1000 || ROOM_GRACE_SECONDS === 0) {
+        leaveRoom(ws, closeCode === 1000 ? 'left' : 'connection-lost');
         return;
     }
     
-    // Serve static files from public directory
-    let filePath = req.url === '/' ? '/index.html' : req.url;
-    filePath = path.join(__dirname, 'public', filePath);
-    
-    const ext = path.extname(filePath);
-    const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-    
-    fs.readFile(filePath, (err, data) => {
-        if (err) {
-            if (err.code === 'ENOENT') {
-                // File not found - serve index.html for SPA routing
-                fs.readFile(path.join(__dirname, 'public', 'index.html'), (err2, data2) => {
-                    if (err2) {
-                        res.writeHead(404);
-                        res.end('Not Found');
-                    } else {
-                        res.writeHead(200, { 'Content-Type': 'text/html' });
-                        res.end(data2);
-                    }
-                });
-            } else {
-                res.writeHead(500);
-                res.end('Server Error');
-            }
-        } else {
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(data);
-        }
+    clients.delete(ws);
+    room.clients.delete(ws);
+    
+    const { role, type, resumeToken } = clientInfo;
+    clientInfo.status = 'away';
+    room.away.set(resumeToken, {
+        info: clientInfo,
+        ip: ws.clientIp,
+        timer: setTimeout(() => expireAway(room.id, resumeToken), ROOM_GRACE_SECONDS * 1000)
     });
-});
+    
+    withRoomLock(room.id, async () => {
+        await bus.setMember(room.id, toMember(clientInfo));
+        notifyOtherRoles(room.id, role, { type: 'peer-reconnecting', role, clientType: type, grace: ROOM_GRACE_SECONDS }, clientInfo.id);
+    }).catch(logBusError);
+    
+    auditLog.record('disconnect', { sessionId: room.sessionId, room: room.id, clientId: clientInfo.id, role, ip: ws.clientIp, closeCode });
+    console.log(`⏳ ${role} dropped from room ${room.id}; holding its place for ${ROOM_GRACE_SECONDS}s`);
+}
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server, path: '/ws' });
+/**
+ * Ends the grace period of a member that never came back.
+ */
+function expireAway(roomId, resumeToken) {
+    const room = rooms.get(roomId);
+    const entry = room?.away.get(resumeToken);
+    if (!entry) return;
+    room.away.delete(resumeToken);
+    releaseLocalRoom(room);
+    
+    withRoomLock(roomId, async () => {
+        const shared = await bus.getRoom(roomId);
+        const member = shared?.members.find(candidate => candidate.id === entry.info.id);
+        // Gone already, or resumed on another instance
+        if (!member || member.status !== 'away') return;
+        
+        const { id, role, type } = member;
+        await bus.removeMember(roomId, id);
+        notifyOtherRoles(roomId, role, { type: 'peer-left', role, clientType: type }, id);
+        if (role === 'controller') await releaseSpectators(roomId, id);
+        auditLog.record('leave', { sessionId: shared.sessionId, room: roomId, clientId: id, role, reason: 'grace-expired' });
+        console.log(`📱 ${role} did not resume in room ${roomId}`);
+        await deleteRoomIfEmpty(roomId, 'participants-left');
+    }).catch(logBusError);
+}
 
-// Rooms: Map<roomId, Set<WebSocket>>
-const rooms = new Map();
-// Client info: Map<WebSocket, { room: string, role: string, type: string }>
-const clients = new Map();
+function leaveRoom(ws, reason = 'left') {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return Promise.resolve();
+    
+    const { id, room: roomId, role, type } = clientInfo;
+    const room = rooms.get(roomId);
+    clients.delete(ws);
+    
+    if (!room) return Promise.resolve();
+    room.clients.delete(ws);
+    releaseLocalRoom(room);
+    
+    auditLog.record('leave', { sessionId: room.sessionId, room: roomId, clientId: id, role, ip: ws.clientIp, reason });
+    console.log(`📱 ${role} left room ${roomId}`);
+    
+    return withRoomLock(roomId, async () => {
+        await bus.removeMember(roomId, id);
+        // Notify members of the other role(s) that this peer left
+        notifyOtherRoles(roomId, role, { type: 'peer-left', role, clientType: type }, id);
+        if (role === 'controller') await releaseSpectators(roomId, id);
+        await deleteRoomIfEmpty(roomId, 'participants-left');
+    }).catch(logBusError);
+}
 
-console.log(`🚀 Server starting on port ${PORT}`);
+/**
+ * Forgets a local room (and stops listening to it) once this instance has
+ * no sockets or dropped members left in it.
+ */
+function releaseLocalRoom(room) {
+    if (room.clients.size > 0 || room.away.size > 0 || rooms.get(room.id) !== room) return;
+    rooms.delete(room.id);
+    bus.unsubscribe(room.id).catch(logBusError);
+}
 
-wss.on('connection', (ws, req) => {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-    const codeFromUrl = url.searchParams.get('code');
-    const clientType = url.searchParams.get('type') || 'signaling';
-    
-    console.log(`📱 New ${clientType} connection${codeFromUrl ? ` with code: ${codeFromUrl}` : ''}`);
+/**
+ * Deletes a room from the bus once it has no members on any instance.
+ */
+async function deleteRoomIfEmpty(roomId, reason) {
+    const shared = await bus.getRoom(roomId);
+    if (!shared || shared.members.length > 0) return;
+    // Only the instance that actually deletes it ends the session
+    if (!await bus.deleteRoom(roomId)) return;
     
-    ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data.toString());
-            console.log(`📨 [${clientType}] Received: ${message.type}`);
-            handleMessage(ws, message, codeFromUrl, clientType);
-        } catch (error) {
-            console.error('Invalid message:', error.message);
+    await endPairingCode(roomId);
+    sessionDuration.observe({ reason }, (Date.now() - shared.createdAt) / 1000);
+    auditLog.record('session-end', {
+        sessionId: shared.sessionId,
+        room: roomId,
+        durationMs: Date.now() - shared.createdAt,
+        reason,
+        gestureCounts: shared.gestureCounts
+    });
+    console.log(`🗑️ Room ${roomId} deleted`);
+}
+
+/**
+ * Ends a room for everyone, on every instance: members get `session-end`
+ * and are disconnected, and members inside their grace period lose their
+ * place.
+ */
+function terminateRoom(roomId, reason) {
+    return withRoomLock(roomId, async () => {
+        const shared = await bus.getRoom(roomId);
+        if (!shared) return;
+        
+        for (const member of shared.members) {
+            await bus.removeMember(roomId, member.id);
+            auditLog.record('leave', { sessionId: shared.sessionId, room: roomId, clientId: member.id, role: member.role, ip: member.ip, reason });
         }
+        await bus.publish(roomId, { end: { reason } });
+        await deleteRoomIfEmpty(roomId, reason);
     });
-    
-    ws.on('close', () => {
-        const clientInfo = clients.get(ws);
-        if (clientInfo) {
-            const { room } = clientInfo;
-            const roomClients = rooms.get(room);
-            
-            if (roomClients) {
-                roomClients.delete(ws);
-                
-                // Notify others that peer left
-                roomClients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({ type: 'peer-left' }));
-                    }
-                });
-                
-                if (roomClients.size === 0) {
-                    rooms.delete(room);
-                    console.log(`🗑️ Room ${room} deleted`);
-                }
-            }
-            
-            clients.delete(ws);
+}
+
+/**
+ * Removes one participant (connected or reconnecting) from a room. A removed
+ * controller's operator may not rejoin the room.
+ * 
+ * @returns {Promise<boolean>} false if the room has no participant with this id
+ */
+function kickParticipant(roomId, participantId) {
+    return withRoomLock(roomId, async () => {
+        const shared = await bus.getRoom(roomId);
+        const member = shared?.members.find(candidate => candidate.id === participantId);
+        if (!member) return false;
+        
+        if (member.operator) {
+            await bus.addRemovedOperator(roomId, member.operator);
         }
-        console.log(`📱 Connection closed`);
+        await bus.removeMember(roomId, member.id);
+        await bus.publish(roomId, { end: { reason: 'kicked-by-admin', memberId: member.id } });
+        notifyOtherRoles(roomId, member.role, { type: 'peer-left', role: member.role, clientType: member.type }, member.id);
+        if (member.role === 'controller') await releaseSpectators(roomId, member.id);
+        auditLog.record('leave', { sessionId: shared.sessionId, room: roomId, clientId: member.id, role: member.role, ip: member.ip, reason: 'kicked-by-admin' });
+        await deleteRoomIfEmpty(roomId, 'participants-left');
+        return true;
+    });
+}
+
+/**
+ * Disconnects this instance's members of a room on a terminate or kick
+ * published by any instance. Their bus records are already gone.
+ */
+function endLocalMembers(room, { reason, memberId }) {
+    room.away.forEach((entry, resumeToken) => {
+        if (memberId && entry.info.id !== memberId) return;
+        clearTimeout(entry.timer);
+        room.away.delete(resumeToken);
     });
     
-    ws.on('error', (error) => {
-        console.error('WebSocket error:', error.message);
+    room.clients.forEach(client => {
+        if (memberId && clients.get(client).id !== memberId) return;
+        clients.delete(client);
+        room.clients.delete(client);
+        endSession(client, reason);
     });
     
-    // Auto-join if code provided in URL
-    if (codeFromUrl) {
-        joinRoom(ws, codeFromUrl, clientType);
-    }
-});
+    releaseLocalRoom(room);
+}
 
-function joinRoom(ws, roomId, clientType) {
-    if (!rooms.has(roomId)) {
-        rooms.set(roomId, new Set());
-    }
+/**
+ * Tells a socket its session is over and closes it.
+ */
+function endSession(ws, reason) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: 'session-end', reason }));
+    ws.close(1000, 'Session ended');
+}
+
+/**
+ * Removes this instance's members from a room on shutdown and closes their
+ * sockets with 1012. Members on other instances stay.
+ */
+function evacuateRoom(room, reason) {
+    const leaving = [];
+    room.away.forEach(entry => {
+        clearTimeout(entry.timer);
+        leaving.push(entry.info);
+    });
+    room.away.clear();
     
-    const roomClients = rooms.get(roomId);
-    roomClients.add(ws);
-    clients.set(ws, { room: roomId, type: clientType });
+    room.clients.forEach(client => {
+        leaving.push(clients.get(client));
+        clients.delete(client);
+        client.close(1012, 'Server restarting');
+    });
+    room.clients.clear();
+    releaseLocalRoom(room);
     
-    console.log(`📱 Client joined room ${roomId}. Room size: ${roomClients.size}`);
+    return withRoomLock(room.id, async () => {
+        for (const { id, role, type } of leaving) {
+            await bus.removeMember(room.id, id);
+            notifyOtherRoles(room.id, role, { type: 'peer-left', role, clientType: type }, id);
+            if (role === 'controller') await releaseSpectators(room.id, id);
+            auditLog.record('leave', { sessionId: room.sessionId, room: room.id, clientId: id, role, reason });
+        }
+        await deleteRoomIfEmpty(room.id, reason);
+    }).catch(logBusError);
+}
+
+/**
+ * Delivers a room envelope published by any instance (this one included)
+ * to the matching sockets on this instance.
+ * 
+ * Envelopes are either `{ end: { reason, memberId? } }` or
+ * `{ from?, to?: { role?, exceptRole?, memberId?, access? }, update?, message }`;
+ * `update` is merged into the recipients' client info before `message` is
+ * sent to them.
+ */
+function handleBusEvent(roomId, envelope) {
+    const room = rooms.get(roomId);
+    if (!room) return;
     
-    // Send acknowledgment
-    ws.send(JSON.stringify({ type: 'joined', room: roomId }));
+    if (envelope.end) {
+        endLocalMembers(room, envelope.end);
+        return;
+    }
     
-    // Notify all peers if there are others
-    if (roomClients.size > 1) {
-        ws.send(JSON.stringify({ type: 'peer-joined' }));
+    const { from, to = {}, update, message } = envelope;
+    const payload = JSON.stringify(message);
+    let delivered = 0;
+    room.clients.forEach(client => {
+        const info = clients.get(client);
+        if (info.id === from
+            || (to.role && info.role !== to.role)
+            || (to.exceptRole && info.role === to.exceptRole)
+            || (to.memberId && info.id !== to.memberId)
+            || (to.access && info.access !== to.access)) {
+            return;
+        }
         
-        roomClients.forEach(client => {
-            if (client !== ws && client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({ type: 'peer-joined' }));
-            }
-        });
+        if (update) Object.assign(info, update);
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(payload);
+            delivered++;
+        }
+    });
+    
+    // Only relays carry a sender; server notices are not fan-out
+    if (from) {
+        relayFanout.observe({}, delivered);
+    }
+}
+
+function publishToRoom(roomId, envelope) {
+    bus.publish(roomId, envelope).catch(logBusError);
+}
+
+/**
+ * Tells the other roles that a member arrived, dropped or left. Spectators
+ * are the controllers' business only: the target never hears of them.
+ */
+function notifyOtherRoles(roomId, role, message, memberId) {
+    if (role === 'spectator') {
+        publishToRoom(roomId, { to: { role: 'controller' }, message: { ...message, spectatorId: memberId } });
+        return;
     }
+    publishToRoom(roomId, { to: { exceptRole: role }, message });
 }
 
 function handleMessage(ws, message, codeFromUrl, clientType) {
     const roomId = message.room || message.sessionId || codeFromUrl;
     const { type } = message;
     
+    // Spectators only watch: nothing else they send goes anywhere
+    const role = clients.get(ws)?.role || resolveRole(clientType);
+    if (role === 'spectator' && !SPECTATOR_MESSAGE_TYPES.has(type)) {
+        console.log(`⛔ Dropped ${type} from a spectator`);
+        sendError(ws, 'spectator-read-only', `Spectators cannot send ${type}`);
+        return;
+    }
+    
     switch (type) {
         case 'join':
-            if (roomId) {
-                joinRoom(ws, roomId, clientType);
+            if (!roomId) {
+                sendError(ws, 'invalid-message', 'room is required', { field: 'room' });
+                break;
             }
-            break;
+            if (!negotiateVersion(ws, roomId, message.version)) break;
+            return attemptJoin(ws, roomId, clientType, message.role, message.resumeToken);
             
         case 'offer':
         case 'answer':
@@ -185,60 +1790,474 @@ function handleMessage(ws, message, codeFromUrl, clientType) {
             relayToRoom(ws, { type, sdp: message.sdp });
             break;
             
-        case 'ice-candidate':
+        case 'ice-candidate': {
             console.log(`📤 Relaying ICE candidate`);
-            relayToRoom(ws, { 
-                type: 'ice-candidate', 
-                candidate: message.candidate,
-                sdpMid: message.sdpMid,
-                sdpMLineIndex: message.sdpMLineIndex
-            });
+            // Relayed in whichever of the two candidate shapes the sender used
+            const { room, sessionId, ...candidate } = message;
+            relayToRoom(ws, candidate);
             break;
+        }
             
-        case 'gesture':
+        case 'control-request':
+            return requestControl(ws, message.name);
+            
+        case 'control-grant':
+        case 'control-deny':
+        case 'control-revoke':
+            return answerControlRequest(ws, type, message.controllerId);
+            
+        case 'gesture': {
+            if (clients.get(ws)?.control !== 'granted') {
+                sendError(ws, 'control-not-granted', 'The target has not granted control to this controller');
+                break;
+            }
             console.log(`🎮 Relaying gesture: ${message.action}`);
-            relayToRoom(ws, message);
+            countGesture(ws, message.action);
+            const { room, sessionId, ...gesture } = message;
+            sendToRole(ws, 'target', gesture);
+            showToSpectators(ws, gesture);
+            break;
+        }
+            
+        case 'annotation': {
+            // Marks show on the phone's screen, so they need the owner's consent too
+            const clientInfo = clients.get(ws);
+            if (clientInfo?.role !== 'controller') {
+                sendError(ws, 'not-a-controller', 'Only controllers can annotate the screen');
+                break;
+            }
+            if (clientInfo.control !== 'granted') {
+                sendError(ws, 'control-not-granted', 'The target has not granted control to this controller');
+                break;
+            }
+            const { room, sessionId, ...annotation } = message;
+            sendToRole(ws, 'target', { ...annotation, controllerId: clientInfo.id });
             break;
+        }
+            
+        case 'quality-hint': {
+            if (clients.get(ws)?.role !== 'controller') {
+                sendError(ws, 'not-a-controller', 'Only controllers can send quality hints');
+                break;
+            }
+            console.log(`📶 Relaying quality hint: step ${message.level} (${message.reason})`);
+            const { room, sessionId, ...hint } = message;
+            sendToRole(ws, 'target', hint);
+            break;
+        }
+            
+        case 'chat':
+            return sendChat(ws, message);
+            
+        case 'chat-delivered':
+            return confirmChatDelivery(ws, message);
+            
+        case 'spectate-grant':
+        case 'spectate-deny':
+            return answerSpectateRequest(ws, type, message.spectatorId);
+            
+        case 'spectate-offer':
+        case 'spectate-answer':
+        case 'spectate-candidate':
+            return relaySpectatorSignal(ws, message);
             
         case 'heartbeat':
             ws.send(JSON.stringify({ type: 'heartbeat-ack' }));
             break;
+    }
+}
+
+/**
+ * Settles the protocol version a joining client speaks. Clients that send
+ * none are treated as version 1.
+ * 
+ * @returns {boolean} false if the version is not supported (the client is told)
+ */
+function negotiateVersion(ws, roomId, version = PROTOCOL_VERSION) {
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+        failedJoinsTotal.inc({ code: 'unsupported-version' });
+        ws.send(JSON.stringify({
+            type: 'join-error',
+            room: roomId,
+            code: 'unsupported-version',
+            message: `Protocol version ${version} is not supported`,
+            supportedVersions: SUPPORTED_VERSIONS
+        }));
+        return false;
+    }
+    ws.protocolVersion = version;
+    return true;
+}
+
+// Controller control state after each target answer
+const CONTROL_ANSWERS = {
+    'control-grant': 'granted',
+    'control-deny': 'denied',
+    'control-revoke': 'revoked'
+};
+
+/**
+ * Asks the room's target to let this controller send gestures.
+ */
+async function requestControl(ws, name) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo || clientInfo.role !== 'controller') {
+        sendError(ws, 'not-a-controller', 'Only controllers can request control');
+        return;
+    }
+    if (clientInfo.control === 'granted') {
+        ws.send(JSON.stringify({ type: 'control-grant' }));
+        return;
+    }
+    
+    await withRoomLock(clientInfo.room, async () => {
+        const shared = await bus.getRoom(clientInfo.room);
+        // Removed from the room while the request waited for the lock
+        if (!shared?.members.some(member => member.id === clientInfo.id)) return;
+        
+        clientInfo.control = 'pending';
+        clientInfo.name = String(name || 'Operator').trim().slice(0, 64) || 'Operator';
+        await bus.setMember(clientInfo.room, toMember(clientInfo));
+        
+        console.log(`✋ ${clientInfo.name} requested control of room ${clientInfo.room}`);
+        sendToRole(ws, 'target', {
+            type: 'control-request',
+            controllerId: clientInfo.id,
+            name: clientInfo.name,
+            operator: clientInfo.operator
+        });
+        
+        if (!shared.members.some(member => member.role === 'target' && member.status === 'connected')) {
+            sendError(ws, 'no-target', 'No target device is connected to answer the request');
+        }
+    });
+}
+
+/**
+ * Applies a target's grant, deny or revoke to one controller, or to every
+ * controller in the room when no `controllerId` is given.
+ */
+async function answerControlRequest(ws, answer, controllerId) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo || clientInfo.role !== 'target') {
+        sendError(ws, 'not-a-target', 'Only the target can answer control requests');
+        return;
+    }
+    
+    await withRoomLock(clientInfo.room, async () => {
+        const shared = await bus.getRoom(clientInfo.room);
+        if (!shared) return;
+        
+        for (const member of getRoleMembers(shared, 'controller')) {
+            if (controllerId && member.id !== controllerId) continue;
+            
+            member.control = CONTROL_ANSWERS[answer];
+            await bus.setMember(shared.id, member);
+            auditLog.record('control', {
+                sessionId: shared.sessionId,
+                room: shared.id,
+                clientId: member.id,
+                operator: member.operator,
+                state: member.control
+            });
+            console.log(`✋ Control ${member.control} for ${member.name || member.id}`);
             
-        default:
-            console.log('Unknown message type:', type);
+            // The controller's instance gates its gestures on the updated state
+            publishToRoom(shared.id, { to: { memberId: member.id }, update: { control: member.control }, message: { type: answer } });
+        }
+    });
+}
+
+/**
+ * Lets a spectator in, or turns it away. The controller that lets it in
+ * becomes its host and streams the screen on to it; denying a spectator
+ * that is already watching removes it as well.
+ */
+async function answerSpectateRequest(ws, answer, spectatorId) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo || clientInfo.role !== 'controller') {
+        sendError(ws, 'not-a-controller', 'Only controllers can answer spectators');
+        return;
     }
+    
+    await withRoomLock(clientInfo.room, async () => {
+        const shared = await bus.getRoom(clientInfo.room);
+        const spectator = shared && getRoleMembers(shared, 'spectator').find(member => member.id === spectatorId);
+        if (!spectator) {
+            sendError(ws, 'unknown-spectator', 'No such spectator in this session');
+            return;
+        }
+        
+        const state = answer === 'spectate-grant' ? 'granted' : 'denied';
+        auditLog.record('spectate', {
+            sessionId: shared.sessionId,
+            room: shared.id,
+            clientId: spectator.id,
+            operator: spectator.operator,
+            state,
+            by: clientInfo.operator
+        });
+        console.log(`👁️ Spectator ${spectator.operator} ${state} in room ${shared.id}`);
+        
+        if (answer === 'spectate-deny') {
+            await bus.removeMember(shared.id, spectator.id);
+            await bus.publish(shared.id, { end: { reason: 'spectate-denied', memberId: spectator.id } });
+            notifyOtherRoles(shared.id, 'spectator', { type: 'peer-left', role: 'spectator', clientType: spectator.type }, spectator.id);
+            auditLog.record('leave', { sessionId: shared.sessionId, room: shared.id, clientId: spectator.id, role: 'spectator', ip: spectator.ip, reason: 'spectate-denied' });
+            return;
+        }
+        
+        spectator.access = 'granted';
+        spectator.host = clientInfo.id;
+        await bus.setMember(shared.id, spectator);
+        // The spectator's instance routes its answers to the host from now on
+        publishToRoom(shared.id, {
+            to: { memberId: spectator.id },
+            update: { access: 'granted', host: clientInfo.id },
+            message: { type: 'spectate-grant' }
+        });
+        // The host starts streaming; the other controllers only list it
+        ws.send(JSON.stringify(spectateGrant(spectator, true)));
+        publishToRoom(shared.id, { from: clientInfo.id, to: { role: 'controller' }, message: spectateGrant(spectator, false) });
+    });
 }
 
-function relayToRoom(sender, message) {
-    const clientInfo = clients.get(sender);
-    if (!clientInfo) return;
+/**
+ * Puts the spectators a departed controller hosted back in the queue, to
+ * be let in again by another controller.
+ */
+async function releaseSpectators(roomId, hostId) {
+    const shared = await bus.getRoom(roomId);
+    if (!shared) return;
     
-    const roomClients = rooms.get(clientInfo.room);
-    if (!roomClients) return;
+    for (const member of getRoleMembers(shared, 'spectator')) {
+        if (member.host !== hostId) continue;
+        member.access = 'pending';
+        member.host = null;
+        await bus.setMember(roomId, member);
+        publishToRoom(roomId, { to: { memberId: member.id }, update: { access: 'pending', host: null }, message: { type: 'spectate-host-left' } });
+        publishToRoom(roomId, { to: { role: 'controller' }, message: spectateRequest(member) });
+    }
+}
+
+/**
+ * Relays the peer connection set-up between a spectator and its host, and
+ * nobody else: offers go from the host to the spectator, answers back, and
+ * ICE candidates both ways.
+ */
+async function relaySpectatorSignal(ws, message) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    const { room, sessionId, spectatorId, ...signal } = message;
     
-    let relayCount = 0;
-    roomClients.forEach(client => {
-        if (client !== sender && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(message));
-            relayCount++;
+    if (clientInfo.role === 'spectator') {
+        if (signal.type === 'spectate-offer' || clientInfo.access !== 'granted') {
+            sendError(ws, 'spectate-not-granted', 'No operator has let this spectator in');
+            return;
         }
+        relaySignal(clientInfo, clientInfo.host, { ...signal, spectatorId: clientInfo.id });
+        return;
+    }
+    
+    if (clientInfo.role !== 'controller' || signal.type === 'spectate-answer') {
+        sendError(ws, 'not-a-controller', 'Only controllers can stream to spectators');
+        return;
+    }
+    const shared = await bus.getRoom(clientInfo.room);
+    const spectator = shared && getRoleMembers(shared, 'spectator').find(member => member.id === spectatorId);
+    if (!spectator || spectator.host !== clientInfo.id) {
+        sendError(ws, 'unknown-spectator', 'This spectator is not watching through you');
+        return;
+    }
+    relaySignal(clientInfo, spectator.id, signal);
+}
+
+function relaySignal(clientInfo, memberId, message) {
+    clientInfo.relayCount++;
+    messagesRelayedTotal.inc({ type: message.type });
+    publishToRoom(clientInfo.room, { from: clientInfo.id, to: { memberId }, message });
+}
+
+/**
+ * Stamps a chat message with its sender and time, stores it in the room's
+ * history and relays it to the other members. The sender gets `chat-ack`
+ * once the message is stored; recipients answer with `chat-delivered`.
+ */
+async function sendChat(ws, { id, text }) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    const message = {
+        type: 'chat',
+        id,
+        text,
+        senderId: clientInfo.id,
+        senderRole: clientInfo.role,
+        name: clientInfo.role === 'controller' ? clientInfo.name || clientInfo.operator : undefined,
+        sentAt: Date.now()
+    };
+    await bus.addChatMessage(clientInfo.room, message, CHAT_HISTORY_LIMIT);
+    relayToRoom(ws, message);
+    ws.send(JSON.stringify({ type: 'chat-ack', id, sentAt: message.sentAt }));
+}
+
+/**
+ * Tells the sender of a stored chat message that it arrived. The receipt
+ * goes to the sender on record, never to whoever the client names, and
+ * only for messages of this room from someone else.
+ */
+async function confirmChatDelivery(ws, { id, senderId }) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    
+    // Ids are chosen by each sender, so the sender tells them apart
+    const shared = await bus.getRoom(clientInfo.room);
+    const stored = shared?.chat.find(message => message.id === id && message.senderId === senderId);
+    if (!stored || stored.senderId === clientInfo.id) {
+        sendError(ws, 'unknown-chat-message', 'No such chat message from another member of this session');
+        return;
+    }
+    relaySignal(clientInfo, stored.senderId, { type: 'chat-delivered', id: stored.id, role: clientInfo.role });
+}
+
+/**
+ * Passes a relayed gesture on to the spectators that have been let in, so
+ * they can draw it over the screen.
+ */
+function showToSpectators(sender, gesture) {
+    const clientInfo = clients.get(sender);
+    if (!clientInfo) return;
+    publishToRoom(clientInfo.room, {
+        to: { role: 'spectator', access: 'granted' },
+        message: { ...gesture, type: 'spectate-gesture', controllerId: clientInfo.id }
     });
-    console.log(`📤 Relayed to ${relayCount} peer(s)`);
 }
 
-// Start server
-server.listen(PORT, () => {
+/**
+ * Tallies a relayed gesture by action for the session's audit record.
+ */
+function countGesture(ws, action) {
+    const clientInfo = clients.get(ws);
+    if (!clientInfo) return;
+    gesturesRelayedTotal.inc({ action: knownLabel(action, GESTURE_ACTIONS) });
+    bus.countGesture(clientInfo.room, String(action)).catch(logBusError);
+}
+
+/**
+ * Sends a message to the sender's room members (on every instance) that
+ * hold the given role.
+ */
+function sendToRole(sender, role, message) {
+    const clientInfo = clients.get(sender);
+    if (!clientInfo) return;
+    
+    clientInfo.relayCount++;
+    messagesRelayedTotal.inc({ type: message.type });
+    publishToRoom(clientInfo.room, { from: clientInfo.id, to: { role }, message });
+}
+
+/**
+ * Sends a message to every other member of the sender's room except
+ * spectators, whose peer connection is their host's business.
+ */
+function relayToRoom(sender, message) {
+    const clientInfo = clients.get(sender);
+    if (!clientInfo) return;
+    
+    clientInfo.relayCount++;
+    messagesRelayedTotal.inc({ type: message.type });
+    publishToRoom(clientInfo.room, { from: clientInfo.id, to: { exceptRole: 'spectator' }, message });
+    console.log(`📤 Relayed from ${clientInfo.role} in room ${clientInfo.room}`);
+}
+
+/**
+ * Connects the room bus, then starts listening.
+ * 
+ * @param {object} [options]
+ * @param {number} [options.port] Defaults to `PORT`; 0 picks a free port
+ * @param {object} [options.bus] The room bus, instead of the one the
+ *   environment picks (e.g. a MemoryRoomBus on a hub shared with other
+ *   instances in the same process)
+ * @returns {Promise<number>} The port the server listens on
+ */
+async function start({ port = PORT, bus: roomBus = createRoomBus(process.env) } = {}) {
+    bus = roomBus;
+    await bus.connect();
+    await new Promise(resolve => server.listen(port, resolve));
+    
+    const { port: listening } = server.address();
     console.log('\n✅ Remote Assist Backend Ready!');
     console.log('================================');
-    console.log(`Web Controller: http://localhost:${PORT}`);
-    console.log(`WebSocket:      ws://localhost:${PORT}/ws`);
+    console.log(`Web Controller: http://localhost:${listening}`);
+    console.log(`WebSocket:      ws://localhost:${listening}/ws`);
+    console.log(`Room bus:       ${process.env.REDIS_URL ? 'Redis' : 'in-memory'} (instance ${INSTANCE_ID})`);
     console.log('================================');
     console.log('\nWaiting for connections...\n');
-});
+    return listening;
+}
+
+/**
+ * Stops at once, without the drain of a shutdown: this instance's members
+ * leave their rooms (rooms shared with other instances carry on there) and
+ * every socket, the server and the bus are closed. For tests; a deployed
+ * server stops through shutdown().
+ */
+async function stop() {
+    shuttingDown = true;
+    clearInterval(pingInterval);
+    await Promise.all([...rooms.values()].map(room => evacuateRoom(room, 'server-shutdown')));
+    wss.clients.forEach(ws => ws.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all([auditLog.close(), bus.close()]);
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\nShutting down...');
+/**
+ * Graceful shutdown: stop taking new work, tell every socket the server is
+ * restarting, let live sessions run for up to `SHUTDOWN_DRAIN_SECONDS`, then
+ * close what is left with 1012 (service restart) and exit.
+ */
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n🛑 ${signal} received, draining ${rooms.size} room(s) for up to ${SHUTDOWN_DRAIN_SECONDS}s...`);
+    
     server.close();
-    process.exit(0);
-});
+    clearInterval(pingInterval);
+    
+    const notice = JSON.stringify({ type: 'server-restarting', drainSeconds: SHUTDOWN_DRAIN_SECONDS });
+    wss.clients.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(notice);
+    });
+    
+    const deadline = Date.now() + SHUTDOWN_DRAIN_SECONDS * 1000;
+    const drainTimer = setInterval(async () => {
+        if (rooms.size > 0 && Date.now() < deadline) return;
+        clearInterval(drainTimer);
+        
+        // Only this instance's members leave; rooms shared with other
+        // instances carry on there
+        await Promise.all([...rooms.values()].map(room => evacuateRoom(room, 'server-shutdown')));
+        wss.clients.forEach(ws => ws.close(1012, 'Server restarting'));
+        
+        // Calls back once every socket has finished its closing handshake
+        wss.close(async () => {
+            await Promise.all([auditLog.close(), bus.close().catch(logBusError)]);
+            console.log('👋 Shutdown complete');
+            process.exit(0);
+        });
+        // Don't wait on peers that never answer the close frame
+        setTimeout(() => process.exit(0), 5000).unref();
+    }, 250);
+}
+
+if (require.main === module) {
+    start().catch(error => {
+        console.error('❌ Could not connect the room bus:', error.message);
+        process.exit(1);
+    });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { start, stop };
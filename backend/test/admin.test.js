@@ -0,0 +1,104 @@
+/**
+ * The admin API: ending a live session for everyone, and removing one
+ * participant from it.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { UserStore } = require('../lib/user-store');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+describe('admin actions', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    function admin(path, { method = 'POST', bearer = token } = {}) {
+        return fetch(`${instance.url}/admin${path}`, { method, headers: { Authorization: `Bearer ${bearer}` } });
+    }
+
+    async function openClient(query) {
+        const client = await connect(instance, query);
+        open.push(client);
+        return client;
+    }
+
+    async function pair() {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await openClient();
+        const controller = await openClient({ type: 'controller', token });
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        assert.equal((await join(controller, { room: code, role: 'controller' })).type, 'joined');
+        return { code, target, controller };
+    }
+
+    async function liveRoom(code) {
+        const { rooms } = await (await admin('/rooms', { method: 'GET' })).json();
+        return rooms.find(room => room.code === code);
+    }
+
+    it('terminates a session for every participant', async () => {
+        const { code, target, controller } = await pair();
+
+        const response = await admin(`/rooms/${code}/terminate`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { terminated: code });
+
+        assert.equal((await target.next('session-end')).reason, 'terminated-by-admin');
+        assert.equal((await controller.next('session-end')).reason, 'terminated-by-admin');
+        assert.equal(await liveRoom(code), undefined);
+    });
+
+    it('kicks one participant and keeps its operator out', async () => {
+        const { code, target, controller } = await pair();
+        const { participants } = await liveRoom(code);
+        const { id } = participants.find(participant => participant.role === 'controller');
+
+        const response = await admin(`/rooms/${code}/participants/${id}/kick`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { kicked: id });
+
+        assert.equal((await controller.next('session-end')).reason, 'kicked-by-admin');
+        assert.equal((await target.next('peer-left')).role, 'controller');
+        assert.deepEqual((await liveRoom(code)).participants.map(participant => participant.role), ['target']);
+
+        const rejoin = await join(await openClient({ type: 'controller', token }), { room: code, role: 'controller' });
+        assert.equal(rejoin.code, 'removed');
+    });
+
+    it('answers 404 for a room or participant that is not there', async () => {
+        const unknownRoom = await admin('/rooms/ZZZ999/terminate');
+        assert.equal(unknownRoom.status, 404);
+        assert.equal((await unknownRoom.json()).error, 'unknown-room');
+
+        const { code } = await pair();
+        const unknownParticipant = await admin(`/rooms/${code}/participants/nobody/kick`);
+        assert.equal(unknownParticipant.status, 404);
+        assert.equal((await unknownParticipant.json()).error, 'unknown-participant');
+    });
+
+    it('only lets admins act, and only with POST', async () => {
+        const { code, target } = await pair();
+        await new UserStore(process.env.USERS_FILE).add('sam', 'another long password');
+        const login = await fetch(`${instance.url}/login`, {
+            method: 'POST',
+            body: JSON.stringify({ username: 'sam', password: 'another long password' })
+        });
+        const { token: operatorToken } = await login.json();
+
+        assert.equal((await admin(`/rooms/${code}/terminate`, { bearer: operatorToken })).status, 403);
+        assert.equal((await admin(`/rooms/${code}/terminate`, { method: 'GET' })).status, 405);
+        await assert.rejects(target.next('session-end', 200));
+        assert.ok(await liveRoom(code));
+    });
+});
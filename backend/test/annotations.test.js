@@ -0,0 +1,80 @@
+/**
+ * Annotations: only a controller the phone's owner granted control may draw
+ * over the phone's screen.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const ARROW = {
+    type: 'annotation',
+    action: 'arrow',
+    id: 'a-1',
+    color: '#ef4444',
+    fadeMs: 5000,
+    startX: 0.2,
+    startY: 0.2,
+    endX: 0.6,
+    endY: 0.4
+};
+
+describe('annotations', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function pair() {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(instance);
+        const controller = await connect(instance, { type: 'controller', token });
+        open.push(target, controller);
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        assert.equal((await join(controller, { room: code, role: 'controller' })).type, 'joined');
+        return { target, controller };
+    }
+
+    async function grant(target, controller) {
+        controller.send({ type: 'control-request', name: 'Sam' });
+        const request = await target.next('control-request');
+        target.send({ type: 'control-grant', controllerId: request.controllerId });
+        await controller.next('control-grant');
+        return request.controllerId;
+    }
+
+    it('refuses annotations from the target', async () => {
+        const { target } = await pair();
+        target.send(ARROW);
+        assert.equal((await target.next('error')).code, 'not-a-controller');
+    });
+
+    it('refuses annotations from a controller without control', async () => {
+        const { target, controller } = await pair();
+        controller.send(ARROW);
+        assert.equal((await controller.next('error')).code, 'control-not-granted');
+        await assert.rejects(target.next('annotation', 200));
+    });
+
+    it('relays a granted controller\'s annotations to the target', async () => {
+        const { target, controller } = await pair();
+        const controllerId = await grant(target, controller);
+
+        controller.send(ARROW);
+        assert.deepEqual(await target.next('annotation'), { ...ARROW, controllerId });
+
+        target.send({ type: 'control-revoke' });
+        await controller.next('control-revoke');
+        controller.send(ARROW);
+        assert.equal((await controller.next('error')).code, 'control-not-granted');
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken, hashPassword, verifyPassword } = require('../lib/auth');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const SECRET = 'token-secret';
+
+describe('signed tokens', () => {
+    it('accept their own claims back', () => {
+        const claims = verifyToken(signToken({ sub: 'alex', role: 'admin' }, SECRET, 60), SECRET);
+        assert.equal(claims.sub, 'alex');
+        assert.equal(claims.role, 'admin');
+    });
+
+    it('are rejected once expired', () => {
+        assert.equal(verifyToken(signToken({ sub: 'alex' }, SECRET, -1), SECRET), null);
+        assert.equal(verifyToken(signToken({ sub: 'alex' }, SECRET, 0), SECRET), null);
+    });
+
+    it('are rejected when tampered with', () => {
+        const [header, payload, signature] = signToken({ sub: 'alex', role: 'operator' }, SECRET, 60).split('.');
+        const promoted = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+            role: 'admin'
+        })).toString('base64url');
+        const unsigned = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+        assert.equal(verifyToken(`${header}.${promoted}.${signature}`, SECRET), null);
+        assert.equal(verifyToken(`${unsigned}.${payload}.`, SECRET), null);
+        assert.equal(verifyToken(`${header}.${payload}.${signature.slice(0, -2)}`, SECRET), null);
+        assert.equal(verifyToken(`${header}.${payload}.${signature}`, 'other-secret'), null);
+        assert.equal(verifyToken(undefined, SECRET), null);
+    });
+});
+
+describe('password hashes', () => {
+    it('verify the password they were made from, and only that', async () => {
+        const stored = await hashPassword('correct horse');
+        assert.equal(await verifyPassword('correct horse', stored), true);
+        assert.equal(await verifyPassword('correct horsf', stored), false);
+        assert.equal(await verifyPassword('correct horse', 'plain$text'), false);
+    });
+});
+
+describe('operator sign-in', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    function upgradeStatus(query) {
+        return connect(instance, query).then(
+            client => {
+                open.push(client);
+                return 101;
+            },
+            error => parseInt(/\d{3}/.exec(error.message)?.[0], 10)
+        );
+    }
+
+    it('refuses controller and spectator sockets without a valid token', async () => {
+        assert.equal(await upgradeStatus({ type: 'controller' }), 401);
+        assert.equal(await upgradeStatus({ type: 'spectator' }), 401);
+        assert.equal(await upgradeStatus({ type: 'controller', token: `${token}x` }), 401);
+        assert.equal(await upgradeStatus({ type: 'controller', token }), 101);
+    });
+
+    it('keeps target sockets from joining as a controller', async () => {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(instance);
+        open.push(target);
+        assert.equal((await join(target, { room: code })).type, 'joined');
+
+        const impostor = await connect(instance);
+        open.push(impostor);
+        assert.equal((await join(impostor, { room: code, role: 'controller' })).code, 'unauthorized');
+    });
+
+    it('rejects wrong passwords', async () => {
+        const response = await fetch(`${instance.url}/login`, {
+            method: 'POST',
+            body: JSON.stringify({ username: 'alex', password: 'wrong' })
+        });
+        assert.equal(response.status, 401);
+        assert.equal((await response.json()).error, 'invalid-credentials');
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Chat between the phone's owner and the operators: acks, the history a
+ * joining member gets, the length limit and delivery receipts.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+// Long enough for a dropped controller to resume within
+process.env.ROOM_GRACE_SECONDS = '1';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('chat', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function openClient(query) {
+        const client = await connect(instance, query);
+        open.push(client);
+        return client;
+    }
+
+    async function pair() {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await openClient();
+        const controller = await openClient({ type: 'controller', token });
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        const joined = await join(controller, { room: code, role: 'controller' });
+        assert.equal(joined.type, 'joined');
+        return { code, target, controller, resumeToken: joined.resumeToken };
+    }
+
+    it('acks a message with the time the server stored it', async () => {
+        const { target, controller } = await pair();
+        const before = Date.now();
+        controller.send({ type: 'chat', id: 'm1', text: 'Open the settings, please' });
+
+        const ack = await controller.next('chat-ack');
+        assert.equal(ack.id, 'm1');
+        assert.ok(ack.sentAt >= before && ack.sentAt <= Date.now());
+
+        const received = await target.next('chat');
+        assert.equal(received.text, 'Open the settings, please');
+        assert.equal(received.senderRole, 'controller');
+        assert.equal(received.sentAt, ack.sentAt);
+    });
+
+    it('sends the history on join, marking the member\'s own messages', async () => {
+        const { code, target, controller, resumeToken } = await pair();
+        controller.send({ type: 'chat', id: 'c1', text: 'Hello' });
+        await controller.next('chat-ack');
+        target.send({ type: 'chat', id: 't1', text: 'Hi' });
+        await target.next('chat-ack');
+
+        // The phone's control channel joins as a member of its own
+        const control = await openClient({ type: 'control' });
+        assert.equal((await join(control, { room: code })).type, 'joined');
+        const { messages } = await control.next('chat-history');
+        assert.deepEqual(messages.map(({ id, own }) => ({ id, own })), [
+            { id: 'c1', own: false },
+            { id: 't1', own: false }
+        ]);
+
+        controller.ws.terminate();
+        await delay(100);
+        const resumed = await openClient({ type: 'controller', token });
+        assert.equal((await join(resumed, { room: code, role: 'controller', resumeToken })).resumed, true);
+        const history = await resumed.next('chat-history');
+        assert.deepEqual(history.messages.map(({ id, own }) => ({ id, own })), [
+            { id: 'c1', own: true },
+            { id: 't1', own: false }
+        ]);
+    });
+
+    it('refuses messages over 2000 characters', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'chat', id: 'long', text: 'a'.repeat(2001) });
+        const error = await controller.next('error');
+        assert.equal(error.code, 'invalid-message');
+        assert.equal(error.field, 'text');
+        await assert.rejects(target.next('chat', 200));
+
+        controller.send({ type: 'chat', id: 'limit', text: 'a'.repeat(2000) });
+        assert.equal((await target.next('chat')).id, 'limit');
+    });
+
+    it('passes a delivery receipt on to the sender', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'chat', id: 'm1', text: 'Hello' });
+        const received = await target.next('chat');
+
+        target.send({ type: 'chat-delivered', id: 'm1', senderId: received.senderId });
+        const receipt = await controller.next('chat-delivered');
+        assert.equal(receipt.id, 'm1');
+        assert.equal(receipt.role, 'target');
+    });
+
+    it('refuses receipts for messages the room does not hold', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'chat', id: 'm1', text: 'Hello' });
+        const { senderId } = await target.next('chat');
+
+        target.send({ type: 'chat-delivered', id: 'never-sent', senderId });
+        assert.equal((await target.next('error')).code, 'unknown-chat-message');
+        // Nor may a sender confirm its own message
+        controller.send({ type: 'chat-delivered', id: 'm1', senderId });
+        assert.equal((await controller.next('error')).code, 'unknown-chat-message');
+        await assert.rejects(controller.next('chat-delivered', 200));
+    });
+});
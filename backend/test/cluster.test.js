@@ -0,0 +1,162 @@
+/**
+ * Two server instances sharing one room bus: an in-memory MemoryHub, and
+ * Redis as well when REDIS_URL is set. The target is always on instance A
+ * and the controller on instance B, so everything between them has to go
+ * through the bus.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MemoryHub, MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const BUSES = {
+    'in-memory': () => {
+        const hub = new MemoryHub();
+        return [new MemoryRoomBus(hub), new MemoryRoomBus(hub)];
+    },
+    'Redis': () => {
+        const { RedisRoomBus } = require('../lib/redis-room-bus');
+        // A prefix of its own, so runs never see each other's rooms
+        const keyPrefix = `remote-assist-test-${crypto.randomUUID()}:`;
+        return [
+            new RedisRoomBus(process.env.REDIS_URL, { keyPrefix }),
+            new RedisRoomBus(process.env.REDIS_URL, { keyPrefix })
+        ];
+    }
+};
+
+Object.entries(BUSES).forEach(([name, createBuses]) => {
+    const skip = name === 'Redis' && !process.env.REDIS_URL && 'REDIS_URL is not set';
+    
+    describe(`two instances sharing the ${name} bus`, { skip }, () => {
+        let a, b, busA, busB, token;
+        const open = [];
+        
+        before(async () => {
+            [busA, busB] = createBuses();
+            a = await startInstance(busA, 'instance-a');
+            b = await startInstance(busB, 'instance-b');
+            token = await signIn(a);
+        });
+        
+        after(async () => {
+            open.forEach(client => client.close());
+            await a?.stop();
+            await b?.stop();
+        });
+        
+        async function issueCode(instance) {
+            const response = await fetch(`${instance.url}/pairing-codes`, { method: 'POST' });
+            assert.equal(response.status, 201);
+            return (await response.json()).code;
+        }
+        
+        async function openClient(instance, query) {
+            const client = await connect(instance, query);
+            open.push(client);
+            return client;
+        }
+        
+        // A target on A and a controller on B in a fresh room
+        async function pair() {
+            const code = await issueCode(a);
+            const target = await openClient(a);
+            assert.equal((await join(target, { room: code })).type, 'joined');
+            const controller = await openClient(b, { type: 'controller', token });
+            const joined = await join(controller, { room: code, role: 'controller' });
+            assert.equal(joined.type, 'joined');
+            return { code, target, controller };
+        }
+        
+        it('accepts a pairing code issued by the other instance', async () => {
+            const code = await issueCode(a);
+            const target = await openClient(b);
+            const joined = await join(target, { room: code });
+            assert.equal(joined.type, 'joined');
+            assert.equal(joined.role, 'target');
+            assert.equal(joined.room, code);
+        });
+        
+        it('rejects codes that no instance issued', async () => {
+            const controller = await openClient(b, { type: 'controller', token });
+            const rejected = await join(controller, { room: 'ZZZZZZ', role: 'controller' });
+            assert.equal(rejected.type, 'join-error');
+            assert.equal(rejected.code, 'unknown-code');
+        });
+        
+        it('tells each side the other joined', async () => {
+            const { target, controller } = await pair();
+            assert.equal((await target.next('peer-joined')).role, 'controller');
+            assert.equal((await controller.next('peer-joined')).role, 'target');
+        });
+        
+        it('shares room membership', async () => {
+            const { code } = await pair();
+            for (const instance of [a, b]) {
+                const response = await fetch(`${instance.url}/admin/rooms`, {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const room = (await response.json()).rooms.find(live => live.code === code);
+                assert.deepEqual(
+                    room.participants.map(({ role, instance: on }) => [role, on]).sort(),
+                    [['controller', 'instance-b'], ['target', 'instance-a']]
+                );
+            }
+        });
+        
+        it('relays control, gestures and signaling both ways', async () => {
+            const { target, controller } = await pair();
+            
+            controller.send({ type: 'control-request', name: 'Sam' });
+            const request = await target.next('control-request');
+            assert.equal(request.name, 'Sam');
+            target.send({ type: 'control-grant', controllerId: request.controllerId });
+            await controller.next('control-grant');
+            
+            controller.send({ type: 'gesture', action: 'tap', x: 0.25, y: 0.75 });
+            const gesture = await target.next('gesture');
+            assert.deepEqual([gesture.action, gesture.x, gesture.y], ['tap', 0.25, 0.75]);
+            
+            target.send({ type: 'offer', sdp: 'v=0 offer' });
+            assert.equal((await controller.next('offer')).sdp, 'v=0 offer');
+            controller.send({ type: 'answer', sdp: 'v=0 answer' });
+            assert.equal((await target.next('answer')).sdp, 'v=0 answer');
+        });
+        
+        it('admits one controller when two race for the last place', async () => {
+            const code = await issueCode(a);
+            const target = await openClient(a);
+            assert.equal((await join(target, { room: code })).type, 'joined');
+            const controllers = await Promise.all([
+                openClient(a, { type: 'controller', token }),
+                openClient(b, { type: 'controller', token })
+            ]);
+            
+            // Stale room reads widen the gap between checking for a place and taking it
+            const restore = [busA, busB].map(bus => {
+                const getRoom = bus.getRoom;
+                bus.getRoom = async (...args) => {
+                    const room = await getRoom.apply(bus, args);
+                    await new Promise(resolve => setTimeout(resolve, 50));
+                    return room;
+                };
+                return () => { bus.getRoom = getRoom; };
+            });
+            try {
+                const answers = await Promise.all(controllers.map(controller => join(controller, { room: code, role: 'controller' })));
+                assert.deepEqual(answers.map(answer => answer.code || answer.type).sort(), ['joined', 'room-full']);
+            } finally {
+                restore.forEach(undo => undo());
+            }
+        });
+        
+        it('tells the target when the controller leaves', async () => {
+            const { target, controller } = await pair();
+            await target.next('peer-joined');
+            controller.close();
+            assert.equal((await target.next('peer-left')).role, 'controller');
+        });
+    });
+});
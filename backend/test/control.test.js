@@ -0,0 +1,80 @@
+/**
+ * Control consent: a controller's gestures only reach the target once the
+ * phone's owner has granted it control.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const TAP = { type: 'gesture', action: 'tap', x: 0.5, y: 0.5 };
+
+describe('control consent', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function pair() {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(instance);
+        const controller = await connect(instance, { type: 'controller', token });
+        open.push(target, controller);
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        assert.equal((await join(controller, { room: code, role: 'controller' })).type, 'joined');
+        return { target, controller };
+    }
+
+    async function assertDropped(target, controller) {
+        controller.send(TAP);
+        assert.equal((await controller.next('error')).code, 'control-not-granted');
+        await assert.rejects(target.next('gesture', 200));
+    }
+
+    it('drops gestures sent before control is requested', async () => {
+        const { target, controller } = await pair();
+        await assertDropped(target, controller);
+    });
+
+    it('drops gestures while the request is pending or denied', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'control-request', name: 'Sam' });
+        const request = await target.next('control-request');
+        await assertDropped(target, controller);
+
+        target.send({ type: 'control-deny', controllerId: request.controllerId });
+        await controller.next('control-deny');
+        await assertDropped(target, controller);
+    });
+
+    it('relays gestures between a grant and a revoke', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'control-request', name: 'Sam' });
+        const request = await target.next('control-request');
+        target.send({ type: 'control-grant', controllerId: request.controllerId });
+        await controller.next('control-grant');
+
+        controller.send(TAP);
+        assert.equal((await target.next('gesture')).action, 'tap');
+
+        target.send({ type: 'control-revoke' });
+        await controller.next('control-revoke');
+        await assertDropped(target, controller);
+    });
+
+    it('only lets the target answer control requests', async () => {
+        const { target, controller } = await pair();
+        controller.send({ type: 'control-grant' });
+        assert.equal((await controller.next('error')).code, 'not-a-target');
+        await assertDropped(target, controller);
+    });
+});
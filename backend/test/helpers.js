@@ -0,0 +1,130 @@
+/**
+ * Test helpers: server instances in this process, operator accounts and
+ * WebSocket clients.
+ *
+ * Each startInstance() loads a fresh copy of server.js, so instances share
+ * nothing but the room bus they are given, like servers in a cluster.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { UserStore } = require('../lib/user-store');
+
+const SERVER_PATH = require.resolve('../server');
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-assist-test-'));
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const OPERATOR = { username: 'alex', password: 'correct horse battery' };
+
+// Read by server.js when it loads
+Object.assign(process.env, {
+    AUTH_SECRET: 'test-secret',
+    USERS_FILE: path.join(DATA_DIR, 'users.json'),
+    AUDIT_LOG_FILE: path.join(DATA_DIR, 'audit.jsonl'),
+    RECORDINGS_DIR: path.join(DATA_DIR, 'recordings'),
+    ROOM_GRACE_SECONDS: '0',
+    WS_MAX_CONNECTIONS_PER_MINUTE: '1000',
+    WS_MAX_JOINS_PER_MINUTE: '1000',
+    PAIRING_MAX_CODES_PER_MINUTE: '1000',
+    PAIRING_MAX_RESERVED_CODES: '1000'
+});
+
+// The servers' progress log would drown the test report
+console.log = () => {};
+
+// Default timeout of next()
+const MESSAGE_TIMEOUT_MS = 2000;
+
+/**
+ * Starts a server instance on a free port.
+ *
+ * @param {object} bus Room bus of the instance
+ * @param {string} name Its INSTANCE_ID
+ */
+async function startInstance(bus, name) {
+    process.env.INSTANCE_ID = name;
+    delete require.cache[SERVER_PATH];
+    const { start, stop } = require(SERVER_PATH);
+    const port = await start({ port: 0, bus });
+    return { name, stop, url: `http://localhost:${port}`, wsUrl: `ws://localhost:${port}/ws` };
+}
+
+/**
+ * Creates the operator account (an admin) and signs it in.
+ *
+ * @returns {Promise<string>} A token for `instance`, valid on every instance
+ */
+async function signIn(instance) {
+    await new UserStore(process.env.USERS_FILE).add(OPERATOR.username, OPERATOR.password, 'admin');
+    const response = await fetch(`${instance.url}/login`, {
+        method: 'POST',
+        body: JSON.stringify(OPERATOR)
+    });
+    const { token } = await response.json();
+    return token;
+}
+
+/**
+ * Opens a WebSocket and queues what it receives, for next() to take.
+ *
+ * @param {object} [query] e.g. `{ type: 'controller', token }`
+ */
+function connect(instance, query = {}) {
+    const ws = new WebSocket(`${instance.wsUrl}?${new URLSearchParams(query)}`);
+    const client = {
+        ws,
+        received: [],
+        waiting: [],
+        send: message => ws.send(JSON.stringify(message)),
+        next: (type, timeoutMs) => next(client, type, timeoutMs),
+        close: () => ws.close(1000)
+    };
+    ws.on('message', data => {
+        client.received.push(JSON.parse(data));
+        client.waiting.forEach(wake => wake());
+    });
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve(client));
+        ws.once('error', reject);
+    });
+}
+
+/**
+ * Takes the first queued message of a type (or of any of several types),
+ * waiting for it if need be. Messages of other types stay queued.
+ */
+function next(client, type, timeoutMs = MESSAGE_TIMEOUT_MS) {
+    const types = [].concat(type);
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            const index = client.received.findIndex(message => types.includes(message.type));
+            if (index === -1) return false;
+            done();
+            resolve(client.received.splice(index, 1)[0]);
+            return true;
+        };
+        const timer = setTimeout(() => {
+            done();
+            reject(new Error(`No ${types.join(' or ')} within ${timeoutMs} ms (got ${client.received.map(m => m.type).join(', ') || 'nothing'})`));
+        }, timeoutMs);
+        const done = () => {
+            clearTimeout(timer);
+            client.waiting = client.waiting.filter(wake => wake !== check);
+        };
+        if (!check()) client.waiting.push(check);
+    });
+}
+
+/**
+ * Joins a room and waits for the server's answer.
+ *
+ * @returns {Promise<object>} The `joined` (or `join-error`) message
+ */
+async function join(client, message) {
+    client.send({ type: 'join', ...message });
+    return client.next(['joined', 'join-error']);
+}
+
+module.exports = { startInstance, signIn, connect, join, DATA_DIR };
@@ -0,0 +1,42 @@
+/**
+ * The HTTP side of one server instance: request parsing and the API's
+ * error replies.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance } = require('./helpers');
+
+/**
+ * Sends a raw request (for targets fetch() would refuse to send) and
+ * returns the status code of the response.
+ */
+function rawRequest(instance, head) {
+    const { port } = new URL(instance.url);
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, 'localhost', () => socket.write(`${head}\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+        let response = '';
+        socket.on('data', chunk => { response += chunk; });
+        socket.on('end', () => resolve(parseInt(response.split(' ')[1], 10)));
+        socket.on('error', reject);
+    });
+}
+
+describe('HTTP requests', () => {
+    let instance;
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        await instance?.stop();
+    });
+
+    it('answers 400 to a request target that is not a valid URL', async () => {
+        assert.equal(await rawRequest(instance, 'GET //[ HTTP/1.1'), 400);
+        assert.equal((await fetch(`${instance.url}/health`)).status, 200);
+    });
+});
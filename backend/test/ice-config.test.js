@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIceConfig, createTurnCredentials } = require('../lib/ice-config');
+
+describe('createTurnCredentials', () => {
+    it('derives the TURN REST API pair coturn expects', () => {
+        // 2023-11-14T22:13:20Z plus an hour
+        assert.deepEqual(createTurnCredentials('north', 'remote-assist', 3600, 1700000000 * 1000), {
+            username: '1700003600:remote-assist',
+            credential: 'u0mIB4PxLQYp0ep6QUBXCSAN/aU='
+        });
+    });
+});
+
+describe('buildIceConfig', () => {
+    it('hands out time-limited credentials when TURN_SECRET is set', () => {
+        const before = Math.floor(Date.now() / 1000);
+        const { iceServers, ttl } = buildIceConfig({ TURN_URLS: 'turn:turn.example.com:3478', TURN_SECRET: 'north', TURN_CREDENTIAL_TTL_SECONDS: '600', ICE_STUN_URLS: '' });
+        assert.equal(ttl, 600);
+        assert.equal(iceServers.length, 1);
+
+        const [turn] = iceServers;
+        assert.deepEqual(turn.urls, ['turn:turn.example.com:3478']);
+        const expiry = parseInt(turn.username.split(':')[0], 10);
+        assert.ok(expiry >= before + 600 && expiry <= before + 601);
+        assert.deepEqual(turn, { urls: turn.urls, ...createTurnCredentials('north', 'remote-assist', 600, (expiry - 600) * 1000) });
+    });
+
+    it('passes static credentials through', () => {
+        const { iceServers } = buildIceConfig({ TURN_URLS: 'turn:a, turns:b', TURN_USERNAME: 'user', TURN_PASSWORD: 'pass', ICE_STUN_URLS: '' });
+        assert.deepEqual(iceServers, [{ urls: ['turn:a', 'turns:b'], username: 'user', credential: 'pass' }]);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMessage, parseGesture } = require('../lib/message-schema');
+
+function parseError(message) {
+    try {
+        parseMessage(JSON.stringify(message));
+    } catch (error) {
+        return { code: error.code, field: error.field };
+    }
+    assert.fail(`${JSON.stringify(message)} was accepted`);
+}
+
+describe('parseMessage', () => {
+    it('keeps only the fields of the schema', () => {
+        assert.deepEqual(
+            parseMessage(JSON.stringify({ type: 'gesture', action: 'tap', x: 0.5, y: 0.25, room: 'ABC123', extra: true })),
+            { type: 'gesture', action: 'tap', x: 0.5, y: 0.25, room: 'ABC123' }
+        );
+    });
+    
+    it('rejects types that are not part of the protocol', () => {
+        assert.deepEqual(parseError({ type: 'teleport' }), { code: 'unknown-type', field: 'type' });
+    });
+    
+    it('does not take inherited object properties for types', () => {
+        ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf'].forEach(type => {
+            assert.deepEqual(parseError({ type }), { code: 'unknown-type', field: 'type' }, type);
+        });
+    });
+    
+    it('does not take inherited object properties for actions', () => {
+        assert.equal(parseError({ type: 'gesture', action: 'constructor' }).field, 'action');
+        assert.equal(parseError({ type: 'annotation', action: 'toString' }).field, 'action');
+        assert.throws(() => parseGesture({ action: '__proto__' }), { field: 'gesture.action' });
+    });
+    
+    it('names the field that failed', () => {
+        assert.deepEqual(
+            parseError({ type: 'gesture', action: 'drag', duration: 100, points: [{ x: 0.1, y: 0.1, t: 0 }, { x: 2, y: 0.1, t: 50 }] }),
+            { code: 'invalid-message', field: 'points[1].x' }
+        );
+    });
+    
+    it('rejects frames that are not JSON objects', () => {
+        assert.throws(() => parseMessage('{'), { code: 'invalid-json' });
+        assert.throws(() => parseMessage('null'), { code: 'invalid-message' });
+        assert.throws(() => parseMessage('[]'), { code: 'invalid-message' });
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * GET /metrics: the Prometheus text format, and the gauges that follow
+ * members into and out of rooms.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, connect, join } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads the value of one series from a scrape, or undefined if it is not
+ * there.
+ */
+function sample(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('metrics', () => {
+    let instance;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function scrape() {
+        const response = await fetch(`${instance.url}/metrics`);
+        assert.equal(response.status, 200);
+        return response.text();
+    }
+
+    it('serves the Prometheus text format', async () => {
+        const response = await fetch(`${instance.url}/metrics`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+        const text = await response.text();
+        assert.ok(text.endsWith('\n'));
+        assert.match(text, /^# HELP remote_assist_rooms_active .+$/m);
+        assert.match(text, /^# TYPE remote_assist_rooms_active gauge$/m);
+        assert.match(text, /^# TYPE remote_assist_joins_total counter$/m);
+        assert.match(text, /^# TYPE remote_assist_relay_fanout histogram$/m);
+        assert.match(text, /^remote_assist_relay_fanout_bucket\{le="\+Inf"\} \d+$/m);
+        // Every sample is a name, optional labels and a number
+        text.trim().split('\n').filter(line => !line.startsWith('#')).forEach(line => {
+            assert.match(line, /^[a-z_]+(\{[a-z_]+="[^"]*"(,[a-z_]+="[^"]*")*\})? -?[\d.e+-]+$/, line);
+        });
+    });
+
+    it('counts rooms and sockets as members join and leave', async () => {
+        const rooms = 'remote_assist_rooms_active';
+        const sockets = 'remote_assist_sockets_connected{client_type="signaling"}';
+        const idle = await scrape();
+
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(instance, { type: 'signaling' });
+        open.push(target);
+        assert.equal((await join(target, { room: code })).type, 'joined');
+
+        const joined = await scrape();
+        assert.equal(sample(joined, rooms), sample(idle, rooms) + 1);
+        assert.equal(sample(joined, sockets), sample(idle, sockets) + 1);
+        assert.equal(sample(joined, 'remote_assist_joins_total{role="target",resumed="false"}'), 1);
+
+        target.close();
+        await delay(100);
+        const left = await scrape();
+        assert.equal(sample(left, rooms), sample(idle, rooms));
+        assert.equal(sample(left, sockets), sample(idle, sockets));
+    });
+});
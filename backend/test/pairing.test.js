@@ -0,0 +1,97 @@
+/**
+ * Pairing codes: issuing them, and what a join may do with them.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, connect, join } = require('./helpers');
+
+describe('issuing pairing codes', () => {
+    let instance;
+    const open = [];
+
+    before(async () => {
+        Object.assign(process.env, { PAIRING_MAX_CODES_PER_MINUTE: '4', PAIRING_MAX_RESERVED_CODES: '2' });
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+        Object.assign(process.env, { PAIRING_MAX_CODES_PER_MINUTE: '1000', PAIRING_MAX_RESERVED_CODES: '1000' });
+    });
+
+    async function requestCode() {
+        const response = await fetch(`${instance.url}/pairing-codes`, { method: 'POST' });
+        return { status: response.status, body: await response.json(), retryAfter: response.headers.get('retry-after') };
+    }
+
+    it('caps unclaimed codes, then rate-limits requests per IP', async () => {
+        const first = await requestCode();
+        assert.equal(first.status, 201);
+        assert.equal((await requestCode()).status, 201);
+
+        const capped = await requestCode();
+        assert.equal(capped.status, 429);
+        assert.equal(capped.body.error, 'too-many-codes');
+
+        // A target claiming a code frees its place
+        const target = await connect(instance);
+        open.push(target);
+        assert.equal((await join(target, { room: first.body.code })).type, 'joined');
+        assert.equal((await requestCode()).status, 201);
+
+        const limited = await requestCode();
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.error, 'rate-limited');
+        assert.ok(Number(limited.retryAfter) > 0);
+    });
+});
+
+describe('joining with a pairing code', () => {
+    let instance;
+    const open = [];
+
+    before(async () => {
+        process.env.PAIRING_CODE_TTL_SECONDS = '1';
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        delete process.env.PAIRING_CODE_TTL_SECONDS;
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function issueCode() {
+        const response = await fetch(`${instance.url}/pairing-codes`, { method: 'POST' });
+        return (await response.json()).code;
+    }
+
+    async function openTarget() {
+        const client = await connect(instance);
+        open.push(client);
+        return client;
+    }
+
+    it('refuses a code no target claimed within its TTL', async () => {
+        const code = await issueCode();
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal((await join(await openTarget(), { room: code })).code, 'code-expired');
+    });
+
+    it('refuses the code of a room that has ended', async () => {
+        const code = await issueCode();
+        const target = await openTarget();
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        target.close();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal((await join(await openTarget(), { room: code })).code, 'code-expired');
+    });
+
+    it('refuses codes it never issued', async () => {
+        assert.equal((await join(await openTarget(), { room: 'ZZZZZZ' })).code, 'unknown-code');
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../lib/rate-limiter');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, connect, join } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RateLimiter', () => {
+    it('allows `limit` hits per window and key', async () => {
+        const limiter = new RateLimiter({ limit: 2, windowMs: 50 });
+
+        assert.equal(limiter.hit('a'), true);
+        assert.equal(limiter.hit('a'), true);
+        assert.equal(limiter.hit('a'), false);
+        assert.equal(limiter.hit('b'), true);
+        assert.equal(limiter.retryAfter('a'), 1);
+
+        await delay(60);
+        assert.equal(limiter.hit('a'), true);
+    });
+
+    it('forgets keys on reset, and expired windows on prune', async () => {
+        const limiter = new RateLimiter({ limit: 1, windowMs: 50 });
+
+        limiter.hit('a');
+        limiter.reset('a');
+        assert.equal(limiter.hit('a'), true);
+
+        limiter.hit('b');
+        await delay(60);
+        limiter.prune();
+        assert.equal(limiter.windows.size, 0);
+        assert.equal(limiter.retryAfter('a'), 0);
+    });
+});
+
+describe('failed join lockout', () => {
+    let instance;
+    const open = [];
+
+    before(async () => {
+        process.env.WS_MAX_FAILED_JOINS = '2';
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        delete process.env.WS_MAX_FAILED_JOINS;
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    it('locks an IP out after repeated joins with unknown codes', async () => {
+        const guesser = await connect(instance);
+        open.push(guesser);
+        for (const room of ['ZZZZZ2', 'ZZZZZ3', 'ZZZZZ4']) {
+            assert.equal((await join(guesser, { room })).code, 'unknown-code');
+        }
+
+        guesser.send({ type: 'join', room: 'ZZZZZ5' });
+        const limited = await guesser.next('error');
+        assert.equal(limited.code, 'rate-limited');
+        assert.equal(limited.scope, 'join');
+        assert.ok(limited.retryAfter > 0);
+
+        // New sockets from the IP are turned away as well
+        const again = await connect(instance);
+        open.push(again);
+        assert.equal((await again.next('error')).scope, 'connection');
+    });
+});
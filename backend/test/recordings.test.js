@@ -0,0 +1,87 @@
+/**
+ * Recording uploads: who may make them, and what the server accepts.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { signToken } = require('../lib/auth');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const RECORDING = { startedAt: new Date().toISOString(), mimeType: 'video/webm', gestures: [{ t: 10, action: 'tap', x: 0.5, y: 0.5 }] };
+
+describe('recordings', () => {
+    let instance, token, sessionId;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(instance);
+        const controller = await connect(instance, { type: 'controller', token });
+        open.push(target, controller);
+        await join(target, { room: code });
+        ({ sessionId } = await join(controller, { room: code, role: 'controller' }));
+        // Let the audit log write the join
+        await new Promise(resolve => setTimeout(resolve, 50));
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    function create(body, bearer = token) {
+        return fetch(`${instance.url}/recordings/${sessionId}`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${bearer}` },
+            body: JSON.stringify(body)
+        });
+    }
+
+    it('only takes recordings from a controller of the session', async () => {
+        const outsider = signToken({ sub: 'sam', role: 'operator' }, process.env.AUTH_SECRET, 60);
+        assert.equal((await create(RECORDING, outsider)).status, 403);
+        assert.equal((await create(RECORDING, 'not-a-token')).status, 401);
+        assert.equal((await create(RECORDING)).status, 201);
+    });
+
+    it('answers 400 to metadata that is not a JSON object', async () => {
+        for (const body of [null, 5, 'text', [RECORDING]]) {
+            const response = await create(body);
+            assert.equal(response.status, 400, JSON.stringify(body));
+            assert.equal((await response.json()).error, 'bad-request');
+        }
+    });
+
+    it('refuses a second video upload while one is in progress', async () => {
+        const recording = await (await create(RECORDING)).json();
+        const { port } = new URL(instance.url);
+        const upload = () => http.request({
+            port,
+            method: 'PUT',
+            path: `/recordings/${sessionId}/${recording.id}/video`,
+            headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'video/webm' }
+        });
+        const response = request => new Promise(resolve => request.on('response', res => {
+            res.resume();
+            resolve(res.statusCode);
+        }));
+
+        const first = upload();
+        const firstStatus = response(first);
+        first.write(Buffer.alloc(1024));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const second = upload();
+        const secondStatus = response(second);
+        second.end(Buffer.alloc(1024));
+        assert.equal(await secondStatus, 409);
+
+        first.end(Buffer.alloc(1024));
+        assert.equal(await firstStatus, 200);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Who may join a room, and in which role, on a single instance.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, connect, join } = require('./helpers');
+
+// Long enough to rejoin within, short enough to wait out
+process.env.ROOM_GRACE_SECONDS = '1';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('room admission', () => {
+    let instance;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function issueCode() {
+        const response = await fetch(`${instance.url}/pairing-codes`, { method: 'POST' });
+        return (await response.json()).code;
+    }
+
+    async function openClient(query) {
+        const client = await connect(instance, query);
+        open.push(client);
+        return client;
+    }
+
+    it('admits one target socket per channel', async () => {
+        const code = await issueCode();
+        assert.equal((await join(await openClient(), { room: code })).type, 'joined');
+        assert.equal((await join(await openClient({ type: 'control' }), { room: code })).type, 'joined');
+
+        const second = await join(await openClient({ type: 'signaling' }), { room: code });
+        assert.equal(second.code, 'target-exists');
+    });
+
+    it('rejects target sockets of a type the app does not use', async () => {
+        const code = await issueCode();
+        assert.equal((await join(await openClient(), { room: code })).type, 'joined');
+
+        const rejected = await join(await openClient({ type: 'anything' }), { room: code });
+        assert.equal(rejected.type, 'join-error');
+        assert.equal(rejected.code, 'invalid-client-type');
+    });
+
+    it('keeps a dropped target\'s place for its resume token', async () => {
+        const code = await issueCode();
+        const target = await openClient();
+        const { resumeToken } = await join(target, { room: code });
+        target.ws.terminate();
+        await delay(100);
+
+        const intruder = await join(await openClient(), { room: code });
+        assert.equal(intruder.code, 'target-reconnecting');
+
+        const resumed = await join(await openClient(), { room: code, resumeToken });
+        assert.equal(resumed.type, 'joined');
+        assert.equal(resumed.resumed, true);
+    });
+
+    it('admits a fresh target once the dropped one\'s grace period ends', async () => {
+        const code = await issueCode();
+        const target = await openClient();
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        // The phone's control channel keeps the room open meanwhile
+        const control = await openClient({ type: 'control' });
+        assert.equal((await join(control, { room: code })).type, 'joined');
+        target.ws.terminate();
+        await delay(1200);
+
+        const fresh = await join(await openClient(), { room: code });
+        assert.equal(fresh.type, 'joined');
+        assert.equal(fresh.resumed, false);
+    });
+});
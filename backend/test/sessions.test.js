@@ -0,0 +1,91 @@
+/**
+ * GET /sessions: past sessions rebuilt from the audit log, filtered by
+ * start time and pairing code.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { UserStore } = require('../lib/user-store');
+const { startInstance, signIn } = require('./helpers');
+
+// Three finished sessions, a day apart
+const SESSIONS = [
+    { sessionId: 'session-1', room: 'ABC123', ts: '2026-03-01T10:00:00.000Z' },
+    { sessionId: 'session-2', room: 'DEF456', ts: '2026-03-02T10:00:00.000Z' },
+    { sessionId: 'session-3', room: 'ABC123', ts: '2026-03-03T10:00:00.000Z' }
+];
+
+function writeAuditLog() {
+    const lines = SESSIONS.flatMap(({ sessionId, room, ts }) => [
+        { ts, event: 'session-start', sessionId, room },
+        { ts, event: 'session-end', sessionId, room, durationMs: 60000, reason: 'participants-left', gestureCounts: {} }
+    ]);
+    fs.writeFileSync(process.env.AUDIT_LOG_FILE, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+}
+
+describe('session queries', () => {
+    let instance, token;
+
+    before(async () => {
+        writeAuditLog();
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        await instance?.stop();
+    });
+
+    async function query(params, bearer = token) {
+        const response = await fetch(`${instance.url}/sessions?${new URLSearchParams(params)}`, {
+            headers: bearer ? { Authorization: `Bearer ${bearer}` } : {}
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    const ids = ({ body }) => body.sessions.map(session => session.sessionId);
+
+    it('lists every session, newest first', async () => {
+        const result = await query({});
+        assert.equal(result.status, 200);
+        assert.deepEqual(ids(result), ['session-3', 'session-2', 'session-1']);
+        assert.equal(result.body.sessions[0].code, 'ABC123');
+        assert.equal(result.body.sessions[0].endReason, 'participants-left');
+    });
+
+    it('filters by start time, from inclusive and to exclusive', async () => {
+        assert.deepEqual(ids(await query({ from: '2026-03-02T10:00:00Z' })), ['session-3', 'session-2']);
+        assert.deepEqual(ids(await query({ to: '2026-03-02T10:00:00Z' })), ['session-1']);
+        assert.deepEqual(ids(await query({ from: '2026-03-01T12:00:00Z', to: '2026-03-03T00:00:00Z' })), ['session-2']);
+    });
+
+    it('filters by pairing code, in any case', async () => {
+        assert.deepEqual(ids(await query({ code: 'abc123' })), ['session-3', 'session-1']);
+        assert.deepEqual(ids(await query({ code: 'ZZZ999' })), []);
+    });
+
+    it('returns at most `limit` sessions', async () => {
+        assert.deepEqual(ids(await query({ limit: '2' })), ['session-3', 'session-2']);
+        assert.deepEqual(ids(await query({ code: 'ABC123', limit: '1' })), ['session-3']);
+    });
+
+    it('answers 400 to a date it cannot read', async () => {
+        const result = await query({ from: 'yesterday' });
+        assert.equal(result.status, 400);
+        assert.equal(result.body.error, 'bad-request');
+    });
+
+    it('is for admins only', async () => {
+        assert.equal((await query({}, null)).status, 401);
+
+        await new UserStore(process.env.USERS_FILE).add('sam', 'another long password');
+        const response = await fetch(`${instance.url}/login`, {
+            method: 'POST',
+            body: JSON.stringify({ username: 'sam', password: 'another long password' })
+        });
+        const { token: operatorToken } = await response.json();
+        assert.equal((await query({}, operatorToken)).status, 403);
+    });
+});
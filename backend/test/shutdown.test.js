@@ -0,0 +1,101 @@
+/**
+ * Graceful shutdown: on SIGTERM a server tells its sockets it is restarting,
+ * lets live sessions run out the drain, then closes what is left with 1012.
+ *
+ * shutdown() ends the process, so each case runs a server of its own.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const path = require('path');
+const { signIn, connect, join } = require('./helpers');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+/**
+ * Runs server.js in a child process and resolves once it listens.
+ *
+ * @param {number} drainSeconds Its SHUTDOWN_DRAIN_SECONDS
+ */
+function spawnServer(drainSeconds) {
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, PORT: '0', INSTANCE_ID: 'drained', SHUTDOWN_DRAIN_SECONDS: String(drainSeconds) },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /ws:\/\/localhost:(\d+)\/ws/.exec(output);
+            if (!match) return;
+            child.stdout.removeAllListeners('data');
+            child.stdout.resume();
+            resolve({ child, exited, url: `http://localhost:${match[1]}`, wsUrl: `ws://localhost:${match[1]}/ws` });
+        });
+        child.on('exit', () => reject(new Error(`Server exited before listening:\n${output}`)));
+    });
+}
+
+const closed = client => new Promise(resolve => client.ws.on('close', code => resolve(code)));
+
+describe('graceful shutdown', () => {
+    const children = [];
+
+    after(() => {
+        children.forEach(child => child.exitCode === null && child.kill('SIGKILL'));
+    });
+
+    async function startServer(drainSeconds) {
+        const server = await spawnServer(drainSeconds);
+        children.push(server.child);
+        return server;
+    }
+
+    async function pair(server) {
+        const token = await signIn(server);
+        const { code } = await (await fetch(`${server.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await connect(server);
+        const controller = await connect(server, { type: 'controller', token });
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        assert.equal((await join(controller, { room: code, role: 'controller' })).type, 'joined');
+        return { code, target, controller };
+    }
+
+    it('keeps sessions running through the drain, then closes them with 1012', async () => {
+        const server = await startServer(2);
+        const { target, controller } = await pair(server);
+        const idle = await connect(server);
+        const startedAt = Date.now();
+        server.child.kill('SIGTERM');
+
+        assert.equal((await target.next('server-restarting')).drainSeconds, 2);
+        assert.equal((await controller.next('server-restarting')).drainSeconds, 2);
+
+        // Live sessions carry on, but nothing new starts
+        controller.send({ type: 'chat', id: 'm1', text: 'Still here?' });
+        assert.equal((await target.next('chat')).id, 'm1');
+        idle.send({ type: 'join', room: 'ABC123' });
+        assert.equal((await idle.next('join-error')).code, 'server-restarting');
+        await assert.rejects(fetch(`${server.url}/health`));
+
+        assert.deepEqual(await Promise.all([closed(target), closed(controller)]), [1012, 1012]);
+        assert.ok(Date.now() - startedAt >= 1500, 'closed before the drain ended');
+        assert.equal(await server.exited, 0);
+    });
+
+    it('exits as soon as the last session ends', async () => {
+        const server = await startServer(30);
+        const { target, controller } = await pair(server);
+        const startedAt = Date.now();
+        server.child.kill('SIGTERM');
+        await target.next('server-restarting');
+
+        target.close();
+        controller.close();
+        assert.equal(await server.exited, 0);
+        assert.ok(Date.now() - startedAt < 5000, 'waited out the drain');
+    });
+});
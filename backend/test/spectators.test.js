@@ -0,0 +1,100 @@
+/**
+ * Spectators only watch: the server refuses everything they send outside
+ * the few messages a view-only peer connection needs.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, signIn, connect, join } = require('./helpers');
+
+const SDP = 'v=0\r\n';
+const CANDIDATE = 'candidate:1 1 udp 2122260223 192.0.2.1 54321 typ host';
+
+describe('spectators', () => {
+    let instance, token;
+    const open = [];
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+        token = await signIn(instance);
+    });
+
+    after(async () => {
+        open.forEach(client => client.close());
+        await instance?.stop();
+    });
+
+    async function openClient(query) {
+        const client = await connect(instance, query);
+        open.push(client);
+        return client;
+    }
+
+    // A target, a controller, and a spectator the controller let in
+    async function watch() {
+        const { code } = await (await fetch(`${instance.url}/pairing-codes`, { method: 'POST' })).json();
+        const target = await openClient();
+        const controller = await openClient({ type: 'controller', token });
+        const spectator = await openClient({ type: 'spectator', token });
+        assert.equal((await join(target, { room: code })).type, 'joined');
+        assert.equal((await join(controller, { room: code, role: 'controller' })).type, 'joined');
+        assert.equal((await join(spectator, { room: code })).type, 'joined');
+
+        const { spectatorId } = await controller.next('spectate-request');
+        controller.send({ type: 'spectate-grant', spectatorId });
+        await spectator.next('spectate-grant');
+        return { target, controller, spectator, spectatorId };
+    }
+
+    async function assertReadOnly(spectator, message) {
+        spectator.send(message);
+        const error = await spectator.next('error');
+        assert.equal(error.code, 'spectator-read-only', `${message.type} was not refused`);
+    }
+
+    it('refuses a spectator\'s offers, gestures and control requests', async () => {
+        const { target, controller, spectator, spectatorId } = await watch();
+        await assertReadOnly(spectator, { type: 'offer', sdp: SDP });
+        await assertReadOnly(spectator, { type: 'spectate-offer', spectatorId, sdp: SDP });
+        await assertReadOnly(spectator, { type: 'gesture', action: 'tap', x: 0.5, y: 0.5 });
+        await assertReadOnly(spectator, { type: 'control-request', name: 'Sam' });
+
+        await assert.rejects(target.next(['offer', 'gesture', 'control-request'], 200));
+        await assert.rejects(controller.next(['offer', 'spectate-offer'], 200));
+    });
+
+    it('refuses every other message outside its own few', async () => {
+        const { spectator, spectatorId } = await watch();
+        const refused = [
+            { type: 'answer', sdp: SDP },
+            { type: 'ice-candidate', candidate: CANDIDATE, sdpMid: '0', sdpMLineIndex: 0 },
+            { type: 'annotation', action: 'laser', x: 0.5, y: 0.5 },
+            { type: 'control-grant' },
+            { type: 'control-deny' },
+            { type: 'control-revoke' },
+            { type: 'quality-hint', reason: 'packet-loss', level: 1 },
+            { type: 'chat', id: 'm1', text: 'Hello' },
+            { type: 'chat-delivered', id: 'm1', senderId: 'someone' },
+            { type: 'spectate-grant', spectatorId },
+            { type: 'spectate-deny', spectatorId }
+        ];
+        for (const message of refused) {
+            await assertReadOnly(spectator, message);
+        }
+    });
+
+    it('lets a spectator keep alive and answer its host', async () => {
+        const { controller, spectator, spectatorId } = await watch();
+        spectator.send({ type: 'heartbeat' });
+        await spectator.next('heartbeat-ack');
+
+        spectator.send({ type: 'spectate-answer', sdp: SDP });
+        const answer = await controller.next('spectate-answer');
+        assert.equal(answer.spectatorId, spectatorId);
+
+        spectator.send({ type: 'spectate-candidate', candidate: CANDIDATE, sdpMid: '0', sdpMLineIndex: 0 });
+        assert.equal((await controller.next('spectate-candidate')).spectatorId, spectatorId);
+        assert.equal(spectator.received.filter(message => message.type === 'error').length, 0);
+    });
+});
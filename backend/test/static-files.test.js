@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { StaticFiles } = require('../lib/static-files');
+const { MemoryRoomBus } = require('../lib/room-bus');
+const { startInstance, DATA_DIR } = require('./helpers');
+
+describe('StaticFiles.resolve', () => {
+    const root = path.join(DATA_DIR, 'public');
+    const files = new StaticFiles(root);
+
+    it('maps paths under the root', () => {
+        assert.equal(files.resolve('/'), path.join(root, 'index.html'));
+        assert.equal(files.resolve('/js/app.js'), path.join(root, 'js', 'app.js'));
+        assert.equal(files.resolve('/a%20b.css'), path.join(root, 'a b.css'));
+    });
+
+    it('never leaves the root', () => {
+        [
+            '/../secret.txt',
+            '/js/../../secret.txt',
+            '/%2e%2e/secret.txt',
+            '/%2E%2E%2Fsecret.txt',
+            '/js/..%2f..%2fsecret.txt',
+            '/..%5csecret.txt'
+        ].forEach(pathname => {
+            const resolved = files.resolve(pathname);
+            assert.ok(resolved === false || resolved.startsWith(root + path.sep), pathname);
+            assert.notEqual(resolved, path.join(DATA_DIR, 'secret.txt'), pathname);
+        });
+    });
+
+    it('refuses dotfiles', () => {
+        assert.equal(files.resolve('/.env'), false);
+        assert.equal(files.resolve('/%2egit/config'), false);
+    });
+
+    it('refuses malformed escapes and NUL bytes', () => {
+        assert.equal(files.resolve('/%zz'), null);
+        assert.equal(files.resolve('/index.html%00.png'), null);
+    });
+});
+
+describe('serving public/', () => {
+    let instance;
+
+    before(async () => {
+        instance = await startInstance(new MemoryRoomBus(), 'instance-a');
+    });
+
+    after(async () => {
+        await instance?.stop();
+    });
+
+    // fetch() would normalize the dot segments away before sending
+    function rawGet(target) {
+        const { port } = new URL(instance.url);
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(port, 'localhost', () => {
+                socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+            });
+            let response = '';
+            socket.on('data', chunk => { response += chunk; });
+            socket.on('end', () => resolve({ status: parseInt(response.split(' ')[1], 10), response }));
+            socket.on('error', reject);
+        });
+    }
+
+    it('does not serve files outside public/', async () => {
+        const server = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8').slice(0, 200);
+        for (const target of ['/../server.js', '/%2e%2e/server.js', '/%2e%2e%2fserver.js', '/..%2f..%2fpackage.json']) {
+            const { status, response } = await rawGet(target);
+            assert.notEqual(status, 200, target);
+            assert.ok(!response.includes(server), target);
+        }
+    });
+
+    it('serves pages from public/', async () => {
+        assert.equal((await rawGet('/index.html')).status, 200);
+    });
+});